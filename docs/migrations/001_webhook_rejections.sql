@@ -0,0 +1,15 @@
+-- Audit table for webhook requests rejected by signature verification
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  reason text NOT NULL,
+  source_ip text,
+  user_agent text,
+  signature text,
+  eviasignreference text,
+  event_id integer,
+  event_time text,
+  createdat timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_rejections_createdat_idx ON webhook_rejections (createdat DESC);
+
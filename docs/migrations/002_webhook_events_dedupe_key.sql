@@ -0,0 +1,7 @@
+-- Deterministic deduplication key for webhook deliveries
+-- sha256(lower(RequestId) | EventId | lower(Email) | EventTime), computed by buildDedupeKey()
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS dedupe_key text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS webhook_events_dedupe_key_idx
+  ON webhook_events (dedupe_key)
+  WHERE dedupe_key IS NOT NULL;
@@ -0,0 +1,12 @@
+-- Processing state for webhook events, used by the retry queue
+-- status: pending | retrying | processed | failed | dead
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS status text DEFAULT 'pending';
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS attempts integer DEFAULT 0;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS last_error text;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS next_attempt_at timestamp with time zone;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS processedat timestamp with time zone;
+
+-- Events processed before this migration
+UPDATE webhook_events SET status = 'processed' WHERE processed = true AND status = 'pending';
+
+CREATE INDEX IF NOT EXISTS webhook_events_status_idx ON webhook_events (status, createdat);
@@ -0,0 +1,16 @@
+-- Malformed webhook payloads held for an operator to fix and resubmit
+-- status: quarantined | resubmitted | discarded
+CREATE TABLE IF NOT EXISTS webhook_quarantine (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  payload jsonb,
+  errors jsonb,
+  source_ip text,
+  eviasignreference text,
+  event_id integer,
+  status text NOT NULL DEFAULT 'quarantined',
+  resubmitted_event_id uuid,
+  createdat timestamp with time zone DEFAULT now(),
+  updatedat timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_quarantine_status_idx ON webhook_quarantine (status, createdat DESC);
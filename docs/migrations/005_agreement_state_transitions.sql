@@ -0,0 +1,23 @@
+-- Agreement state machine: EventTime of the last applied signature event, and the transition history
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS last_signature_event_at timestamp with time zone;
+
+-- outcome: applied | refused
+-- reason (refused only): stale_event | illegal_transition | signature_regression
+CREATE TABLE IF NOT EXISTS agreement_state_transitions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  agreement_id uuid NOT NULL,
+  eviasignreference text,
+  event_id integer,
+  event_time timestamp with time zone,
+  source text NOT NULL DEFAULT 'webhook',
+  from_status text,
+  to_status text,
+  from_signature_status text,
+  to_signature_status text,
+  outcome text NOT NULL,
+  reason text,
+  message text,
+  createdat timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS agreement_state_transitions_agreement_idx ON agreement_state_transitions (agreement_id, createdat DESC);
@@ -0,0 +1,6 @@
+-- Multi-party signing progress, derived from signatories_status on every signature event
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS signatures_required integer;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS signatures_completed integer;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS signing_progress text;          -- e.g. "2 of 3 signed"
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS next_signatory_email text;      -- Next signer due, by order
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS next_signatory_name text;
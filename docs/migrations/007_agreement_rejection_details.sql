@@ -0,0 +1,6 @@
+-- Why and by whom a signature request was rejected, and the requests an agreement had before it was re-drafted
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS rejection_reason text;          -- RejectReason from the RequestRejected event
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS rejected_by_email text;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS rejected_by_name text;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS rejected_at timestamptz;        -- EventTime of the rejection
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS previous_signature_requests jsonb DEFAULT '[]'::jsonb;  -- Archived requests, oldest first
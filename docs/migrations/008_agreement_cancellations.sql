@@ -0,0 +1,21 @@
+-- Agreement cancellation: reason, and the outcome of voiding the Evia Sign request
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS cancellation_reason text;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS cancelled_by text;               -- User ID or email passed to the cancel API
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS cancelled_at timestamp with time zone;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS signature_void_status text;      -- voided | failed | not_configured | not_needed
+
+-- One row per cancellation and per void retry, with what Evia Sign answered
+CREATE TABLE IF NOT EXISTS agreement_cancellations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  agreement_id uuid NOT NULL,
+  eviasignreference text,
+  previous_status text,
+  reason text,
+  cancelled_by text,
+  void_status text NOT NULL,
+  void_http_status integer,
+  void_error text,
+  createdat timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS agreement_cancellations_agreement_idx ON agreement_cancellations (agreement_id, createdat DESC);
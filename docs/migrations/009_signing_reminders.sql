@@ -0,0 +1,20 @@
+-- Signing reminders: reminder letters are recorded in sent_letters, escalations in notifications
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS agreement_id uuid;
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS letter_type text;               -- e.g. signing_reminder
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS recipient_email text;
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS recipient_name text;
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS subject text;
+
+CREATE INDEX IF NOT EXISTS sent_letters_agreement_idx ON sent_letters (agreement_id, letter_type, sentdate);
+
+-- When the current signature request was escalated to the property manager
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS signing_escalated_at timestamp with time zone;
+
+-- Default reminder template. Placeholders: {{signatoryName}}, {{propertyName}}, {{unitNumber}},
+-- {{daysOutstanding}}, {{signingProgress}}, {{requestId}}
+INSERT INTO letter_templates (id, type, subject, content, language, version, createdat, updatedat)
+SELECT gen_random_uuid(), 'signing_reminder',
+  'Reminder: your rental agreement for {{propertyName}} is waiting for your signature',
+  E'Dear {{signatoryName}},\n\nThe rental agreement for {{propertyName}} {{unitNumber}} was sent for signing {{daysOutstanding}} days ago and still needs your signature ({{signingProgress}}).\n\nPlease open the signing email from Evia Sign to review and sign it.\n\nThank you,\nKH Rentals',
+  'en', '1', now(), now()
+WHERE NOT EXISTS (SELECT 1 FROM letter_templates WHERE type = 'signing_reminder');
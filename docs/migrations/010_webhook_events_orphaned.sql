@@ -0,0 +1,3 @@
+-- Orphaned webhook events: stored events whose RequestId matched no agreement yet.
+-- status gains the value 'orphaned'; the reconciler looks them up by RequestId.
+CREATE INDEX IF NOT EXISTS webhook_events_orphaned_idx ON webhook_events (eviasignreference, event_time) WHERE status = 'orphaned';
@@ -0,0 +1,5 @@
+-- Agreement activation: set once the unit, rentee and move-in tasks have been updated
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS activated_at timestamp with time zone;
+
+-- Move-in tasks are looked up by the agreement they belong to
+CREATE INDEX IF NOT EXISTS task_assignments_related_entity_idx ON task_assignments (relatedentitytype, relatedentityid);
@@ -0,0 +1,11 @@
+-- Rent invoices created from agreement terms: which agreement and what kind of invoice
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS agreement_id uuid;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS invoice_type text;                -- deposit | rent
+
+-- One deposit, and one rent invoice per billing period, per agreement; invoices without an agreement are not affected
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_agreement_period_idx ON invoices (agreement_id, invoice_type, billingperiod);
+
+-- Due date of the next monthly rent invoice; null once the lease has no more to bill
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS next_invoice_date date;
+
+CREATE INDEX IF NOT EXISTS agreements_next_invoice_idx ON agreements (status, next_invoice_date);
@@ -0,0 +1,7 @@
+-- Booking conflicts: other agreements overlapping this one on the same unit or property
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS booking_conflicts jsonb NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS booking_conflict_at timestamp with time zone;
+
+-- The conflict check looks up bookings by unit and property
+CREATE INDEX IF NOT EXISTS agreements_unitid_status_idx ON agreements (unitid, status);
+CREATE INDEX IF NOT EXISTS agreements_propertyid_status_idx ON agreements (propertyid, status);
@@ -0,0 +1,10 @@
+-- Signing notifications: which agreement and event a notification is about
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS agreement_id uuid;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS event_type text;             -- e.g. signatory_signed
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS event_key text;              -- webhook_events.dedupe_key
+
+-- One notification per user per event, so retries and replays don't repeat it; other notifications are not affected
+CREATE UNIQUE INDEX IF NOT EXISTS notifications_user_event_idx ON notifications (user_id, event_key);
+
+-- Per-user choice of signing notifications, e.g. { "signatory_viewed": false }; missing kinds use the audience default
+ALTER TABLE app_users ADD COLUMN IF NOT EXISTS notification_preferences jsonb NOT NULL DEFAULT '{}'::jsonb;
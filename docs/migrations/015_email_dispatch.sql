@@ -0,0 +1,35 @@
+-- Email dispatch: delivery tracking for sent_letters rows with channel 'email'
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS last_error text;
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS next_attempt_at timestamp with time zone;
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS delivered_at timestamp with time zone;
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS message_id text;              -- Message-ID given to the SMTP server
+ALTER TABLE sent_letters ADD COLUMN IF NOT EXISTS event_key text;               -- webhook_events.dedupe_key
+
+-- The dispatcher picks up pending letters and due retries
+CREATE INDEX IF NOT EXISTS sent_letters_dispatch_idx ON sent_letters (channel, status, next_attempt_at);
+
+-- One letter of a type per recipient per event, so retries and replays don't email twice; letters without an event are not affected
+CREATE UNIQUE INDEX IF NOT EXISTS sent_letters_event_recipient_idx ON sent_letters (letter_type, event_key, recipient_email);
+
+-- Default signing event emails. Delete a type's templates to stop sending it.
+-- Placeholders: {{recipientName}}, {{message}}, {{propertyName}}, {{propertyAddress}}, {{unitNumber}},
+-- {{renteeName}}, {{renteeEmail}}, {{startDate}}, {{endDate}}, {{signatoryName}}, {{signingProgress}},
+-- {{rejectReason}}, {{requestId}}, {{agreementId}}
+INSERT INTO letter_templates (id, type, subject, content, language, version, createdat, updatedat)
+SELECT gen_random_uuid(), t.type, t.subject, t.content, 'en', '1', now(), now()
+FROM (VALUES
+  ('signing_request_sent',
+   'Your rental agreement for {{propertyName}} has been sent for signing',
+   E'Dear {{recipientName}},\n\nThe rental agreement for {{propertyName}} {{unitNumber}} ({{startDate}} to {{endDate}}) has been sent for signing. Please look out for the signing email from Evia Sign.\n\nThank you,\nKH Rentals'),
+  ('signing_signatory_signed',
+   '{{signatoryName}} signed the rental agreement for {{propertyName}}',
+   E'Dear {{recipientName}},\n\n{{signatoryName}} has signed the rental agreement for {{propertyName}} {{unitNumber}} ({{signingProgress}}).\n\nThank you,\nKH Rentals'),
+  ('signing_request_completed',
+   'Your rental agreement for {{propertyName}} is fully signed',
+   E'Dear {{recipientName}},\n\n{{message}}.\n\nThe agreement runs from {{startDate}} to {{endDate}}.\n\nThank you,\nKH Rentals'),
+  ('signing_request_rejected',
+   'The rental agreement for {{propertyName}} was rejected',
+   E'Dear {{recipientName}},\n\n{{signatoryName}} rejected the rental agreement for {{propertyName}} {{unitNumber}}. Reason given: {{rejectReason}}\n\nKH Rentals will be in touch about next steps.\n\nThank you,\nKH Rentals')
+) AS t(type, subject, content)
+WHERE NOT EXISTS (SELECT 1 FROM letter_templates WHERE letter_templates.type = t.type);
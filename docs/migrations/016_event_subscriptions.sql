@@ -0,0 +1,35 @@
+-- Outbound event subscriptions: other services registered to receive normalized agreement events
+CREATE TABLE IF NOT EXISTS event_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  url text NOT NULL,
+  secret text NOT NULL,                                   -- HMAC key for X-KH-Signature
+  event_types text[] NOT NULL,                            -- e.g. {agreement.signed,document.stored}
+  active boolean NOT NULL DEFAULT true,
+  createdat timestamp with time zone NOT NULL DEFAULT now(),
+  updatedat timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- One row per event per subscription, with its delivery status
+CREATE TABLE IF NOT EXISTS event_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id uuid NOT NULL REFERENCES event_subscriptions(id) ON DELETE CASCADE,
+  event_id text NOT NULL,                                 -- Sent as X-KH-Event-Id; the same for every subscription
+  event_type text NOT NULL,
+  agreement_id uuid,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending',                 -- pending, delivering, delivered, retrying, failed
+  attempts integer NOT NULL DEFAULT 0,
+  last_status_code integer,
+  last_error text,
+  next_attempt_at timestamp with time zone,
+  delivered_at timestamp with time zone,
+  createdat timestamp with time zone NOT NULL DEFAULT now(),
+  updatedat timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- An event is queued once per subscription, so retries and replays of the webhook don't deliver it twice
+CREATE UNIQUE INDEX IF NOT EXISTS event_deliveries_subscription_event_idx ON event_deliveries (subscription_id, event_id);
+
+-- The dispatcher picks up pending deliveries and due retries
+CREATE INDEX IF NOT EXISTS event_deliveries_dispatch_idx ON event_deliveries (status, next_attempt_at);
@@ -0,0 +1,20 @@
+-- Signed documents: one row per document of a RequestCompleted, stored once under its DocumentName
+CREATE TABLE IF NOT EXISTS agreement_documents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  agreement_id uuid NOT NULL REFERENCES agreements(id) ON DELETE CASCADE,
+  request_id text NOT NULL,                               -- Evia Sign RequestId the documents came with
+  event_key text,                                         -- webhook_events.dedupe_key
+  document_name text NOT NULL,                            -- DocumentName as sent by Evia Sign
+  file_name text NOT NULL,                                -- DocumentName made safe for the storage path
+  position integer NOT NULL DEFAULT 0,                    -- Order in Documents; 0 is the agreement itself
+  storage_path text NOT NULL,                             -- agreements/<agreement_id>/<request_id>/<file_name> in the 'files' bucket
+  public_url text NOT NULL,
+  size_bytes integer,
+  createdat timestamp with time zone NOT NULL DEFAULT now(),
+  updatedat timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- A retried or replayed event overwrites its documents instead of adding copies
+CREATE UNIQUE INDEX IF NOT EXISTS agreement_documents_storage_path_idx ON agreement_documents (storage_path);
+
+CREATE INDEX IF NOT EXISTS agreement_documents_agreement_idx ON agreement_documents (agreement_id, createdat);
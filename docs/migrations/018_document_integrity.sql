@@ -0,0 +1,8 @@
+-- Document integrity: the SHA-256 of each signed document as Evia Sign delivered it, and the last re-hash
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS sha256 text;
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS integrity_status text;            -- ok, mismatch, missing, error, unverified
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS integrity_checked_at timestamp with time zone;
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS integrity_error text;
+
+-- The integrity job checks documents never checked first, then the longest unchecked
+CREATE INDEX IF NOT EXISTS agreement_documents_integrity_idx ON agreement_documents (integrity_checked_at NULLS FIRST);
@@ -0,0 +1,13 @@
+-- Document validation: what pdfValidationService found in each signed document
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS pdf_version text;
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS page_count integer;
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS producer text;
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS signature_count integer;           -- /ByteRange signature dictionaries
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS validation_problems text[];         -- not_pdf, too_large, truncated, corrupt, unsigned
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS validated_at timestamp with time zone;
+
+-- Agreements whose documents were flagged when they were signed: [{ name, position, problems }]
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS document_problems jsonb;
+ALTER TABLE agreements ADD COLUMN IF NOT EXISTS document_problems_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS agreements_document_problems_idx ON agreements (document_problems_at) WHERE document_problems_at IS NOT NULL;
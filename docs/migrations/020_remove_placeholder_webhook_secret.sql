@@ -0,0 +1,3 @@
+-- Remove the placeholder webhook secret that earlier versions of 001 seeded.
+-- Set EVIA_SIGN_WEBHOOK_SECRET, or insert the real secret as evia_sign_config.webhook_secret.
+DELETE FROM evia_sign_config WHERE config_key = 'webhook_secret' AND config_value = 'change-me';
@@ -0,0 +1,5 @@
+-- sent_letters.sentdate is set when a letter is delivered, not when it is queued
+ALTER TABLE sent_letters ALTER COLUMN sentdate DROP NOT NULL;
+
+-- Signing reminders are counted by when they were queued
+CREATE INDEX IF NOT EXISTS sent_letters_agreement_queued_idx ON sent_letters (agreement_id, letter_type, createdat);
@@ -0,0 +1,12 @@
+-- Document integrity backoff: when each document is due again, and how many checks in a row failed
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS integrity_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE agreement_documents ADD COLUMN IF NOT EXISTS integrity_next_check_at timestamp with time zone;
+
+-- Documents already checked are due DOCUMENT_INTEGRITY_RECHECK_DAYS (default 7) after their last check
+UPDATE agreement_documents
+SET integrity_next_check_at = integrity_checked_at + interval '7 days'
+WHERE integrity_checked_at IS NOT NULL AND integrity_next_check_at IS NULL;
+
+-- The integrity job checks documents never checked first, then those longest overdue
+CREATE INDEX IF NOT EXISTS agreement_documents_next_check_idx ON agreement_documents (integrity_next_check_at NULLS FIRST);
+DROP INDEX IF EXISTS agreement_documents_integrity_idx;
@@ -8,12 +8,66 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { processSignatureEvent } from './services/signatureWebhookService.js';
-import { testConnection, insertWebhookEvent, markWebhookEventProcessed, logWebhookDelivery } from './services/supabaseClient.js';
+import { testConnection, insertWebhookEvent, logWebhookDelivery } from './services/supabaseClient.js';
 import supabase from './services/supabaseClient.js';
 import http from 'http';
+import crypto from 'crypto';
 import { Server } from 'socket.io';
 import { EventEmitter } from 'events';
-import { saveDocument, findAgreementForWebhookEvent } from './services/documentStorageService.js';
+import { listAgreementDocuments, listDocumentProblems } from './services/documentStorageService.js';
+import {
+  verifyAgreementDocuments,
+  runDocumentIntegrityCheck,
+  startDocumentIntegrityJob,
+  getLastIntegrityRun
+} from './services/documentIntegrityService.js';
+import { getAgreementCacheStats } from './services/agreementLookupService.js';
+import { verifyWebhookRequest, recordWebhookRejection } from './services/webhookAuthService.js';
+import { enqueueWebhookEvent, drainWebhookQueue, startWebhookQueue, getWebhookQueueStats, getDeadLetters } from './services/webhookQueueService.js';
+import { replayWebhookEvent, replayWebhookEvents } from './services/webhookReplayService.js';
+import { validateWebhookPayload } from './services/webhookValidationService.js';
+import {
+  quarantineWebhookPayload,
+  listQuarantinedPayloads,
+  getQuarantinedPayload,
+  updateQuarantinedPayload,
+  toEditablePayload,
+  restoreDocumentContent,
+  QUARANTINE_STATUS
+} from './services/webhookQuarantineService.js';
+import { getEventType, listEventTypes, startEventTypeRegistry } from './services/eventTypeRegistry.js';
+import { getAgreementTransitions } from './services/agreementStateMachine.js';
+import { registerExpectedSignatories } from './services/signingProgressService.js';
+import { listRejectedAgreements, redraftAgreement, linkResentRequest } from './services/agreementRedraftService.js';
+import { runAgreementExpiry, startAgreementExpiryJob, getLastExpiryRun } from './services/agreementExpiryService.js';
+import { cancelAgreement } from './services/agreementCancellationService.js';
+import { activateAgreement, activateBlockedAgreement } from './services/agreementActivationService.js';
+import { listBookingConflicts, listBlockedAgreements } from './services/bookingConflictService.js';
+import { updateNotificationPreferences } from './services/signingNotificationService.js';
+import { listEmailLetters, runEmailDispatch, startEmailDispatchJob, getLastEmailRun } from './services/emailDispatchService.js';
+import {
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  redeliver,
+  runDeliveries,
+  startEventDeliveryJob,
+  getLastDeliveryRun,
+  OUTBOUND_EVENT_TYPES
+} from './services/eventSubscriptionService.js';
+import { runInvoiceSchedule, startInvoiceScheduleJob, getLastInvoiceRun } from './services/invoiceScheduleService.js';
+import { runSigningReminders, startSigningReminderJob, getLastReminderRun } from './services/signingReminderService.js';
+import {
+  listOrphanEvents,
+  applyOrphanEvents,
+  runOrphanReconciliation,
+  linkOrphanEvents,
+  startOrphanReconciliationJob,
+  getLastOrphanRun
+} from './services/orphanEventService.js';
+import { MAX_DOCUMENT_BYTES } from './services/pdfValidationService.js';
 
 // Load environment variables
 dotenv.config();
@@ -25,11 +79,20 @@ const __dirname = path.dirname(__filename);
 // Express app setup
 const app = express();
 const PORT = process.env.PORT || 3030; // Changed to 3030 as default
+// A RequestCompleted carries the agreement and its certificate base64-encoded (4/3 the size),
+// so the body limit follows DOCUMENT_MAX_SIZE_MB instead of cutting documents off below it
+const JSON_BODY_LIMIT_BYTES = Math.ceil(MAX_DOCUMENT_BYTES * 4 / 3) * 2 + 1024 * 1024;
 
 // Add middleware
 app.use(cors());
 app.use(morgan('dev'));
-app.use(express.json({ limit: '10mb' })); // Global JSON parsing middleware
+app.use(express.json({
+  limit: JSON_BODY_LIMIT_BYTES,
+  // Keep the raw body so webhook signatures can be verified byte-for-byte
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Global JSON parsing middleware
 
 // Add a specific health check endpoint for Azure
 app.get('/health', (req, res) => {
@@ -235,70 +298,6 @@ testConnection()
           .then(({data, error}) => {
             if (error) {
               console.error('[SUPABASE] Error priming schema cache:', error.message);
-            } else {
-              // Check for agreements that need UUID field population silently
-              supabase
-                .from('agreements')
-                .select('id, eviasignreference, eviasignreference')
-                .is('eviasignreference', null)
-                .not('eviasignreference', 'is', null)
-                .limit(50) // Limit to 50 to avoid timeouts
-                .then(({ data: agreements, error: agreementsError }) => {
-                  if (agreementsError) {
-                    console.error('[SUPABASE] Error checking agreements:', agreementsError.message);
-                    return;
-                  }
-                  
-                  if (!agreements || agreements.length === 0) {
-                    return;
-                  }
-                  
-                  // Check which ones have UUIDs in eviasignreference
-                  // This function checks if a string is a valid UUID
-                  const isUUID = (str) => {
-                    if (!str) {
-                      return false;
-                    }
-                    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-                    return uuidPattern.test(str);
-                  };
-                  
-                  // Filter agreements where eviasignreference is a valid UUID
-                  const agreementsToUpdate = agreements.filter(a => isUUID(a.eviasignreference));
-                  
-                  if (agreementsToUpdate.length === 0) {
-                    return;
-                  }
-                  
-                  // Update up to 5 agreements at startup (to avoid long startup times)
-                  const updateBatch = agreementsToUpdate.slice(0, 5);
-                  
-                  // Process updates sequentially
-                  const processUpdates = async () => {
-                    for (const agreement of updateBatch) {
-                      try {
-                        const { error: updateError } = await supabase
-                          .from('agreements')
-                          .update({ eviasignreference: agreement.eviasignreference })
-                          .eq('id', agreement.id);
-                        
-                        if (updateError) {
-                          console.error(`[SUPABASE] Error updating agreement ${agreement.id}: ${updateError.message}`);
-                        }
-                        
-                        // Small delay to avoid rate limiting
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                      } catch (err) {
-                        console.error(`[SUPABASE] Exception updating agreement ${agreement.id}: ${err.message}`);
-                      }
-                    }
-                  };
-                  
-                  // Run the updates
-                  processUpdates().catch(err => {
-                    console.error('[SUPABASE] Error in update process:', err.message);
-                  });
-                });
             }
           });
       } catch (e) {
@@ -323,14 +322,6 @@ if (!fs.existsSync(EVENTS_DB_PATH)) {
   console.log(`Initialized webhook events database: ${EVENTS_DB_PATH}`);
 }
 
-// Use regular JSON parser for all routes except webhook
-app.use((req, res, next) => {
-  if (req.path === '/webhook/evia-sign' && req.method === 'POST') {
-    return next();
-  }
-  express.json({ limit: '50mb' })(req, res, next);
-});
-
 // Add a simple status page at the root
 app.get('/', (req, res) => {
   const deployedUrl = process.env.EVIA_SIGN_WEBHOOK_URL || `http://localhost:${PORT}/webhook/evia-sign`;
@@ -373,7 +364,7 @@ app.get('/', (req, res) => {
 curl -X POST ${deployedUrl} \\
   -H "Content-Type: application/json" \\
   -d '{
-  "RequestId": "test-request-id",
+  "RequestId": "${crypto.randomUUID()}",
   "UserName": "Test User",
   "Email": "test@example.com", 
   "Subject": "Test Webhook", 
@@ -381,6 +372,8 @@ curl -X POST ${deployedUrl} \\
   "EventDescription": "SignRequestReceived",
   "EventTime": "${new Date().toISOString()}"
 }'</pre>
+          <p>Requests must carry an HMAC-SHA256 of the raw body, keyed with the shared webhook secret, in the
+            <code>x-evia-signature</code> header. For local testing set <code>EVIA_SIGN_ALLOW_UNSIGNED=true</code>.</p>
         </div>
         
         <div class="card">
@@ -454,6 +447,7 @@ async function processWebhookEvent(webhookData) {
       logToFile('Error: Invalid webhook data for processing - missing required fields');
       return {
         success: false,
+        retryable: false,
         error: 'Invalid webhook data for processing'
       };
     }
@@ -485,7 +479,82 @@ async function processWebhookEvent(webhookData) {
   }
 }
 
-// Handle Evia webhook requests
+// Reject webhook requests that are unsigned, wrongly signed or stale
+async function verifyEviaSignWebhook(req, res, next) {
+  try {
+    const verification = await verifyWebhookRequest({
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    });
+
+    if (verification.valid) {
+      return next();
+    }
+
+    logToFile(`Rejected webhook from ${req.ip}: ${verification.reason}`);
+    await recordWebhookRejection({
+      reason: verification.reason,
+      sourceIp: req.ip,
+      headers: req.headers,
+      body: req.body
+    });
+
+    return res.status(401).json({ error: 'Unauthorized', reason: verification.reason });
+  } catch (error) {
+    console.error('Error verifying webhook signature:', error);
+    logToFile(`Error verifying webhook signature: ${error.message}`);
+    return res.status(401).json({ error: 'Unauthorized', reason: 'verification_error' });
+  }
+}
+
+// Persist a validated webhook and hand it to the queue worker.
+// Shared by the webhook endpoint and quarantine resubmission.
+async function acceptWebhookEvent(webhookData, processingId) {
+  const eventId = webhookData.EventId;
+  
+  // Store the webhook event in database first
+  console.log(`[${processingId}] Storing webhook event in database...`);
+  logToFile(`[${processingId}] Storing webhook event in database...`);
+  
+  const storedEvent = await insertWebhookEvent(webhookData);
+  
+  // Repeated deliveries are acknowledged without being processed again
+  if (storedEvent.duplicate) {
+    console.log(`[${processingId}] Duplicate delivery of stored event ${storedEvent.id}, skipping processing`);
+    logToFile(`[${processingId}] Duplicate delivery of stored event ${storedEvent.id} (RequestId=${webhookData.RequestId}, EventId=${eventId}), skipping processing`);
+    return { duplicate: true, storedEventId: storedEvent.id };
+  }
+  
+  if (storedEvent.warning) {
+    console.warn(`[${processingId}] Storage warning: ${storedEvent.warning}`);
+    logToFile(`[${processingId}] Storage warning: ${storedEvent.warning}`);
+  } else {
+    console.log(`[${processingId}] Webhook event stored with ID: ${storedEvent.id}`);
+    logToFile(`[${processingId}] Webhook event stored with ID: ${storedEvent.id}`);
+  }
+  
+  // Journal the event so it survives a restart before the worker reaches it. The journal only
+  // drops the payload for a job that has a webhook_events row, so an event the database didn't
+  // take is queued without a row id and keeps its payload.
+  const storedEventId = storedEvent.warning ? null : storedEvent.id;
+  const queued = enqueueWebhookEvent({ webhookData, storedEventId });
+  
+  if (!queued.success && storedEvent.warning) {
+    // Neither the database nor the journal holds the event
+    console.error(`[${processingId}] Event could not be persisted: ${queued.error}`);
+    logToFile(`[${processingId}] Event could not be persisted: ${queued.error}`);
+    return { accepted: false, error: queued.error };
+  }
+  
+  // Wake the background worker
+  webhookProcessor.emit('new-webhook', webhookData, storedEvent.id);
+  
+  return { accepted: true, storedEventId };
+}
+
+// Handle Evia webhook requests: validate and persist the event, acknowledge,
+// and leave the heavy lifting (document uploads, agreement updates) to the queue worker
 async function handleEviaSignWebhook(req, res) {
   const startTime = Date.now();
   const webhookData = req.body;
@@ -493,152 +562,74 @@ async function handleEviaSignWebhook(req, res) {
 
   try {
     // Initial logs
-    console.log(`[${processingId}] ==== WEBHOOK RECEIVED - STARTING PROCESSING ====`);
-    logToFile('==== WEBHOOK RECEIVED - STARTING PROCESSING ====');
+    console.log(`[${processingId}] ==== WEBHOOK RECEIVED ====`);
+    logToFile('==== WEBHOOK RECEIVED ====');
     
-    // Log webhook data for debugging
+    // Log webhook data for debugging (without document content)
     console.log(`[${processingId}] Webhook headers:`, req.headers);
-    console.log(`[${processingId}] Webhook data:`, JSON.stringify(webhookData, null, 2));
-    
-    // Step 1: Identify event type
-    const eventId = webhookData.EventId;
-    let eventTypeName = 'Unknown';
+    console.log(`[${processingId}] RequestId=${webhookData.RequestId}, EventId=${webhookData.EventId}, Documents=${Array.isArray(webhookData.Documents) ? webhookData.Documents.length : 0}`);
     
-    // Map event IDs to meaningful names
-    switch (eventId) {
-      case 1:
-        eventTypeName = 'SignRequestReceived';
-        console.log(`[${processingId}] Processing SignRequestReceived event`);
-        break;
-      case 2:
-        eventTypeName = 'SignatoryCompleted';
-        console.log(`[${processingId}] Processing SignatoryCompleted event - Signatory: ${webhookData.UserName || webhookData.Email || 'Unknown'}`);
-        break;
-      case 3:
-        eventTypeName = 'RequestCompleted';
-        console.log(`[${processingId}] Processing RequestCompleted event - All signatures complete`);
-        break;
-      case 5:
-        eventTypeName = 'RequestRejected';
-        console.log(`[${processingId}] Processing RequestRejected event`);
-        break;
-      default:
-        console.log(`[${processingId}] Processing unknown event type: ${eventId}`);
+    // Reject malformed payloads and keep them for an operator to fix
+    const validation = validateWebhookPayload(webhookData);
+    if (!validation.valid) {
+      console.warn(`[${processingId}] Invalid webhook payload:`, validation.errors);
+      logToFile(`[${processingId}] Invalid webhook payload: ${JSON.stringify(validation.errors)}`);
+      
+      const quarantined = await quarantineWebhookPayload({
+        payload: webhookData,
+        errors: validation.errors,
+        sourceIp: req.ip
+      });
+      
+      return res.status(400).json({
+        error: 'Invalid webhook payload',
+        eventId: webhookData.EventId ?? null,
+        eventType: validation.eventType,
+        details: validation.errors,
+        quarantineId: quarantined.id || null
+      });
     }
     
-    logToFile(`[${processingId}] Event type: ${eventTypeName} (ID: ${eventId})`);
-    
-    // Store the webhook event in database first
-    console.log(`[${processingId}] Storing webhook event in database...`);
-    logToFile(`[${processingId}] Storing webhook event in database...`);
+    const accepted = await acceptWebhookEvent(webhookData, processingId);
     
-    const storedEvent = await insertWebhookEvent(webhookData);
+    if (accepted.duplicate) {
+      return res.status(200).send('Webhook already received');
+    }
     
-    if (!storedEvent.success) {
-      console.error(`[${processingId}] Failed to store webhook event:`, storedEvent.error);
-      logToFile(`[${processingId}] Failed to store webhook event: ${storedEvent.error}`);
-      // Continue processing even if storage fails
-    } else {
-      console.log(`[${processingId}] Webhook event stored with ID: ${storedEvent.id}`);
-      logToFile(`[${processingId}] Webhook event stored with ID: ${storedEvent.id}`);
-      
-      if (storedEvent.warning) {
-        console.warn(`[${processingId}] Storage warning: ${storedEvent.warning}`);
-        logToFile(`[${processingId}] Storage warning: ${storedEvent.warning}`);
-      }
-      
-      // Step 2: Handle document if present (only for RequestCompleted events)
-      if (eventId === 3 && webhookData.Documents && webhookData.Documents.length > 0) {
-        console.log(`[${processingId}] Detected signed document in webhook (RequestCompleted event)`);
-        logToFile(`[${processingId}] Detected signed document in webhook (RequestCompleted event)`);
-        
-        try {
-          // First try to find the related agreement
-          const agreementId = await findAgreementForWebhookEvent(storedEvent.id);
-          
-          // Save the document and update both webhook_events and agreement tables
-          for (let i = 0; i < webhookData.Documents.length; i++) {
-            const document = webhookData.Documents[i];
-            console.log(`[${processingId}] Processing document ${i+1} of ${webhookData.Documents.length}: ${document.DocumentName || 'Unnamed'}`);
-            
-            const saveResult = await saveDocument({
-              content: document.DocumentContent,
-              webhookEventId: storedEvent.id,
-              agreementId: agreementId,
-              documentName: document.DocumentName || `document_${i+1}.pdf`
-            });
-            
-            if (saveResult.success) {
-              console.log(`[${processingId}] Document saved successfully: ${saveResult.publicUrl}`);
-              logToFile(`[${processingId}] Document saved successfully: ${saveResult.publicUrl}`);
-              
-              // Notify dashboard of document availability
-              io.emit('webhook-event', {
-                event: 'document-available',
-                id: storedEvent.id,
-                documentUrl: saveResult.publicUrl,
-                agreementId: agreementId
-              });
-            } else {
-              console.error(`[${processingId}] Failed to save document:`, saveResult.errors);
-              logToFile(`[${processingId}] Failed to save document: ${saveResult.errors.join(', ')}`);
-            }
-          }
-        } catch (docError) {
-          console.error(`[${processingId}] Error processing document from webhook:`, docError);
-          logToFile(`[${processingId}] Error processing document from webhook: ${docError.message}`);
-        }
-      }
+    if (!accepted.accepted) {
+      // Ask Evia Sign to retry
+      return res.status(500).send('Webhook could not be persisted');
     }
     
-    // Small delay to allow DB triggers to run
-    await new Promise(resolve => setTimeout(resolve, 500));
+    const processingTime = Date.now() - startTime;
+    console.log(`[${processingId}] Webhook accepted in ${processingTime}ms`);
+    logToFile(`[${processingId}] Webhook accepted in ${processingTime}ms`);
     
-    // Extract event data
-    const storedEventId = storedEvent.id || `fallback-${Date.now()}`;
-    const eventTimestamp = webhookData.EventTime || new Date().toISOString();
+    return res.status(202).send('Webhook accepted for processing');
+  } catch (error) {
+    console.error(`[${processingId}] CRITICAL ERROR in webhook handler:`, error);
+    logToFile(`CRITICAL ERROR in webhook handler: ${error.message}`);
     
-    // Create a card for the dashboard
+    return res.status(500).send('Webhook could not be accepted');
+  }
+}
+
+// Process a queued webhook: update the dashboard and run the business logic, which stores any signed documents
+async function processQueuedWebhook(job) {
+  const { webhookData } = job;
+  const eventId = webhookData.EventId;
+  const storedEventId = job.storedEventId || `fallback-${Date.now()}`;
+  const processingId = `job-${job.id.substring(0, 8)}`;
+  const startTime = Date.now();
+  const eventType = getEventType(eventId);
+  const eventTypeName = eventType.name;
+  
+  console.log(`[${processingId}] ==== PROCESSING QUEUED WEBHOOK: ${eventTypeName} (ID: ${eventId}) ====`);
+  logToFile(`[${processingId}] Processing queued webhook: ${eventTypeName} (ID: ${eventId}), stored event ${storedEventId}`);
+  
+  // Step 1: Broadcast to the dashboard (first attempt only)
+  if (!job.broadcast) {
     try {
-      // Step 3: Prepare event details based on event type
-      const eventDetails = {
-        id: storedEventId,
-        type: eventTypeName,
-        requestId: webhookData.RequestId,
-        timestamp: eventTimestamp,
-        eventId: webhookData.EventId,
-        receivedAt: new Date().toISOString() // Add this to match dashboard expectations
-      };
-      
-      // Add event-type specific details
-      switch (eventId) {
-        case 1: // SignRequestReceived
-          // Just basic event details
-          break;
-        case 2: // SignatoryCompleted
-          // Add signatory details
-          eventDetails.UserName = webhookData.UserName;
-          eventDetails.Email = webhookData.Email;
-          eventDetails.Subject = webhookData.Subject;
-          break;
-        case 3: // RequestCompleted
-          // Add document info
-          eventDetails.UserName = webhookData.UserName;
-          eventDetails.Email = webhookData.Email;
-          eventDetails.Subject = webhookData.Subject;
-          eventDetails.hasDocuments = webhookData.Documents && webhookData.Documents.length > 0;
-          eventDetails.documentCount = webhookData.Documents ? webhookData.Documents.length : 0;
-          break;
-        case 5: // RequestRejected
-          // Add rejection details if available
-          eventDetails.UserName = webhookData.UserName;
-          eventDetails.Email = webhookData.Email;
-          eventDetails.rejectReason = webhookData.RejectReason || 'No reason provided';
-          break;
-      }
-      
-      console.log(`[${processingId}] Broadcasting to dashboard...`);
-      
       // Store in recent webhooks for new clients
       recentWebhooks.push(webhookData);
       
@@ -650,84 +641,93 @@ async function handleEviaSignWebhook(req, res) {
       // Send to all connected clients - IMPORTANT: use 'new-webhook' event
       io.emit('new-webhook', webhookData);
       
+      job.broadcast = true;
+      
       console.log(`[${processingId}] Event broadcast completed`);
       logToFile(`Event broadcast completed: ${eventTypeName}`);
     } catch (error) {
       console.error(`[${processingId}] Broadcast error:`, error);
       logToFile(`Broadcast error: ${error.message}`);
     }
+  }
+  
+  // Step 2: Apply earlier events for this request that arrived before its agreement
+  // was linked, so the agreement sees them in order
+  if (!job.orphansApplied) {
+    const orphans = await applyOrphanEvents(webhookData.RequestId);
+    if (!orphans.success) {
+      console.error(`[${processingId}] Orphaned events for request ${webhookData.RequestId} could not be applied: ${orphans.error}`);
+      logToFile(`[${processingId}] Orphaned events for request ${webhookData.RequestId} could not be applied: ${orphans.error}`);
+      return { success: false, error: `Earlier orphaned events not applied: ${orphans.error}` };
+    }
+    if (orphans.applied > 0) {
+      logToFile(`[${processingId}] Applied ${orphans.applied} orphaned event(s) for request ${webhookData.RequestId} first`);
+    }
+    job.orphansApplied = true;
+  }
+  
+  // Step 3: Process the webhook with business logic. The queue marks the event processed
+  // (or orphaned) on success, or schedules a retry / dead-letters it on failure.
+  let result;
+  try {
+    console.log(`[${processingId}] Calling processWebhookEvent for business logic processing`);
+    logToFile(`[${processingId}] Calling processWebhookEvent for business logic processing`);
     
-    // Step 4: Process the webhook with business logic
-    try {
-      console.log(`[${processingId}] Calling processWebhookEvent for business logic processing`);
-      logToFile(`[${processingId}] Calling processWebhookEvent for business logic processing`);
-      
-      const result = await processWebhookEvent(webhookData);
-      
-      if (result && result.success) {
-        console.log(`[${processingId}] Webhook processing completed successfully`);
-        logToFile(`Webhook processed: ${eventTypeName}`);
-        
-        // Step 5: Mark as processed
-        await markWebhookEventProcessed(storedEventId);
-        
-        // Notify dashboard of completion
-        io.emit('webhook-event', {
-          event: 'processed',
-          id: storedEventId,
-          success: true,
-          eventType: eventTypeName
-        });
-      } else {
-        console.warn(`[${processingId}] Webhook processing completed with warnings:`, result?.warnings);
-        logToFile(`Webhook processing warnings: ${JSON.stringify(result?.warnings)}`);
-        
-        // Mark as processed but capture the warnings
-        await markWebhookEventProcessed(storedEventId);
-        
-        // Notify dashboard of completion with warnings
-        io.emit('webhook-event', {
-          event: 'processed',
-          id: storedEventId,
-          success: true,
-          warnings: result?.warnings,
-          eventType: eventTypeName
-        });
-      }
-    } catch (error) {
-      console.error(`[${processingId}] Error processing webhook:`, error);
-      logToFile(`Error processing webhook: ${error.message}`);
-      
-      // Still mark as processed despite error
-      await markWebhookEventProcessed(storedEventId);
-      
-      // Notify dashboard of error
+    result = await processWebhookEvent(webhookData);
+  } catch (error) {
+    result = { success: false, error: `Exception in webhook processing: ${error.message}` };
+  }
+  
+  if (result.success && result.orphaned) {
+    console.log(`[${processingId}] No agreement for request ${webhookData.RequestId} yet; event kept as an orphan`);
+    logToFile(`[${processingId}] No agreement for request ${webhookData.RequestId} yet; event kept as an orphan`);
+  } else if (result.success) {
+    console.log(`[${processingId}] Webhook processing completed successfully`);
+    logToFile(`Webhook processed: ${eventTypeName}`);
+    eventCount++;
+    
+    // Notify dashboard of document availability
+    for (const document of result.documents || []) {
       io.emit('webhook-event', {
-        event: 'processed',
+        event: 'document-available',
         id: storedEventId,
-        success: false,
-        error: error.message,
-        eventType: eventTypeName
+        documentName: document.name,
+        documentUrl: document.url,
+        agreementId: result.agreementId
       });
     }
-    
-    // Send success response to webhook source
-    const processingTime = Date.now() - startTime;
-    console.log(`[${processingId}] Webhook processing completed in ${processingTime}ms`);
-    logToFile(`Webhook processing completed in ${processingTime}ms`);
-    
-    return res.status(200).send('Webhook received and processed successfully');
-  } catch (error) {
-    console.error(`[${processingId}] CRITICAL ERROR in webhook handler:`, error);
-    logToFile(`CRITICAL ERROR in webhook handler: ${error.message}`);
-    
-    // Always respond with success to avoid webhook retries that might cause issues
-    return res.status(200).send('Webhook received (with processing errors)');
+  } else {
+    console.error(`[${processingId}] Webhook processing failed (attempt ${(job.attempts || 0) + 1}): ${result.error}`);
+    logToFile(`[${processingId}] Webhook processing failed (attempt ${(job.attempts || 0) + 1}): ${result.error}`);
   }
+  
+  // Notify dashboard of the outcome
+  io.emit('webhook-event', {
+    event: 'processed',
+    id: storedEventId,
+    success: result.success,
+    error: result.error,
+    warnings: result.warnings,
+    eventType: eventTypeName
+  });
+  
+  const processingTime = Date.now() - startTime;
+  console.log(`[${processingId}] Queued webhook processed in ${processingTime}ms`);
+  logToFile(`[${processingId}] Queued webhook processed in ${processingTime}ms`);
+  
+  return result;
+}
+
+// Dashboard card and badge colours for each registered event type
+function eventTypeStyles() {
+  return [...listEventTypes(), { id: 'unknown', color: getEventType().color }]
+    .map(eventType => `.event-${eventType.id} { border-left-color: ${eventType.color}; }\n    .badge-event-${eventType.id} { background-color: ${eventType.color}; }`)
+    .join('\n    ');
 }
 
 // Add a dashboard route to display webhook events
 app.get('/dashboard', (req, res) => {
+  const eventTypes = listEventTypes();
   res.send(`
 <!DOCTYPE html>
 <html lang="en">
@@ -752,10 +752,8 @@ app.get('/dashboard', (req, res) => {
       border-left-color: #20c997;
       background-color: rgba(32, 201, 151, 0.1);
     }
-    .event-1 { border-left-color: #0dcaf0; }
-    .event-2 { border-left-color: #0d6efd; }
-    .event-3 { border-left-color: #198754; }
-    .event-5 { border-left-color: #dc3545; }
+    ${eventTypeStyles()}
+    .connection-error { border-left-color: #dc3545; }
     .card-header { 
       font-weight: 600;
       display: flex;
@@ -766,10 +764,6 @@ app.get('/dashboard', (req, res) => {
       font-size: 0.8rem;
       color: #6c757d;
     }
-    .badge-event-1 { background-color: #0dcaf0; }
-    .badge-event-2 { background-color: #0d6efd; }
-    .badge-event-3 { background-color: #198754; }
-    .badge-event-5 { background-color: #dc3545; }
     pre {
       background-color: #f8f9fa;
       padding: 10px;
@@ -852,22 +846,11 @@ app.get('/dashboard', (req, res) => {
         <div class="stats-value" id="total-count">0</div>
         <div class="stats-label">Total Webhooks</div>
       </div>
+      ${eventTypes.map(eventType => `
       <div class="stats-card">
-        <div class="stats-value" id="request-received-count">0</div>
-        <div class="stats-label">Sign Requests</div>
-      </div>
-      <div class="stats-card">
-        <div class="stats-value" id="signatory-completed-count">0</div>
-        <div class="stats-label">Signatory Completions</div>
-      </div>
-      <div class="stats-card">
-        <div class="stats-value" id="request-completed-count">0</div>
-        <div class="stats-label">Completed Requests</div>
-      </div>
-      <div class="stats-card">
-        <div class="stats-value" id="request-rejected-count">0</div>
-        <div class="stats-label">Rejected Requests</div>
-      </div>
+        <div class="stats-value" id="event-count-${eventType.id}">0</div>
+        <div class="stats-label">${escapeHtml(eventType.label)}</div>
+      </div>`).join('')}
     </div>
     
     <div class="row">
@@ -902,18 +885,12 @@ app.get('/dashboard', (req, res) => {
     const clearBtn = document.getElementById('clear-btn');
     const testBtn = document.getElementById('test-btn');
     const totalCount = document.getElementById('total-count');
-    const requestReceivedCount = document.getElementById('request-received-count');
-    const signatoryCompletedCount = document.getElementById('signatory-completed-count');
-    const requestCompletedCount = document.getElementById('request-completed-count');
-    const requestRejectedCount = document.getElementById('request-rejected-count');
+    
+    // Event types from the server's event type registry
+    const EVENT_TYPES = ${JSON.stringify(eventTypes).replace(/</g, '\\u003c')};
     
     let webhookCount = 0;
-    let eventCounts = {
-      '1': 0, // SignRequestReceived
-      '2': 0, // SignatoryCompleted
-      '3': 0, // RequestCompleted
-      '5': 0  // RequestRejected
-    };
+    let eventCounts = emptyEventCounts();
     
     // Connection handlers
     socket.on('connect', () => {
@@ -933,7 +910,7 @@ app.get('/dashboard', (req, res) => {
       
       // Add connection error card
       const errorCard = document.createElement('div');
-      errorCard.className = 'card webhook-card event-5'; // Red border
+      errorCard.className = 'card webhook-card connection-error'; // Red border
       errorCard.innerHTML = 
         '<div class="card-header">' +
         '  <div>' +
@@ -961,7 +938,7 @@ app.get('/dashboard', (req, res) => {
       webhookCount = webhooks.length;
       
       // Reset counters
-      eventCounts = { '1': 0, '2': 0, '3': 0, '5': 0 };
+      eventCounts = emptyEventCounts();
       
       // Add all existing webhooks
       webhooks.forEach(webhook => {
@@ -983,10 +960,18 @@ app.get('/dashboard', (req, res) => {
     // Update all counter displays
     function updateCounters() {
       totalCount.textContent = webhookCount;
-      requestReceivedCount.textContent = eventCounts['1'];
-      signatoryCompletedCount.textContent = eventCounts['2'];
-      requestCompletedCount.textContent = eventCounts['3'];
-      requestRejectedCount.textContent = eventCounts['5'];
+      EVENT_TYPES.forEach(eventType => {
+        document.getElementById('event-count-' + eventType.id).textContent = eventCounts[eventType.id];
+      });
+    }
+    
+    // One counter per registered event type
+    function emptyEventCounts() {
+      const counts = {};
+      EVENT_TYPES.forEach(eventType => {
+        counts[eventType.id] = 0;
+      });
+      return counts;
     }
     
     // Track event counts
@@ -999,12 +984,13 @@ app.get('/dashboard', (req, res) => {
     // Add webhook card to the container
     function addWebhookCard(webhook, isNew) {
       const card = document.createElement('div');
-      card.className = 'card webhook-card event-' + (webhook.EventId || 'unknown');
+      const styleId = findEventType(webhook.EventId) ? webhook.EventId : 'unknown';
+      card.className = 'card webhook-card event-' + styleId;
       if (isNew) card.classList.add('new');
       
       // Get event type badge
       const eventName = getEventName(webhook.EventId);
-      const badgeClass = 'badge badge-event-' + (webhook.EventId || 'unknown');
+      const badgeClass = 'badge badge-event-' + styleId;
       
       // Create uuid chip
       const requestIdChip = webhook.RequestId ? 
@@ -1028,6 +1014,7 @@ app.get('/dashboard', (req, res) => {
         '    <div class="col-md-6">' +
         '      <p class="mb-1"><strong>Event Time:</strong> ' + formatDate(webhook.EventTime) + '</p>' +
         '      <p class="mb-0"><strong>Event ID:</strong> ' + (webhook.EventId || 'N/A') + '</p>' +
+        (webhook.RejectReason ? '      <p class="mb-0 mt-1 text-danger"><strong>Reject Reason:</strong> ' + webhook.RejectReason + '</p>' : '') +
         '    </div>' +
         '  </div>' +
         '<hr>' +
@@ -1057,15 +1044,15 @@ app.get('/dashboard', (req, res) => {
       }
     }
     
+    // Look up an event type by ID
+    function findEventType(eventId) {
+      return EVENT_TYPES.find(eventType => eventType.id === Number(eventId));
+    }
+    
     // Get event name from ID
     function getEventName(eventId) {
-      const events = {
-        '1': 'Sign Request Received',
-        '2': 'Signatory Completed',
-        '3': 'Request Completed',
-        '5': 'Request Rejected'
-      };
-      return events[eventId] || 'Unknown Event';
+      const eventType = findEventType(eventId);
+      return eventType ? eventType.label : 'Unknown Event (' + (eventId || 'no id') + ')';
     }
     
     // Clear button handler
@@ -1136,8 +1123,8 @@ app.get('/dashboard', (req, res) => {
 });
 
 // Register the webhook routes
-app.post('/webhook/evia-sign', handleEviaSignWebhook);
-app.post('/webhook/eviasign', handleEviaSignWebhook);
+app.post('/webhook/evia-sign', verifyEviaSignWebhook, handleEviaSignWebhook);
+app.post('/webhook/eviasign', verifyEviaSignWebhook, handleEviaSignWebhook);
 
 // Create HTTP server and Socket.IO instance
 const server = http.createServer(app);
@@ -1170,140 +1157,14 @@ io.on('connection', (socket) => {
   });
 });
 
-// Set up the database processor listener
-webhookProcessor.on('new-webhook', async (webhookData, storedEventId) => {
-  const requestId = webhookData.RequestId || 'unknown';
-  const eventId = webhookData.EventId || 'unknown';
-  const processingId = new Date().toISOString().replace(/[:.]/g, '') + '-' + requestId.substring(0, 8);
-  
-  console.log(`\n=== [${processingId}] DATABASE PROCESSOR STARTING FOR WEBHOOK ===`);
-  console.log(`[${processingId}] TIMESTAMP: ${new Date().toISOString()}`);
-  console.log(`[${processingId}] RequestId: ${requestId}, EventId: ${eventId}, Type: ${webhookData.EventDescription || 'unknown'}`);
-  logToFile(`=== [${processingId}] DATABASE PROCESSOR STARTING FOR WEBHOOK ===`);
-  logToFile(`[${processingId}] RequestId: ${requestId}, EventId: ${eventId}, Type: ${webhookData.EventDescription || 'unknown'}`);
-  
-  try {
-    // Process the webhook (detailed business logic)
-    console.log(`\n=== [${processingId}] BEGINNING EVENT PROCESSING ===`);
-    logToFile(`=== [${processingId}] BEGINNING EVENT PROCESSING ===`);
-    try {
-      // Event-specific processing
-      console.log(`[${processingId}] Calling processWebhookEvent for business logic processing`);
-      logToFile(`[${processingId}] Calling processWebhookEvent for business logic processing`);
-      const processingStart = Date.now();
-      const result = await processWebhookEvent(webhookData);
-      const processingDuration = Date.now() - processingStart;
-      
-      console.log(`[${processingId}] Webhook processing completed in ${processingDuration}ms`);
-      logToFile(`[${processingId}] Webhook processing completed in ${processingDuration}ms`);
-      console.log(`[${processingId}] Processing result: `, JSON.stringify(result, null, 2));
-      logToFile(`[${processingId}] Processing result: ${JSON.stringify(result)}`);
-    
-      // Mark as processed in Supabase only if we have an ID
-      if (storedEventId) {
-        console.log(`[${processingId}] Marking event ${storedEventId} as processed in database`);
-        logToFile(`[${processingId}] Marking event ${storedEventId} as processed in database`);
-        try {
-          // Direct HTTP PATCH for debugging
-          console.log(`[${processingId}] Using direct HTTP PATCH to mark processed...`);
-          const updateStart = Date.now();
-          const updateResponse = await fetch(
-            `${process.env.SUPABASE_URL}/rest/v1/webhook_events?id=eq.${storedEventId}`,
-            {
-              method: 'PATCH',
-              headers: {
-                'apikey': process.env.SUPABASE_SERVICE_KEY,
-                'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY}`,
-                'Content-Type': 'application/json',
-                'Prefer': 'return=representation'
-              },
-              body: JSON.stringify({
-                processed: true,
-                updatedat: new Date().toISOString()
-              })
-            }
-          );
-          const updateDuration = Date.now() - updateStart;
-          
-          if (updateResponse.ok) {
-            console.log(`[${processingId}] Successfully marked event as processed via direct PATCH (took ${updateDuration}ms)`);
-            logToFile(`[${processingId}] Successfully marked event as processed via direct PATCH (took ${updateDuration}ms)`);
-            const updateData = await updateResponse.json();
-            console.log(`[${processingId}] Update response: `, JSON.stringify(updateData, null, 2));
-          } else {
-            const errorText = await updateResponse.text();
-            console.error(`[${processingId}] Failed to mark processed via direct PATCH: ${updateResponse.status} - ${errorText}`);
-            logToFile(`[${processingId}] Failed to mark processed via direct PATCH: ${updateResponse.status} - ${errorText}`);
-            
-            // Fall back to supabaseClient method
-            console.log(`[${processingId}] Falling back to markWebhookEventProcessed...`);
-            logToFile(`[${processingId}] Falling back to markWebhookEventProcessed`);
-            await markWebhookEventProcessed(storedEventId);
-            console.log(`[${processingId}] Successfully marked event as processed via fallback`);
-            logToFile(`[${processingId}] Successfully marked event as processed via fallback`);
-          }
-        } catch (markError) {
-          console.error(`[${processingId}] Error marking webhook as processed: ${markError}`);
-          logToFile(`[${processingId}] Error marking webhook as processed: ${markError.message}`);
-          // Continue despite marking error
-        }
-      } else {
-        console.log(`[${processingId}] No stored event ID available, skipping marking as processed`);
-        logToFile(`[${processingId}] No stored event ID available, skipping marking as processed`);
-      }
-    } catch (processError) {
-      console.error(`[${processingId}] Error processing webhook event: ${processError}`);
-      logToFile(`[${processingId}] Error processing webhook event: ${processError.message}`);
-      logToFile(`[${processingId}] Stack trace: ${processError.stack || 'No stack trace available'}`);
-      
-      // If we have a storedEventId, mark it as errored
-      if (storedEventId) {
-        try {
-          console.log(`[${processingId}] Marking event ${storedEventId} as errored`);
-          logToFile(`[${processingId}] Marking event ${storedEventId} as errored`);
-          // Simple direct update to avoid schema issues
-          const errorResponse = await fetch(
-            `${process.env.SUPABASE_URL}/rest/v1/webhook_events?id=eq.${storedEventId}`,
-            {
-              method: 'PATCH',
-              headers: {
-                'apikey': process.env.SUPABASE_SERVICE_KEY,
-                'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY}`,
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({
-                processed: true,
-                updatedat: new Date().toISOString(),
-                error_message: processError.message.substring(0, 255) // Truncate if needed
-              })
-            }
-          );
-          
-          if (errorResponse.ok) {
-            console.log(`[${processingId}] Successfully marked event as errored`);
-            logToFile(`[${processingId}] Successfully marked event as errored`);
-          } else {
-            const errorText = await errorResponse.text();
-            console.error(`[${processingId}] Failed to mark as errored: ${errorText}`);
-            logToFile(`[${processingId}] Failed to mark as errored: ${errorText}`);
-          }
-        } catch (markError) {
-          console.error(`[${processingId}] Error marking webhook as errored: ${markError}`);
-          logToFile(`[${processingId}] Error marking webhook as errored: ${markError.message}`);
-        }
-      }
-    }
-    
-    console.log(`\n==== [${processingId}] WEBHOOK PROCESSING COMPLETE ====`);
-    logToFile(`==== [${processingId}] WEBHOOK PROCESSING COMPLETE ====`);
-    
-  } catch (error) {
-    // Handle any unexpected errors in the processor
-    console.error(`[${processingId}] Critical error in webhook processor: ${error}`);
-    logToFile(`[${processingId}] Critical error in webhook processor: ${error.message}`);
-    console.log(`[${processingId}] STACK TRACE: ${error.stack}`);
-    logToFile(`[${processingId}] Stack trace: ${error.stack || 'No stack trace available'}`);
-  }
+// Wake the durable queue worker whenever a new webhook is accepted.
+// The queue itself holds the event, so nothing is lost if this fires late.
+webhookProcessor.on('new-webhook', (webhookData, storedEventId) => {
+  console.log(`New webhook queued: RequestId=${webhookData.RequestId}, EventId=${webhookData.EventId}, stored event ${storedEventId}`);
+  drainWebhookQueue().catch(error => {
+    console.error('Error draining webhook queue:', error);
+    logToFile(`Error draining webhook queue: ${error.message}`);
+  });
 });
 
 // Add an Azure logs endpoint
@@ -1361,6 +1222,65 @@ app.get('/azure-logs', (req, res) => {
   }
 });
 
+// Escape untrusted text (webhook payloads, error messages) for admin HTML pages
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Whether a request's Origin (or, failing that, Referer) is this server. Browsers send
+// basic auth credentials with cross-site form posts, so admin forms rely on this check.
+function isSameOriginRequest(req) {
+  const source = req.get('origin') || req.get('referer');
+  if (!source) {
+    return false;
+  }
+  try {
+    const host = req.get('x-forwarded-host') || req.get('host');
+    return new URL(source).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Protect admin APIs with ADMIN_API_KEY. The key can be sent as a bearer token,
+// in the x-admin-key header, or as the password of HTTP basic auth (for browsers).
+// Basic auth requests that change state must also come from an admin page of this server.
+function requireAdminAuth(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API is disabled: ADMIN_API_KEY is not configured' });
+  }
+  
+  let providedKey = req.headers['x-admin-key'] || '';
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    providedKey = authHeader.substring(7);
+  } else if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    providedKey = decoded.substring(decoded.indexOf(':') + 1);
+  }
+  
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const provided = crypto.createHash('sha256').update(String(providedKey)).digest();
+  if (providedKey && crypto.timingSafeEqual(expected, provided)) {
+    const browserCredentials = authHeader.startsWith('Basic ');
+    if (browserCredentials && !['GET', 'HEAD'].includes(req.method) && !isSameOriginRequest(req)) {
+      logToFile(`Rejected cross-origin admin ${req.method} to ${req.path} from ${req.ip} (origin ${req.get('origin') || req.get('referer') || 'none'})`);
+      return res.status(403).json({ error: 'Cross-origin admin requests are not allowed' });
+    }
+    return next();
+  }
+  
+  logToFile(`Rejected admin request to ${req.path} from ${req.ip}`);
+  res.set('WWW-Authenticate', 'Basic realm="Webhook Server Admin"');
+  return res.status(401).json({ error: 'Unauthorized' });
+}
+
 // Add an admin troubleshooting page
 app.get('/admin', (req, res) => {
   const memory = process.memoryUsage();
@@ -1400,6 +1320,16 @@ app.get('/admin', (req, res) => {
     roomCount: Object.keys(io.sockets.adapter.rooms).length
   };
   
+  const queueStats = getWebhookQueueStats();
+  const lastExpiryRun = getLastExpiryRun();
+  const lastReminderRun = getLastReminderRun();
+  const lastOrphanRun = getLastOrphanRun();
+  const lastInvoiceRun = getLastInvoiceRun();
+  const lastEmailRun = getLastEmailRun();
+  const lastDeliveryRun = getLastDeliveryRun();
+  const lastIntegrityRun = getLastIntegrityRun();
+  const agreementCache = getAgreementCacheStats();
+  
   // Create the Azure environment section if running in Azure
   const azureSection = isAzure ? 
     '<div class="section">' +
@@ -1420,6 +1350,10 @@ app.get('/admin', (req, res) => {
     PORT: process.env.PORT,
     SUPABASE_URL: process.env.SUPABASE_URL ? '✓ Set' : '✗ Not set',
     SUPABASE_SERVICE_KEY: process.env.SUPABASE_SERVICE_KEY ? '✓ Set' : '✗ Not set',
+    EVIA_SIGN_WEBHOOK_SECRET: process.env.EVIA_SIGN_WEBHOOK_SECRET ? '✓ Set' : '✗ Not set (evia_sign_config used if present)',
+    EVIA_SIGN_ALLOW_UNSIGNED: process.env.EVIA_SIGN_ALLOW_UNSIGNED === 'true' ? '⚠ true' : 'false',
+    ADMIN_API_KEY: process.env.ADMIN_API_KEY ? '✓ Set' : '✗ Not set (admin APIs disabled)',
+    EVIA_SIGN_API_TOKEN: process.env.EVIA_SIGN_API_TOKEN ? '✓ Set' : '✗ Not set (evia_sign_config used if present)',
     EVIA_SIGN_WEBHOOK_URL: process.env.EVIA_SIGN_WEBHOOK_URL
   };
   
@@ -1459,6 +1393,19 @@ app.get('/admin', (req, res) => {
     '      <div class="diagnostic"><strong>Server uptime:</strong> ' + systemInfo.uptime + '</div>' +
     '      <div class="diagnostic"><strong>Memory usage:</strong> ' + systemInfo.heapUsed + ' / ' + systemInfo.heapTotal + '</div>' +
     '      <div class="diagnostic"><strong>WebSocket clients:</strong> ' + socketInfo.connectedClients + '</div>' +
+    '      <div class="diagnostic"><strong>Queued webhooks:</strong> ' + queueStats.pending + (queueStats.oldestEnqueuedAt ? ' (oldest ' + queueStats.oldestEnqueuedAt + ')' : '') + '</div>' +
+    '      <div class="diagnostic"><strong>Awaiting retry:</strong> ' + queueStats.retrying + '</div>' +
+    '      <div class="diagnostic"><strong>Dead letters:</strong> <a href="/admin/dead-letters">' + queueStats.deadLetters + '</a></div>' +
+    '      <div class="diagnostic"><strong>Quarantined payloads:</strong> <a href="/admin/quarantine">Review</a></div>' +
+    '      <div class="diagnostic"><strong>Blocked activations:</strong> <a href="/admin/blocked">Review</a></div>' +
+    '      <div class="diagnostic"><strong>Last expiry run:</strong> ' + (lastExpiryRun ? lastExpiryRun.at + ' (' + lastExpiryRun.expired + ' of ' + lastExpiryRun.checked + ' expired)' : 'not yet run') + ' <a href="/admin/expiry">Preview</a></div>' +
+    '      <div class="diagnostic"><strong>Agreement lookup cache:</strong> ' + agreementCache.size + ' / ' + agreementCache.maxSize + ' entries, ' + agreementCache.hits + ' hits, ' + agreementCache.negativeHits + ' negative hits, ' + agreementCache.misses + ' misses</div>' +
+    '      <div class="diagnostic"><strong>Last signing reminder run:</strong> ' + (lastReminderRun ? lastReminderRun.at + ' (' + lastReminderRun.reminders + ' reminder(s), ' + lastReminderRun.escalations + ' escalation(s))' : 'not yet run') + '</div>' +
+    '      <div class="diagnostic"><strong>Last invoice run:</strong> ' + (lastInvoiceRun ? lastInvoiceRun.at + ' (' + lastInvoiceRun.invoices + ' invoice(s) for ' + lastInvoiceRun.checked + ' agreement(s))' : 'not yet run') + '</div>' +
+    '      <div class="diagnostic"><strong>Last email run:</strong> ' + (lastEmailRun ? lastEmailRun.at + ' (' + lastEmailRun.sent + ' sent, ' + lastEmailRun.retrying + ' to retry, ' + lastEmailRun.failed + ' failed)' : 'not yet run') + '</div>' +
+    '      <div class="diagnostic"><strong>Last document integrity check:</strong> ' + (lastIntegrityRun ? lastIntegrityRun.at + ' (' + lastIntegrityRun.ok + ' of ' + lastIntegrityRun.checked + ' ok, ' + lastIntegrityRun.problems + ' with problems, ' + lastIntegrityRun.failed + ' failed)' : 'not yet run') + '</div>' +
+    '      <div class="diagnostic"><strong>Last subscription delivery run:</strong> ' + (lastDeliveryRun ? lastDeliveryRun.at + ' (' + lastDeliveryRun.delivered + ' delivered, ' + lastDeliveryRun.retrying + ' to retry, ' + lastDeliveryRun.failed + ' failed)' : 'not yet run') + ' <a href="/admin/subscriptions">Review</a></div>' +
+    '      <div class="diagnostic"><strong>Last orphan reconciliation:</strong> ' + (lastOrphanRun ? lastOrphanRun.at + ' (' + lastOrphanRun.applied + ' event(s) applied for ' + lastOrphanRun.matched + ' of ' + lastOrphanRun.checked + ' request(s))' : 'not yet run') + ' <a href="/admin/orphans">Review</a></div>' +
     '    </div>' +
     '    ' +
     azureSection +
@@ -1469,6 +1416,10 @@ app.get('/admin', (req, res) => {
     '      <div class="actions">' +
     '        <a href="/admin/clear-memory" class="btn" onclick="return confirm(\'Are you sure you want to run garbage collection?\')">Clear Memory</a>' +
     '        <a href="/admin/reset-connections" class="btn btn-warning" onclick="return confirm(\'Are you sure you want to reset all Socket.IO connections?\')">Reset WebSocket Connections</a>' +
+    '        <a href="/admin/expiry" class="btn">Expire Ended Agreements</a>' +
+    '        <a href="/admin/orphans" class="btn">Orphaned Events</a>' +
+    '        <a href="/admin/blocked" class="btn">Blocked Activations</a>' +
+    '        <a href="/admin/subscriptions" class="btn">Event Subscriptions</a>' +
     '        ' + restartButton +
     '      </div>' +
     '    </div>' +
@@ -1516,6 +1467,844 @@ app.get('/admin/restart', (req, res) => {
   }, 5000);
 });
 
+// List webhook events whose processing failed permanently or exhausted its retries
+app.get('/admin/dead-letters', requireAdminAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const deadLetters = await getDeadLetters({ limit });
+    res.json({ count: deadLetters.length, events: deadLetters });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Status history of an agreement, including transitions the state machine refused
+app.get('/admin/agreements/:id/transitions', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  const result = await getAgreementTransitions(req.params.id, { limit });
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ agreementId: req.params.id, count: result.transitions.length, transitions: result.transitions });
+});
+
+// Signed documents stored for an agreement, including addenda and certificates
+app.get('/admin/agreements/:id/documents', requireAdminAuth, async (req, res) => {
+  const result = await listAgreementDocuments(req.params.id);
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ agreementId: req.params.id, count: result.documents.length, documents: result.documents });
+});
+
+// Re-hash an agreement's stored documents against the SHA-256 recorded when they arrived.
+// Pass ?dryRun=true (or { "dryRun": true }) to check without recording the outcome or alerting.
+app.post('/admin/agreements/:id/documents/verify', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  const result = await verifyAgreementDocuments(req.params.id, { dryRun });
+  if (!result.success && !result.results) {
+    return res.status(500).json({ error: result.error });
+  }
+  if (result.checked === 0) {
+    return res.status(404).json({ error: `No stored documents for agreement ${req.params.id}` });
+  }
+  res.json(result);
+});
+
+// Run the scheduled integrity check now, for documents not checked in DOCUMENT_INTEGRITY_RECHECK_DAYS.
+// Body (optional): { "dryRun": true, "limit": 25 }
+app.post('/admin/documents/verify', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  const limit = Math.min(Number(req.query.limit || req.body?.limit) || 25, 200);
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}document integrity check`);
+  const result = await runDocumentIntegrityCheck({ dryRun, limit });
+  
+  if (!result.success) {
+    return res.status(result.busy ? 409 : 500).json(result);
+  }
+  res.json(result);
+});
+
+// Register who is expected to sign an agreement (call when the Evia Sign request is sent).
+// Body: { "signatories": [{ "email", "name", "role": "landlord|tenant|guarantor|witness", "order" }] }
+app.put('/admin/agreements/:id/signatories', requireAdminAuth, async (req, res) => {
+  const result = await registerExpectedSignatories(req.params.id, req.body?.signatories);
+  if (!result.success) {
+    const status = result.errors ? 400 : result.notFound ? 404 : 500;
+    return res.status(status).json({ error: result.error || 'Invalid signatories', details: result.errors });
+  }
+  res.json({ agreementId: req.params.id, progress: result.progress, signatories: result.signatories });
+});
+
+// Choose which signing notifications a user receives. Body: { "signatory_viewed": false, "request_sent": null, ... }
+// null goes back to the default for the user's audience (rentee, staff or admin).
+app.put('/admin/users/:id/notification-preferences', requireAdminAuth, async (req, res) => {
+  const result = await updateNotificationPreferences(req.params.id, req.body);
+  if (!result.success) {
+    const status = result.invalid ? 400 : result.notFound ? 404 : 500;
+    return res.status(status).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Cancel an agreement and void its pending Evia Sign request. Body: { "reason": "...", "cancelledBy": "..." }
+// Calling it again for a cancelled agreement retries a void that failed.
+app.post('/admin/agreements/:id/cancel', requireAdminAuth, async (req, res) => {
+  const { reason, cancelledBy } = req.body || {};
+  
+  logToFile(`Admin cancellation of agreement ${req.params.id}${cancelledBy ? ` by ${cancelledBy}` : ''}: ${reason}`);
+  const result = await cancelAgreement(req.params.id, { reason, cancelledBy });
+  
+  if (!result.success) {
+    const status = result.invalid ? 400 : result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Run the activation workflow (occupy the unit, link the rentee, open move-in tasks) for an active agreement.
+// Steps already done are skipped. Pass ?dryRun=true (or { "dryRun": true }) to preview.
+app.post('/admin/agreements/:id/activate', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}activation of agreement ${req.params.id}`);
+  const result = await activateAgreement(req.params.id, { dryRun });
+  
+  if (!result.success) {
+    const status = result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).json(result);
+  }
+  res.json(result);
+});
+
+// Activate a fully signed agreement held in pending_activation by BOOKING_CONFLICT_MODE=block, once the
+// overlapping agreement is no longer active. Pass ?dryRun=true (or { "dryRun": true }) to check without writing.
+app.post('/admin/agreements/:id/activate-blocked', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}release of blocked agreement ${req.params.id}`);
+  const result = await activateBlockedAgreement(req.params.id, { dryRun });
+  
+  if (!result.success) {
+    const status = result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).json(result);
+  }
+  res.json(result);
+});
+
+// Rejected agreements waiting to be re-drafted, with who rejected them and why
+app.get('/admin/agreements/rejected', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const result = await listRejectedAgreements({ limit });
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ count: result.agreements.length, agreements: result.agreements });
+});
+
+// Active and pending agreements flagged as overlapping another agreement on the same unit or property
+app.get('/admin/agreements/conflicts', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const result = await listBookingConflicts({ limit });
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ count: result.agreements.length, agreements: result.agreements });
+});
+
+// Fully signed agreements whose activation a booking conflict is holding back
+app.get('/admin/agreements/blocked', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const result = await listBlockedAgreements({ limit });
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ count: result.agreements.length, agreements: result.agreements });
+});
+
+// Agreements whose signed documents were flagged as corrupt, not PDFs, too large or unsigned
+app.get('/admin/agreements/document-problems', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const result = await listDocumentProblems({ limit });
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ count: result.agreements.length, agreements: result.agreements });
+});
+
+// Take a rejected agreement back to draft. The rejected request stays in previous_signature_requests.
+app.post('/admin/agreements/:id/redraft', requireAdminAuth, async (req, res) => {
+  const result = await redraftAgreement(req.params.id, { note: req.body?.note || null });
+  if (!result.success) {
+    const status = result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Link the new Evia Sign request a re-drafted agreement was sent with. Body: { "requestId": "<uuid>" }
+app.post('/admin/agreements/:id/resend', requireAdminAuth, async (req, res) => {
+  const result = await linkResentRequest(req.params.id, { requestId: req.body?.requestId });
+  if (!result.success) {
+    const status = result.invalid ? 400 : result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Replay a single stored webhook event through processSignatureEvent.
+// Pass ?dryRun=true (or { "dryRun": true }) to see the agreement update without applying it.
+app.post('/admin/webhook-events/:id/replay', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}replay of webhook event ${req.params.id}`);
+  const result = await replayWebhookEvent(req.params.id, { dryRun });
+  
+  if (result.notFound) {
+    return res.status(404).json(result);
+  }
+  return res.status(result.success ? 200 : 500).json(result);
+});
+
+// Replay stored webhook events matching a filter:
+// { requestId, eventType, from, to, unprocessedOnly, dryRun, limit }
+app.post('/admin/webhook-events/replay', requireAdminAuth, async (req, res) => {
+  const { requestId, eventType, from, to, unprocessedOnly, limit } = req.body || {};
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}bulk replay: ${JSON.stringify({ requestId, eventType, from, to, unprocessedOnly, limit })}`);
+  const result = await replayWebhookEvents(
+    { requestId, eventType, from, to, unprocessedOnly: unprocessedOnly === true },
+    { dryRun, limit }
+  );
+  
+  if (result.invalidFilter) {
+    return res.status(400).json(result);
+  }
+  return res.status(result.success ? 200 : 500).json(result);
+});
+
+// Expire active agreements past their end date. Pass ?dryRun=true (or { "dryRun": true }) to preview.
+// { asOf } runs the job as of another date.
+app.post('/admin/agreements/expire', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}agreement expiry run`);
+  const result = await runAgreementExpiry({ dryRun, asOf: req.body?.asOf || null });
+  
+  if (!result.success) {
+    const status = result.invalid ? 400 : result.busy ? 409 : 500;
+    return res.status(status).json(result);
+  }
+  res.json(result);
+});
+
+// Send the signing reminders and escalations that are due. Pass ?dryRun=true (or { "dryRun": true }) to preview.
+app.post('/admin/agreements/reminders', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}signing reminder run`);
+  const result = await runSigningReminders({ dryRun });
+  
+  if (!result.success) {
+    return res.status(result.busy ? 409 : 500).json(result);
+  }
+  res.json(result);
+});
+
+// Orphaned webhook events (no agreement matched their RequestId yet), grouped by RequestId
+app.get('/admin/webhook-events/orphans', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 200, 1000);
+  const result = await listOrphanEvents({ limit });
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ count: result.requests.length, requests: result.requests });
+});
+
+// Apply orphaned events whose agreement now exists. Pass ?dryRun=true (or { "dryRun": true }) to preview.
+app.post('/admin/webhook-events/orphans/reconcile', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}orphan reconciliation run`);
+  const result = await runOrphanReconciliation({ dryRun });
+  
+  if (!result.success) {
+    return res.status(result.busy ? 409 : 500).json(result);
+  }
+  res.json(result);
+});
+
+// Link a request's orphaned events to an agreement and apply them. Body: { "agreementId": "..." }
+app.post('/admin/webhook-events/orphans/:requestId/link', requireAdminAuth, async (req, res) => {
+  logToFile(`Admin link of orphaned request ${req.params.requestId} to agreement ${req.body?.agreementId}`);
+  const result = await linkOrphanEvents(req.params.requestId, { agreementId: req.body?.agreementId });
+  
+  // Once linked, an event that could not be applied is reported with the rest
+  if (!result.success && !result.matched) {
+    const status = result.invalid ? 400 : result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).json({ error: result.error });
+  }
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+// Admin panel page: orphaned events, with a form to link each request to an agreement
+app.get('/admin/orphans', requireAdminAuth, async (req, res) => {
+  const { success, error, requests } = await listOrphanEvents();
+  
+  const items = requests.map(request => {
+    const rows = request.events.map(event => '<tr>' +
+      '<td>' + escapeHtml(event.event_time) + '</td>' +
+      '<td>' + escapeHtml(event.event_type || event.event_id) + '</td>' +
+      '<td>' + escapeHtml(event.user_email || '') + '</td>' +
+      '<td>' + escapeHtml(event.last_error || '') + '</td>' +
+      '</tr>').join('');
+    return '<div class="section">' +
+      '  <h2><code>' + escapeHtml(request.requestId || '(no RequestId)') + '</code></h2>' +
+      '  <table><tr><th>Event time</th><th>Event</th><th>User</th><th>Last error</th></tr>' + rows + '</table>' +
+      (request.requestId ?
+        '  <form method="POST" action="/admin/orphans/' + encodeURIComponent(request.requestId) + '/link">' +
+        '    <input name="agreementId" placeholder="Agreement ID" size="40" required>' +
+        '    <button class="btn" type="submit">Link and apply</button>' +
+        '  </form>' : '') +
+      '</div>';
+  }).join('');
+  
+  const html = '<!DOCTYPE html>' +
+    '<html>' +
+    '  <head>' +
+    '    <title>Orphaned Events</title>' +
+    '    <style>' +
+    '      body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 1000px; margin: 0 auto; padding: 20px; }' +
+    '      h1, h2 { color: #2563eb; }' +
+    '      a { color: #2563eb; }' +
+    '      table { width: 100%; border-collapse: collapse; margin-bottom: 15px; }' +
+    '      th, td { text-align: left; padding: 6px; border-bottom: 1px solid #e5e7eb; }' +
+    '      .section { margin-bottom: 20px; padding: 15px; border: 1px solid #e5e7eb; border-radius: 8px; }' +
+    '      .warning { color: #ef4444; }' +
+    '      .btn { display: inline-block; padding: 8px 16px; background: #3b82f6; color: white; border: none; ' +
+    '             border-radius: 4px; cursor: pointer; margin-right: 8px; }' +
+    '    </style>' +
+    '  </head>' +
+    '  <body>' +
+    '    <h1>Orphaned Events</h1>' +
+    '    <div class="controls"><a href="/admin">Back to Admin</a></div>' +
+    '    <p>Webhook events whose RequestId matched no agreement. They are applied automatically once an agreement has the RequestId, or link them by hand below.</p>' +
+    (success ? '' : '    <p class="warning">Error loading orphaned events: ' + escapeHtml(error) + '</p>') +
+    '    <form method="POST" action="/admin/orphans/run">' +
+    '      <button class="btn" type="submit">Re-check now</button>' +
+    '    </form>' +
+    (success && requests.length === 0 ? '    <p>No orphaned events.</p>' : items) +
+    '  </body>' +
+    '</html>';
+  
+  res.send(html);
+});
+
+app.post('/admin/orphans/run', requireAdminAuth, async (req, res) => {
+  logToFile('Admin orphan reconciliation run from the admin panel');
+  const result = await runOrphanReconciliation();
+  
+  if (!result.success) {
+    return res.status(result.busy ? 409 : 500).send('<html><body><h1>Error</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/orphans">Back to Orphaned Events</a></p></body></html>');
+  }
+  res.send('<html><body><h1>Re-check Complete</h1><p>' + result.applied + ' event(s) applied for ' + result.matched + ' of ' + result.checked + ' request(s)' +
+    (result.failed ? ', ' + result.failed + ' failed (see the server logs)' : '') +
+    '. <a href="/admin/orphans">Back to Orphaned Events</a></p></body></html>');
+});
+
+app.post('/admin/orphans/:requestId/link', requireAdminAuth, express.urlencoded({ extended: false }), async (req, res) => {
+  logToFile(`Admin link of orphaned request ${req.params.requestId} to agreement ${req.body?.agreementId} from the admin panel`);
+  const result = await linkOrphanEvents(req.params.requestId, { agreementId: (req.body?.agreementId || '').trim() });
+  
+  if (!result.success && !result.matched) {
+    const status = result.invalid ? 400 : result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).send('<html><body><h1>Not Linked</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/orphans">Back to Orphaned Events</a></p></body></html>');
+  }
+  res.send('<html><body><h1>Events Linked</h1><p>' + result.applied + ' event(s) applied to agreement ' + escapeHtml(result.agreementId) +
+    (result.remaining ? '; ' + result.remaining + ' still orphaned (see the server logs)' : '') +
+    '. <a href="/admin/orphans">Back to Orphaned Events</a></p></body></html>');
+});
+
+// Create the monthly rent invoices due within INVOICE_LEAD_DAYS. Pass ?dryRun=true (or { "dryRun": true }) to preview.
+// { asOf } runs the job as of another date.
+app.post('/admin/agreements/invoices', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}invoice schedule run`);
+  const result = await runInvoiceSchedule({ dryRun, asOf: req.body?.asOf || null });
+  
+  if (!result.success) {
+    const status = result.invalid ? 400 : result.busy ? 409 : 500;
+    return res.status(status).json(result);
+  }
+  res.json(result);
+});
+
+// Recent email letters, newest first. Filter with ?status=failed (pending, sending, sent, retrying, failed).
+app.get('/admin/emails', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const result = await listEmailLetters({ status: req.query.status || null, limit });
+  if (!result.success) {
+    return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+  }
+  res.json({ count: result.letters.length, letters: result.letters });
+});
+
+// Send pending email letters and due retries now. Pass ?dryRun=true (or { "dryRun": true }) to list them.
+app.post('/admin/emails/dispatch', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}email dispatch run`);
+  const result = await runEmailDispatch({ dryRun });
+  
+  if (!result.success) {
+    return res.status(result.busy ? 409 : 500).json(result);
+  }
+  res.json(result);
+});
+
+// Outbound event subscriptions. The secret is only returned when a subscription is created or its secret rotated.
+app.get('/admin/event-subscriptions', requireAdminAuth, async (req, res) => {
+  const result = await listSubscriptions();
+  if (!result.success) {
+    return res.status(500).json({ error: result.error });
+  }
+  res.json({ count: result.subscriptions.length, subscriptions: result.subscriptions });
+});
+
+// Body: { "name": "...", "url": "https://...", "eventTypes": ["agreement.signed", ...] }
+app.post('/admin/event-subscriptions', requireAdminAuth, async (req, res) => {
+  const result = await createSubscription(req.body || {});
+  if (!result.success) {
+    return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+  }
+  logToFile(`Admin created event subscription ${result.subscription.id} for ${result.subscription.url}`);
+  res.status(201).json(result);
+});
+
+// Body: any of { "name", "url", "eventTypes", "active", "rotateSecret": true }
+app.patch('/admin/event-subscriptions/:id', requireAdminAuth, async (req, res) => {
+  const result = await updateSubscription(req.params.id, req.body || {});
+  if (!result.success) {
+    const status = result.invalid ? 400 : result.notFound ? 404 : 500;
+    return res.status(status).json({ error: result.error });
+  }
+  logToFile(`Admin updated event subscription ${req.params.id}`);
+  res.json(result);
+});
+
+app.delete('/admin/event-subscriptions/:id', requireAdminAuth, async (req, res) => {
+  const result = await deleteSubscription(req.params.id);
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+  }
+  logToFile(`Admin deleted event subscription ${req.params.id}`);
+  res.json(result);
+});
+
+// Delivery history, newest first. Filter with ?subscriptionId= and ?status= (pending, delivering, delivered, retrying, failed).
+app.get('/admin/event-subscriptions/deliveries', requireAdminAuth, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const result = await listDeliveries({ subscriptionId: req.query.subscriptionId || null, status: req.query.status || null, limit });
+  if (!result.success) {
+    return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+  }
+  res.json({ count: result.deliveries.length, deliveries: result.deliveries });
+});
+
+app.post('/admin/event-subscriptions/deliveries/:id/redeliver', requireAdminAuth, async (req, res) => {
+  const result = await redeliver(req.params.id);
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Send pending deliveries and due retries now. Pass ?dryRun=true (or { "dryRun": true }) to list them.
+app.post('/admin/event-subscriptions/dispatch', requireAdminAuth, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  
+  logToFile(`Admin ${dryRun ? 'dry-run ' : ''}subscription delivery run`);
+  const result = await runDeliveries({ dryRun });
+  
+  if (!result.success) {
+    return res.status(result.busy ? 409 : 500).json(result);
+  }
+  res.json(result);
+});
+
+// Admin panel page: manage subscriptions and review their deliveries
+app.get('/admin/subscriptions', requireAdminAuth, async (req, res) => {
+  const subscriptionId = req.query.subscription || null;
+  const status = req.query.status || null;
+  const [subscriptions, deliveries] = await Promise.all([
+    listSubscriptions(),
+    listDeliveries({ subscriptionId, status, limit: 100 })
+  ]);
+  const names = new Map(subscriptions.subscriptions.map(subscription => [subscription.id, subscription.name]));
+  
+  const subscriptionRows = subscriptions.subscriptions.map(subscription => {
+    const action = '/admin/subscriptions/' + encodeURIComponent(subscription.id);
+    return '<tr>' +
+      '<td>' + escapeHtml(subscription.name) + '<br><code>' + escapeHtml(subscription.id) + '</code></td>' +
+      '<td><code>' + escapeHtml(subscription.url) + '</code></td>' +
+      '<td>' + escapeHtml((subscription.event_types || []).join(', ')) + '</td>' +
+      '<td>' + (subscription.active ? 'Active' : '<span class="warning">Disabled</span>') + '</td>' +
+      '<td>' +
+      '  <a href="/admin/subscriptions?subscription=' + encodeURIComponent(subscription.id) + '">Deliveries</a>' +
+      '  <form method="POST" action="' + action + '/toggle"><button class="btn" type="submit">' + (subscription.active ? 'Disable' : 'Enable') + '</button></form>' +
+      '  <form method="POST" action="' + action + '/rotate"><button class="btn" type="submit">Rotate secret</button></form>' +
+      '  <form method="POST" action="' + action + '/delete" onsubmit="return confirm(\'Delete this subscription and its delivery history?\')"><button class="btn" type="submit">Delete</button></form>' +
+      '</td>' +
+      '</tr>';
+  }).join('');
+  
+  const deliveryRows = deliveries.deliveries.map(delivery => '<tr>' +
+    '<td>' + escapeHtml(delivery.createdat) + '</td>' +
+    '<td>' + escapeHtml(names.get(delivery.subscription_id) || delivery.subscription_id) + '</td>' +
+    '<td>' + escapeHtml(delivery.event_type) + '<br><code>' + escapeHtml(delivery.event_id) + '</code></td>' +
+    '<td>' + escapeHtml(delivery.status) + (delivery.next_attempt_at && delivery.status === 'retrying' ? '<br>next ' + escapeHtml(delivery.next_attempt_at) : '') + '</td>' +
+    '<td>' + escapeHtml(delivery.attempts) + '</td>' +
+    '<td>' + escapeHtml(delivery.last_status_code || '') + ' ' + escapeHtml(delivery.last_error || '') + '</td>' +
+    '<td>' + (delivery.status === 'delivering' ? '' :
+      '<form method="POST" action="/admin/subscriptions/deliveries/' + encodeURIComponent(delivery.id) + '/redeliver"><button class="btn" type="submit">Redeliver</button></form>') + '</td>' +
+    '</tr>').join('');
+  
+  const eventTypeBoxes = Object.values(OUTBOUND_EVENT_TYPES).map(type =>
+    '<label><input type="checkbox" name="eventTypes" value="' + escapeHtml(type) + '" checked> ' + escapeHtml(type) + '</label> ').join('');
+  
+  const html = '<!DOCTYPE html>' +
+    '<html>' +
+    '  <head>' +
+    '    <title>Event Subscriptions</title>' +
+    '    <style>' +
+    '      body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 1100px; margin: 0 auto; padding: 20px; }' +
+    '      h1, h2 { color: #2563eb; }' +
+    '      a { color: #2563eb; }' +
+    '      table { width: 100%; border-collapse: collapse; margin-bottom: 15px; }' +
+    '      th, td { text-align: left; padding: 6px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }' +
+    '      td form { display: inline; }' +
+    '      .section { margin-bottom: 20px; padding: 15px; border: 1px solid #e5e7eb; border-radius: 8px; }' +
+    '      .warning { color: #ef4444; }' +
+    '      .btn { display: inline-block; padding: 6px 12px; background: #3b82f6; color: white; border: none; ' +
+    '             border-radius: 4px; cursor: pointer; margin: 2px 8px 2px 0; }' +
+    '    </style>' +
+    '  </head>' +
+    '  <body>' +
+    '    <h1>Event Subscriptions</h1>' +
+    '    <div class="controls"><a href="/admin">Back to Admin</a></div>' +
+    '    <p>Other services registered here receive signed POSTs of normalized agreement events. See the README for how to verify the signature.</p>' +
+    '    <div class="section">' +
+    '      <h2>Subscriptions</h2>' +
+    (subscriptions.success ? '' : '      <p class="warning">Error loading subscriptions: ' + escapeHtml(subscriptions.error) + '</p>') +
+    (subscriptions.success && subscriptions.subscriptions.length === 0 ? '      <p>No subscriptions yet.</p>' :
+      '      <table><tr><th>Name</th><th>URL</th><th>Events</th><th>Status</th><th></th></tr>' + subscriptionRows + '</table>') +
+    '      <form method="POST" action="/admin/subscriptions/create">' +
+    '        <input name="name" placeholder="Name" required>' +
+    '        <input name="url" placeholder="https://service.example/events" size="40" required>' +
+    '        ' + eventTypeBoxes +
+    '        <button class="btn" type="submit">Add subscription</button>' +
+    '      </form>' +
+    '    </div>' +
+    '    <div class="section">' +
+    '      <h2>Deliveries' + (subscriptionId ? ' to ' + escapeHtml(names.get(subscriptionId) || subscriptionId) : '') + (status ? ' (' + escapeHtml(status) + ')' : '') + '</h2>' +
+    '      <p><a href="/admin/subscriptions">All</a> | <a href="/admin/subscriptions?status=failed">Failed</a> | <a href="/admin/subscriptions?status=retrying">Retrying</a></p>' +
+    (deliveries.success ? '' : '      <p class="warning">Error loading deliveries: ' + escapeHtml(deliveries.error) + '</p>') +
+    (deliveries.success && deliveries.deliveries.length === 0 ? '      <p>No deliveries.</p>' :
+      '      <table><tr><th>Queued</th><th>Subscription</th><th>Event</th><th>Status</th><th>Attempts</th><th>Last response</th><th></th></tr>' + deliveryRows + '</table>') +
+    '    </div>' +
+    '  </body>' +
+    '</html>';
+  
+  res.send(html);
+});
+
+app.post('/admin/subscriptions/create', requireAdminAuth, express.urlencoded({ extended: false }), async (req, res) => {
+  const eventTypes = [].concat(req.body?.eventTypes || []);
+  const result = await createSubscription({ name: req.body?.name, url: (req.body?.url || '').trim(), eventTypes });
+  
+  if (!result.success) {
+    return res.status(result.invalid ? 400 : 500).send('<html><body><h1>Not Created</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+  }
+  logToFile(`Admin created event subscription ${result.subscription.id} for ${result.subscription.url} from the admin panel`);
+  res.send('<html><body><h1>Subscription Created</h1><p>Give this secret to ' + escapeHtml(result.subscription.name) + ' to verify the <code>X-KH-Signature</code> header. It will not be shown again:</p>' +
+    '<pre>' + escapeHtml(result.secret) + '</pre><p><a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+});
+
+app.post('/admin/subscriptions/:id/toggle', requireAdminAuth, async (req, res) => {
+  const current = (await listSubscriptions()).subscriptions.find(subscription => subscription.id === req.params.id);
+  if (!current) {
+    return res.status(404).send('<html><body><h1>Not Found</h1><p>No subscription with that ID. <a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+  }
+  const result = await updateSubscription(req.params.id, { active: !current.active });
+  
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 500).send('<html><body><h1>Error</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+  }
+  logToFile(`Admin ${result.subscription.active ? 'enabled' : 'disabled'} event subscription ${req.params.id} from the admin panel`);
+  res.redirect('/admin/subscriptions');
+});
+
+app.post('/admin/subscriptions/:id/rotate', requireAdminAuth, async (req, res) => {
+  const result = await updateSubscription(req.params.id, { rotateSecret: true });
+  
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 500).send('<html><body><h1>Error</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+  }
+  logToFile(`Admin rotated the secret of event subscription ${req.params.id} from the admin panel`);
+  res.send('<html><body><h1>Secret Rotated</h1><p>Deliveries to ' + escapeHtml(result.subscription.name) + ' are now signed with this secret. It will not be shown again:</p>' +
+    '<pre>' + escapeHtml(result.secret) + '</pre><p><a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+});
+
+app.post('/admin/subscriptions/:id/delete', requireAdminAuth, async (req, res) => {
+  const result = await deleteSubscription(req.params.id);
+  
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 500).send('<html><body><h1>Error</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+  }
+  logToFile(`Admin deleted event subscription ${req.params.id} from the admin panel`);
+  res.redirect('/admin/subscriptions');
+});
+
+app.post('/admin/subscriptions/deliveries/:id/redeliver', requireAdminAuth, async (req, res) => {
+  const result = await redeliver(req.params.id);
+  
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 500).send('<html><body><h1>Error</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/subscriptions">Back to Event Subscriptions</a></p></body></html>');
+  }
+  logToFile(`Admin redelivery of event delivery ${req.params.id} from the admin panel`);
+  res.redirect('/admin/subscriptions');
+});
+
+// Admin panel page: preview which agreements the expiry job would expire, and run it
+// Blocked activations: fully signed agreements held back by an overlapping active agreement
+app.get('/admin/blocked', requireAdminAuth, async (req, res) => {
+  const { success, error, agreements } = await listBlockedAgreements();
+  
+  const items = agreements.map(agreement => {
+    const conflicts = (agreement.booking_conflicts || []).map(conflict =>
+      '<tr><td>' + escapeHtml(conflict.agreementId) + '</td><td>' + escapeHtml(conflict.status) + '</td><td>' +
+      escapeHtml(conflict.startdate || '?') + ' to ' + escapeHtml(conflict.enddate || 'open-ended') + '</td></tr>').join('');
+    return '<div class="section">' +
+      '  <h2>' + escapeHtml(agreement.id) + '</h2>' +
+      '  <div class="diagnostic"><strong>Dates:</strong> ' + escapeHtml(agreement.startdate || '?') + ' to ' + escapeHtml(agreement.enddate || 'open-ended') +
+      ', unit ' + escapeHtml(agreement.unitid || 'whole property') + '</div>' +
+      '  <div class="diagnostic"><strong>Blocked since:</strong> ' + escapeHtml(agreement.booking_conflict_at) + '</div>' +
+      '  <table><tr><th>Overlapping agreement</th><th>Status when flagged</th><th>Dates</th></tr>' + conflicts + '</table>' +
+      '  <form method="POST" action="/admin/blocked/' + encodeURIComponent(agreement.id) + '/activate" onsubmit="return confirm(\'Activate this agreement?\')">' +
+      '    <button class="btn" type="submit">Activate</button>' +
+      '  </form>' +
+      '</div>';
+  }).join('');
+  
+  const html = '<!DOCTYPE html>' +
+    '<html>' +
+    '  <head>' +
+    '    <title>Blocked Activations</title>' +
+    '    <style>' +
+    '      body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 1000px; margin: 0 auto; padding: 20px; }' +
+    '      h1, h2 { color: #2563eb; }' +
+    '      a { color: #2563eb; }' +
+    '      table { width: 100%; border-collapse: collapse; margin-bottom: 15px; }' +
+    '      th, td { text-align: left; padding: 6px; border-bottom: 1px solid #e5e7eb; }' +
+    '      .section { margin-bottom: 20px; padding: 15px; border: 1px solid #e5e7eb; border-radius: 8px; }' +
+    '      .warning { color: #ef4444; }' +
+    '      .diagnostic { font-family: monospace; margin-bottom: 10px; }' +
+    '      .btn { display: inline-block; padding: 8px 16px; background: #3b82f6; color: white; border: none; ' +
+    '             border-radius: 4px; cursor: pointer; margin-right: 8px; }' +
+    '    </style>' +
+    '  </head>' +
+    '  <body>' +
+    '    <h1>Blocked Activations</h1>' +
+    '    <div class="controls"><a href="/admin">Back to Admin</a></div>' +
+    '    <p>Fully signed agreements kept in pending_activation because they overlap an active agreement. Once the other agreement is cancelled, expired or its dates corrected, activate them here. Conflicts are checked again first.</p>' +
+    (success ? '' : '    <p class="warning">Error loading blocked agreements: ' + escapeHtml(error) + '</p>') +
+    (success && agreements.length === 0 ? '    <p>No blocked agreements.</p>' : items) +
+    '  </body>' +
+    '</html>';
+  
+  res.send(html);
+});
+
+app.post('/admin/blocked/:id/activate', requireAdminAuth, async (req, res) => {
+  logToFile(`Admin release of blocked agreement ${req.params.id} from the admin panel`);
+  const result = await activateBlockedAgreement(req.params.id);
+  
+  if (!result.success) {
+    const status = result.notFound ? 404 : result.refused ? 409 : 500;
+    return res.status(status).send('<html><body><h1>Not Activated</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/blocked">Back to Blocked Activations</a></p></body></html>');
+  }
+  res.send('<html><body><h1>Agreement Activated</h1><p>Agreement ' + escapeHtml(result.agreementId) + ' is active' +
+    (result.activation?.success ? '' : ', but the activation workflow did not finish: ' + escapeHtml(result.activation?.error) + ' (retry with POST /admin/agreements/' + escapeHtml(result.agreementId) + '/activate)') +
+    '. <a href="/admin/blocked">Back to Blocked Activations</a></p></body></html>');
+});
+
+app.get('/admin/expiry', requireAdminAuth, async (req, res) => {
+  const preview = await runAgreementExpiry({ dryRun: true });
+  const results = preview.results || [];
+  
+  const rows = results.map(result => {
+    const unit = !result.unit ? '' :
+      result.unit.action === 'free' ? 'Unit ' + escapeHtml(result.unitId) + ' will be freed' :
+      result.unit.action === 'kept' ? 'Unit ' + escapeHtml(result.unitId) + ' kept (let again under ' + escapeHtml(result.unit.heldBy) + ')' :
+      'No unit';
+    return '<tr>' +
+      '<td><code>' + escapeHtml(result.agreementId) + '</code></td>' +
+      '<td>' + escapeHtml(result.enddate) + '</td>' +
+      '<td>' + (result.success ? unit : '<span class="warning">' + escapeHtml(result.error) + '</span>') + '</td>' +
+      '</tr>';
+  }).join('');
+  
+  const html = '<!DOCTYPE html>' +
+    '<html>' +
+    '  <head>' +
+    '    <title>Agreement Expiry</title>' +
+    '    <style>' +
+    '      body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 1000px; margin: 0 auto; padding: 20px; }' +
+    '      h1, h2 { color: #2563eb; }' +
+    '      a { color: #2563eb; }' +
+    '      table { width: 100%; border-collapse: collapse; margin-bottom: 15px; }' +
+    '      th, td { text-align: left; padding: 6px; border-bottom: 1px solid #e5e7eb; }' +
+    '      .warning { color: #ef4444; }' +
+    '      .btn { display: inline-block; padding: 8px 16px; background: #3b82f6; color: white; border: none; ' +
+    '             border-radius: 4px; cursor: pointer; margin-right: 8px; }' +
+    '    </style>' +
+    '  </head>' +
+    '  <body>' +
+    '    <h1>Agreement Expiry</h1>' +
+    '    <div class="controls"><a href="/admin">Back to Admin</a></div>' +
+    (preview.success ? '' : '    <p class="warning">Error loading agreements: ' + escapeHtml(preview.error) + '</p>') +
+    (preview.success ? '    <p>Active agreements that ended before ' + escapeHtml(preview.cutoff) + ': ' + preview.checked + '</p>' : '') +
+    (results.length > 0 ?
+      '    <table><tr><th>Agreement</th><th>End date</th><th>Unit</th></tr>' + rows + '</table>' +
+      '    <form method="POST" action="/admin/expiry/run" onsubmit="return confirm(\'Expire these agreements?\')">' +
+      '      <button class="btn" type="submit">Expire ' + results.length + ' agreement(s)</button>' +
+      '    </form>' : '') +
+    '  </body>' +
+    '</html>';
+  
+  res.send(html);
+});
+
+app.post('/admin/expiry/run', requireAdminAuth, async (req, res) => {
+  logToFile('Admin agreement expiry run from the admin panel');
+  const result = await runAgreementExpiry();
+  
+  if (!result.success) {
+    return res.status(result.busy ? 409 : 500).send('<html><body><h1>Error</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/expiry">Back to Expiry</a></p></body></html>');
+  }
+  res.send('<html><body><h1>Expiry Run Complete</h1><p>' + result.expired + ' of ' + result.checked + ' agreement(s) expired' +
+    (result.failed ? ', ' + result.failed + ' failed (see the server logs)' : '') +
+    '. <a href="/admin/expiry">Back to Expiry</a></p></body></html>');
+});
+
+// Quarantined payloads: review, fix and resubmit, or discard
+app.get('/admin/quarantine', requireAdminAuth, async (req, res) => {
+  const { success, error, records } = await listQuarantinedPayloads();
+  
+  const items = records.map(record => {
+    const errors = (record.errors || []).map(e => '<li><code>' + escapeHtml(e.field) + '</code> ' + escapeHtml(e.message) + '</li>').join('');
+    const editable = JSON.stringify(toEditablePayload(record.payload), null, 2);
+    return '<div class="section">' +
+      '  <h2>' + escapeHtml(record.eviasignreference || 'No RequestId') + ' <small>(EventId ' + escapeHtml(record.event_id ?? '?') + ')</small></h2>' +
+      '  <div class="diagnostic"><strong>Quarantined:</strong> ' + escapeHtml(record.createdat) + ' from ' + escapeHtml(record.source_ip || 'unknown') + '</div>' +
+      '  <ul class="warning">' + errors + '</ul>' +
+      '  <form method="POST" action="/admin/quarantine/' + encodeURIComponent(record.id) + '/resubmit">' +
+      '    <textarea name="payload" rows="14">' + escapeHtml(editable) + '</textarea>' +
+      '    <div class="actions"><button class="btn" type="submit">Resubmit</button></div>' +
+      '  </form>' +
+      '  <form method="POST" action="/admin/quarantine/' + encodeURIComponent(record.id) + '/discard" onsubmit="return confirm(\'Discard this payload?\')">' +
+      '    <button class="btn btn-danger" type="submit">Discard</button>' +
+      '  </form>' +
+      '</div>';
+  }).join('');
+  
+  const html = '<!DOCTYPE html>' +
+    '<html>' +
+    '  <head>' +
+    '    <title>Quarantined Webhooks</title>' +
+    '    <style>' +
+    '      body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 1000px; margin: 0 auto; padding: 20px; }' +
+    '      h1, h2 { color: #2563eb; }' +
+    '      a { color: #2563eb; }' +
+    '      textarea { width: 100%; font-family: monospace; font-size: 0.85rem; }' +
+    '      .warning { color: #ef4444; }' +
+    '      .section { margin-bottom: 20px; padding: 15px; border: 1px solid #e5e7eb; border-radius: 8px; }' +
+    '      .btn { display: inline-block; padding: 8px 16px; background: #3b82f6; color: white; border: none; ' +
+    '             border-radius: 4px; cursor: pointer; margin-right: 8px; }' +
+    '      .btn-danger { background: #ef4444; }' +
+    '      .actions { margin: 10px 0; }' +
+    '      .diagnostic { font-family: monospace; margin-bottom: 10px; }' +
+    '    </style>' +
+    '  </head>' +
+    '  <body>' +
+    '    <h1>Quarantined Webhooks</h1>' +
+    '    <div class="controls"><a href="/admin">Back to Admin</a></div>' +
+    (success ? '' : '    <p class="warning">Error loading quarantine: ' + escapeHtml(error) + '</p>') +
+    (records.length === 0 && success ? '    <p>No quarantined payloads.</p>' : '') +
+    items +
+    '  </body>' +
+    '</html>';
+  
+  res.send(html);
+});
+
+app.post('/admin/quarantine/:id/resubmit', requireAdminAuth, express.urlencoded({ extended: false, limit: '50mb' }), async (req, res) => {
+  const record = await getQuarantinedPayload(req.params.id);
+  if (!record || record.status !== QUARANTINE_STATUS.QUARANTINED) {
+    return res.status(404).send('<html><body><h1>Not Found</h1><p>No quarantined payload with that ID. <a href="/admin/quarantine">Back to Quarantine</a></p></body></html>');
+  }
+  
+  // Accept the edited payload from the form, or as JSON from API clients
+  let payload;
+  try {
+    payload = typeof req.body.payload === 'string' ? JSON.parse(req.body.payload) : (req.body.payload || record.payload);
+  } catch (error) {
+    return res.status(400).send('<html><body><h1>Invalid JSON</h1><p>' + escapeHtml(error.message) + '</p><p><a href="/admin/quarantine">Back to Quarantine</a></p></body></html>');
+  }
+  payload = restoreDocumentContent(payload, record.payload);
+  
+  const validation = validateWebhookPayload(payload);
+  if (!validation.valid) {
+    // Keep the operator's fix so far, with the remaining errors
+    await updateQuarantinedPayload(record.id, { payload, errors: validation.errors });
+    const errors = validation.errors.map(e => '<li><code>' + escapeHtml(e.field) + '</code> ' + escapeHtml(e.message) + '</li>').join('');
+    return res.status(400).send('<html><body><h1>Payload Still Invalid</h1><ul>' + errors + '</ul><p><a href="/admin/quarantine">Back to Quarantine</a></p></body></html>');
+  }
+  
+  const processingId = `quarantine-${record.id.substring(0, 8)}`;
+  logToFile(`[${processingId}] Resubmitting quarantined payload ${record.id}`);
+  const accepted = await acceptWebhookEvent(payload, processingId);
+  
+  if (!accepted.accepted && !accepted.duplicate) {
+    return res.status(500).send('<html><body><h1>Error</h1><p>The payload could not be persisted: ' + escapeHtml(accepted.error) + '</p><p><a href="/admin/quarantine">Back to Quarantine</a></p></body></html>');
+  }
+  
+  await updateQuarantinedPayload(record.id, {
+    payload,
+    errors: [],
+    status: QUARANTINE_STATUS.RESUBMITTED,
+    resubmitted_event_id: accepted.storedEventId || null
+  });
+  
+  res.send('<html><body><h1>Payload Resubmitted</h1><p>' +
+    (accepted.duplicate ? 'This event had already been received; it was not processed again.' : 'The event has been queued for processing.') +
+    ' <a href="/admin/quarantine">Back to Quarantine</a></p></body></html>');
+});
+
+app.post('/admin/quarantine/:id/discard', requireAdminAuth, async (req, res) => {
+  const result = await updateQuarantinedPayload(req.params.id, { status: QUARANTINE_STATUS.DISCARDED });
+  logToFile(`Quarantined payload ${req.params.id} discarded`);
+  
+  if (!result.success) {
+    return res.status(500).send('<html><body><h1>Error</h1><p>' + escapeHtml(result.error) + '</p><p><a href="/admin/quarantine">Back to Quarantine</a></p></body></html>');
+  }
+  res.redirect('/admin/quarantine');
+});
+
 // Admin endpoint to create SQL functions for emergency updates
 app.post('/admin/create-sql-functions', async (req, res) => {
   try {
@@ -1572,6 +2361,33 @@ server.listen(PORT, () => {
   console.log(`Webhook endpoint: ${webhookUrl}`);
   console.log(`Dashboard available at: http://localhost:${PORT}/dashboard`);
   
+  // Load configured event types, then start the durable webhook worker
+  // (resumes anything queued before a restart)
+  startEventTypeRegistry(supabase)
+    .catch(error => console.error('Error loading event types:', error))
+    .finally(() => startWebhookQueue(processQueuedWebhook));
+  
+  // Expire active agreements past their end date, now and every AGREEMENT_EXPIRY_INTERVAL_MINUTES
+  startAgreementExpiryJob();
+  
+  // Remind outstanding signatories and escalate stalled requests, every SIGNING_REMINDER_INTERVAL_MINUTES
+  startSigningReminderJob();
+  
+  // Create monthly rent invoices as they come due, every INVOICE_SCHEDULE_INTERVAL_MINUTES
+  startInvoiceScheduleJob();
+  
+  // Apply orphaned events whose agreement has appeared, every ORPHAN_RECONCILE_INTERVAL_MINUTES
+  startOrphanReconciliationJob();
+  
+  // Send pending email letters and due retries, every EMAIL_DISPATCH_INTERVAL_MINUTES
+  startEmailDispatchJob();
+  
+  // Deliver queued events to subscribed services, every OUTBOUND_DISPATCH_INTERVAL_MINUTES
+  startEventDeliveryJob();
+  
+  // Re-hash stored signed documents, every DOCUMENT_INTEGRITY_INTERVAL_MINUTES
+  startDocumentIntegrityJob();
+  
   // Set up self-ping for Azure to avoid idle timeouts
   if (process.env.WEBSITE_SITE_NAME) {
     console.log('Setting up self-ping mechanism to keep Azure app alive');
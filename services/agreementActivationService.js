@@ -0,0 +1,374 @@
+// agreementActivationService.js - Moves the rest of the rental system on when an agreement becomes active
+//
+// Activation marks the unit occupied, links the rentee to the property, opens the
+// property's move-in checklist as task_assignments and creates the first invoices
+// (see invoiceScheduleService.js). Each step checks what is already there first, so
+// running it again for the same agreement changes nothing; agreements.activated_at
+// is set once every step has succeeded.
+import supabase from './supabaseClient.js';
+import {
+  evaluateTransition,
+  recordAgreementTransition,
+  AGREEMENT_STATES,
+  SIGNATURE_STATUS,
+  TRANSITION_SOURCES
+} from './agreementStateMachine.js';
+import { UNIT_STATUS } from './agreementExpiryService.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+import { createInitialInvoices } from './invoiceScheduleService.js';
+import { checkBookingConflicts } from './bookingConflictService.js';
+import { EVENT_IDS, EVENT_HANDLERS } from './eventTypeRegistry.js';
+import { notifySigningEvent } from './signingNotificationService.js';
+import { publishSigningEvents } from './eventSubscriptionService.js';
+
+// task_assignments values for move-in tasks
+const MOVE_IN_TASK = {
+  TYPE: 'move_in',
+  STATUS: 'pending',
+  PRIORITY: 'medium',
+  RELATED_ENTITY: 'agreement'
+};
+
+/**
+ * Log a message related to agreement activation
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logActivationActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[AGREEMENT-ACTIVATION] ${prefix} ${message}`);
+};
+
+/**
+ * Title of a move-in task for one properties.checklistitems entry. Entries are
+ * usually strings; objects from the app's checklist editor are read by title or name.
+ * @param {string|Object} item - Checklist entry
+ * @returns {string|null} Task title, or null for an empty entry
+ */
+function checklistItemTitle(item) {
+  const title = item && typeof item === 'object'
+    ? item.title || item.name || item.label || item.item
+    : item;
+  const text = String(title || '').trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Mark the agreement's unit occupied
+ * @param {Object} agreement - Agreement row (unitid)
+ * @param {boolean} dryRun - Report the change without writing it
+ * @returns {Promise<Object>} { success, action: 'occupied' | 'unchanged' | 'none' } or { success: false, error }
+ */
+async function occupyUnit(agreement, dryRun) {
+  if (!agreement.unitid) {
+    return { success: true, action: 'none' };
+  }
+
+  const { data: unit, error } = await supabase
+    .from('property_units')
+    .select('id, status')
+    .eq('id', agreement.unitid)
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  if (!unit) {
+    return { success: false, error: `Unit ${agreement.unitid} not found` };
+  }
+  if (unit.status === UNIT_STATUS.OCCUPIED) {
+    return { success: true, action: 'unchanged' };
+  }
+  if (dryRun) {
+    return { success: true, action: 'occupied', previousStatus: unit.status };
+  }
+
+  const { error: updateError } = await supabase
+    .from('property_units')
+    .update({ status: UNIT_STATUS.OCCUPIED, updatedat: new Date().toISOString() })
+    .eq('id', agreement.unitid);
+
+  if (updateError) {
+    return { success: false, error: updateError.message };
+  }
+  return { success: true, action: 'occupied', previousStatus: unit.status };
+}
+
+/**
+ * Add the agreement's property to the rentee's associated_property_ids
+ * @param {Object} agreement - Agreement row (renteeid, propertyid)
+ * @param {boolean} dryRun - Report the change without writing it
+ * @returns {Promise<Object>} { success, action: 'linked' | 'unchanged' | 'none' } or { success: false, error }
+ */
+async function linkRenteeToProperty(agreement, dryRun) {
+  if (!agreement.renteeid || !agreement.propertyid) {
+    return { success: true, action: 'none' };
+  }
+
+  const { data: rentee, error } = await supabase
+    .from('app_users')
+    .select('id, associated_property_ids')
+    .eq('id', agreement.renteeid)
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  if (!rentee) {
+    return { success: false, error: `Rentee ${agreement.renteeid} not found` };
+  }
+
+  const propertyIds = Array.isArray(rentee.associated_property_ids) ? rentee.associated_property_ids : [];
+  if (propertyIds.includes(agreement.propertyid)) {
+    return { success: true, action: 'unchanged' };
+  }
+  if (dryRun) {
+    return { success: true, action: 'linked' };
+  }
+
+  const { error: updateError } = await supabase
+    .from('app_users')
+    .update({ associated_property_ids: [...propertyIds, agreement.propertyid], updatedat: new Date().toISOString() })
+    .eq('id', agreement.renteeid);
+
+  if (updateError) {
+    return { success: false, error: updateError.message };
+  }
+  return { success: true, action: 'linked' };
+}
+
+/**
+ * Open a move-in task for each of the property's checklist items that has none yet
+ * @param {Object} agreement - Agreement row (id, propertyid, unitid, startdate)
+ * @param {boolean} dryRun - Report the tasks without creating them
+ * @returns {Promise<Object>} { success, created: [titles], existing } or { success: false, error }
+ */
+async function openMoveInTasks(agreement, dryRun) {
+  if (!agreement.propertyid) {
+    return { success: true, created: [], existing: 0 };
+  }
+
+  const { data: property, error } = await supabase
+    .from('properties')
+    .select('id, name, checklistitems')
+    .eq('id', agreement.propertyid)
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  const titles = [...new Set((Array.isArray(property?.checklistitems) ? property.checklistitems : [])
+    .map(checklistItemTitle)
+    .filter(Boolean))];
+  if (titles.length === 0) {
+    return { success: true, created: [], existing: 0 };
+  }
+
+  const { data: existingTasks, error: existingError } = await supabase
+    .from('task_assignments')
+    .select('tasktitle')
+    .eq('tasktype', MOVE_IN_TASK.TYPE)
+    .eq('relatedentitytype', MOVE_IN_TASK.RELATED_ENTITY)
+    .eq('relatedentityid', agreement.id);
+
+  if (existingError) {
+    return { success: false, error: existingError.message };
+  }
+
+  const existing = new Set((existingTasks || []).map(task => task.tasktitle));
+  const missing = titles.filter(title => !existing.has(title));
+  if (missing.length === 0 || dryRun) {
+    return { success: true, created: missing, existing: existing.size };
+  }
+
+  const now = new Date().toISOString();
+  const dueDate = agreement.startdate ? new Date(agreement.startdate).toISOString() : now;
+  const { error: insertError } = await supabase
+    .from('task_assignments')
+    .insert(missing.map(title => ({
+      tasktype: MOVE_IN_TASK.TYPE,
+      tasktitle: title,
+      taskdescription: `Move-in checklist for ${property.name || 'the property'} (agreement ${agreement.id})`,
+      status: MOVE_IN_TASK.STATUS,
+      priority: MOVE_IN_TASK.PRIORITY,
+      duedate: dueDate,
+      relatedentitytype: MOVE_IN_TASK.RELATED_ENTITY,
+      relatedentityid: agreement.id,
+      createdat: now,
+      updatedat: now
+    })));
+
+  if (insertError) {
+    return { success: false, error: insertError.message };
+  }
+  return { success: true, created: missing, existing: existing.size };
+}
+
+/**
+ * Run the activation workflow for an active agreement. Safe to run again: steps
+ * that are already done are left alone, so replays and retries don't duplicate work.
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Activation options
+ * @param {boolean} options.dryRun - Report what would change without writing anything
+ * @returns {Promise<Object>} { success, agreementId, alreadyActivated, unit, rentee, tasks, invoices, dryRun }
+ *   or { success: false, notFound | refused | error }
+ */
+export async function activateAgreement(agreementId, { dryRun = false } = {}) {
+  try {
+    const { data: agreement, error } = await supabase
+      .from('agreements')
+      .select('id, status, unitid, propertyid, renteeid, startdate, enddate, terms, next_invoice_date, activated_at')
+      .eq('id', agreementId)
+      .maybeSingle();
+
+    if (error) {
+      logActivationActivity(`Error loading agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    if (!agreement) {
+      return { success: false, notFound: true, error: `Agreement ${agreementId} not found` };
+    }
+    if (agreement.status !== AGREEMENT_STATES.ACTIVE) {
+      return { success: false, refused: true, error: `Only active agreements can be activated (agreement is ${agreement.status || 'created'})` };
+    }
+
+    const summary = { agreementId, alreadyActivated: Boolean(agreement.activated_at), dryRun };
+
+    // Each step is checked separately, so one failing doesn't hold up the others
+    const unit = await occupyUnit(agreement, dryRun);
+    const rentee = await linkRenteeToProperty(agreement, dryRun);
+    const tasks = await openMoveInTasks(agreement, dryRun);
+    const invoices = await createInitialInvoices(agreement, { dryRun });
+    Object.assign(summary, { unit, rentee, tasks, invoices });
+
+    const failed = [['unit', unit], ['rentee', rentee], ['tasks', tasks], ['invoices', invoices]].filter(([, step]) => !step.success);
+    if (failed.length > 0) {
+      const message = failed.map(([name, step]) => `${name}: ${step.error}`).join('; ');
+      logActivationActivity(`Activation of agreement ${agreementId} incomplete: ${message}`, 'error');
+      return { ...summary, success: false, error: `Activation incomplete: ${message}` };
+    }
+
+    if (!dryRun && !agreement.activated_at) {
+      const { error: updateError } = await supabase
+        .from('agreements')
+        .update({ activated_at: new Date().toISOString(), updatedat: new Date().toISOString() })
+        .eq('id', agreementId)
+        .is('activated_at', null);
+
+      if (updateError) {
+        logActivationActivity(`Error recording activation of agreement ${agreementId}: ${updateError.message}`, 'error');
+        return { ...summary, success: false, error: updateError.message };
+      }
+      invalidateAgreement(agreementId);
+    }
+
+    if (!dryRun) {
+      logActivationActivity(`Agreement ${agreementId} activated: unit ${unit.action}, rentee ${rentee.action}, ${tasks.created.length} move-in task(s) opened, invoices ${invoices.action}`);
+    }
+    return { ...summary, success: true };
+  } catch (error) {
+    logActivationActivity(`Exception activating agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Activate a fully signed agreement that BOOKING_CONFLICT_MODE=block held in
+ * pending_activation. Conflicts are checked again first, so it is refused while an
+ * overlapping agreement is still active; then the agreement is set active, the
+ * activation workflow runs, and the rentee, staff and subscribers are told it is active
+ * as they would have been by RequestCompleted.
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Activation options
+ * @param {boolean} options.dryRun - Check conflicts and report what would change without writing anything
+ * @returns {Promise<Object>} { success, agreementId, conflicts, activation?, notifications?, subscriptions?, dryRun }
+ *   or { success: false, notFound | refused | error, conflicts? }
+ */
+export async function activateBlockedAgreement(agreementId, { dryRun = false } = {}) {
+  try {
+    const { data: agreement, error } = await supabase
+      .from('agreements')
+      .select('id, status, signature_status, signing_progress, signeddate, last_signature_event_at, eviasignreference, ' +
+        'propertyid, unitid, renteeid, startdate, enddate, booking_conflicts')
+      .eq('id', agreementId)
+      .maybeSingle();
+
+    if (error) {
+      logActivationActivity(`Error loading agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    if (!agreement) {
+      return { success: false, notFound: true, error: `Agreement ${agreementId} not found` };
+    }
+    if (agreement.status !== AGREEMENT_STATES.PENDING_ACTIVATION || agreement.signature_status !== SIGNATURE_STATUS.SIGNING_COMPLETE) {
+      return { success: false, refused: true, error: `Only fully signed agreements waiting for activation can be released (agreement is ${agreement.status || 'created'}, ${agreement.signature_status || 'not signed'})` };
+    }
+
+    // Conflicts are already flagged and notified, so this check only reads
+    const conflicts = await checkBookingConflicts(agreement, { dryRun: true });
+    if (!conflicts.success) {
+      return { success: false, error: conflicts.error };
+    }
+    if (conflicts.blocked) {
+      const holding = conflicts.conflicts.filter(other => other.status === AGREEMENT_STATES.ACTIVE).map(other => other.agreementId);
+      return { success: false, refused: true, conflicts: conflicts.conflicts, error: `Agreement ${agreementId} still overlaps active agreement(s) ${holding.join(', ')}` };
+    }
+
+    const transition = evaluateTransition(agreement, { status: AGREEMENT_STATES.ACTIVE });
+    if (!transition.allowed) {
+      return { success: false, refused: true, error: transition.message };
+    }
+    if (dryRun) {
+      return { success: true, agreementId, conflicts: conflicts.conflicts, dryRun };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('agreements')
+      .update({ status: AGREEMENT_STATES.ACTIVE, updatedat: new Date().toISOString() })
+      .eq('id', agreementId)
+      .eq('status', AGREEMENT_STATES.PENDING_ACTIVATION)
+      .select('id');
+
+    if (updateError) {
+      logActivationActivity(`Error activating blocked agreement ${agreementId}: ${updateError.message}`, 'error');
+      return { success: false, error: updateError.message };
+    }
+    if (!updated || updated.length === 0) {
+      return { success: false, refused: true, error: `Agreement ${agreementId} changed while it was being activated; try again` };
+    }
+    invalidateAgreement(agreementId);
+
+    await recordAgreementTransition({ agreementId, evaluation: transition, source: TRANSITION_SOURCES.CONFLICT_RESOLVED });
+    logActivationActivity(`Blocked agreement ${agreementId} released; running activation`);
+
+    // The agreement is active either way; a failed step is finished with POST /admin/agreements/:id/activate
+    const activation = await activateAgreement(agreementId);
+
+    // RequestCompleted only told everyone it was held back, under its own key; the release gets
+    // a key of its own, so it is announced once
+    const webhookData = { RequestId: agreement.eviasignreference, EventId: EVENT_IDS.REQUEST_COMPLETED, EventTime: agreement.last_signature_event_at };
+    const event = {
+      handler: EVENT_HANDLERS.REQUEST_COMPLETED,
+      webhookData,
+      updates: { ...agreement, status: AGREEMENT_STATES.ACTIVE },
+      eventKey: `${TRANSITION_SOURCES.CONFLICT_RESOLVED}:${agreementId}:${agreement.last_signature_event_at}`
+    };
+    const notifications = await notifySigningEvent(agreement, event);
+    const subscriptions = await publishSigningEvents(agreement, event);
+    if (!subscriptions.success) {
+      logActivationActivity(`agreement.signed for released agreement ${agreementId} not queued: ${subscriptions.error}`, 'error');
+    }
+    return { success: true, agreementId, conflicts: conflicts.conflicts, activation, notifications, subscriptions, dryRun };
+  } catch (error) {
+    logActivationActivity(`Exception activating blocked agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export { MOVE_IN_TASK };
+
+export default {
+  activateAgreement,
+  activateBlockedAgreement
+};
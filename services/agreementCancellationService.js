@@ -0,0 +1,188 @@
+// agreementCancellationService.js - Cancels agreements and voids their pending Evia Sign request
+import supabase from './supabaseClient.js';
+import {
+  evaluateTransition,
+  recordAgreementTransition,
+  AGREEMENT_STATES,
+  TRANSITION_SOURCES
+} from './agreementStateMachine.js';
+import { voidSignRequest, VOID_STATUS } from './eviaSignApiService.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+import { releaseAgreementUnit } from './agreementExpiryService.js';
+
+// States in which the agreement's sign request may still be open at Evia Sign
+const VOIDABLE_STATES = [AGREEMENT_STATES.CREATED, AGREEMENT_STATES.DRAFT, AGREEMENT_STATES.PENDING_ACTIVATION];
+
+// agreements.signature_void_status when there was nothing to void
+const VOID_NOT_NEEDED = 'not_needed';
+
+/**
+ * Log a message related to agreement cancellation
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logCancellationActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[AGREEMENT-CANCEL] ${prefix} ${message}`);
+};
+
+/**
+ * Record a cancellation (or void retry) attempt in agreement_cancellations
+ * @param {Object} attempt - Attempt details
+ * @returns {Promise<void>}
+ */
+async function logCancellationAttempt({ agreementId, requestId, previousStatus, reason, cancelledBy, voidResult }) {
+  try {
+    const { error } = await supabase
+      .from('agreement_cancellations')
+      .insert([{
+        agreement_id: agreementId,
+        eviasignreference: requestId,
+        previous_status: previousStatus,
+        reason,
+        cancelled_by: cancelledBy,
+        void_status: voidResult.status,
+        void_http_status: voidResult.httpStatus || null,
+        void_error: voidResult.error || null,
+        createdat: new Date().toISOString()
+      }]);
+
+    if (error) {
+      logCancellationActivity(`Error logging cancellation of agreement ${agreementId}: ${error.message}`, 'error');
+    }
+  } catch (error) {
+    logCancellationActivity(`Exception logging cancellation of agreement ${agreementId}: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Void the agreement's sign request if it may still be open, and store the outcome on the agreement
+ * @param {Object} agreement - Agreement row (id, eviasignreference)
+ * @param {boolean} voidable - Whether the request may still be open
+ * @param {string} reason - Cancellation reason, passed on to Evia Sign
+ * @returns {Promise<Object>} Void result ({ status, httpStatus?, error? })
+ */
+async function voidIfOpen(agreement, voidable, reason) {
+  if (!voidable || !agreement.eviasignreference) {
+    return { status: VOID_NOT_NEEDED };
+  }
+
+  const voidResult = await voidSignRequest(agreement.eviasignreference, { reason });
+
+  const { error } = await supabase
+    .from('agreements')
+    .update({ signature_void_status: voidResult.status, updatedat: new Date().toISOString() })
+    .eq('id', agreement.id);
+
+  if (error) {
+    logCancellationActivity(`Error saving void status for agreement ${agreement.id}: ${error.message}`, 'error');
+  }
+  invalidateAgreement(agreement.id);
+  return voidResult;
+}
+
+/**
+ * Cancel an agreement. Its sign request is voided at Evia Sign if it may still be
+ * open, and later webhooks for that RequestId are ignored. An active agreement's unit
+ * is freed the way expiry frees it. Cancelling an agreement that is already cancelled
+ * retries a void that failed or wasn't configured.
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Cancellation options
+ * @param {string} options.reason - Why the agreement is cancelled
+ * @param {string} options.cancelledBy - Who cancelled it (user ID or email)
+ * @returns {Promise<Object>} { success, agreementId, requestId, voidStatus, voidError?, unit? } or { success: false, invalid | notFound | refused | error }
+ */
+export async function cancelAgreement(agreementId, { reason, cancelledBy = null } = {}) {
+  if (typeof reason !== 'string' || reason.trim() === '') {
+    return { success: false, invalid: true, error: 'reason is required' };
+  }
+  reason = reason.trim();
+
+  try {
+    const { data: agreement, error } = await supabase
+      .from('agreements')
+      .select('id, status, signature_status, last_signature_event_at, eviasignreference, signature_void_status, unitid')
+      .eq('id', agreementId)
+      .maybeSingle();
+
+    if (error) {
+      logCancellationActivity(`Error loading agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    if (!agreement) {
+      return { success: false, notFound: true, error: `Agreement ${agreementId} not found` };
+    }
+
+    const requestId = agreement.eviasignreference || null;
+
+    if (agreement.status === AGREEMENT_STATES.CANCELLED) {
+      const retryVoid = requestId && [VOID_STATUS.FAILED, VOID_STATUS.NOT_CONFIGURED].includes(agreement.signature_void_status);
+      if (!retryVoid) {
+        return { success: false, refused: true, error: `Agreement ${agreementId} is already cancelled` };
+      }
+
+      logCancellationActivity(`Agreement ${agreementId} already cancelled; retrying void of request ${requestId}`);
+      const voidResult = await voidIfOpen(agreement, true, reason);
+      await logCancellationAttempt({ agreementId, requestId, previousStatus: agreement.status, reason, cancelledBy, voidResult });
+      return { success: true, agreementId, requestId, voidStatus: voidResult.status, voidError: voidResult.error };
+    }
+
+    const transition = evaluateTransition(agreement, { status: AGREEMENT_STATES.CANCELLED });
+    if (!transition.allowed) {
+      return { success: false, refused: true, error: transition.message };
+    }
+
+    // Cancel first, so webhooks arriving while Evia Sign is being called are already ignored
+    let update = supabase
+      .from('agreements')
+      .update({
+        status: AGREEMENT_STATES.CANCELLED,
+        cancellation_reason: reason,
+        cancelled_by: cancelledBy,
+        cancelled_at: new Date().toISOString(),
+        updatedat: new Date().toISOString()
+      })
+      .eq('id', agreementId);
+    update = agreement.status ? update.eq('status', agreement.status) : update.is('status', null);
+    const { data: updated, error: updateError } = await update.select('id');
+
+    if (updateError) {
+      logCancellationActivity(`Error cancelling agreement ${agreementId}: ${updateError.message}`, 'error');
+      return { success: false, error: updateError.message };
+    }
+    if (!updated || updated.length === 0) {
+      return { success: false, refused: true, error: `Agreement ${agreementId} changed while it was being cancelled; try again` };
+    }
+    invalidateAgreement(agreementId);
+
+    await recordAgreementTransition({
+      agreementId,
+      evaluation: transition,
+      source: TRANSITION_SOURCES.CANCELLATION,
+      requestId
+    });
+
+    // An active agreement occupies its unit; a cancelled one must not
+    let unit;
+    if (agreement.status === AGREEMENT_STATES.ACTIVE) {
+      unit = await releaseAgreementUnit(agreement);
+      if (!unit.success) {
+        // The agreement is cancelled either way; the unit can be freed by hand
+        logCancellationActivity(`Agreement ${agreementId} cancelled, but unit ${agreement.unitid} could not be freed: ${unit.error}`, 'error');
+      }
+    }
+
+    const voidResult = await voidIfOpen(agreement, VOIDABLE_STATES.includes(agreement.status), reason);
+    await logCancellationAttempt({ agreementId, requestId, previousStatus: agreement.status, reason, cancelledBy, voidResult });
+
+    logCancellationActivity(`Agreement ${agreementId} cancelled (was ${agreement.status}); request ${requestId || 'n/a'}: ${voidResult.status}${unit ? `; unit ${agreement.unitid || 'n/a'}: ${unit.action}` : ''}`);
+    return { success: true, agreementId, requestId, voidStatus: voidResult.status, voidError: voidResult.error, ...(unit ? { unit } : {}) };
+  } catch (error) {
+    logCancellationActivity(`Exception cancelling agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  cancelAgreement
+};
@@ -0,0 +1,300 @@
+// agreementExpiryService.js - Scheduled job that expires active agreements past their end date
+import supabase from './supabaseClient.js';
+import {
+  evaluateTransition,
+  recordAgreementTransition,
+  AGREEMENT_STATES,
+  TRANSITION_SOURCES
+} from './agreementStateMachine.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+
+// property_units.status values the job reads and writes
+const UNIT_STATUS = {
+  AVAILABLE: 'available',
+  OCCUPIED: 'occupied'
+};
+
+// Agreement states that still hold a unit
+const UNIT_HOLDING_STATES = [AGREEMENT_STATES.ACTIVE, AGREEMENT_STATES.PENDING_ACTIVATION];
+
+// Configuration
+const EXPIRY_INTERVAL = (Number(process.env.AGREEMENT_EXPIRY_INTERVAL_MINUTES) || 60) * 60 * 1000; // 1 hour
+const EXPIRY_BATCH_SIZE = 100;
+
+// Job state
+let running = false;
+let expiryTimer = null;
+let lastRun = null;
+
+/**
+ * Log a message related to agreement expiry
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logExpiryActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[AGREEMENT-EXPIRY] ${prefix} ${message}`);
+};
+
+/**
+ * The date (YYYY-MM-DD, UTC) an agreement's enddate must be before to expire.
+ * An agreement stays active through its end date.
+ * @param {string|Date} asOf - Date to run the job as of (defaults to now)
+ * @returns {string|null} Date string, or null if asOf isn't a date
+ */
+function expiryCutoff(asOf) {
+  const date = asOf ? new Date(asOf) : new Date();
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+/**
+ * Find active agreements whose end date has passed
+ * @param {Object} options - Query options
+ * @param {string} options.cutoff - Agreements ending before this date (YYYY-MM-DD)
+ * @param {number} options.limit - Maximum number of agreements
+ * @returns {Promise<Object>} Result with the agreements
+ */
+export async function findExpiredAgreements({ cutoff, limit = EXPIRY_BATCH_SIZE } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('agreements')
+      .select('id, status, signature_status, last_signature_event_at, enddate, propertyid, unitid, renteeid')
+      .eq('status', AGREEMENT_STATES.ACTIVE)
+      .lt('enddate', cutoff)
+      .order('enddate', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, agreements: [] };
+    }
+    return { success: true, agreements: data || [] };
+  } catch (error) {
+    logExpiryActivity(`Exception finding expired agreements: ${error.message}`, 'error');
+    return { success: false, error: error.message, agreements: [] };
+  }
+}
+
+/**
+ * Work out what should happen to an expiring agreement's unit. A unit that has
+ * already been let again (a renewal or a new tenant) is left alone.
+ * @param {Object} agreement - The expiring agreement
+ * @returns {Promise<Object>} { success, action: 'free' | 'kept' | 'none', heldBy? } or { success: false, error }
+ */
+async function planUnitRelease(agreement) {
+  if (!agreement.unitid) {
+    return { success: true, action: 'none' };
+  }
+
+  const { data, error } = await supabase
+    .from('agreements')
+    .select('id')
+    .eq('unitid', agreement.unitid)
+    .in('status', UNIT_HOLDING_STATES)
+    .neq('id', agreement.id)
+    .limit(1);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  if (data && data.length > 0) {
+    return { success: true, action: 'kept', heldBy: data[0].id };
+  }
+  return { success: true, action: 'free' };
+}
+
+/**
+ * Mark a unit available again
+ * @param {string} unitId - property_units ID
+ * @param {string} now - Timestamp for updatedat
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+async function freeUnit(unitId, now) {
+  const { error } = await supabase
+    .from('property_units')
+    .update({ status: UNIT_STATUS.AVAILABLE, updatedat: now })
+    .eq('id', unitId);
+
+  return error ? { success: false, error: error.message } : { success: true };
+}
+
+/**
+ * Free the unit of an agreement that no longer holds it (e.g. a cancelled active
+ * agreement), unless another agreement has let it since
+ * @param {Object} agreement - Agreement row (id, unitid)
+ * @returns {Promise<Object>} { success, action: 'free' | 'kept' | 'none', heldBy? } or { success: false, action: 'failed', error }
+ */
+export async function releaseAgreementUnit(agreement) {
+  const unit = await planUnitRelease(agreement);
+  if (!unit.success) {
+    return { success: false, action: 'failed', error: unit.error };
+  }
+
+  if (unit.action === 'free') {
+    const freed = await freeUnit(agreement.unitid, new Date().toISOString());
+    if (!freed.success) {
+      return { success: false, action: 'failed', error: freed.error };
+    }
+  }
+  return unit.heldBy ? { success: true, action: unit.action, heldBy: unit.heldBy } : { success: true, action: unit.action };
+}
+
+/**
+ * Expire one agreement: move it to expired, record the transition and free its unit
+ * @param {Object} agreement - Agreement row from findExpiredAgreements
+ * @param {Object} options - Expiry options
+ * @param {boolean} options.dryRun - Report what would change without writing anything
+ * @returns {Promise<Object>} { success, agreementId, enddate, unitId, unit, dryRun } or { success: false, error }
+ */
+export async function expireAgreement(agreement, { dryRun = false } = {}) {
+  const summary = { agreementId: agreement.id, enddate: agreement.enddate, unitId: agreement.unitid || null, dryRun };
+
+  try {
+    const transition = evaluateTransition(agreement, { status: AGREEMENT_STATES.EXPIRED });
+    if (!transition.allowed) {
+      return { ...summary, success: false, refused: true, error: transition.message };
+    }
+
+    const unit = await planUnitRelease(agreement);
+    if (!unit.success) {
+      logExpiryActivity(`Error checking unit ${agreement.unitid} for agreement ${agreement.id}: ${unit.error}`, 'error');
+      return { ...summary, success: false, error: unit.error };
+    }
+    summary.unit = unit.heldBy ? { action: unit.action, heldBy: unit.heldBy } : { action: unit.action };
+
+    if (dryRun) {
+      return { ...summary, success: true };
+    }
+
+    const now = new Date().toISOString();
+    const { data: updated, error } = await supabase
+      .from('agreements')
+      .update({ status: AGREEMENT_STATES.EXPIRED, updatedat: now })
+      .eq('id', agreement.id)
+      .eq('status', AGREEMENT_STATES.ACTIVE)
+      .select('id');
+
+    if (error) {
+      logExpiryActivity(`Error expiring agreement ${agreement.id}: ${error.message}`, 'error');
+      return { ...summary, success: false, error: error.message };
+    }
+    if (!updated || updated.length === 0) {
+      // Cancelled or otherwise changed since we looked
+      return { ...summary, success: false, refused: true, error: `Agreement ${agreement.id} is no longer active` };
+    }
+    invalidateAgreement(agreement.id);
+
+    await recordAgreementTransition({
+      agreementId: agreement.id,
+      evaluation: transition,
+      source: TRANSITION_SOURCES.EXPIRY
+    });
+
+    if (unit.action === 'free') {
+      const freed = await freeUnit(agreement.unitid, now);
+      if (!freed.success) {
+        // The agreement is expired either way; the unit can be freed by hand
+        logExpiryActivity(`Agreement ${agreement.id} expired, but unit ${agreement.unitid} could not be freed: ${freed.error}`, 'error');
+        return { ...summary, success: true, unit: { action: 'failed', error: freed.error } };
+      }
+    }
+
+    logExpiryActivity(`Agreement ${agreement.id} expired (ended ${agreement.enddate}); unit ${agreement.unitid || 'n/a'}: ${unit.action}`);
+    return { ...summary, success: true };
+  } catch (error) {
+    logExpiryActivity(`Exception expiring agreement ${agreement.id}: ${error.message}`, 'error');
+    return { ...summary, success: false, error: error.message };
+  }
+}
+
+/**
+ * Expire every active agreement whose end date has passed
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - List what would be expired without writing anything
+ * @param {string} options.asOf - Run as of this date instead of today
+ * @param {number} options.limit - Maximum number of agreements to handle in this run
+ * @returns {Promise<Object>} { success, dryRun, cutoff, checked, expired, failed, results }
+ */
+export async function runAgreementExpiry({ dryRun = false, asOf = null, limit = EXPIRY_BATCH_SIZE } = {}) {
+  const cutoff = expiryCutoff(asOf);
+  if (!cutoff) {
+    return { success: false, invalid: true, error: `asOf must be a date, got ${JSON.stringify(asOf)}` };
+  }
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+  if (running && !dryRun) {
+    return { success: false, busy: true, error: 'An expiry run is already in progress' };
+  }
+
+  if (!dryRun) {
+    running = true;
+  }
+  try {
+    const found = await findExpiredAgreements({ cutoff, limit });
+    if (!found.success) {
+      logExpiryActivity(`Error finding expired agreements: ${found.error}`, 'error');
+      return { success: false, error: found.error };
+    }
+
+    const results = [];
+    for (const agreement of found.agreements) {
+      results.push(await expireAgreement(agreement, { dryRun }));
+    }
+
+    const summary = {
+      success: true,
+      dryRun,
+      cutoff,
+      checked: found.agreements.length,
+      expired: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+
+    if (!dryRun) {
+      lastRun = { at: new Date().toISOString(), cutoff, checked: summary.checked, expired: summary.expired, failed: summary.failed };
+      if (summary.checked > 0) {
+        logExpiryActivity(`Expiry run: ${summary.expired} of ${summary.checked} agreement(s) expired${summary.failed ? `, ${summary.failed} failed` : ''}`);
+      }
+    }
+    return summary;
+  } finally {
+    if (!dryRun) {
+      running = false;
+    }
+  }
+}
+
+/**
+ * Run the expiry job now and then on a schedule
+ */
+export function startAgreementExpiryJob() {
+  const run = () => {
+    runAgreementExpiry().catch(error => logExpiryActivity(`Error in expiry run: ${error.message}`, 'error'));
+  };
+
+  run();
+
+  if (!expiryTimer) {
+    expiryTimer = setInterval(run, EXPIRY_INTERVAL);
+    expiryTimer.unref();
+  }
+}
+
+/**
+ * Get the outcome of the last scheduled or manual run, for the admin page
+ * @returns {Object|null} { at, cutoff, checked, expired, failed }, or null before the first run
+ */
+export function getLastExpiryRun() {
+  return lastRun;
+}
+
+export { UNIT_STATUS };
+
+export default {
+  findExpiredAgreements,
+  expireAgreement,
+  runAgreementExpiry,
+  startAgreementExpiryJob,
+  getLastExpiryRun
+};
@@ -0,0 +1,170 @@
+// agreementLookupService.js - Finds the agreement for an Evia Sign RequestId, with an in-process cache
+//
+// Webhooks for one request tend to arrive in bursts (SignRequestReceived, then a
+// SignatoryCompleted per signer, then RequestCompleted), so rows are cached by
+// RequestId for a short time. Lookups that find nothing are cached more briefly,
+// so a request the app hasn't linked yet is picked up soon after it is.
+// Anything in this server that updates an agreement calls rememberAgreement() with
+// the new row, or invalidateAgreement() when it doesn't have it.
+import supabase, { validateAndNormalizeUUID } from './supabaseClient.js';
+
+// Configuration
+const CACHE_SIZE = Number(process.env.AGREEMENT_CACHE_SIZE) || 500;
+const CACHE_TTL = Number(process.env.AGREEMENT_CACHE_TTL_MS) || 60 * 1000; // 1 minute
+const NEGATIVE_CACHE_TTL = Number(process.env.AGREEMENT_NEGATIVE_CACHE_TTL_MS) || 15 * 1000; // 15 seconds
+
+// RequestId (lower case) -> { agreement, expiresAt }. A Map keeps insertion
+// order, so re-inserting on every hit makes the first key the least recently used.
+const cache = new Map();
+const stats = { hits: 0, misses: 0, negativeHits: 0 };
+
+/**
+ * Log a message related to agreement lookups
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logLookupActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[AGREEMENT-LOOKUP] ${prefix} ${message}`);
+};
+
+/**
+ * Cache key for a RequestId
+ * @param {string} requestId - Evia Sign RequestId
+ * @returns {string} Key
+ */
+const cacheKey = (requestId) => String(requestId || '').trim().toLowerCase();
+
+/**
+ * Store a lookup result, evicting the least recently used entry when full
+ * @param {string} key - Cache key
+ * @param {Object|null} agreement - Agreement row, or null for "not found"
+ */
+function cacheSet(key, agreement) {
+  cache.delete(key);
+  cache.set(key, { agreement, expiresAt: Date.now() + (agreement ? CACHE_TTL : NEGATIVE_CACHE_TTL) });
+
+  while (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Find the agreement for an Evia Sign RequestId, matched against
+ * agreements.eviasignreference or agreements.signature_request_id
+ * @param {string} requestId - Evia Sign RequestId
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.fresh - Skip the cache and read the database
+ * @returns {Promise<Object>} { success, agreement, cached } when found; { success: false, error } when
+ *   not found; { success: false, lookupFailed: true, error } when the database couldn't be read
+ */
+export async function findAgreementByRequestId(requestId, { fresh = false } = {}) {
+  if (!requestId) {
+    return { success: false, error: 'No requestId provided' };
+  }
+  if (!supabase) {
+    return { success: false, lookupFailed: true, error: 'Supabase client not initialized' };
+  }
+
+  const key = cacheKey(requestId);
+  const entry = cache.get(key);
+  if (!fresh && entry && entry.expiresAt > Date.now()) {
+    cache.delete(key);
+    cache.set(key, entry);
+    if (entry.agreement) {
+      stats.hits++;
+      return { success: true, agreement: entry.agreement, cached: true };
+    }
+    stats.negativeHits++;
+    return { success: false, cached: true, error: 'No matching agreement found' };
+  }
+  stats.misses++;
+
+  try {
+    // eviasignreference is a uuid column, so only compare it with a valid UUID
+    const { valid, value: uuid } = validateAndNormalizeUUID(String(requestId).trim());
+    const text = String(requestId).trim().replace(/"/g, '');
+    const filter = valid
+      ? `eviasignreference.eq.${uuid},signature_request_id.eq."${text}"`
+      : `signature_request_id.eq."${text}"`;
+
+    const { data, error } = await supabase
+      .from('agreements')
+      .select('*')
+      .or(filter)
+      .order('updatedat', { ascending: false })
+      .limit(5);
+
+    if (error) {
+      logLookupActivity(`Error looking up agreement for request ${requestId}: ${error.message}`, 'error');
+      return { success: false, lookupFailed: true, error: `Agreement lookup failed: ${error.message}` };
+    }
+
+    // A match on eviasignreference beats one on signature_request_id
+    const agreements = data || [];
+    const agreement = (valid && agreements.find(row => String(row.eviasignreference || '').toLowerCase() === uuid)) ||
+      agreements[0] || null;
+
+    if (agreements.length > 1) {
+      logLookupActivity(`${agreements.length} agreements match request ${requestId}; using ${agreement.id}`, 'warn');
+    }
+
+    cacheSet(key, agreement);
+    return agreement
+      ? { success: true, agreement, cached: false }
+      : { success: false, cached: false, error: 'No matching agreement found' };
+  } catch (error) {
+    logLookupActivity(`Exception looking up agreement for request ${requestId}: ${error.message}`, 'error');
+    return { success: false, lookupFailed: true, error: `Exception finding agreement: ${error.message}` };
+  }
+}
+
+/**
+ * Put an agreement row this server has just written into the cache, under its
+ * current RequestIds, and drop anything cached for it under other RequestIds
+ * @param {Object} agreement - The full updated agreement row
+ */
+export function rememberAgreement(agreement) {
+  if (!agreement || !agreement.id) {
+    return;
+  }
+  invalidateAgreement(agreement.id);
+
+  for (const requestId of [agreement.eviasignreference, agreement.signature_request_id]) {
+    if (requestId) {
+      cacheSet(cacheKey(requestId), agreement);
+    }
+  }
+}
+
+/**
+ * Drop cached lookups for an agreement after this server changed it
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Extra keys to drop
+ * @param {string} options.requestId - A RequestId that may have a "not found" entry, e.g. one just linked
+ */
+export function invalidateAgreement(agreementId, { requestId = null } = {}) {
+  for (const [key, entry] of cache) {
+    if (entry.agreement && entry.agreement.id === agreementId) {
+      cache.delete(key);
+    }
+  }
+  if (requestId) {
+    cache.delete(cacheKey(requestId));
+  }
+}
+
+/**
+ * Cache statistics for the admin page
+ * @returns {Object} { size, maxSize, hits, misses, negativeHits }
+ */
+export function getAgreementCacheStats() {
+  return { size: cache.size, maxSize: CACHE_SIZE, ...stats };
+}
+
+export default {
+  findAgreementByRequestId,
+  rememberAgreement,
+  invalidateAgreement,
+  getAgreementCacheStats
+};
@@ -0,0 +1,244 @@
+// agreementRedraftService.js - Takes rejected agreements back to draft and links the re-sent request
+import supabase, { validateAndNormalizeUUID } from './supabaseClient.js';
+import {
+  evaluateTransition,
+  recordAgreementTransition,
+  AGREEMENT_STATES,
+  TRANSITION_SOURCES
+} from './agreementStateMachine.js';
+import { normalizeSignatories, signingProgressColumns, SIGNATORY_STATES } from './signingProgressService.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+import { applyOrphanEvents } from './orphanEventService.js';
+
+/**
+ * Log a message related to re-drafting agreements
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logRedraftActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[AGREEMENT-REDRAFT] ${prefix} ${message}`);
+};
+
+/**
+ * Load an agreement by ID
+ * @param {string} agreementId - Agreement ID
+ * @returns {Promise<Object>} { success, agreement } or { success: false, notFound | error }
+ */
+async function loadAgreement(agreementId) {
+  const { data: agreement, error } = await supabase
+    .from('agreements')
+    .select('*')
+    .eq('id', agreementId)
+    .maybeSingle();
+
+  if (error) {
+    logRedraftActivity(`Error loading agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+  if (!agreement) {
+    return { success: false, notFound: true, error: `Agreement ${agreementId} not found` };
+  }
+  return { success: true, agreement };
+}
+
+/**
+ * Summarise the signature request an agreement is leaving behind, for previous_signature_requests
+ * @param {Object} agreement - Agreement row
+ * @returns {Object} History entry
+ */
+function archiveSignatureRequest(agreement) {
+  return {
+    requestId: agreement.eviasignreference || agreement.signature_request_id || null,
+    status: agreement.status,
+    signatureStatus: agreement.signature_status,
+    sentAt: agreement.signature_sent_at || null,
+    rejectedAt: agreement.rejected_at || null,
+    rejectionReason: agreement.rejection_reason || null,
+    rejectedByEmail: agreement.rejected_by_email || null,
+    rejectedByName: agreement.rejected_by_name || null,
+    signatories: normalizeSignatories(agreement.signatories_status, agreement.eviasignreference),
+    archivedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * List rejected agreements waiting to be re-drafted, most recently rejected first
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of agreements
+ * @returns {Promise<Object>} Result with the agreements
+ */
+export async function listRejectedAgreements({ limit = 50 } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('agreements')
+      .select('id, propertyid, unitid, renteeid, eviasignreference, rejection_reason, rejected_by_email, rejected_by_name, rejected_at, signing_progress')
+      .eq('status', AGREEMENT_STATES.REJECTED)
+      .order('rejected_at', { ascending: false, nullsFirst: false })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, agreements: [] };
+    }
+    return { success: true, agreements: data || [] };
+  } catch (error) {
+    logRedraftActivity(`Exception listing rejected agreements: ${error.message}`, 'error');
+    return { success: false, error: error.message, agreements: [] };
+  }
+}
+
+/**
+ * Move a rejected agreement back to draft so it can be corrected and sent again.
+ * The rejected request (reason, rejecter, signatories) is kept in previous_signature_requests.
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Redraft options
+ * @param {string} options.note - Why it is being re-drafted (kept with the history entry)
+ * @returns {Promise<Object>} { success, agreementId, archived } or { success: false, notFound | refused | error }
+ */
+export async function redraftAgreement(agreementId, { note = null } = {}) {
+  try {
+    const loaded = await loadAgreement(agreementId);
+    if (!loaded.success) {
+      return loaded;
+    }
+    const { agreement } = loaded;
+
+    const transition = evaluateTransition(agreement, { status: AGREEMENT_STATES.DRAFT });
+    if (agreement.status !== AGREEMENT_STATES.REJECTED || !transition.allowed) {
+      return {
+        success: false,
+        refused: true,
+        error: `Only rejected agreements can be re-drafted (agreement is ${agreement.status || 'created'})`
+      };
+    }
+
+    const archived = { ...archiveSignatureRequest(agreement), note };
+    const history = Array.isArray(agreement.previous_signature_requests) ? agreement.previous_signature_requests : [];
+
+    // Same people are expected to sign the new request, but none of them have yet
+    const signatories = normalizeSignatories(agreement.signatories_status).map(entry => ({
+      email: entry.email,
+      name: entry.name,
+      type: entry.type,
+      roleSource: entry.roleSource,
+      userId: entry.userId,
+      order: entry.order,
+      status: SIGNATORY_STATES.PENDING
+    }));
+
+    const updateData = {
+      status: AGREEMENT_STATES.DRAFT,
+      signature_status: null,
+      eviasignreference: null,
+      signature_request_id: null,
+      signature_sent_at: null,
+      last_signature_event_at: null,
+      rejection_reason: null,
+      rejected_by_email: null,
+      rejected_by_name: null,
+      rejected_at: null,
+      previous_signature_requests: [...history, archived],
+      ...signingProgressColumns(signatories),
+      updatedat: new Date().toISOString()
+    };
+
+    const { data: updated, error } = await supabase
+      .from('agreements')
+      .update(updateData)
+      .eq('id', agreementId)
+      .eq('status', AGREEMENT_STATES.REJECTED)
+      .select('id');
+
+    if (error) {
+      logRedraftActivity(`Error re-drafting agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    if (!updated || updated.length === 0) {
+      return { success: false, refused: true, error: `Agreement ${agreementId} changed while it was being re-drafted; try again` };
+    }
+    invalidateAgreement(agreementId);
+
+    await recordAgreementTransition({
+      agreementId,
+      evaluation: { ...transition, toSignatureStatus: null },
+      source: TRANSITION_SOURCES.REDRAFT,
+      requestId: archived.requestId
+    });
+
+    logRedraftActivity(`Agreement ${agreementId} re-drafted; rejected request ${archived.requestId} kept in history`);
+    return { success: true, agreementId, archived };
+  } catch (error) {
+    logRedraftActivity(`Exception re-drafting agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Link the Evia Sign request an agreement was re-sent with. Its webhooks then
+ * move the agreement on from draft as usual, starting with any that arrived before the link.
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Resend options
+ * @param {string} options.requestId - RequestId of the new Evia Sign request
+ * @returns {Promise<Object>} { success, agreementId, requestId, orphansApplied } or { success: false, invalid | notFound | refused | error }
+ */
+export async function linkResentRequest(agreementId, { requestId } = {}) {
+  const { valid, value: uuid } = validateAndNormalizeUUID(typeof requestId === 'string' ? requestId.trim() : requestId);
+  if (!valid) {
+    return { success: false, invalid: true, error: 'requestId must be the UUID of the new Evia Sign request' };
+  }
+
+  try {
+    const loaded = await loadAgreement(agreementId);
+    if (!loaded.success) {
+      return loaded;
+    }
+    const { agreement } = loaded;
+
+    if (agreement.status !== AGREEMENT_STATES.DRAFT) {
+      return {
+        success: false,
+        refused: true,
+        error: `Only re-drafted agreements can be linked to a new request (agreement is ${agreement.status || 'created'})`
+      };
+    }
+
+    const history = Array.isArray(agreement.previous_signature_requests) ? agreement.previous_signature_requests : [];
+    if (history.some(entry => entry.requestId && entry.requestId.toLowerCase() === uuid)) {
+      return { success: false, refused: true, error: `Request ${uuid} was already used by this agreement` };
+    }
+
+    const { error } = await supabase
+      .from('agreements')
+      .update({
+        eviasignreference: uuid,
+        signature_request_id: uuid,
+        updatedat: new Date().toISOString()
+      })
+      .eq('id', agreementId);
+
+    if (error) {
+      logRedraftActivity(`Error linking request ${uuid} to agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    // Webhooks for the new request may already have been looked up and not found
+    invalidateAgreement(agreementId, { requestId: uuid });
+
+    logRedraftActivity(`Agreement ${agreementId} re-sent as request ${uuid}`);
+
+    // The orphan reconciler would pick these up too; applying them now saves the wait
+    const orphans = await applyOrphanEvents(uuid);
+    if (!orphans.success) {
+      logRedraftActivity(`Orphaned events for request ${uuid} not applied yet: ${orphans.error}`, 'warn');
+    }
+    return { success: true, agreementId, requestId: uuid, orphansApplied: orphans.applied || 0 };
+  } catch (error) {
+    logRedraftActivity(`Exception linking request to agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  listRejectedAgreements,
+  redraftAgreement,
+  linkResentRequest
+};
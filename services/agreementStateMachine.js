@@ -0,0 +1,247 @@
+// agreementStateMachine.js - Which agreement status changes are allowed, and the history of each change
+import supabase from './supabaseClient.js';
+
+// Agreement states
+const AGREEMENT_STATES = {
+  CREATED: 'created',                    // Initial state
+  DRAFT: 'draft',                        // Still being edited
+  PENDING_ACTIVATION: 'pending_activation', // During signature process
+  ACTIVE: 'active',                      // All signatures complete, agreement in effect
+  REJECTED: 'rejected',                  // Someone rejected the agreement
+  EXPIRED: 'expired',                    // Agreement reached its end date
+  CANCELLED: 'cancelled'                 // Agreement was manually cancelled
+};
+
+// Signature status mapping
+const SIGNATURE_STATUS = {
+  SEND_FOR_SIGNATURE: 'send_for_signature',
+  SIGNING_IN_PROGRESS: 'in_progress',
+  SIGNED_BY_LANDLORD: 'signed_by_landlord',
+  SIGNED_BY_TENANT: 'signed_by_tenant',
+  SIGNING_COMPLETE: 'signing_complete',
+  REJECTED: 'rejected'
+};
+
+// Allowed agreement status changes (from -> [to]). expired and cancelled are final.
+const AGREEMENT_TRANSITIONS = {
+  [AGREEMENT_STATES.CREATED]: [AGREEMENT_STATES.DRAFT, AGREEMENT_STATES.PENDING_ACTIVATION, AGREEMENT_STATES.CANCELLED],
+  [AGREEMENT_STATES.DRAFT]: [AGREEMENT_STATES.PENDING_ACTIVATION, AGREEMENT_STATES.CANCELLED],
+  [AGREEMENT_STATES.PENDING_ACTIVATION]: [
+    AGREEMENT_STATES.PENDING_ACTIVATION, // another signatory signed
+    AGREEMENT_STATES.ACTIVE,
+    AGREEMENT_STATES.REJECTED,
+    AGREEMENT_STATES.CANCELLED
+  ],
+  [AGREEMENT_STATES.ACTIVE]: [AGREEMENT_STATES.EXPIRED, AGREEMENT_STATES.CANCELLED],
+  [AGREEMENT_STATES.REJECTED]: [AGREEMENT_STATES.DRAFT, AGREEMENT_STATES.PENDING_ACTIVATION, AGREEMENT_STATES.CANCELLED],
+  [AGREEMENT_STATES.EXPIRED]: [],
+  [AGREEMENT_STATES.CANCELLED]: []
+};
+
+// Reasons a transition is refused
+const TRANSITION_REFUSALS = {
+  STALE_EVENT: 'stale_event',                   // An event with a later EventTime has already been applied
+  ILLEGAL_TRANSITION: 'illegal_transition',     // Not in AGREEMENT_TRANSITIONS
+  SIGNATURE_REGRESSION: 'signature_regression'  // Would move signature_status backwards
+};
+
+// Where a transition came from (agreement_state_transitions.source)
+const TRANSITION_SOURCES = {
+  WEBHOOK: 'webhook',
+  REDRAFT: 'redraft',           // Rejected agreement taken back to draft by an operator
+  EXPIRY: 'expiry',             // Active agreement past its end date, expired by the scheduled job
+  CANCELLATION: 'cancellation', // Cancelled through the cancel API
+  CONFLICT_RESOLVED: 'conflict_resolved' // Activation held back by a booking conflict, released by an operator
+};
+
+/**
+ * Log a message related to agreement state changes
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logStateActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[AGREEMENT-STATE] ${prefix} ${message}`);
+};
+
+/**
+ * How far along the signing process a signature_status is.
+ * signed_by_{name} values are written per signatory, so they all rank the same.
+ * @param {string} signatureStatus - The signature_status value
+ * @returns {number} Rank (0 = not started)
+ */
+function signatureRank(signatureStatus) {
+  if (!signatureStatus) {
+    return 0;
+  }
+  if (signatureStatus === SIGNATURE_STATUS.SEND_FOR_SIGNATURE) {
+    return 1;
+  }
+  if (signatureStatus === SIGNATURE_STATUS.SIGNING_IN_PROGRESS || signatureStatus.startsWith('signed_by_')) {
+    return 2;
+  }
+  if (signatureStatus === SIGNATURE_STATUS.SIGNING_COMPLETE || signatureStatus === SIGNATURE_STATUS.REJECTED) {
+    return 3;
+  }
+  return 0;
+}
+
+/**
+ * Decide whether an agreement may move to a new status / signature_status
+ * @param {Object} agreement - Agreement row (status, signature_status, last_signature_event_at)
+ * @param {Object} change - The requested change
+ * @param {string} change.status - New agreement status
+ * @param {string} change.signatureStatus - New signature_status
+ * @param {string} change.eventTime - EventTime of the webhook causing the change
+ * @returns {Object} { allowed, from, to, fromSignatureStatus, toSignatureStatus, reason?, message? }
+ */
+export function evaluateTransition(agreement, { status, signatureStatus, eventTime } = {}) {
+  const from = agreement.status || AGREEMENT_STATES.CREATED;
+  const to = status || from;
+  const fromSignatureStatus = agreement.signature_status || null;
+  const toSignatureStatus = signatureStatus || fromSignatureStatus;
+  const evaluation = { from, to, fromSignatureStatus, toSignatureStatus };
+
+  const lastEventAt = agreement.last_signature_event_at ? Date.parse(agreement.last_signature_event_at) : NaN;
+  const thisEventAt = eventTime ? Date.parse(eventTime) : NaN;
+  if (!Number.isNaN(lastEventAt) && !Number.isNaN(thisEventAt) && thisEventAt < lastEventAt) {
+    return {
+      ...evaluation,
+      allowed: false,
+      reason: TRANSITION_REFUSALS.STALE_EVENT,
+      message: `Event time ${eventTime} is older than the last applied event (${agreement.last_signature_event_at})`
+    };
+  }
+
+  const allowedTargets = AGREEMENT_TRANSITIONS[from];
+  if (!allowedTargets) {
+    // Legacy or hand-edited status we have no rules for; don't block on it
+    logStateActivity(`Agreement ${agreement.id} has unrecognized status "${from}", allowing move to ${to}`, 'warn');
+    return { ...evaluation, allowed: true };
+  }
+
+  if (!allowedTargets.includes(to)) {
+    return {
+      ...evaluation,
+      allowed: false,
+      reason: TRANSITION_REFUSALS.ILLEGAL_TRANSITION,
+      message: `Agreement status cannot change from ${from} to ${to}`
+    };
+  }
+
+  // A rejected agreement only goes back to signing through a fresh request
+  if (from === AGREEMENT_STATES.REJECTED && to === AGREEMENT_STATES.PENDING_ACTIVATION &&
+      toSignatureStatus !== SIGNATURE_STATUS.SEND_FOR_SIGNATURE) {
+    return {
+      ...evaluation,
+      allowed: false,
+      reason: TRANSITION_REFUSALS.ILLEGAL_TRANSITION,
+      message: `A rejected agreement can only return to signing with a new sign request, not ${toSignatureStatus}`
+    };
+  }
+
+  if (from === to && signatureRank(toSignatureStatus) < signatureRank(fromSignatureStatus)) {
+    return {
+      ...evaluation,
+      allowed: false,
+      reason: TRANSITION_REFUSALS.SIGNATURE_REGRESSION,
+      message: `Signature status cannot go back from ${fromSignatureStatus} to ${toSignatureStatus}`
+    };
+  }
+
+  return { ...evaluation, allowed: true };
+}
+
+/**
+ * Record an applied or refused transition in agreement_state_transitions
+ * @param {Object} transition - Transition details
+ * @param {string} transition.agreementId - Agreement ID
+ * @param {Object} transition.evaluation - Result of evaluateTransition
+ * @param {string} transition.source - What caused the change (see TRANSITION_SOURCES)
+ * @param {string} transition.requestId - Evia Sign RequestId, if any
+ * @param {number} transition.eventId - Evia Sign EventId, if any
+ * @param {string} transition.eventTime - EventTime of the webhook, if any
+ * @returns {Promise<Object>} Operation result
+ */
+export async function recordAgreementTransition({ agreementId, evaluation, source = TRANSITION_SOURCES.WEBHOOK, requestId = null, eventId = null, eventTime = null }) {
+  const outcome = evaluation.allowed ? 'applied' : 'refused';
+
+  if (!evaluation.allowed) {
+    logStateActivity(`Refused transition for agreement ${agreementId}: ${evaluation.reason} - ${evaluation.message}`, 'warn');
+  }
+
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase client not initialized' };
+    }
+
+    const { error } = await supabase
+      .from('agreement_state_transitions')
+      .insert([{
+        agreement_id: agreementId,
+        eviasignreference: requestId,
+        event_id: eventId,
+        event_time: eventTime,
+        source,
+        from_status: evaluation.from,
+        to_status: evaluation.to,
+        from_signature_status: evaluation.fromSignatureStatus,
+        to_signature_status: evaluation.toSignatureStatus,
+        outcome,
+        reason: evaluation.allowed ? null : evaluation.reason,
+        message: evaluation.message || null,
+        createdat: new Date().toISOString()
+      }]);
+
+    if (error) {
+      logStateActivity(`Error recording transition for agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logStateActivity(`Exception recording transition for agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the transition history of an agreement, newest first
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of rows
+ * @returns {Promise<Object>} Result with the transitions
+ */
+export async function getAgreementTransitions(agreementId, { limit = 100 } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('agreement_state_transitions')
+      .select('*')
+      .eq('agreement_id', agreementId)
+      .order('createdat', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, transitions: [] };
+    }
+
+    return { success: true, transitions: data || [] };
+  } catch (error) {
+    logStateActivity(`Exception loading transitions for agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message, transitions: [] };
+  }
+}
+
+export {
+  AGREEMENT_STATES,
+  SIGNATURE_STATUS,
+  AGREEMENT_TRANSITIONS,
+  TRANSITION_REFUSALS,
+  TRANSITION_SOURCES
+};
+
+export default {
+  evaluateTransition,
+  recordAgreementTransition,
+  getAgreementTransitions
+};
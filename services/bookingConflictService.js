@@ -0,0 +1,275 @@
+// bookingConflictService.js - Stops (or flags) two agreements letting the same unit for overlapping dates
+//
+// Checked before RequestCompleted activates an agreement. Other active or
+// pending_activation agreements whose startdate-enddate overlaps it on the same unit
+// (or on the whole property, for agreements without a unit) are conflicts. Conflicts are
+// kept in booking_conflicts on both agreements and the property's managers are notified.
+// Flags are a record: they stay after the conflict is resolved.
+// With BOOKING_CONFLICT_MODE=block, a conflict with an active agreement also keeps
+// the new agreement in pending_activation.
+import supabase from './supabaseClient.js';
+import { AGREEMENT_STATES, SIGNATURE_STATUS } from './agreementStateMachine.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+import { findEscalationRecipients } from './signingReminderService.js';
+
+// BOOKING_CONFLICT_MODE values
+const BOOKING_CONFLICT_MODES = {
+  WARN: 'warn',   // Flag and notify, but activate anyway
+  BLOCK: 'block'  // Flag and notify, and don't activate while an active agreement overlaps
+};
+
+// Agreement states that hold a unit for their dates
+const BOOKING_STATES = [AGREEMENT_STATES.ACTIVE, AGREEMENT_STATES.PENDING_ACTIVATION];
+
+// Configuration
+const CONFLICT_MODE = process.env.BOOKING_CONFLICT_MODE === BOOKING_CONFLICT_MODES.BLOCK
+  ? BOOKING_CONFLICT_MODES.BLOCK
+  : BOOKING_CONFLICT_MODES.WARN;
+
+/**
+ * Log a message related to booking conflicts
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logConflictActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[BOOKING-CONFLICT] ${prefix} ${message}`);
+};
+
+/**
+ * Whether two agreements' dates overlap. A missing start or end date is open-ended.
+ * @param {Object} a - Agreement (startdate, enddate)
+ * @param {Object} b - Agreement (startdate, enddate)
+ * @returns {boolean} True if they overlap
+ */
+function datesOverlap(a, b) {
+  const startsBeforeOtherEnds = (x, y) => !x.startdate || !y.enddate || x.startdate <= y.enddate;
+  return startsBeforeOtherEnds(a, b) && startsBeforeOtherEnds(b, a);
+}
+
+/**
+ * Find other active or pending agreements that overlap an agreement on its unit,
+ * or on its property when either agreement lets the whole property (no unitid)
+ * @param {Object} agreement - Agreement row (id, propertyid, unitid, startdate, enddate)
+ * @returns {Promise<Object>} { success, conflicts: [agreement rows] } or { success: false, error }
+ */
+export async function findBookingConflicts(agreement) {
+  if (!agreement.unitid && !agreement.propertyid) {
+    return { success: true, conflicts: [] };
+  }
+
+  try {
+    let query = supabase
+      .from('agreements')
+      .select('id, status, propertyid, unitid, renteeid, startdate, enddate, booking_conflicts')
+      .in('status', BOOKING_STATES)
+      .neq('id', agreement.id);
+
+    query = agreement.unitid && agreement.propertyid
+      ? query.or(`unitid.eq.${agreement.unitid},and(propertyid.eq.${agreement.propertyid},unitid.is.null)`)
+      : agreement.unitid
+        ? query.eq('unitid', agreement.unitid)
+        : query.eq('propertyid', agreement.propertyid);
+
+    const { data, error } = await query;
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    return { success: true, conflicts: (data || []).filter(other => datesOverlap(agreement, other)) };
+  } catch (error) {
+    logConflictActivity(`Exception checking conflicts for agreement ${agreement.id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List active and pending agreements that have been flagged with a booking conflict
+ * @param {Object} options - List options
+ * @param {number} options.limit - Maximum agreements to return
+ * @returns {Promise<Object>} { success, agreements } or { success: false, error }
+ */
+export async function listBookingConflicts({ limit = 50 } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('agreements')
+      .select('id, status, propertyid, unitid, renteeid, startdate, enddate, booking_conflicts, booking_conflict_at')
+      .in('status', BOOKING_STATES)
+      .not('booking_conflict_at', 'is', null)
+      .order('booking_conflict_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, agreements: [] };
+    }
+    return { success: true, agreements: data || [] };
+  } catch (error) {
+    logConflictActivity(`Exception listing booking conflicts: ${error.message}`, 'error');
+    return { success: false, error: error.message, agreements: [] };
+  }
+}
+
+/**
+ * List fully signed agreements whose activation a booking conflict is holding back
+ * @param {Object} options - List options
+ * @param {number} options.limit - Maximum agreements to return
+ * @returns {Promise<Object>} { success, agreements } or { success: false, error }
+ */
+export async function listBlockedAgreements({ limit = 50 } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('agreements')
+      .select('id, status, signature_status, propertyid, unitid, renteeid, startdate, enddate, booking_conflicts, booking_conflict_at')
+      .eq('status', AGREEMENT_STATES.PENDING_ACTIVATION)
+      .eq('signature_status', SIGNATURE_STATUS.SIGNING_COMPLETE)
+      .not('booking_conflict_at', 'is', null)
+      .order('booking_conflict_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, agreements: [] };
+    }
+    return { success: true, agreements: data || [] };
+  } catch (error) {
+    logConflictActivity(`Exception listing blocked agreements: ${error.message}`, 'error');
+    return { success: false, error: error.message, agreements: [] };
+  }
+}
+
+/**
+ * Add conflict entries to an agreement's booking_conflicts, keeping the ones already there
+ * @param {Object} agreement - Agreement row (id, booking_conflicts)
+ * @param {Array<Object>} others - Conflicting agreements to add
+ * @returns {Promise<Object>} { success, added } or { success: false, error }
+ */
+async function flagAgreement(agreement, others) {
+  const existing = Array.isArray(agreement.booking_conflicts) ? agreement.booking_conflicts : [];
+  const added = others
+    .filter(other => !existing.some(entry => entry.agreementId === other.id))
+    .map(other => ({
+      agreementId: other.id,
+      status: other.status,
+      unitId: other.unitid || null,
+      startdate: other.startdate || null,
+      enddate: other.enddate || null,
+      detectedAt: new Date().toISOString()
+    }));
+
+  if (added.length === 0) {
+    return { success: true, added };
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('agreements')
+    .update({ booking_conflicts: [...existing, ...added], booking_conflict_at: now, updatedat: now })
+    .eq('id', agreement.id);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  invalidateAgreement(agreement.id);
+  return { success: true, added };
+}
+
+/**
+ * Tell the property's managers (or the admins) about a new conflict
+ * @param {Object} agreement - The agreement being activated
+ * @param {Array<Object>} conflicts - Conflicting agreements
+ * @param {boolean} blocked - Whether activation was blocked
+ * @returns {Promise<Object>} { success, notified } or { success: false, error }
+ */
+async function notifyManagers(agreement, conflicts, blocked) {
+  const found = await findEscalationRecipients(agreement);
+  if (!found.success) {
+    return { success: false, error: found.error };
+  }
+  if (found.recipients.length === 0) {
+    return { success: true, notified: 0 };
+  }
+
+  const timestamp = new Date().toISOString();
+  const message = `Agreement ${agreement.id} overlaps ${conflicts.map(other => `${other.id} (${other.status})`).join(', ')} ` +
+    `on ${agreement.unitid ? `unit ${agreement.unitid}` : `property ${agreement.propertyid}`}. ` +
+    (blocked ? 'It was fully signed but has not been activated.' : 'It has been activated anyway.');
+
+  const { error } = await supabase
+    .from('notifications')
+    .insert(found.recipients.map(user => ({
+      user_id: user.id,
+      message,
+      is_read: false,
+      createdat: timestamp,
+      updatedat: timestamp
+    })));
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  return { success: true, notified: found.recipients.length };
+}
+
+/**
+ * Check an agreement that is about to be activated for double bookings. Conflicts are
+ * flagged on both agreements and managers are notified the first time they are seen.
+ * @param {Object} agreement - Agreement row (id, propertyid, unitid, startdate, enddate, booking_conflicts)
+ * @param {Object} options - Check options
+ * @param {boolean} options.dryRun - Report conflicts without flagging or notifying
+ * @returns {Promise<Object>} { success, mode, blocked, conflicts: [{ agreementId, status }] } or { success: false, error }
+ */
+export async function checkBookingConflicts(agreement, { dryRun = false } = {}) {
+  const found = await findBookingConflicts(agreement);
+  if (!found.success) {
+    logConflictActivity(`Error checking conflicts for agreement ${agreement.id}: ${found.error}`, 'error');
+    return { success: false, error: found.error };
+  }
+
+  const conflicts = found.conflicts;
+  const blocked = CONFLICT_MODE === BOOKING_CONFLICT_MODES.BLOCK &&
+    conflicts.some(other => other.status === AGREEMENT_STATES.ACTIVE);
+  const summary = {
+    success: true,
+    mode: CONFLICT_MODE,
+    blocked,
+    conflicts: conflicts.map(other => ({ agreementId: other.id, status: other.status, startdate: other.startdate, enddate: other.enddate }))
+  };
+
+  if (conflicts.length === 0 || dryRun) {
+    return summary;
+  }
+
+  logConflictActivity(`Agreement ${agreement.id} overlaps ${conflicts.map(other => other.id).join(', ')}${blocked ? '; activation blocked' : ''}`, 'warn');
+
+  const flagged = await flagAgreement(agreement, conflicts);
+  if (!flagged.success) {
+    logConflictActivity(`Error flagging agreement ${agreement.id}: ${flagged.error}`, 'error');
+    return { success: false, error: flagged.error };
+  }
+  for (const other of conflicts) {
+    const otherFlagged = await flagAgreement(other, [{ ...agreement, status: agreement.status || AGREEMENT_STATES.PENDING_ACTIVATION }]);
+    if (!otherFlagged.success) {
+      logConflictActivity(`Error flagging agreement ${other.id}: ${otherFlagged.error}`, 'error');
+      return { success: false, error: otherFlagged.error };
+    }
+  }
+
+  // Only conflicts not flagged before are news to the managers, so retries don't repeat the notification
+  const newConflicts = conflicts.filter(other => flagged.added.some(entry => entry.agreementId === other.id));
+  if (newConflicts.length > 0) {
+    const notified = await notifyManagers(agreement, newConflicts, blocked);
+    if (!notified.success) {
+      // The flags are what matters; a lost notification is logged, not retried
+      logConflictActivity(`Error notifying managers about agreement ${agreement.id}: ${notified.error}`, 'error');
+    }
+  }
+
+  return summary;
+}
+
+export { BOOKING_CONFLICT_MODES };
+
+export default {
+  findBookingConflicts,
+  listBookingConflicts,
+  listBlockedAgreements,
+  checkBookingConflicts
+};
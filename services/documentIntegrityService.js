@@ -0,0 +1,423 @@
+// documentIntegrityService.js - Re-hashes stored signed documents against the SHA-256 recorded when they arrived
+//
+// Each agreement_documents row has the SHA-256 of the bytes Evia Sign delivered. The
+// scheduled check downloads the Supabase copy and reads the local copy, hashes both, and
+// records the outcome on the row. A copy that is missing or no longer matches is logged
+// and the admins are notified, once per change of outcome. Rows recorded before hashes
+// were kept get theirs from the delivered payload in webhook_events.raw_data, never from
+// the stored copies, which are what is being checked.
+import fs from 'fs';
+import supabase from './supabaseClient.js';
+import { hashDocument, localDocumentPath, decodeDocumentContent, STORAGE_BUCKET } from './documentStorageService.js';
+import { findEscalationRecipients } from './signingReminderService.js';
+
+// agreement_documents.integrity_status values
+const INTEGRITY_STATUS = {
+  OK: 'ok',             // Both copies match the recorded hash
+  MISMATCH: 'mismatch', // A copy's hash differs from the recorded hash
+  MISSING: 'missing',   // A copy is gone
+  ERROR: 'error',       // The check itself failed (e.g. storage unreachable); retried with backoff
+  UNVERIFIED: 'unverified' // No hash was recorded and the delivered payload is gone, so there is nothing to compare with
+};
+
+// Per-copy outcomes, most serious first
+const COPY_OUTCOMES = [INTEGRITY_STATUS.MISMATCH, INTEGRITY_STATUS.MISSING, INTEGRITY_STATUS.ERROR, INTEGRITY_STATUS.UNVERIFIED, INTEGRITY_STATUS.OK];
+
+// Columns verifyDocument reads
+const DOCUMENT_COLUMNS = 'id, agreement_id, event_key, document_name, position, storage_path, sha256, integrity_status, integrity_attempts';
+
+// Configuration
+const INTEGRITY_INTERVAL = (Number(process.env.DOCUMENT_INTEGRITY_INTERVAL_MINUTES) || 60) * 60 * 1000; // 1 hour
+const RECHECK_AFTER_MS = (Number(process.env.DOCUMENT_INTEGRITY_RECHECK_DAYS) || 7) * 24 * 60 * 60 * 1000; // 7 days
+const CHECK_LOCAL_COPIES = process.env.DOCUMENT_INTEGRITY_CHECK_LOCAL !== 'false';
+const INTEGRITY_BATCH_SIZE = 25;
+const ERROR_RETRY_BASE_MS = 60 * 60 * 1000; // 1 hour, doubled per failed check up to RECHECK_AFTER_MS
+
+// Job state
+let running = false;
+let integrityTimer = null;
+let lastRun = null;
+
+/**
+ * Log a message related to document integrity
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logIntegrityActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[DOC-INTEGRITY] ${prefix} ${message}`);
+};
+
+/**
+ * Hash the Supabase storage copy of a document
+ * @param {string} storagePath - Path in the bucket
+ * @returns {Promise<Object>} { sha256 } or { missing: true } or { error }
+ */
+async function hashStorageCopy(storagePath) {
+  try {
+    const { data, error } = await supabase.storage.from(STORAGE_BUCKET).download(storagePath);
+    if (error) {
+      const notFound = String(error.statusCode) === '404' || error.status === 404 || /not found/i.test(error.message);
+      return notFound ? { missing: true } : { error: error.message };
+    }
+    return { sha256: hashDocument(Buffer.from(await data.arrayBuffer())) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Hash the local copy of a document
+ * @param {string} storagePath - Path in the bucket, mirrored under data/documents
+ * @returns {Object} { sha256 } or { missing: true } or { error }
+ */
+function hashLocalCopy(storagePath) {
+  const localPath = localDocumentPath(storagePath);
+  try {
+    if (!fs.existsSync(localPath)) {
+      return { missing: true };
+    }
+    return { sha256: hashDocument(fs.readFileSync(localPath)) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Hash a document as Evia Sign delivered it, from the stored webhook payload of the
+ * event it came with. Used for rows recorded before hashes were kept.
+ * @param {Object} document - agreement_documents row (event_key, document_name, position)
+ * @returns {Promise<Object>} { sha256 } or { unavailable: reason } or { error }
+ */
+async function hashDeliveredDocument(document) {
+  if (!document.event_key) {
+    return { unavailable: 'no event recorded for the document' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('raw_data')
+      .eq('dedupe_key', document.event_key)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      return { error: `Delivered payload not loaded: ${error.message}` };
+    }
+
+    const payload = typeof data?.raw_data === 'string' ? JSON.parse(data.raw_data) : data?.raw_data;
+    const documents = Array.isArray(payload?.Documents) ? payload.Documents : [];
+    // Position is the index in Documents; the name guards against a payload edited since
+    const atPosition = documents[document.position || 0];
+    const delivered = atPosition && (atPosition.DocumentName || null) === document.document_name
+      ? atPosition
+      : documents.find(candidate => candidate?.DocumentName === document.document_name);
+    const content = delivered ? decodeDocumentContent(delivered.DocumentContent) : null;
+    if (!content) {
+      return { unavailable: 'the delivered payload is not stored' };
+    }
+    return { sha256: hashDocument(content) };
+  } catch (error) {
+    return { unavailable: `the delivered payload can't be read (${error.message})` };
+  }
+}
+
+/**
+ * Compare a copy's hash with the recorded one
+ * @param {Object} copy - Result of hashStorageCopy or hashLocalCopy
+ * @param {string|null} expected - Recorded SHA-256, or null if there is none
+ * @returns {Object} { status, sha256, error }
+ */
+function copyOutcome(copy, expected) {
+  if (copy.error) {
+    return { status: INTEGRITY_STATUS.ERROR, error: copy.error };
+  }
+  if (copy.missing) {
+    return { status: INTEGRITY_STATUS.MISSING };
+  }
+  if (!expected) {
+    return { status: INTEGRITY_STATUS.UNVERIFIED, sha256: copy.sha256 };
+  }
+  return { status: copy.sha256 === expected ? INTEGRITY_STATUS.OK : INTEGRITY_STATUS.MISMATCH, sha256: copy.sha256 };
+}
+
+/**
+ * Delay before checking a document again after its check failed
+ * @param {number} attempts - Consecutive failed checks, including this one
+ * @returns {number} Delay in milliseconds
+ */
+function getErrorRetryDelay(attempts) {
+  return Math.min(ERROR_RETRY_BASE_MS * 2 ** (attempts - 1), RECHECK_AFTER_MS);
+}
+
+/**
+ * Tell the admins about a document whose copies no longer match
+ * @param {Object} document - agreement_documents row
+ * @param {string} problem - What is wrong
+ * @returns {Promise<Object>} { success, notified } or { success: false, error }
+ */
+async function notifyAdmins(document, problem) {
+  // Storage problems are for the admins, not the property's managers
+  const found = await findEscalationRecipients({});
+  if (!found.success) {
+    return { success: false, error: found.error };
+  }
+  if (found.recipients.length === 0) {
+    return { success: true, notified: 0 };
+  }
+
+  const timestamp = new Date().toISOString();
+  const { error } = await supabase
+    .from('notifications')
+    .insert(found.recipients.map(user => ({
+      user_id: user.id,
+      agreement_id: document.agreement_id,
+      message: `Signed document "${document.document_name}" of agreement ${document.agreement_id} failed its integrity check: ${problem}`,
+      is_read: false,
+      createdat: timestamp,
+      updatedat: timestamp
+    })));
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  return { success: true, notified: found.recipients.length };
+}
+
+/**
+ * Re-hash the stored copies of one document and record the outcome. Documents recorded
+ * before hashes were kept take the hash of the delivered payload as their reference, and
+ * are unverified when that payload is no longer stored.
+ * @param {Object} document - agreement_documents row (see DOCUMENT_COLUMNS)
+ * @param {Object} options - Check options
+ * @param {boolean} options.dryRun - Report the outcome without recording it or notifying anyone
+ * @returns {Promise<Object>} { success, documentId, status, storage, local, alerted, nextCheckAt } or { success: false, documentId, error }
+ */
+export async function verifyDocument(document, { dryRun = false } = {}) {
+  const delivered = document.sha256 ? null : await hashDeliveredDocument(document);
+  const expected = document.sha256 || delivered?.sha256 || null;
+  const adopted = !document.sha256 && Boolean(expected);
+
+  const storageCopy = await hashStorageCopy(document.storage_path);
+  const localCopy = CHECK_LOCAL_COPIES ? hashLocalCopy(document.storage_path) : null;
+  const storage = copyOutcome(storageCopy, expected);
+  const local = localCopy ? copyOutcome(localCopy, expected) : null;
+  // Failing to load the delivered payload is a failed check, retried like a storage error
+  const reference = delivered?.error ? { status: INTEGRITY_STATUS.ERROR, error: delivered.error } : null;
+  const outcomes = [storage, local, reference].filter(Boolean);
+  const status = COPY_OUTCOMES.find(outcome => outcomes.some(copy => copy.status === outcome));
+
+  const problems = [];
+  if (reference) {
+    problems.push(reference.error);
+  } else if (delivered?.unavailable) {
+    problems.push(`no recorded hash, and ${delivered.unavailable}`);
+  }
+  if (storage.status !== INTEGRITY_STATUS.OK && storage.status !== INTEGRITY_STATUS.UNVERIFIED) {
+    problems.push(`storage copy ${storage.status}${storage.error ? ` (${storage.error})` : ''}`);
+  }
+  if (local && local.status !== INTEGRITY_STATUS.OK && local.status !== INTEGRITY_STATUS.UNVERIFIED) {
+    problems.push(`local copy ${local.status}${local.error ? ` (${local.error})` : ''}`);
+  }
+  const summary = {
+    success: true,
+    documentId: document.id,
+    agreementId: document.agreement_id,
+    storagePath: document.storage_path,
+    expectedSha256: expected,
+    status,
+    storage,
+    local,
+    ...(adopted ? { adoptedSha256: true } : {}),
+    alerted: false
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  if (problems.length > 0) {
+    logIntegrityActivity(`Document ${document.id} (${document.storage_path}): ${problems.join('; ')}`, [INTEGRITY_STATUS.ERROR, INTEGRITY_STATUS.UNVERIFIED].includes(status) ? 'warn' : 'error');
+  }
+
+  // A check that couldn't finish backs off, so a document that keeps failing doesn't hold up the rest
+  const now = Date.now();
+  const attempts = status === INTEGRITY_STATUS.ERROR ? (document.integrity_attempts || 0) + 1 : 0;
+  const nextCheckAt = new Date(now + (attempts > 0 ? getErrorRetryDelay(attempts) : RECHECK_AFTER_MS)).toISOString();
+  summary.nextCheckAt = nextCheckAt;
+
+  try {
+    const { error } = await supabase
+      .from('agreement_documents')
+      .update({
+        ...(adopted ? { sha256: expected } : {}),
+        integrity_status: status,
+        ...(attempts > 0 ? {} : { integrity_checked_at: new Date(now).toISOString() }),
+        integrity_attempts: attempts,
+        integrity_next_check_at: nextCheckAt,
+        integrity_error: problems.length > 0 ? problems.join('; ') : null
+      })
+      .eq('id', document.id);
+
+    if (error) {
+      logIntegrityActivity(`Error recording integrity check of document ${document.id}: ${error.message}`, 'error');
+      return { success: false, documentId: document.id, error: error.message };
+    }
+  } catch (error) {
+    logIntegrityActivity(`Exception recording integrity check of document ${document.id}: ${error.message}`, 'error');
+    return { success: false, documentId: document.id, error: error.message };
+  }
+
+  // A failed check is not news about the document; a mismatch or missing copy is, the first time it's seen
+  const alarming = status === INTEGRITY_STATUS.MISMATCH || status === INTEGRITY_STATUS.MISSING;
+  if (alarming && document.integrity_status !== status) {
+    const notified = await notifyAdmins(document, problems.join('; '));
+    if (notified.success) {
+      summary.alerted = true;
+    } else {
+      // The status on the row is the record; a lost notification is logged, not retried
+      logIntegrityActivity(`Error notifying admins about document ${document.id}: ${notified.error}`, 'error');
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Verify every stored document of one agreement now
+ * @param {string} agreementId - Agreement ID
+ * @param {Object} options - Check options
+ * @param {boolean} options.dryRun - Report the outcomes without recording them or notifying anyone
+ * @returns {Promise<Object>} { success, agreementId, checked, ok, problems, results } or { success: false, error }
+ */
+export async function verifyAgreementDocuments(agreementId, { dryRun = false } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('agreement_documents')
+      .select(DOCUMENT_COLUMNS)
+      .eq('agreement_id', agreementId)
+      .order('createdat', { ascending: true })
+      .order('position', { ascending: true });
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+
+    const results = [];
+    for (const document of data || []) {
+      results.push(await verifyDocument(document, { dryRun }));
+    }
+    return {
+      success: results.every(result => result.success),
+      agreementId,
+      dryRun,
+      checked: results.length,
+      ok: results.filter(result => result.status === INTEGRITY_STATUS.OK).length,
+      problems: results.filter(result => result.success && result.status !== INTEGRITY_STATUS.OK).length,
+      results
+    };
+  } catch (error) {
+    logIntegrityActivity(`Exception verifying documents of agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Verify the documents that were never checked or are due again: DOCUMENT_INTEGRITY_RECHECK_DAYS
+ * after a finished check, or after a backoff when the check itself failed
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Report the outcomes without recording them or notifying anyone
+ * @param {number} options.limit - Maximum number of documents to check in this run
+ * @returns {Promise<Object>} { success, dryRun, checked, ok, problems, failed, results }
+ */
+export async function runDocumentIntegrityCheck({ dryRun = false, limit = INTEGRITY_BATCH_SIZE } = {}) {
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+  if (running && !dryRun) {
+    return { success: false, busy: true, error: 'An integrity check is already in progress' };
+  }
+
+  if (!dryRun) {
+    running = true;
+  }
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('agreement_documents')
+      .select(DOCUMENT_COLUMNS)
+      .or(`integrity_next_check_at.is.null,integrity_next_check_at.lte.${now}`)
+      .order('integrity_next_check_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) {
+      logIntegrityActivity(`Error loading documents to check: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    const results = [];
+    for (const document of data || []) {
+      results.push(await verifyDocument(document, { dryRun }));
+    }
+
+    const summary = {
+      success: true,
+      dryRun,
+      checked: results.length,
+      ok: results.filter(result => result.status === INTEGRITY_STATUS.OK).length,
+      problems: results.filter(result => result.success && result.status !== INTEGRITY_STATUS.OK).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+
+    if (!dryRun) {
+      lastRun = { at: new Date().toISOString(), checked: summary.checked, ok: summary.ok, problems: summary.problems, failed: summary.failed };
+      if (summary.checked > 0) {
+        logIntegrityActivity(`Integrity check: ${summary.ok} of ${summary.checked} document(s) ok${summary.problems ? `, ${summary.problems} with problems` : ''}${summary.failed ? `, ${summary.failed} failed` : ''}`);
+      }
+    }
+    return summary;
+  } catch (error) {
+    logIntegrityActivity(`Exception in integrity check: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  } finally {
+    if (!dryRun) {
+      running = false;
+    }
+  }
+}
+
+/**
+ * Run the integrity check now and then on a schedule
+ */
+export function startDocumentIntegrityJob() {
+  const run = () => {
+    runDocumentIntegrityCheck().catch(error => logIntegrityActivity(`Error in integrity check: ${error.message}`, 'error'));
+  };
+
+  run();
+
+  if (!integrityTimer) {
+    integrityTimer = setInterval(run, INTEGRITY_INTERVAL);
+    integrityTimer.unref();
+  }
+}
+
+/**
+ * Get the outcome of the last scheduled or manual run, for the admin page
+ * @returns {Object|null} { at, checked, ok, problems, failed }, or null before the first run
+ */
+export function getLastIntegrityRun() {
+  return lastRun;
+}
+
+export { INTEGRITY_STATUS };
+
+export default {
+  verifyDocument,
+  verifyAgreementDocuments,
+  runDocumentIntegrityCheck,
+  startDocumentIntegrityJob,
+  getLastIntegrityRun
+};
@@ -1,14 +1,29 @@
 // documentStorageService.js - Handles document storage operations
+//
+// This is the only place signed documents are stored. Every document in a RequestCompleted
+// is kept once, under its original DocumentName, at agreements/<agreementId>/<requestId>/
+// in the 'files' bucket (and the same path under data/documents locally), and recorded in
+// agreement_documents. Paths don't change between attempts, so a retried or replayed
+// event overwrites the same files and rows instead of adding copies. Each document's
+// SHA-256 is recorded with it: an identical document isn't uploaded again, and
+// documentIntegrityService re-hashes the stored copies against it. Each document is
+// also checked by pdfValidationService, and what it found is recorded with the document.
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import supabase from './supabaseClient.js';
+import supabase, { buildDedupeKey } from './supabaseClient.js';
+import { validatePdf, PDF_PROBLEMS, MAX_DOCUMENT_BYTES } from './pdfValidationService.js';
+import { findEscalationRecipients } from './signingReminderService.js';
 
 // Set up file paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DOCS_DIR = path.join(__dirname, '..', 'data', 'documents');
 
+// Supabase storage bucket for agreement documents
+const STORAGE_BUCKET = 'files';
+
 // Ensure documents directory exists
 if (!fs.existsSync(DOCS_DIR)) {
   fs.mkdirSync(DOCS_DIR, { recursive: true });
@@ -25,242 +40,404 @@ const logDocumentActivity = (message, level = 'info') => {
 };
 
 /**
- * Save a document to both local storage and Supabase
+ * SHA-256 of a document's bytes
+ * @param {Buffer} content - Document bytes
+ * @returns {string} Hex digest
+ */
+export function hashDocument(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Where the local copy of a stored document is kept
+ * @param {string} storagePath - Path in the bucket
+ * @returns {string} Path under data/documents
+ */
+export function localDocumentPath(storagePath) {
+  return path.join(DOCS_DIR, ...storagePath.split('/'));
+}
+
+/**
+ * Decode document content from a webhook
+ * @param {string|Buffer} content - Base64 content, optionally a data: URL, or a Buffer
+ * @returns {Buffer|null} The document bytes, or null if there are none
+ */
+export function decodeDocumentContent(content) {
+  if (Buffer.isBuffer(content)) {
+    return content.length > 0 ? content : null;
+  }
+  if (typeof content !== 'string' || content.length === 0) {
+    return null;
+  }
+  const base64Content = content.includes('base64,') ? content.split('base64,')[1] : content;
+  const buffer = Buffer.from(base64Content, 'base64');
+  return buffer.length > 0 ? buffer : null;
+}
+
+/**
+ * Turn a DocumentName into a file name that is safe as a storage path segment.
+ * Names used earlier in the same event get a numeric suffix.
+ * @param {string} documentName - DocumentName from the webhook
+ * @param {number} index - Position of the document in Documents
+ * @param {Set<string>} used - File names already taken in this event (updated)
+ * @returns {string} File name
+ */
+function documentFileName(documentName, index, used) {
+  const base = path.basename(String(documentName || '').trim())
+    .replace(/[^\w.\-() ]+/g, '_')
+    .replace(/^\.+/, '');
+  let fileName = base || `document_${index + 1}.pdf`;
+  if (!path.extname(fileName)) {
+    fileName = `${fileName}.pdf`;
+  }
+
+  const ext = path.extname(fileName);
+  const stem = fileName.slice(0, -ext.length);
+  for (let n = 2; used.has(fileName.toLowerCase()); n++) {
+    fileName = `${stem}_${n}${ext}`;
+  }
+  used.add(fileName.toLowerCase());
+  return fileName;
+}
+
+/**
+ * Save one document locally and to Supabase storage. A copy whose SHA-256 already matches
+ * is not written again.
  * @param {Object} options - The options for saving the document
- * @param {string} options.content - Document content (base64 encoded)
- * @param {string} options.webhookEventId - The ID of the related webhook event
- * @param {string} options.agreementId - The ID of the related agreement (if available)
- * @param {string} options.documentName - The name of the document
- * @returns {Promise<Object>} The result of the save operation
+ * @param {Buffer} options.content - Document bytes
+ * @param {string} options.storagePath - Path in the bucket, also used under data/documents
+ * @param {string} options.storedSha256 - SHA-256 recorded for what is already at storagePath, if any
+ * @param {string} options.contentType - Content type to store it with
+ * @returns {Promise<Object>} { success, storagePath, publicUrl, localPath, sha256, deduplicated } or { success: false, error }
  */
-export async function saveDocument({ content, webhookEventId, agreementId, documentName = 'signed_document.pdf' }) {
+export async function saveDocument({ content, storagePath, storedSha256 = null, contentType = 'application/pdf' }) {
+  const sha256 = hashDocument(content);
+  const deduplicated = storedSha256 === sha256;
+
+  let localPath = localDocumentPath(storagePath);
   try {
-    logDocumentActivity(`Processing document for webhook event ${webhookEventId}`);
-    
-    // Track operation outcomes
-    const result = {
-      success: false,
-      localPath: null,
-      supabasePath: null,
-      publicUrl: null,
-      agreementUpdated: false,
-      errors: []
-    };
-    
-    // 1. Prepare document content
-    let documentBuffer;
-    try {
-      // Handle different base64 formats
-      let base64Content = content;
-      if (typeof content === 'string') {
-        if (content.includes('base64,')) {
-          base64Content = content.split('base64,')[1];
-        }
-        documentBuffer = Buffer.from(base64Content, 'base64');
-      } else if (Buffer.isBuffer(content)) {
-        documentBuffer = content;
-      } else {
-        throw new Error('Document content is in an unsupported format');
-      }
-    } catch (error) {
-      logDocumentActivity(`Error processing document content: ${error.message}`, 'error');
-      result.errors.push(`Content processing: ${error.message}`);
-      return result;
-    }
-    
-    // 2. Save document locally first
-    try {
-      // Create unique filename and path
-      const timestamp = new Date().toISOString().replace(/[:.-]/g, '_');
-      
-      // Use agreement folder structure if available, otherwise use webhook ID
-      let localFilename, localFolderPath;
-      if (agreementId) {
-        localFolderPath = path.join(DOCS_DIR, 'agreements', agreementId);
-        localFilename = `signed_agreement_${timestamp}.pdf`;
-      } else {
-        localFolderPath = path.join(DOCS_DIR, 'webhooks', webhookEventId);
-        localFilename = `document_${timestamp}.pdf`;
-      }
-      
-      // Create folder if it doesn't exist
-      if (!fs.existsSync(localFolderPath)) {
-        fs.mkdirSync(localFolderPath, { recursive: true });
-      }
-      
-      const localPath = path.join(localFolderPath, localFilename);
-      
-      // Write to disk
-      fs.writeFileSync(localPath, documentBuffer);
+    if (deduplicated && fs.existsSync(localPath) && hashDocument(fs.readFileSync(localPath)) === sha256) {
+      logDocumentActivity(`Identical document already saved locally at: ${localPath}`);
+    } else {
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      fs.writeFileSync(localPath, content);
       logDocumentActivity(`Document saved locally to: ${localPath}`);
-      
-      // Update result
-      result.localPath = localPath;
-      result.localSuccess = true;
-    } catch (error) {
-      logDocumentActivity(`Error saving document locally: ${error.message}`, 'error');
-      result.errors.push(`Local save: ${error.message}`);
-      // Continue to Supabase upload even if local save fails
     }
-    
-    // 3. Upload to Supabase storage
-    try {
-      // Create filename
-      const timestamp = new Date().toISOString().replace(/[:.-]/g, '_');
-      const filename = documentName ? 
-        `${path.basename(documentName, path.extname(documentName))}_${timestamp}.pdf` : 
-        `document_${timestamp}.pdf`;
-      
-      // Create storage path - use agreements folder structure for consistency
-      let storagePath;
-      if (agreementId) {
-        // Use the agreements folder structure, which is your standard convention
-        storagePath = `agreements/${agreementId}/${filename}`;
-      } else {
-        // Fallback to webhook folder if no agreement ID is available
-        storagePath = `webhooks/${webhookEventId}/${filename}`;
-      }
-      
+  } catch (error) {
+    // The storage copy is the one that matters; carry on without the local one
+    logDocumentActivity(`Error saving document locally: ${error.message}`, 'warn');
+    localPath = null;
+  }
+
+  try {
+    if (deduplicated) {
+      // A retry or replay delivered the same bytes; the integrity job checks the stored copy
+      logDocumentActivity(`Identical document already uploaded to Supabase: ${storagePath}`);
+    } else {
       logDocumentActivity(`Uploading to Supabase storage: ${storagePath}`);
-      
-      // Perform the upload
-      const { data, error } = await supabase.storage
-        .from('files') // Use 'files' bucket to match your existing implementation
-        .upload(storagePath, documentBuffer, {
-          contentType: 'application/pdf',
+      const { error } = await supabase.storage
+        .from(STORAGE_BUCKET)
+        .upload(storagePath, content, {
+          contentType,
           upsert: true
         });
-      
+
       if (error) {
-        throw new Error(`Supabase upload error: ${error.message}`);
+        return { success: false, error: `Supabase upload error: ${error.message}` };
       }
-      
-      // Get the public URL
-      const { data: urlData } = supabase.storage
-        .from('files')
-        .getPublicUrl(storagePath);
-      
-      if (!urlData || !urlData.publicUrl) {
-        throw new Error('Failed to get public URL from Supabase');
-      }
-      
-      // Update result
-      result.supabasePath = storagePath;
-      result.publicUrl = urlData.publicUrl;
+    }
+
+    const { data: urlData } = supabase.storage
+      .from(STORAGE_BUCKET)
+      .getPublicUrl(storagePath);
+
+    if (!urlData || !urlData.publicUrl) {
+      return { success: false, error: 'Failed to get public URL from Supabase' };
+    }
+
+    if (!deduplicated) {
       logDocumentActivity(`Document uploaded to Supabase: ${urlData.publicUrl}`);
-      
-      // 4. Update webhook_events record with document info
-      try {
-        const { error: updateError } = await supabase
-          .from('webhook_events')
-          .update({
-            document_url: urlData.publicUrl,
-            document_path: storagePath,
-            updatedat: new Date().toISOString()
-          })
-          .eq('id', webhookEventId);
-        
-        if (updateError) {
-          logDocumentActivity(`Error updating webhook event with document URL: ${updateError.message}`, 'warn');
-          result.errors.push(`Webhook update: ${updateError.message}`);
-        } else {
-          logDocumentActivity(`Updated webhook_events record ${webhookEventId} with document URL`);
-        }
-      } catch (webhookUpdateError) {
-        logDocumentActivity(`Exception updating webhook record: ${webhookUpdateError.message}`, 'error');
-        result.errors.push(`Webhook update exception: ${webhookUpdateError.message}`);
-      }
-      
-      // 5. Update agreement if agreementId is provided
-      if (agreementId) {
-        try {
-          const { error: agreementError } = await supabase
-            .from('agreements')
-            .update({
-              signed_document_url: urlData.publicUrl,
-              pdfurl: urlData.publicUrl,
-              signatureurl: urlData.publicUrl,
-              updatedat: new Date().toISOString()
-            })
-            .eq('id', agreementId);
-          
-          if (agreementError) {
-            logDocumentActivity(`Error updating agreement with document URL: ${agreementError.message}`, 'warn');
-            result.errors.push(`Agreement update: ${agreementError.message}`);
-          } else {
-            logDocumentActivity(`Updated agreement ${agreementId} with document URL`);
-            result.agreementUpdated = true;
-          }
-        } catch (agreementUpdateError) {
-          logDocumentActivity(`Exception updating agreement: ${agreementUpdateError.message}`, 'error');
-          result.errors.push(`Agreement update exception: ${agreementUpdateError.message}`);
-        }
-      }
-      
-      // Mark operation as successful if we have a public URL
-      result.success = true;
-    } catch (storageError) {
-      logDocumentActivity(`Error in Supabase storage operations: ${storageError.message}`, 'error');
-      result.errors.push(`Supabase storage: ${storageError.message}`);
     }
-    
-    return result;
+    return { success: true, storagePath, publicUrl: urlData.publicUrl, localPath, sha256, deduplicated };
   } catch (error) {
-    logDocumentActivity(`Unexpected error in saveDocument: ${error.message}`, 'error');
-    return {
-      success: false,
-      errors: [`Fatal error: ${error.message}`]
-    };
+    logDocumentActivity(`Exception uploading ${storagePath}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
   }
 }
 
 /**
- * Find agreement ID associated with a webhook event
- * @param {string} webhookEventId - The webhook event ID
- * @returns {Promise<string|null>} The agreement ID if found, null otherwise
+ * Store every document of a RequestCompleted event and record them in agreement_documents.
+ * Documents without content or over DOCUMENT_MAX_SIZE_MB are skipped; documents that aren't
+ * valid signed PDFs are stored anyway, as evidence, and reported in problems. The first
+ * document must be signed; addenda and certificates need not be. Any other failure fails
+ * the whole call so the event is retried, which overwrites whatever was stored the first time.
+ * @param {Object} agreement - The agreement the documents belong to
+ * @param {Object} webhookData - The webhook payload (RequestId, Documents)
+ * @returns {Promise<Object>} { success, documents: [{ name, fileName, url, storagePath, sizeBytes, sha256, deduplicated,
+ *   valid, problems, pageCount, producer, signatureCount }], skipped: [{ name, reason }], problems: [{ name, position, problems }], updates }
+ *   where updates are the agreement URL columns, or { success: false, error }
  */
-export async function findAgreementForWebhookEvent(webhookEventId) {
+export async function storeAgreementDocuments(agreement, webhookData) {
+  const documents = Array.isArray(webhookData.Documents) ? webhookData.Documents : [];
+  if (documents.length === 0) {
+    logDocumentActivity(`No documents attached to RequestCompleted for agreement ${agreement.id}`);
+    return { success: true, documents: [], skipped: [], problems: [], updates: {} };
+  }
+
+  const requestId = webhookData.RequestId;
+  const eventKey = buildDedupeKey(webhookData);
+  const folder = `agreements/${agreement.id}/${requestId}`;
+  const used = new Set();
+  const stored = [];
+  const skipped = [];
+  const problems = [];
+
+  // What an earlier attempt stored for this request, so identical documents aren't uploaded again
+  let storedRows;
   try {
-    // First get the webhook event to find the eviasignreference
-    const { data: webhookEvent, error: webhookError } = await supabase
-      .from('webhook_events')
-      .select('eviasignreference')
-      .eq('id', webhookEventId)
-      .single();
-    
-    if (webhookError || !webhookEvent) {
-      logDocumentActivity(`Error finding webhook event ${webhookEventId}: ${webhookError?.message || 'Not found'}`, 'warn');
-      return null;
+    const { data: existing, error } = await supabase
+      .from('agreement_documents')
+      .select('storage_path, sha256, integrity_status, integrity_checked_at, integrity_error, integrity_attempts, integrity_next_check_at')
+      .eq('agreement_id', agreement.id)
+      .eq('request_id', requestId);
+    if (error) {
+      logDocumentActivity(`Error loading stored documents for agreement ${agreement.id}: ${error.message}`, 'error');
+      return { success: false, error: `Stored documents not loaded: ${error.message}` };
     }
-    
-    const eviasignReference = webhookEvent.eviasignreference;
-    if (!eviasignReference) {
-      logDocumentActivity(`Webhook event ${webhookEventId} has no eviasignreference`, 'warn');
-      return null;
+    storedRows = new Map((existing || []).map(row => [row.storage_path, row]));
+  } catch (error) {
+    logDocumentActivity(`Exception loading stored documents for agreement ${agreement.id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+
+  for (let i = 0; i < documents.length; i++) {
+    const document = documents[i];
+    const name = document.DocumentName || null;
+    const fileName = documentFileName(name, i, used);
+    logDocumentActivity(`Processing document ${i + 1} of ${documents.length} for agreement ${agreement.id}: ${name || fileName}`);
+
+    const content = decodeDocumentContent(document.DocumentContent);
+    if (!content) {
+      // Retrying the event won't give it content
+      logDocumentActivity(`Document ${name || fileName} has no content; skipped`, 'warn');
+      skipped.push({ name: name || fileName, reason: 'No document content' });
+      problems.push({ name: name || fileName, position: i, problems: [PDF_PROBLEMS.NOT_PDF] });
+      continue;
+    }
+
+    const validation = await validatePdf(content, { name: name || fileName, requireSignature: i === 0 });
+    if (!validation.valid) {
+      problems.push({ name: name || fileName, position: i, problems: validation.problems });
+    }
+    if (validation.problems.includes(PDF_PROBLEMS.TOO_LARGE)) {
+      logDocumentActivity(`Document ${name || fileName} is ${content.length} bytes, over the ${MAX_DOCUMENT_BYTES} byte limit; skipped`, 'warn');
+      skipped.push({ name: name || fileName, reason: `Larger than ${MAX_DOCUMENT_BYTES} bytes` });
+      continue;
+    }
+
+    const storagePath = `${folder}/${fileName}`;
+    const previous = storedRows.get(storagePath) || null;
+    const saved = await saveDocument({
+      content,
+      storagePath,
+      storedSha256: previous?.sha256 || null,
+      contentType: validation.isPdf ? 'application/pdf' : 'application/octet-stream'
+    });
+    if (!saved.success) {
+      logDocumentActivity(`Error storing ${fileName} for agreement ${agreement.id}: ${saved.error}`, 'error');
+      return { success: false, error: `Document ${fileName} not stored: ${saved.error}` };
+    }
+    stored.push({
+      name: name || fileName,
+      fileName,
+      position: i,
+      url: saved.publicUrl,
+      storagePath: saved.storagePath,
+      localPath: saved.localPath,
+      sizeBytes: content.length,
+      sha256: saved.sha256,
+      deduplicated: saved.deduplicated,
+      // A new upload hasn't been checked yet; an identical one keeps its last result
+      integrity: saved.deduplicated ? previous : null,
+      validation
+    });
+  }
+
+  if (stored.length > 0) {
+    try {
+      const timestamp = new Date().toISOString();
+      const { error } = await supabase
+        .from('agreement_documents')
+        .upsert(stored.map(document => ({
+          agreement_id: agreement.id,
+          request_id: requestId,
+          event_key: eventKey,
+          document_name: document.name,
+          file_name: document.fileName,
+          position: document.position,
+          storage_path: document.storagePath,
+          public_url: document.url,
+          size_bytes: document.sizeBytes,
+          sha256: document.sha256,
+          integrity_status: document.integrity?.integrity_status || null,
+          integrity_checked_at: document.integrity?.integrity_checked_at || null,
+          integrity_error: document.integrity?.integrity_error || null,
+          integrity_attempts: document.integrity?.integrity_attempts || 0,
+          integrity_next_check_at: document.integrity?.integrity_next_check_at || null,
+          pdf_version: document.validation.details.pdfVersion,
+          page_count: document.validation.details.pageCount,
+          producer: document.validation.details.producer,
+          signature_count: document.validation.details.signatureCount,
+          validation_problems: document.validation.problems,
+          validated_at: timestamp,
+          createdat: timestamp,
+          updatedat: timestamp
+        })), { onConflict: 'storage_path' });
+
+      if (error) {
+        logDocumentActivity(`Error recording documents for agreement ${agreement.id}: ${error.message}`, 'error');
+        return { success: false, error: `Documents not recorded: ${error.message}` };
+      }
+    } catch (error) {
+      logDocumentActivity(`Exception recording documents for agreement ${agreement.id}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    logDocumentActivity(`Stored ${stored.length} document(s) for agreement ${agreement.id} under ${folder}`);
+  }
+
+  // The first document is the agreement itself; addenda and certificates follow it
+  const primary = stored.find(document => document.position === 0) || stored[0];
+  const updates = primary
+    ? { signed_document_url: primary.url, pdfurl: primary.url, signatureurl: primary.url }
+    : {};
+
+  if (problems.length > 0) {
+    logDocumentActivity(`Agreement ${agreement.id} has document problems: ${problems.map(entry => `${entry.name} (${entry.problems.join(', ')})`).join('; ')}`, 'warn');
+  }
+
+  return {
+    success: true,
+    documents: stored.map(({ localPath, position, integrity, validation, ...document }) => ({
+      ...document,
+      valid: validation.valid,
+      problems: validation.problems,
+      pageCount: validation.details.pageCount,
+      producer: validation.details.producer,
+      signatureCount: validation.details.signatureCount
+    })),
+    skipped,
+    problems,
+    updates
+  };
+}
+
+/**
+ * Tell the property's managers (or the admins) that a signed agreement's documents have problems.
+ * Keyed on the event, so a retried or replayed event doesn't notify twice.
+ * @param {Object} agreement - The agreement the documents belong to
+ * @param {Object} options - What was found
+ * @param {Array<Object>} options.problems - Problems from storeAgreementDocuments
+ * @param {Object} options.webhookData - The RequestCompleted payload
+ * @returns {Promise<Object>} { success, notified } or { success: false, error }
+ */
+export async function notifyDocumentProblems(agreement, { problems, webhookData }) {
+  try {
+    const found = await findEscalationRecipients(agreement);
+    if (!found.success) {
+      return { success: false, error: found.error };
     }
-    
-    // Then find the agreement using the eviasignreference
-    const { data: agreement, error: agreementError } = await supabase
+    if (found.recipients.length === 0) {
+      return { success: true, notified: 0 };
+    }
+
+    const timestamp = new Date().toISOString();
+    const eventKey = `${buildDedupeKey(webhookData)}:document_problems`;
+    const message = `Signed documents for agreement ${agreement.id} need checking: ` +
+      problems.map(entry => `${entry.name} (${entry.problems.join(', ')})`).join('; ');
+
+    const { error } = await supabase
+      .from('notifications')
+      .upsert(found.recipients.map(user => ({
+        user_id: user.id,
+        agreement_id: agreement.id,
+        event_type: 'document_problems',
+        event_key: eventKey,
+        message,
+        is_read: false,
+        createdat: timestamp,
+        updatedat: timestamp
+      })), { onConflict: 'user_id,event_key', ignoreDuplicates: true });
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    return { success: true, notified: found.recipients.length };
+  } catch (error) {
+    logDocumentActivity(`Exception notifying about documents of agreement ${agreement.id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List agreements whose signed documents were flagged as corrupt, not PDFs, too large or unsigned
+ * @param {Object} options - List options
+ * @param {number} options.limit - Maximum agreements to return
+ * @returns {Promise<Object>} { success, agreements } or { success: false, error }
+ */
+export async function listDocumentProblems({ limit = 50 } = {}) {
+  try {
+    const { data, error } = await supabase
       .from('agreements')
-      .select('id')
-      .eq('eviasignreference', eviasignReference)
-      .single();
-    
-    if (agreementError || !agreement) {
-      logDocumentActivity(`No agreement found for eviasignreference ${eviasignReference}`, 'warn');
-      return null;
+      .select('id, status, propertyid, unitid, renteeid, signed_document_url, document_problems, document_problems_at')
+      .not('document_problems_at', 'is', null)
+      .order('document_problems_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, agreements: [] };
     }
-    
-    logDocumentActivity(`Found agreement ${agreement.id} for webhook event ${webhookEventId}`);
-    return agreement.id;
+    return { success: true, agreements: data || [] };
   } catch (error) {
-    logDocumentActivity(`Error finding agreement for webhook event: ${error.message}`, 'error');
-    return null;
+    logDocumentActivity(`Exception listing document problems: ${error.message}`, 'error');
+    return { success: false, error: error.message, agreements: [] };
+  }
+}
+
+/**
+ * List the documents stored for an agreement, in the order Evia Sign sent them
+ * @param {string} agreementId - Agreement ID
+ * @returns {Promise<Object>} { success, documents } or { success: false, error }
+ */
+export async function listAgreementDocuments(agreementId) {
+  try {
+    const { data, error } = await supabase
+      .from('agreement_documents')
+      .select('id, request_id, document_name, file_name, position, storage_path, public_url, size_bytes, sha256, ' +
+        'integrity_status, integrity_checked_at, integrity_error, pdf_version, page_count, producer, signature_count, ' +
+        'validation_problems, validated_at, createdat, updatedat')
+      .eq('agreement_id', agreementId)
+      .order('createdat', { ascending: true })
+      .order('position', { ascending: true });
+
+    if (error) {
+      return { success: false, error: error.message, documents: [] };
+    }
+    return { success: true, documents: data || [] };
+  } catch (error) {
+    logDocumentActivity(`Exception listing documents for agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message, documents: [] };
   }
 }
 
-// Export other utility functions
+export { STORAGE_BUCKET };
+
 export default {
+  hashDocument,
+  localDocumentPath,
+  decodeDocumentContent,
   saveDocument,
-  findAgreementForWebhookEvent
-}; 
\ No newline at end of file
+  storeAgreementDocuments,
+  notifyDocumentProblems,
+  listDocumentProblems,
+  listAgreementDocuments
+};
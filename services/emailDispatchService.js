@@ -0,0 +1,494 @@
+// emailDispatchService.js - Sends the email letters recorded in sent_letters over SMTP
+//
+// Letters are rendered from letter_templates (by type and language) with agreement,
+// property and rentee placeholders, and recorded in sent_letters with channel "email"
+// and status "pending" before anything is sent. A dispatcher then delivers pending
+// letters, including the signing reminders, and tracks each one's delivery status.
+// Transient SMTP errors (4xx replies, dropped connections, timeouts) are retried with
+// backoff; permanent ones (5xx replies, bad addresses) fail the letter straight away.
+import nodemailer from 'nodemailer';
+import supabase from './supabaseClient.js';
+import { renderTemplate } from './signingReminderService.js';
+
+// sent_letters.status values for email letters
+const LETTER_STATUS = {
+  PENDING: 'pending',   // Recorded, not sent yet
+  SENDING: 'sending',   // Claimed by a dispatcher run
+  SENT: 'sent',         // Accepted by the SMTP server
+  RETRYING: 'retrying', // Transient failure, sent again at next_attempt_at
+  FAILED: 'failed'      // Permanent failure, or out of attempts
+};
+
+const EMAIL_CHANNEL = 'email';
+
+// nodemailer error codes that sending again won't fix
+const PERMANENT_ERROR_CODES = ['EENVELOPE', 'EMESSAGE'];
+
+// Configuration
+const SMTP_HOST = process.env.SMTP_HOST || null;
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER || null;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || null;
+const SMTP_TIMEOUT = Number(process.env.SMTP_TIMEOUT_MS) || 15000;
+const EMAIL_FROM = process.env.EMAIL_FROM || SMTP_USER;
+const EMAIL_LANGUAGE = process.env.EMAIL_LANGUAGE || 'en';
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const DISPATCH_INTERVAL = (Number(process.env.EMAIL_DISPATCH_INTERVAL_MINUTES) || 5) * 60 * 1000; // 5 minutes
+const SEND_WINDOW_HOURS = Number(process.env.EMAIL_SEND_WINDOW_HOURS) || 72;
+const RETRY_BASE_MS = 60 * 1000; // 1 minute
+const RETRY_MAX_MS = 60 * 60 * 1000; // 1 hour
+const SEND_LEASE_MS = 10 * 60 * 1000; // A claimed letter is picked up again after this, if the run died
+const DISPATCH_BATCH_SIZE = 50;
+const DISPATCH_DEBOUNCE_MS = 2000;
+
+// Dispatcher state
+let transporter = null;
+let running = false;
+let dispatchTimer = null;
+let wakeTimer = null;
+let lastRun = null;
+
+/**
+ * Log a message related to email dispatch
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logEmailActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[EMAIL-DISPATCH] ${prefix} ${message}`);
+};
+
+/**
+ * Whether SMTP_HOST and a sender address are set
+ * @returns {boolean} True if letters can be sent
+ */
+export function isEmailConfigured() {
+  return Boolean(SMTP_HOST && EMAIL_FROM);
+}
+
+/**
+ * The SMTP transport, created on first use
+ * @returns {Object} nodemailer transport
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined,
+      connectionTimeout: SMTP_TIMEOUT,
+      greetingTimeout: SMTP_TIMEOUT,
+      socketTimeout: SMTP_TIMEOUT
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Whether an SMTP error is worth sending again: 4xx replies and connection problems are,
+ * 5xx replies and rejected envelopes or messages are not
+ * @param {Error} error - Error from sendMail
+ * @returns {boolean} True if the letter should be retried
+ */
+function isTransientSmtpError(error) {
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return !PERMANENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Delay before the next attempt: RETRY_BASE_MS doubled per failed attempt, capped at RETRY_MAX_MS
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Load a letter template of a type, preferring a language
+ * @param {string} type - letter_templates.type
+ * @param {string} language - Preferred letter_templates.language
+ * @returns {Promise<Object>} { success, template } (template is null if there is none) or { success: false, error }
+ */
+export async function loadLetterTemplate(type, language = EMAIL_LANGUAGE) {
+  const { data, error } = await supabase
+    .from('letter_templates')
+    .select('id, type, subject, content, language, version')
+    .eq('type', type)
+    .order('updatedat', { ascending: false });
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  const templates = data || [];
+  return { success: true, template: templates.find(candidate => candidate.language === language) || templates[0] || null };
+}
+
+/**
+ * Placeholder values for an agreement's letters
+ * @param {Object} agreement - Agreement row (id, propertyid, unitid, renteeid, startdate, enddate, eviasignreference)
+ * @returns {Promise<Object>} { agreementId, requestId, propertyName, propertyAddress, unitNumber, renteeName, renteeEmail, startDate, endDate }
+ */
+export async function loadLetterValues(agreement) {
+  const values = {
+    agreementId: agreement.id,
+    requestId: agreement.eviasignreference || null,
+    propertyName: null,
+    propertyAddress: null,
+    unitNumber: null,
+    renteeName: null,
+    renteeEmail: null,
+    startDate: agreement.startdate ? String(agreement.startdate).substring(0, 10) : null,
+    endDate: agreement.enddate ? String(agreement.enddate).substring(0, 10) : null
+  };
+
+  if (agreement.propertyid) {
+    const { data } = await supabase.from('properties').select('name, address').eq('id', agreement.propertyid).maybeSingle();
+    values.propertyName = data?.name || null;
+    values.propertyAddress = data?.address || null;
+  }
+  if (agreement.unitid) {
+    const { data } = await supabase.from('property_units').select('unitnumber').eq('id', agreement.unitid).maybeSingle();
+    values.unitNumber = data?.unitnumber || null;
+  }
+  if (agreement.renteeid) {
+    const { data } = await supabase.from('app_users').select('name, email').eq('id', agreement.renteeid).maybeSingle();
+    values.renteeName = data?.name || null;
+    values.renteeEmail = data?.email || null;
+  }
+  return values;
+}
+
+/**
+ * Render a letter template for each recipient and record the letters as pending.
+ * With an eventKey, a recipient gets one letter of the type per event, however often it is queued.
+ * @param {Object} letter - What to send
+ * @param {string} letter.type - letter_templates.type, also stored as sent_letters.letter_type
+ * @param {Object} letter.agreement - Agreement row the letter is about
+ * @param {Array<Object>} letter.recipients - [{ email, name }]
+ * @param {Object} letter.values - Extra placeholder values, on top of loadLetterValues
+ * @param {string} letter.eventKey - Dedupe key of the event that caused the letter
+ * @returns {Promise<Object>} { success, queued, template } or { success: false, error }
+ */
+export async function queueTemplatedEmails({ type, agreement, recipients, values = {}, eventKey = null }) {
+  const addressed = (recipients || []).filter(recipient => recipient.email);
+  if (addressed.length === 0) {
+    return { success: true, queued: 0 };
+  }
+
+  try {
+    const loaded = await loadLetterTemplate(type);
+    if (!loaded.success) {
+      logEmailActivity(`Error loading ${type} template: ${loaded.error}`, 'error');
+      return { success: false, error: loaded.error };
+    }
+    if (!loaded.template) {
+      // No template means no emails of this type, which is how a type is switched off
+      return { success: true, queued: 0, template: null };
+    }
+
+    const template = loaded.template;
+    // Missing values render as blanks rather than leaving {{placeholders}} in the email
+    const letterValues = Object.fromEntries(Object.entries({ ...(await loadLetterValues(agreement)), ...values })
+      .map(([key, value]) => [key, value ?? '']));
+    const timestamp = new Date().toISOString();
+    const rows = addressed.map(recipient => {
+      const recipientValues = { ...letterValues, recipientName: recipient.name || recipient.email };
+      return {
+        templateid: template.id,
+        renteeid: agreement.renteeid || null,
+        propertyid: agreement.propertyid || null,
+        agreement_id: agreement.id,
+        letter_type: type,
+        recipient_email: recipient.email,
+        recipient_name: recipient.name || null,
+        subject: renderTemplate(template.subject, recipientValues),
+        content: renderTemplate(template.content, recipientValues),
+        channel: EMAIL_CHANNEL,
+        status: LETTER_STATUS.PENDING,
+        attempts: 0,
+        event_key: eventKey,
+        createdat: timestamp,
+        updatedat: timestamp
+      };
+    });
+
+    const { data, error } = eventKey
+      ? await supabase
+        .from('sent_letters')
+        .upsert(rows, { onConflict: 'letter_type,event_key,recipient_email', ignoreDuplicates: true })
+        .select('id')
+      : await supabase.from('sent_letters').insert(rows).select('id');
+
+    if (error) {
+      logEmailActivity(`Error recording ${type} letters for agreement ${agreement.id}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    const queued = (data || []).length;
+    if (queued > 0) {
+      logEmailActivity(`Queued ${queued} ${type} letter(s) for agreement ${agreement.id}`);
+      scheduleEmailDispatch();
+    }
+    return { success: true, queued, template: { id: template.id, language: template.language } };
+  } catch (error) {
+    logEmailActivity(`Exception queueing ${type} letters for agreement ${agreement.id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List recent email letters, newest first
+ * @param {Object} options - List options
+ * @param {string} options.status - Only letters with this status (see LETTER_STATUS)
+ * @param {number} options.limit - Maximum letters to return
+ * @returns {Promise<Object>} { success, letters } or { success: false, invalid | error }
+ */
+export async function listEmailLetters({ status = null, limit = 50 } = {}) {
+  if (status && !Object.values(LETTER_STATUS).includes(status)) {
+    return { success: false, invalid: true, error: `status must be one of ${Object.values(LETTER_STATUS).join(', ')}`, letters: [] };
+  }
+
+  try {
+    let query = supabase
+      .from('sent_letters')
+      .select('id, agreement_id, letter_type, recipient_email, recipient_name, subject, status, attempts, last_error, next_attempt_at, delivered_at, createdat')
+      .eq('channel', EMAIL_CHANNEL)
+      .order('createdat', { ascending: false })
+      .limit(limit);
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return { success: false, error: error.message, letters: [] };
+    }
+    return { success: true, letters: data || [] };
+  } catch (error) {
+    logEmailActivity(`Exception listing letters: ${error.message}`, 'error');
+    return { success: false, error: error.message, letters: [] };
+  }
+}
+
+/**
+ * Send one letter and record the outcome. The letter is claimed first (matching its
+ * updatedat), so a letter picked up by two runs is only sent once.
+ * @param {Object} letter - sent_letters row (id, status, attempts, updatedat, recipient_email, recipient_name, subject, content)
+ * @returns {Promise<Object>} { success, letterId, status, attempts, error? } or { success: false, skipped: true } if another run has it
+ */
+async function deliverLetter(letter) {
+  const claimedAt = new Date();
+  const { data: claimed, error: claimError } = await supabase
+    .from('sent_letters')
+    .update({
+      status: LETTER_STATUS.SENDING,
+      next_attempt_at: new Date(claimedAt.getTime() + SEND_LEASE_MS).toISOString(),
+      updatedat: claimedAt.toISOString()
+    })
+    .eq('id', letter.id)
+    .eq('updatedat', letter.updatedat)
+    .select('id');
+
+  if (claimError) {
+    return { success: false, letterId: letter.id, error: claimError.message };
+  }
+  if (!claimed || claimed.length === 0) {
+    return { success: false, letterId: letter.id, skipped: true };
+  }
+
+  const attempts = (letter.attempts || 0) + 1;
+  let outcome;
+  try {
+    const info = await getTransporter().sendMail({
+      from: EMAIL_FROM,
+      to: letter.recipient_name ? { name: letter.recipient_name, address: letter.recipient_email } : letter.recipient_email,
+      subject: letter.subject || '',
+      text: letter.content || ''
+    });
+    const deliveredAt = new Date().toISOString();
+    outcome = {
+      status: LETTER_STATUS.SENT,
+      attempts,
+      last_error: null,
+      next_attempt_at: null,
+      delivered_at: deliveredAt,
+      sentdate: deliveredAt, // Only set once the letter has really gone out
+      message_id: info.messageId || null
+    };
+  } catch (error) {
+    const message = error.responseCode ? `${error.responseCode} ${error.response || error.message}` : `${error.code || 'ERROR'} ${error.message}`;
+    const retry = isTransientSmtpError(error) && attempts < MAX_ATTEMPTS;
+    outcome = {
+      status: retry ? LETTER_STATUS.RETRYING : LETTER_STATUS.FAILED,
+      attempts,
+      last_error: message.substring(0, 1000),
+      next_attempt_at: retry ? new Date(Date.now() + getRetryDelay(attempts)).toISOString() : null
+    };
+    logEmailActivity(`Letter ${letter.id} to ${letter.recipient_email} failed (attempt ${attempts}/${MAX_ATTEMPTS})${retry ? `, retrying at ${outcome.next_attempt_at}` : ''}: ${message}`, retry ? 'warn' : 'error');
+  }
+
+  const { error: updateError } = await supabase
+    .from('sent_letters')
+    .update({ ...outcome, updatedat: new Date().toISOString() })
+    .eq('id', letter.id);
+
+  if (updateError) {
+    // The lease runs out and the letter is picked up again; a sent letter may then go out twice
+    logEmailActivity(`Error recording outcome of letter ${letter.id}: ${updateError.message}`, 'error');
+    return { success: false, letterId: letter.id, error: updateError.message };
+  }
+  return {
+    success: outcome.status === LETTER_STATUS.SENT,
+    letterId: letter.id,
+    status: outcome.status,
+    attempts,
+    ...(outcome.last_error ? { error: outcome.last_error } : {})
+  };
+}
+
+/**
+ * Send the pending letters, retries that are due, and letters a failed run left claimed.
+ * Letters recorded more than EMAIL_SEND_WINDOW_HOURS ago are left alone.
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - List the letters that are due without sending them
+ * @returns {Promise<Object>} { success, dryRun, configured, checked, sent, retrying, failed, results }
+ */
+export async function runEmailDispatch({ dryRun = false } = {}) {
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+  if (!isEmailConfigured() && !dryRun) {
+    return { success: true, configured: false, checked: 0, sent: 0, retrying: 0, failed: 0, results: [] };
+  }
+  if (running && !dryRun) {
+    return { success: false, busy: true, error: 'An email dispatch run is already in progress' };
+  }
+
+  if (!dryRun) {
+    running = true;
+  }
+  try {
+    const now = new Date();
+    const { data: letters, error } = await supabase
+      .from('sent_letters')
+      .select('id, status, attempts, updatedat, agreement_id, letter_type, recipient_email, recipient_name, subject, content')
+      .eq('channel', EMAIL_CHANNEL)
+      .in('status', [LETTER_STATUS.PENDING, LETTER_STATUS.RETRYING, LETTER_STATUS.SENDING])
+      .or(`next_attempt_at.is.null,next_attempt_at.lte.${now.toISOString()}`)
+      .gte('createdat', new Date(now.getTime() - SEND_WINDOW_HOURS * 60 * 60 * 1000).toISOString())
+      .order('createdat', { ascending: true })
+      .limit(DISPATCH_BATCH_SIZE);
+
+    if (error) {
+      logEmailActivity(`Error loading letters to send: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        configured: isEmailConfigured(),
+        checked: (letters || []).length,
+        results: (letters || []).map(letter => ({
+          letterId: letter.id,
+          status: letter.status,
+          attempts: letter.attempts || 0,
+          letterType: letter.letter_type,
+          agreementId: letter.agreement_id,
+          recipient: letter.recipient_email,
+          subject: letter.subject
+        }))
+      };
+    }
+
+    const results = [];
+    for (const letter of letters || []) {
+      results.push(await deliverLetter(letter));
+    }
+
+    const summary = {
+      success: true,
+      dryRun: false,
+      configured: true,
+      checked: results.length,
+      sent: results.filter(result => result.status === LETTER_STATUS.SENT).length,
+      retrying: results.filter(result => result.status === LETTER_STATUS.RETRYING).length,
+      failed: results.filter(result => result.status === LETTER_STATUS.FAILED || (!result.status && !result.skipped)).length,
+      results
+    };
+
+    lastRun = { at: new Date().toISOString(), checked: summary.checked, sent: summary.sent, retrying: summary.retrying, failed: summary.failed };
+    if (summary.checked > 0) {
+      logEmailActivity(`Email run: ${summary.sent} sent, ${summary.retrying} to retry, ${summary.failed} failed`);
+    }
+    return summary;
+  } finally {
+    if (!dryRun) {
+      running = false;
+    }
+  }
+}
+
+/**
+ * Run the dispatcher shortly, so newly queued letters don't wait for the next interval.
+ * Letters queued together are sent in one run.
+ */
+export function scheduleEmailDispatch() {
+  if (!isEmailConfigured() || wakeTimer) {
+    return;
+  }
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    runEmailDispatch().catch(error => logEmailActivity(`Error in email run: ${error.message}`, 'error'));
+  }, DISPATCH_DEBOUNCE_MS);
+  wakeTimer.unref();
+}
+
+/**
+ * Run the dispatcher now and then on a schedule
+ */
+export function startEmailDispatchJob() {
+  if (!isEmailConfigured()) {
+    logEmailActivity('SMTP_HOST or EMAIL_FROM not set; letters are recorded in sent_letters but not sent', 'warn');
+    return;
+  }
+
+  const run = () => {
+    runEmailDispatch().catch(error => logEmailActivity(`Error in email run: ${error.message}`, 'error'));
+  };
+
+  run();
+
+  if (!dispatchTimer) {
+    dispatchTimer = setInterval(run, DISPATCH_INTERVAL);
+    dispatchTimer.unref();
+  }
+}
+
+/**
+ * Get the outcome of the last scheduled or manual run, for the admin page
+ * @returns {Object|null} { at, checked, sent, retrying, failed }, or null before the first run
+ */
+export function getLastEmailRun() {
+  return lastRun;
+}
+
+export { LETTER_STATUS, EMAIL_CHANNEL };
+
+export default {
+  isEmailConfigured,
+  loadLetterTemplate,
+  loadLetterValues,
+  queueTemplatedEmails,
+  listEmailLetters,
+  runEmailDispatch,
+  scheduleEmailDispatch,
+  startEmailDispatchJob,
+  getLastEmailRun
+};
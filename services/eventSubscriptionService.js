@@ -0,0 +1,708 @@
+// eventSubscriptionService.js - Fans out normalized agreement events to subscribed services
+//
+// Other KH Rentals services register a URL in event_subscriptions for the event types they
+// want (agreement.signed, agreement.rejected, signatory.completed, document.stored). Each
+// processed webhook that matches becomes one event_deliveries row per subscription, which
+// is POSTed as JSON, signed with the subscription's secret, and retried with backoff until
+// the subscriber answers 2xx. The delivery rows are the delivery history.
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import supabase, { buildDedupeKey } from './supabaseClient.js';
+import { EVENT_HANDLERS } from './eventTypeRegistry.js';
+
+// Normalized event types subscribers can ask for
+const OUTBOUND_EVENT_TYPES = {
+  AGREEMENT_SIGNED: 'agreement.signed',
+  AGREEMENT_REJECTED: 'agreement.rejected',
+  SIGNATORY_COMPLETED: 'signatory.completed',
+  DOCUMENT_STORED: 'document.stored'
+};
+
+// event_deliveries.status values
+const DELIVERY_STATUS = {
+  PENDING: 'pending',       // Not tried yet
+  DELIVERING: 'delivering', // Claimed by a delivery run
+  DELIVERED: 'delivered',   // The subscriber answered 2xx
+  RETRYING: 'retrying',     // Failed, tried again at next_attempt_at
+  FAILED: 'failed'          // Refused by the subscriber, out of attempts, or the subscription is disabled
+};
+
+// Headers sent with every delivery
+const HEADERS = {
+  EVENT: 'X-KH-Event',
+  EVENT_ID: 'X-KH-Event-Id',
+  DELIVERY_ID: 'X-KH-Delivery-Id',
+  TIMESTAMP: 'X-KH-Timestamp',
+  SIGNATURE: 'X-KH-Signature'
+};
+
+// HTTP statuses worth trying again, besides 5xx
+const RETRYABLE_HTTP_STATUSES = [408, 409, 425, 429];
+
+// Configuration
+const DELIVERY_TIMEOUT = Number(process.env.OUTBOUND_TIMEOUT_MS) || 10 * 1000; // 10 seconds
+const MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS) || 8;
+const DISPATCH_INTERVAL = (Number(process.env.OUTBOUND_DISPATCH_INTERVAL_MINUTES) || 1) * 60 * 1000; // 1 minute
+const RETRY_BASE_MS = 60 * 1000; // 1 minute
+const RETRY_MAX_MS = 60 * 60 * 1000; // 1 hour
+const DELIVERY_LEASE_MS = 5 * 60 * 1000; // A claimed delivery is picked up again after this, if the run died
+const DISPATCH_BATCH_SIZE = 50;
+const DISPATCH_DEBOUNCE_MS = 1000;
+
+// Dispatcher state
+let running = false;
+let dispatchTimer = null;
+let wakeTimer = null;
+let lastRun = null;
+
+/**
+ * Log a message related to outbound event subscriptions
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logSubscriptionActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[EVENT-SUBSCRIPTIONS] ${prefix} ${message}`);
+};
+
+/**
+ * Delay before the next attempt: RETRY_BASE_MS doubled per failed attempt, capped at RETRY_MAX_MS
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Sign a delivery body for a subscriber: HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix time in seconds, also sent in X-KH-Timestamp
+ * @param {string} body - The exact JSON body sent
+ * @returns {string} Header value, "sha256=<hex>"
+ */
+export function signDelivery(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a subscription's fields
+ * @param {Object} fields - { name, url, eventTypes }; only the fields given are checked
+ * @returns {Array<string>} Problems, empty if the fields are valid
+ */
+function validateSubscription({ name, url, eventTypes }) {
+  const errors = [];
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    errors.push('name must be a non-empty string');
+  }
+  if (url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push('url must be an http or https URL');
+    }
+  }
+  if (eventTypes !== undefined) {
+    const known = Object.values(OUTBOUND_EVENT_TYPES);
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      errors.push(`eventTypes must list one or more of ${known.join(', ')}`);
+    } else {
+      const unknown = eventTypes.filter(type => !known.includes(type));
+      if (unknown.length > 0) {
+        errors.push(`Unknown event types: ${unknown.join(', ')} (expected ${known.join(', ')})`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * A subscription as shown to admins: the secret is never returned after it was created or rotated
+ * @param {Object} row - event_subscriptions row
+ * @returns {Object} Subscription without its secret
+ */
+function publicSubscription(row) {
+  const { secret, ...rest } = row;
+  return { ...rest, secretHint: secret ? `${secret.substring(0, 6)}…` : null };
+}
+
+/**
+ * List all subscriptions, newest first
+ * @returns {Promise<Object>} { success, subscriptions } or { success: false, error }
+ */
+export async function listSubscriptions() {
+  try {
+    const { data, error } = await supabase
+      .from('event_subscriptions')
+      .select('id, name, url, event_types, active, secret, createdat, updatedat')
+      .order('createdat', { ascending: false });
+
+    if (error) {
+      return { success: false, error: error.message, subscriptions: [] };
+    }
+    return { success: true, subscriptions: (data || []).map(publicSubscription) };
+  } catch (error) {
+    logSubscriptionActivity(`Exception listing subscriptions: ${error.message}`, 'error');
+    return { success: false, error: error.message, subscriptions: [] };
+  }
+}
+
+/**
+ * Register a subscriber URL for some event types. A secret is generated for signing its deliveries.
+ * @param {Object} subscription - { name, url, eventTypes }
+ * @returns {Promise<Object>} { success, subscription, secret } or { success: false, invalid | error }
+ */
+export async function createSubscription({ name, url, eventTypes } = {}) {
+  const errors = validateSubscription({ name: name ?? '', url: url ?? '', eventTypes: eventTypes ?? [] });
+  if (errors.length > 0) {
+    return { success: false, invalid: true, error: errors.join('; ') };
+  }
+
+  try {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const timestamp = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('event_subscriptions')
+      .insert([{
+        name: name.trim(),
+        url,
+        event_types: [...new Set(eventTypes)],
+        secret,
+        active: true,
+        createdat: timestamp,
+        updatedat: timestamp
+      }])
+      .select('id, name, url, event_types, active, secret, createdat, updatedat')
+      .single();
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    logSubscriptionActivity(`Subscription ${data.id} (${data.name}) created for ${data.event_types.join(', ')} at ${data.url}`);
+    return { success: true, subscription: publicSubscription(data), secret };
+  } catch (error) {
+    logSubscriptionActivity(`Exception creating subscription: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Change a subscription: rename it, move its URL, change its event types, enable or
+ * disable it, or rotate its secret
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} changes - { name, url, eventTypes, active, rotateSecret }
+ * @returns {Promise<Object>} { success, subscription, secret? } or { success: false, invalid | notFound | error }
+ */
+export async function updateSubscription(subscriptionId, { name, url, eventTypes, active, rotateSecret = false } = {}) {
+  const errors = validateSubscription({ name, url, eventTypes });
+  if (active !== undefined && typeof active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+  if (errors.length > 0) {
+    return { success: false, invalid: true, error: errors.join('; ') };
+  }
+
+  const updates = { updatedat: new Date().toISOString() };
+  if (name !== undefined) {
+    updates.name = name.trim();
+  }
+  if (url !== undefined) {
+    updates.url = url;
+  }
+  if (eventTypes !== undefined) {
+    updates.event_types = [...new Set(eventTypes)];
+  }
+  if (active !== undefined) {
+    updates.active = active;
+  }
+  const secret = rotateSecret ? crypto.randomBytes(32).toString('hex') : null;
+  if (secret) {
+    updates.secret = secret;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('event_subscriptions')
+      .update(updates)
+      .eq('id', subscriptionId)
+      .select('id, name, url, event_types, active, secret, createdat, updatedat');
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    if (!data || data.length === 0) {
+      return { success: false, notFound: true, error: `Subscription ${subscriptionId} not found` };
+    }
+    logSubscriptionActivity(`Subscription ${subscriptionId} updated: ${Object.keys(updates).filter(key => key !== 'updatedat').join(', ')}`);
+    return { success: true, subscription: publicSubscription(data[0]), ...(secret ? { secret } : {}) };
+  } catch (error) {
+    logSubscriptionActivity(`Exception updating subscription ${subscriptionId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a subscription and its delivery history
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} { success, subscriptionId } or { success: false, notFound | error }
+ */
+export async function deleteSubscription(subscriptionId) {
+  try {
+    const { data, error } = await supabase
+      .from('event_subscriptions')
+      .delete()
+      .eq('id', subscriptionId)
+      .select('id');
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    if (!data || data.length === 0) {
+      return { success: false, notFound: true, error: `Subscription ${subscriptionId} not found` };
+    }
+    logSubscriptionActivity(`Subscription ${subscriptionId} deleted`);
+    return { success: true, subscriptionId };
+  } catch (error) {
+    logSubscriptionActivity(`Exception deleting subscription ${subscriptionId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delivery history, newest first
+ * @param {Object} options - List options
+ * @param {string} options.subscriptionId - Only this subscription's deliveries
+ * @param {string} options.status - Only deliveries with this status (see DELIVERY_STATUS)
+ * @param {number} options.limit - Maximum deliveries to return
+ * @returns {Promise<Object>} { success, deliveries } or { success: false, invalid | error }
+ */
+export async function listDeliveries({ subscriptionId = null, status = null, limit = 50 } = {}) {
+  if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+    return { success: false, invalid: true, error: `status must be one of ${Object.values(DELIVERY_STATUS).join(', ')}`, deliveries: [] };
+  }
+
+  try {
+    let query = supabase
+      .from('event_deliveries')
+      .select('id, subscription_id, event_id, event_type, agreement_id, status, attempts, last_status_code, last_error, next_attempt_at, delivered_at, createdat, updatedat')
+      .order('createdat', { ascending: false })
+      .limit(limit);
+    if (subscriptionId) {
+      query = query.eq('subscription_id', subscriptionId);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return { success: false, error: error.message, deliveries: [] };
+    }
+    return { success: true, deliveries: data || [] };
+  } catch (error) {
+    logSubscriptionActivity(`Exception listing deliveries: ${error.message}`, 'error');
+    return { success: false, error: error.message, deliveries: [] };
+  }
+}
+
+/**
+ * Send a delivery again from the start, e.g. after a subscriber fixed its endpoint
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} { success, deliveryId } or { success: false, notFound | error }
+ */
+export async function redeliver(deliveryId) {
+  try {
+    const { data, error } = await supabase
+      .from('event_deliveries')
+      .update({
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: null,
+        last_error: null,
+        updatedat: new Date().toISOString()
+      })
+      .eq('id', deliveryId)
+      .neq('status', DELIVERY_STATUS.DELIVERING)
+      .select('id');
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    if (!data || data.length === 0) {
+      return { success: false, notFound: true, error: `Delivery ${deliveryId} not found, or it is being sent right now` };
+    }
+    logSubscriptionActivity(`Delivery ${deliveryId} queued to be sent again`);
+    scheduleDeliveryRun();
+    return { success: true, deliveryId };
+  } catch (error) {
+    logSubscriptionActivity(`Exception redelivering ${deliveryId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Queue one normalized event for every active subscription that wants its type. The
+ * event ID is derived from the type and the source event's key, so publishing the same
+ * event again (a retry or replay) queues nothing new.
+ * @param {string} type - Event type (see OUTBOUND_EVENT_TYPES)
+ * @param {Object} event - The event
+ * @param {string} event.eventKey - Dedupe key of the webhook that caused it
+ * @param {string} event.occurredAt - When it happened (the webhook's EventTime)
+ * @param {string} event.agreementId - Agreement it is about
+ * @param {Object} event.data - Event data
+ * @returns {Promise<Object>} { success, eventId, queued } or { success: false, error }
+ */
+export async function publishEvent(type, { eventKey, occurredAt = null, agreementId = null, data = {} }) {
+  const eventId = 'evt_' + crypto.createHash('sha256').update(`${type}|${eventKey}`).digest('hex').substring(0, 32);
+
+  try {
+    const { data: subscriptions, error } = await supabase
+      .from('event_subscriptions')
+      .select('id')
+      .eq('active', true)
+      .contains('event_types', [type]);
+
+    if (error) {
+      logSubscriptionActivity(`Error loading subscriptions for ${type}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    if (!subscriptions || subscriptions.length === 0) {
+      return { success: true, eventId, queued: 0 };
+    }
+
+    const timestamp = new Date().toISOString();
+    const payload = { id: eventId, type, occurredAt: occurredAt || timestamp, createdAt: timestamp, data };
+    const { data: queued, error: insertError } = await supabase
+      .from('event_deliveries')
+      .upsert(subscriptions.map(subscription => ({
+        subscription_id: subscription.id,
+        event_id: eventId,
+        event_type: type,
+        agreement_id: agreementId,
+        payload,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        createdat: timestamp,
+        updatedat: timestamp
+      })), { onConflict: 'subscription_id,event_id', ignoreDuplicates: true })
+      .select('id');
+
+    if (insertError) {
+      logSubscriptionActivity(`Error queueing ${type} deliveries: ${insertError.message}`, 'error');
+      return { success: false, error: insertError.message };
+    }
+
+    const count = (queued || []).length;
+    if (count > 0) {
+      logSubscriptionActivity(`Queued ${type} ${eventId} for ${count} subscription(s)`);
+      scheduleDeliveryRun();
+    }
+    return { success: true, eventId, queued: count };
+  } catch (error) {
+    logSubscriptionActivity(`Exception publishing ${type}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Publish the normalized events for a processed signing webhook:
+ * SignatoryCompleted -> signatory.completed, RequestCompleted -> agreement.signed
+ * (and document.stored when signed documents were stored), RequestRejected -> agreement.rejected
+ * @param {Object} agreement - Agreement row before the event (id, propertyid, unitid, renteeid, status)
+ * @param {Object} event - The processed event
+ * @param {string} event.handler - Event handler (see EVENT_HANDLERS)
+ * @param {Object} event.webhookData - The webhook payload
+ * @param {Object} event.updates - What was written to the agreement
+ * @param {Array<Object>} event.documents - Documents stored for the event (see storeAgreementDocuments)
+ * @param {string} event.eventKey - Key the event IDs are derived from, if not the webhook's own
+ * @returns {Promise<Object>} { success, published: [{ type, eventId, queued }] } or { success: false, published, error }
+ */
+export async function publishSigningEvents(agreement, { handler, webhookData, updates = {}, documents = [], eventKey = buildDedupeKey(webhookData) }) {
+  const base = {
+    agreementId: agreement.id,
+    requestId: webhookData.RequestId,
+    propertyId: agreement.propertyid || null,
+    unitId: agreement.unitid || null,
+    renteeId: agreement.renteeid || null,
+    status: updates.status || agreement.status || null,
+    signatureStatus: updates.signature_status || agreement.signature_status || null,
+    signingProgress: updates.signing_progress || agreement.signing_progress || null
+  };
+
+  const events = [];
+  if (handler === EVENT_HANDLERS.SIGNATORY_COMPLETED) {
+    events.push([OUTBOUND_EVENT_TYPES.SIGNATORY_COMPLETED, {
+      ...base,
+      signatory: { email: webhookData.Email || null, name: webhookData.UserName || null }
+    }]);
+  } else if (handler === EVENT_HANDLERS.REQUEST_COMPLETED) {
+    events.push([OUTBOUND_EVENT_TYPES.AGREEMENT_SIGNED, { ...base, signedAt: updates.signeddate || webhookData.EventTime || null }]);
+    if (documents.length > 0) {
+      events.push([OUTBOUND_EVENT_TYPES.DOCUMENT_STORED, {
+        ...base,
+        documents: documents.map(document => ({ name: document.name, url: document.url, sizeBytes: document.sizeBytes, problems: document.problems || [] }))
+      }]);
+    }
+  } else if (handler === EVENT_HANDLERS.REQUEST_REJECTED) {
+    events.push([OUTBOUND_EVENT_TYPES.AGREEMENT_REJECTED, {
+      ...base,
+      rejection: {
+        reason: webhookData.RejectReason || null,
+        byEmail: webhookData.Email || null,
+        byName: webhookData.UserName || null,
+        at: updates.rejected_at || webhookData.EventTime || null
+      }
+    }]);
+  }
+
+  const published = [];
+  const errors = [];
+  for (const [type, data] of events) {
+    const result = await publishEvent(type, { eventKey, occurredAt: webhookData.EventTime, agreementId: agreement.id, data });
+    if (result.success) {
+      published.push({ type, eventId: result.eventId, queued: result.queued });
+    } else {
+      errors.push(`${type}: ${result.error}`);
+    }
+  }
+  return errors.length > 0 ? { success: false, published, error: errors.join('; ') } : { success: true, published };
+}
+
+/**
+ * POST one delivery to its subscriber and record the outcome. The delivery is claimed
+ * first (matching its updatedat), so a delivery picked up by two runs is only sent once.
+ * @param {Object} delivery - event_deliveries row with its subscription (url, secret, active)
+ * @returns {Promise<Object>} { success, deliveryId, status, attempts, statusCode?, error? } or { success: false, skipped: true }
+ */
+async function sendDelivery(delivery) {
+  const claimedAt = new Date();
+  const { data: claimed, error: claimError } = await supabase
+    .from('event_deliveries')
+    .update({
+      status: DELIVERY_STATUS.DELIVERING,
+      next_attempt_at: new Date(claimedAt.getTime() + DELIVERY_LEASE_MS).toISOString(),
+      updatedat: claimedAt.toISOString()
+    })
+    .eq('id', delivery.id)
+    .eq('updatedat', delivery.updatedat)
+    .select('id');
+
+  if (claimError) {
+    return { success: false, deliveryId: delivery.id, error: claimError.message };
+  }
+  if (!claimed || claimed.length === 0) {
+    return { success: false, deliveryId: delivery.id, skipped: true };
+  }
+
+  const subscription = delivery.event_subscriptions;
+  const attempts = (delivery.attempts || 0) + 1;
+  let outcome;
+
+  if (!subscription || !subscription.active) {
+    outcome = { status: DELIVERY_STATUS.FAILED, attempts: delivery.attempts || 0, last_error: 'Subscription is disabled or deleted', next_attempt_at: null };
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'khrental-webhook',
+          [HEADERS.EVENT]: delivery.event_type,
+          [HEADERS.EVENT_ID]: delivery.event_id,
+          [HEADERS.DELIVERY_ID]: delivery.id,
+          [HEADERS.TIMESTAMP]: timestamp,
+          [HEADERS.SIGNATURE]: signDelivery(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        error = `Subscriber responded ${response.status}${text ? `: ${text.substring(0, 500)}` : ''}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'AbortError' ? `No response within ${DELIVERY_TIMEOUT}ms` : requestError.message;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!error) {
+      outcome = { status: DELIVERY_STATUS.DELIVERED, attempts, last_status_code: statusCode, last_error: null, next_attempt_at: null, delivered_at: new Date().toISOString() };
+    } else {
+      // No answer, 5xx and the listed 4xx are worth another try; other answers are the subscriber refusing it
+      const retryable = statusCode === null || statusCode >= 500 || RETRYABLE_HTTP_STATUSES.includes(statusCode);
+      const retry = retryable && attempts < MAX_ATTEMPTS;
+      outcome = {
+        status: retry ? DELIVERY_STATUS.RETRYING : DELIVERY_STATUS.FAILED,
+        attempts,
+        last_status_code: statusCode,
+        last_error: error,
+        next_attempt_at: retry ? new Date(Date.now() + getRetryDelay(attempts)).toISOString() : null
+      };
+      logSubscriptionActivity(`Delivery ${delivery.id} of ${delivery.event_type} to ${subscription.url} failed (attempt ${attempts}/${MAX_ATTEMPTS})${retry ? `, retrying at ${outcome.next_attempt_at}` : ''}: ${error}`, retry ? 'warn' : 'error');
+    }
+  }
+
+  const { error: updateError } = await supabase
+    .from('event_deliveries')
+    .update({ ...outcome, updatedat: new Date().toISOString() })
+    .eq('id', delivery.id);
+
+  if (updateError) {
+    // The lease runs out and the delivery is sent again; subscribers dedupe on X-KH-Event-Id
+    logSubscriptionActivity(`Error recording outcome of delivery ${delivery.id}: ${updateError.message}`, 'error');
+    return { success: false, deliveryId: delivery.id, error: updateError.message };
+  }
+  return {
+    success: outcome.status === DELIVERY_STATUS.DELIVERED,
+    deliveryId: delivery.id,
+    status: outcome.status,
+    attempts: outcome.attempts,
+    ...(outcome.last_status_code ? { statusCode: outcome.last_status_code } : {}),
+    ...(outcome.last_error ? { error: outcome.last_error } : {})
+  };
+}
+
+/**
+ * Send pending deliveries, retries that are due, and deliveries a failed run left claimed
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - List the deliveries that are due without sending them
+ * @returns {Promise<Object>} { success, dryRun, checked, delivered, retrying, failed, results }
+ */
+export async function runDeliveries({ dryRun = false } = {}) {
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+  if (running && !dryRun) {
+    return { success: false, busy: true, error: 'A delivery run is already in progress' };
+  }
+
+  if (!dryRun) {
+    running = true;
+  }
+  try {
+    const { data: deliveries, error } = await supabase
+      .from('event_deliveries')
+      .select('id, subscription_id, event_id, event_type, payload, status, attempts, updatedat, event_subscriptions(url, secret, active)')
+      .in('status', [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.RETRYING, DELIVERY_STATUS.DELIVERING])
+      .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+      .order('createdat', { ascending: true })
+      .limit(DISPATCH_BATCH_SIZE);
+
+    if (error) {
+      logSubscriptionActivity(`Error loading deliveries: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        checked: (deliveries || []).length,
+        results: (deliveries || []).map(delivery => ({
+          deliveryId: delivery.id,
+          subscriptionId: delivery.subscription_id,
+          eventId: delivery.event_id,
+          eventType: delivery.event_type,
+          status: delivery.status,
+          attempts: delivery.attempts || 0,
+          url: delivery.event_subscriptions?.url || null
+        }))
+      };
+    }
+
+    const results = [];
+    for (const delivery of deliveries || []) {
+      results.push(await sendDelivery(delivery));
+    }
+
+    const summary = {
+      success: true,
+      dryRun: false,
+      checked: results.length,
+      delivered: results.filter(result => result.status === DELIVERY_STATUS.DELIVERED).length,
+      retrying: results.filter(result => result.status === DELIVERY_STATUS.RETRYING).length,
+      failed: results.filter(result => result.status === DELIVERY_STATUS.FAILED || (!result.status && !result.skipped)).length,
+      results
+    };
+
+    lastRun = { at: new Date().toISOString(), checked: summary.checked, delivered: summary.delivered, retrying: summary.retrying, failed: summary.failed };
+    if (summary.checked > 0) {
+      logSubscriptionActivity(`Delivery run: ${summary.delivered} delivered, ${summary.retrying} to retry, ${summary.failed} failed`);
+    }
+    return summary;
+  } finally {
+    if (!dryRun) {
+      running = false;
+    }
+  }
+}
+
+/**
+ * Run the deliveries shortly, so new events don't wait for the next interval
+ */
+export function scheduleDeliveryRun() {
+  if (wakeTimer) {
+    return;
+  }
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    runDeliveries().catch(error => logSubscriptionActivity(`Error in delivery run: ${error.message}`, 'error'));
+  }, DISPATCH_DEBOUNCE_MS);
+  wakeTimer.unref();
+}
+
+/**
+ * Run the deliveries now and then on a schedule
+ */
+export function startEventDeliveryJob() {
+  const run = () => {
+    runDeliveries().catch(error => logSubscriptionActivity(`Error in delivery run: ${error.message}`, 'error'));
+  };
+
+  run();
+
+  if (!dispatchTimer) {
+    dispatchTimer = setInterval(run, DISPATCH_INTERVAL);
+    dispatchTimer.unref();
+  }
+}
+
+/**
+ * Get the outcome of the last scheduled or manual run, for the admin page
+ * @returns {Object|null} { at, checked, delivered, retrying, failed }, or null before the first run
+ */
+export function getLastDeliveryRun() {
+  return lastRun;
+}
+
+export { OUTBOUND_EVENT_TYPES, DELIVERY_STATUS, HEADERS as DELIVERY_HEADERS };
+
+export default {
+  signDelivery,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  redeliver,
+  publishEvent,
+  publishSigningEvents,
+  runDeliveries,
+  scheduleDeliveryRun,
+  startEventDeliveryJob,
+  getLastDeliveryRun
+};
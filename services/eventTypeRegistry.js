@@ -0,0 +1,294 @@
+// eventTypeRegistry.js - The one place that says what each Evia Sign EventId means
+//
+// Each event type defines:
+//   id             - Evia Sign EventId
+//   name           - Evia Sign event name (stored in webhook_events.event_type)
+//   label          - Human readable label for the dashboard
+//   color          - Dashboard colour (card border, badge)
+//   requiredFields - Payload fields this event must carry, on top of RequestId/EventId/EventTime
+//   handler        - Which agreement handler in processSignatureEvent runs for it (see EVENT_HANDLERS)
+//
+// Further event types (or overrides of the built-in ones) can be added at runtime
+// through the evia_sign_config row `event_types`, whose config_value is a JSON array
+// of the same shape, e.g.
+//   [{ "id": 4, "name": "RequestExpired", "label": "Request Expired", "color": "#6c757d", "handler": "recordOnly" }]
+
+// Agreement handlers an event type can point at
+const EVENT_HANDLERS = {
+  SIGN_REQUEST_RECEIVED: 'signRequestReceived', // Agreement sent out for signature
+  SIGNATORY_COMPLETED: 'signatoryCompleted',    // One signatory has signed
+  REQUEST_COMPLETED: 'requestCompleted',        // Everyone has signed, signed documents attached
+  REQUEST_REJECTED: 'requestRejected',          // A signatory rejected the request
+  SIGNATORY_VIEWED: 'signatoryViewed',          // A signatory opened the request (no built-in EventId yet)
+  RECORD_ONLY: 'recordOnly'                     // Store the event, leave the agreement alone
+};
+
+// EventIds Evia Sign sends today
+const EVENT_IDS = {
+  SIGN_REQUEST_RECEIVED: 1,
+  SIGNATORY_COMPLETED: 2,
+  REQUEST_COMPLETED: 3,
+  REQUEST_REJECTED: 5
+};
+
+const BUILT_IN_EVENT_TYPES = [
+  {
+    id: EVENT_IDS.SIGN_REQUEST_RECEIVED,
+    name: 'SignRequestReceived',
+    label: 'Sign Request Received',
+    color: '#0dcaf0',
+    requiredFields: [],
+    handler: EVENT_HANDLERS.SIGN_REQUEST_RECEIVED
+  },
+  {
+    id: EVENT_IDS.SIGNATORY_COMPLETED,
+    name: 'SignatoryCompleted',
+    label: 'Signatory Completed',
+    color: '#0d6efd',
+    requiredFields: ['Email'],
+    handler: EVENT_HANDLERS.SIGNATORY_COMPLETED
+  },
+  {
+    id: EVENT_IDS.REQUEST_COMPLETED,
+    name: 'RequestCompleted',
+    label: 'Request Completed',
+    color: '#198754',
+    requiredFields: ['Documents'],
+    handler: EVENT_HANDLERS.REQUEST_COMPLETED
+  },
+  {
+    id: EVENT_IDS.REQUEST_REJECTED,
+    name: 'RequestRejected',
+    label: 'Request Rejected',
+    color: '#dc3545',
+    requiredFields: [],
+    handler: EVENT_HANDLERS.REQUEST_REJECTED
+  }
+];
+
+// Used for any EventId nobody has registered (e.g. 4 or 6)
+const UNKNOWN_EVENT_COLOR = '#6c757d';
+
+const CONFIG_KEY = 'event_types';
+const CONFIG_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const COLOR_REGEX = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+// Current registry (EventId -> event type)
+let eventTypes = new Map(BUILT_IN_EVENT_TYPES.map(eventType => [eventType.id, eventType]));
+let refreshTimer = null;
+
+/**
+ * Log a message related to the event type registry
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logRegistryActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[EVENT-TYPES] ${prefix} ${message}`);
+};
+
+/**
+ * Check a configured event type and fill in defaults
+ * @param {Object} definition - Event type as read from evia_sign_config
+ * @param {Object} existing - Built-in definition with the same id, if any
+ * @returns {Object} { eventType } or { error }
+ */
+function normalizeEventType(definition, existing) {
+  if (!definition || typeof definition !== 'object') {
+    return { error: 'must be an object' };
+  }
+
+  const id = Number(definition.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return { error: `invalid id ${JSON.stringify(definition.id)}` };
+  }
+
+  const merged = { ...existing, ...definition, id };
+
+  if (typeof merged.name !== 'string' || merged.name.trim() === '') {
+    return { error: `event ${id} has no name` };
+  }
+  if (merged.handler !== undefined && !Object.values(EVENT_HANDLERS).includes(merged.handler)) {
+    return { error: `event ${id} has unknown handler "${merged.handler}"` };
+  }
+  if (merged.color !== undefined && !COLOR_REGEX.test(merged.color)) {
+    return { error: `event ${id} has invalid color "${merged.color}"` };
+  }
+  if (merged.requiredFields !== undefined &&
+      (!Array.isArray(merged.requiredFields) || merged.requiredFields.some(field => typeof field !== 'string'))) {
+    return { error: `event ${id} requiredFields must be an array of field names` };
+  }
+
+  return {
+    eventType: {
+      id,
+      name: merged.name.trim(),
+      label: merged.label || merged.name.trim(),
+      color: merged.color || UNKNOWN_EVENT_COLOR,
+      requiredFields: merged.requiredFields || [],
+      handler: merged.handler || EVENT_HANDLERS.RECORD_ONLY
+    }
+  };
+}
+
+/**
+ * Get the definition for an EventId
+ * @param {number|string} eventId - Evia Sign EventId
+ * @returns {Object} The event type; unregistered ids get a record-only placeholder with known=false
+ */
+export function getEventType(eventId) {
+  const eventType = eventTypes.get(Number(eventId));
+  if (eventType) {
+    return { ...eventType, known: true };
+  }
+
+  return {
+    id: eventId,
+    name: 'Unknown',
+    label: `Unknown Event (${eventId ?? 'no id'})`,
+    color: UNKNOWN_EVENT_COLOR,
+    requiredFields: [],
+    handler: EVENT_HANDLERS.RECORD_ONLY,
+    known: false
+  };
+}
+
+/**
+ * Map an EventId to its Evia Sign event name
+ * @param {number|string} eventId - Evia Sign EventId
+ * @returns {string} Event name, or 'Unknown'
+ */
+export function getEventTypeName(eventId) {
+  return getEventType(eventId).name;
+}
+
+/**
+ * Find an event type by its name (case-insensitive)
+ * @param {string} name - Event name, e.g. RequestCompleted
+ * @returns {Object|null} The event type, or null if not registered
+ */
+export function findEventTypeByName(name) {
+  const wanted = String(name || '').toLowerCase();
+  for (const eventType of eventTypes.values()) {
+    if (eventType.name.toLowerCase() === wanted) {
+      return { ...eventType, known: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * List every registered event type, ordered by id
+ * @returns {Array<Object>} Event types
+ */
+export function listEventTypes() {
+  return [...eventTypes.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Replace the runtime-configured event types. Built-in types are always kept;
+ * configured entries with the same id override their label, colour, fields or handler.
+ * @param {Array<Object>} definitions - Event type definitions
+ * @returns {Object} Result with the number of types registered and any rejected entries
+ */
+export function registerEventTypes(definitions) {
+  if (!Array.isArray(definitions)) {
+    return { success: false, error: `${CONFIG_KEY} must be a JSON array` };
+  }
+
+  const builtIns = new Map(BUILT_IN_EVENT_TYPES.map(eventType => [eventType.id, eventType]));
+  const next = new Map(builtIns);
+  const rejected = [];
+
+  for (const definition of definitions) {
+    const { eventType, error } = normalizeEventType(definition, builtIns.get(Number(definition?.id)));
+    if (error) {
+      rejected.push(error);
+      logRegistryActivity(`Ignoring configured event type: ${error}`, 'warn');
+      continue;
+    }
+    next.set(eventType.id, eventType);
+  }
+
+  eventTypes = next;
+  return { success: true, registered: next.size, rejected };
+}
+
+/**
+ * Reload configured event types from evia_sign_config
+ * @param {Object} client - Supabase client
+ * @returns {Promise<Object>} Operation result
+ */
+export async function refreshEventTypes(client) {
+  if (!client) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+
+  try {
+    const { data, error } = await client
+      .from('evia_sign_config')
+      .select('config_value')
+      .eq('config_key', CONFIG_KEY)
+      .maybeSingle();
+
+    if (error) {
+      logRegistryActivity(`Could not read ${CONFIG_KEY} from evia_sign_config: ${error.message}`, 'warn');
+      return { success: false, error: error.message };
+    }
+
+    if (!data || !data.config_value) {
+      return registerEventTypes([]);
+    }
+
+    let definitions = data.config_value;
+    if (typeof definitions === 'string') {
+      try {
+        definitions = JSON.parse(definitions);
+      } catch (parseError) {
+        logRegistryActivity(`${CONFIG_KEY} in evia_sign_config is not valid JSON: ${parseError.message}`, 'error');
+        return { success: false, error: parseError.message };
+      }
+    }
+
+    const result = registerEventTypes(definitions);
+    if (result.success) {
+      logRegistryActivity(`Loaded ${result.registered} event type(s)${result.rejected.length ? `, ignored ${result.rejected.length}` : ''}`);
+    }
+    return result;
+  } catch (error) {
+    logRegistryActivity(`Exception loading event types: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load configured event types now and keep them fresh
+ * @param {Object} client - Supabase client
+ * @returns {Promise<Object>} Result of the first load
+ */
+export async function startEventTypeRegistry(client) {
+  const result = await refreshEventTypes(client);
+
+  if (!refreshTimer && client) {
+    refreshTimer = setInterval(() => {
+      refreshEventTypes(client).catch(error => {
+        logRegistryActivity(`Error refreshing event types: ${error.message}`, 'error');
+      });
+    }, CONFIG_REFRESH_INTERVAL);
+    refreshTimer.unref();
+  }
+
+  return result;
+}
+
+export { EVENT_IDS, EVENT_HANDLERS };
+
+export default {
+  getEventType,
+  getEventTypeName,
+  findEventTypeByName,
+  listEventTypes,
+  registerEventTypes,
+  refreshEventTypes,
+  startEventTypeRegistry
+};
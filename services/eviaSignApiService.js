@@ -0,0 +1,126 @@
+// eviaSignApiService.js - Calls made from this server to the Evia Sign API
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import supabase from './supabaseClient.js';
+
+// Load environment variables
+dotenv.config();
+
+// Configuration. The API URL and token are read from evia_sign_config first, like the webhook secret.
+const API_URL_CONFIG_KEY = 'api_url';
+const API_TOKEN_CONFIG_KEY = 'api_token';
+const VOID_PATH = process.env.EVIA_SIGN_VOID_PATH || '/api/requests/{requestId}/void';
+const API_TIMEOUT = Number(process.env.EVIA_SIGN_API_TIMEOUT_MS) || 15 * 1000; // 15 seconds
+const CONFIG_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Outcome of a void request
+const VOID_STATUS = {
+  VOIDED: 'voided',                 // Evia Sign accepted the void
+  FAILED: 'failed',                 // Evia Sign refused it or could not be reached
+  NOT_CONFIGURED: 'not_configured'  // No API URL / token, nothing was sent
+};
+
+let cachedConfig = null;
+let cachedConfigAt = 0;
+
+/**
+ * Log a message related to Evia Sign API calls
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logApiActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[EVIA-SIGN-API] ${prefix} ${message}`);
+};
+
+/**
+ * Get the Evia Sign API URL and token, preferring evia_sign_config over the environment
+ * @returns {Promise<Object>} { apiUrl, apiToken } (either may be null)
+ */
+async function getApiConfig() {
+  if (cachedConfig && Date.now() - cachedConfigAt < CONFIG_CACHE_TTL) {
+    return cachedConfig;
+  }
+
+  const config = { apiUrl: null, apiToken: null };
+
+  try {
+    if (supabase) {
+      const { data, error } = await supabase
+        .from('evia_sign_config')
+        .select('config_key, config_value')
+        .in('config_key', [API_URL_CONFIG_KEY, API_TOKEN_CONFIG_KEY]);
+
+      if (error) {
+        logApiActivity(`Could not read API settings from evia_sign_config: ${error.message}`, 'warn');
+      } else {
+        for (const row of data || []) {
+          if (row.config_key === API_URL_CONFIG_KEY) config.apiUrl = row.config_value || null;
+          if (row.config_key === API_TOKEN_CONFIG_KEY) config.apiToken = row.config_value || null;
+        }
+      }
+    }
+  } catch (error) {
+    logApiActivity(`Exception reading API settings from database: ${error.message}`, 'warn');
+  }
+
+  config.apiUrl = config.apiUrl || process.env.EVIA_SIGN_API_URL || null;
+  config.apiToken = config.apiToken || process.env.EVIA_SIGN_API_TOKEN || null;
+
+  cachedConfig = config;
+  cachedConfigAt = Date.now();
+  return config;
+}
+
+/**
+ * Ask Evia Sign to void (withdraw) a signature request so nobody else can sign it
+ * @param {string} requestId - Evia Sign RequestId
+ * @param {Object} options - Void options
+ * @param {string} options.reason - Reason passed on to Evia Sign
+ * @returns {Promise<Object>} { success, status, httpStatus?, error? } where status is a VOID_STATUS value
+ */
+export async function voidSignRequest(requestId, { reason = null } = {}) {
+  const { apiUrl, apiToken } = await getApiConfig();
+  if (!apiUrl || !apiToken) {
+    logApiActivity(`Evia Sign API not configured; request ${requestId} was not voided`, 'warn');
+    return { success: false, status: VOID_STATUS.NOT_CONFIGURED, error: 'Evia Sign API URL or token not configured' };
+  }
+
+  const url = apiUrl.replace(/\/+$/, '') + VOID_PATH.replace('{requestId}', encodeURIComponent(requestId));
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ reason }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = `Evia Sign responded ${response.status}${body ? `: ${body.substring(0, 500)}` : ''}`;
+      logApiActivity(`Void of request ${requestId} failed: ${error}`, 'error');
+      return { success: false, status: VOID_STATUS.FAILED, httpStatus: response.status, error };
+    }
+
+    logApiActivity(`Request ${requestId} voided`);
+    return { success: true, status: VOID_STATUS.VOIDED, httpStatus: response.status };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? `No response from Evia Sign within ${API_TIMEOUT}ms` : error.message;
+    logApiActivity(`Void of request ${requestId} failed: ${message}`, 'error');
+    return { success: false, status: VOID_STATUS.FAILED, error: message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+export { VOID_STATUS };
+
+export default {
+  voidSignRequest
+};
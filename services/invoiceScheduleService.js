@@ -0,0 +1,367 @@
+// invoiceScheduleService.js - Creates rent invoices from agreement terms, at activation and then monthly
+//
+// Activation creates the deposit invoice and the first month's rent, both due on the
+// start date. Each later month's rent is due on the billing day and is created
+// INVOICE_LEAD_DAYS ahead by a scheduled job, which follows agreements.next_invoice_date.
+// invoices carry the agreement, an invoice_type and the billing period, with a unique
+// index over the three, so creating an invoice twice leaves the first one alone.
+import supabase from './supabaseClient.js';
+import { AGREEMENT_STATES } from './agreementStateMachine.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+
+// invoices.invoice_type values
+const INVOICE_TYPES = {
+  DEPOSIT: 'deposit',
+  RENT: 'rent'
+};
+
+// invoices.status of a new invoice
+const INVOICE_STATUS = {
+  PENDING: 'pending'
+};
+
+// Keys agreements.terms may use for each value; the app has stored more than one spelling
+const TERM_KEYS = {
+  rent: ['monthlyRent', 'rentAmount', 'rent', 'monthly_rent', 'rent_amount'],
+  deposit: ['depositAmount', 'securityDeposit', 'deposit', 'deposit_amount', 'security_deposit'],
+  billingDay: ['billingDay', 'paymentDueDay', 'paymentDay', 'billing_day', 'payment_due_day']
+};
+
+// Configuration
+const SCHEDULE_INTERVAL = (Number(process.env.INVOICE_SCHEDULE_INTERVAL_MINUTES) || 60) * 60 * 1000; // 1 hour
+const LEAD_DAYS = Number(process.env.INVOICE_LEAD_DAYS) || 7;
+const SCHEDULE_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job state
+let running = false;
+let scheduleTimer = null;
+let lastRun = null;
+
+/**
+ * Log a message related to invoice generation
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logInvoiceActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[INVOICE-SCHEDULE] ${prefix} ${message}`);
+};
+
+/**
+ * Read the first of several keys that holds a number, e.g. 45000 or "45,000"
+ * @param {Object} terms - agreements.terms
+ * @param {Array<string>} keys - Keys to try, in order
+ * @returns {number|null} The number, or null if none of the keys holds one
+ */
+function readNumber(terms, keys) {
+  for (const key of keys) {
+    if (terms[key] === undefined || terms[key] === null || terms[key] === '') {
+      continue;
+    }
+    const value = Number(String(terms[key]).replace(/,/g, ''));
+    if (Number.isFinite(value)) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read rent, deposit and billing day from an agreement's terms
+ * @param {Object} agreement - Agreement row (terms, startdate)
+ * @returns {Object} { success, rent, deposit, billingDay } or { success: false, error } when they can't be billed
+ */
+export function readBillingTerms(agreement) {
+  const terms = agreement.terms && typeof agreement.terms === 'object' ? agreement.terms : {};
+  const rent = readNumber(terms, TERM_KEYS.rent);
+  if (!rent || rent <= 0) {
+    return { success: false, error: 'Agreement terms have no monthly rent' };
+  }
+  if (!agreement.startdate) {
+    return { success: false, error: 'Agreement has no start date' };
+  }
+
+  const deposit = readNumber(terms, TERM_KEYS.deposit);
+  const billingDay = readNumber(terms, TERM_KEYS.billingDay);
+  return {
+    success: true,
+    rent,
+    deposit: deposit && deposit > 0 ? deposit : 0,
+    // Without a billing day, rent falls due on the day of the month the lease started
+    billingDay: billingDay >= 1 && billingDay <= 31 ? Math.floor(billingDay) : Number(agreement.startdate.substring(8, 10))
+  };
+}
+
+/**
+ * The billing day in a given month, moved back to the last day of short months
+ * @param {number} year - Year
+ * @param {number} month - Month index (0-11); may overflow into the next year
+ * @param {number} billingDay - Day of the month (1-31)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function billingDate(year, month, billingDay) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(billingDay, lastDay))).toISOString().substring(0, 10);
+}
+
+/**
+ * The due date of the rent invoice after the one due on a date
+ * @param {string} dueDate - Current due date (YYYY-MM-DD)
+ * @param {number} billingDay - Day of the month rent is due
+ * @param {string|null} enddate - Agreement end date; nothing is due after it
+ * @returns {string|null} Next due date, or null when the lease has ended by then
+ */
+function nextDueDate(dueDate, billingDay, enddate) {
+  const next = billingDate(Number(dueDate.substring(0, 4)), Number(dueDate.substring(5, 7)), billingDay);
+  return enddate && next > enddate ? null : next;
+}
+
+/**
+ * Build an invoices row for an agreement
+ * @param {Object} agreement - Agreement row (id, renteeid, propertyid)
+ * @param {Object} invoice - Invoice details
+ * @returns {Object} invoices row
+ */
+function buildInvoice(agreement, { type, amount, dueDate, period }) {
+  const now = new Date().toISOString();
+  return {
+    agreement_id: agreement.id,
+    invoice_type: type,
+    renteeid: agreement.renteeid,
+    propertyid: agreement.propertyid,
+    billingperiod: period,
+    components: { [type]: amount },
+    totalamount: amount,
+    status: INVOICE_STATUS.PENDING,
+    duedate: dueDate,
+    notes: type === INVOICE_TYPES.DEPOSIT
+      ? `Security deposit for agreement ${agreement.id}`
+      : `Rent for ${period} (agreement ${agreement.id})`,
+    createdat: now,
+    updatedat: now
+  };
+}
+
+/**
+ * Insert invoices, skipping any the agreement already has for the same type and period
+ * @param {Array<Object>} invoices - invoices rows
+ * @returns {Promise<Object>} { success, created: [{ invoice_type, billingperiod }] } or { success: false, error }
+ */
+async function insertInvoices(invoices) {
+  const { data, error } = await supabase
+    .from('invoices')
+    .upsert(invoices, { onConflict: 'agreement_id,invoice_type,billingperiod', ignoreDuplicates: true })
+    .select('id, invoice_type, billingperiod');
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  return { success: true, created: data || [] };
+}
+
+/**
+ * Create the deposit invoice and first month's rent for a newly active agreement, and
+ * schedule the next month's rent. Safe to run again: existing invoices are left alone.
+ * @param {Object} agreement - Agreement row (id, renteeid, propertyid, terms, startdate, enddate, next_invoice_date)
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Report the invoices without creating them
+ * @returns {Promise<Object>} { success, action: 'created' | 'skipped', invoices, nextInvoiceDate, reason? } or { success: false, error }
+ */
+export async function createInitialInvoices(agreement, { dryRun = false } = {}) {
+  const terms = readBillingTerms(agreement);
+  if (!terms.success) {
+    // Nothing to bill from; staff invoice this agreement by hand
+    logInvoiceActivity(`No invoices for agreement ${agreement.id}: ${terms.error}`, 'warn');
+    return { success: true, action: 'skipped', reason: terms.error, invoices: [] };
+  }
+
+  const startDate = agreement.startdate.substring(0, 10);
+  const period = startDate.substring(0, 7);
+  const invoices = [];
+  if (terms.deposit > 0) {
+    invoices.push(buildInvoice(agreement, { type: INVOICE_TYPES.DEPOSIT, amount: terms.deposit, dueDate: startDate, period }));
+  }
+  invoices.push(buildInvoice(agreement, { type: INVOICE_TYPES.RENT, amount: terms.rent, dueDate: startDate, period }));
+
+  const nextInvoiceDate = agreement.next_invoice_date || nextDueDate(startDate, terms.billingDay, agreement.enddate);
+  const planned = invoices.map(invoice => ({ invoice_type: invoice.invoice_type, billingperiod: invoice.billingperiod, totalamount: invoice.totalamount, duedate: invoice.duedate }));
+  if (dryRun) {
+    return { success: true, action: 'created', invoices: planned, nextInvoiceDate };
+  }
+
+  const inserted = await insertInvoices(invoices);
+  if (!inserted.success) {
+    logInvoiceActivity(`Error creating invoices for agreement ${agreement.id}: ${inserted.error}`, 'error');
+    return { success: false, error: inserted.error };
+  }
+
+  // Leave a schedule the job has already moved on alone
+  if (!agreement.next_invoice_date && nextInvoiceDate) {
+    const { error } = await supabase
+      .from('agreements')
+      .update({ next_invoice_date: nextInvoiceDate, updatedat: new Date().toISOString() })
+      .eq('id', agreement.id)
+      .is('next_invoice_date', null);
+
+    if (error) {
+      logInvoiceActivity(`Error scheduling invoices for agreement ${agreement.id}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    invalidateAgreement(agreement.id);
+  }
+
+  if (inserted.created.length > 0) {
+    logInvoiceActivity(`Created ${inserted.created.length} invoice(s) for agreement ${agreement.id}; next rent due ${nextInvoiceDate || 'never (lease ends first)'}`);
+  }
+  return { success: true, action: 'created', invoices: inserted.created, nextInvoiceDate };
+}
+
+/**
+ * Create the rent invoices that are due within INVOICE_LEAD_DAYS for one agreement
+ * @param {Object} agreement - Agreement row from runInvoiceSchedule
+ * @param {Object} context - Run context
+ * @param {string} context.horizon - Create invoices due on or before this date (YYYY-MM-DD)
+ * @param {boolean} context.dryRun - Report the invoices without creating them
+ * @returns {Promise<Object>} { success, agreementId, invoices, nextInvoiceDate } or { success: false, error }
+ */
+async function invoiceAgreement(agreement, { horizon, dryRun }) {
+  const summary = { agreementId: agreement.id, dryRun };
+  const terms = readBillingTerms(agreement);
+  if (!terms.success) {
+    return { ...summary, success: false, error: terms.error };
+  }
+
+  // A missed run catches up with one invoice per month
+  const invoices = [];
+  let dueDate = agreement.next_invoice_date;
+  while (dueDate && dueDate <= horizon) {
+    invoices.push(buildInvoice(agreement, { type: INVOICE_TYPES.RENT, amount: terms.rent, dueDate, period: dueDate.substring(0, 7) }));
+    dueDate = nextDueDate(dueDate, terms.billingDay, agreement.enddate);
+  }
+  summary.nextInvoiceDate = dueDate;
+
+  if (dryRun) {
+    return { ...summary, success: true, invoices: invoices.map(invoice => ({ billingperiod: invoice.billingperiod, totalamount: invoice.totalamount, duedate: invoice.duedate })) };
+  }
+
+  const inserted = await insertInvoices(invoices);
+  if (!inserted.success) {
+    logInvoiceActivity(`Error creating invoices for agreement ${agreement.id}: ${inserted.error}`, 'error');
+    return { ...summary, success: false, error: inserted.error };
+  }
+
+  const { error } = await supabase
+    .from('agreements')
+    .update({ next_invoice_date: dueDate, updatedat: new Date().toISOString() })
+    .eq('id', agreement.id)
+    .eq('next_invoice_date', agreement.next_invoice_date);
+
+  if (error) {
+    logInvoiceActivity(`Error advancing the invoice schedule of agreement ${agreement.id}: ${error.message}`, 'error');
+    return { ...summary, success: false, error: error.message };
+  }
+  invalidateAgreement(agreement.id);
+
+  return { ...summary, success: true, invoices: inserted.created };
+}
+
+/**
+ * Create the monthly rent invoices falling due within INVOICE_LEAD_DAYS for all active agreements
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - List the invoices without creating them
+ * @param {string} options.asOf - Run as of this date instead of today
+ * @returns {Promise<Object>} { success, dryRun, horizon, checked, invoices, failed, results }
+ */
+export async function runInvoiceSchedule({ dryRun = false, asOf = null } = {}) {
+  const date = asOf ? new Date(asOf) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    return { success: false, invalid: true, error: `asOf must be a date, got ${JSON.stringify(asOf)}` };
+  }
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+  if (running && !dryRun) {
+    return { success: false, busy: true, error: 'An invoice run is already in progress' };
+  }
+
+  if (!dryRun) {
+    running = true;
+  }
+  try {
+    const horizon = new Date(date.getTime() + LEAD_DAYS * DAY_MS).toISOString().substring(0, 10);
+    const { data: agreements, error } = await supabase
+      .from('agreements')
+      .select('id, renteeid, propertyid, terms, startdate, enddate, next_invoice_date')
+      .eq('status', AGREEMENT_STATES.ACTIVE)
+      .lte('next_invoice_date', horizon)
+      .order('next_invoice_date', { ascending: true })
+      .limit(SCHEDULE_BATCH_SIZE);
+
+    if (error) {
+      logInvoiceActivity(`Error finding agreements to invoice: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    const results = [];
+    for (const agreement of agreements || []) {
+      results.push(await invoiceAgreement(agreement, { horizon, dryRun }));
+    }
+
+    const summary = {
+      success: true,
+      dryRun,
+      horizon,
+      checked: results.length,
+      invoices: results.reduce((total, result) => total + (result.invoices ? result.invoices.length : 0), 0),
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+
+    if (!dryRun) {
+      lastRun = { at: new Date().toISOString(), horizon, checked: summary.checked, invoices: summary.invoices, failed: summary.failed };
+      if (summary.checked > 0) {
+        logInvoiceActivity(`Invoice run: ${summary.invoices} invoice(s) for ${summary.checked} agreement(s)${summary.failed ? `, ${summary.failed} failed` : ''}`);
+      }
+    }
+    return summary;
+  } finally {
+    if (!dryRun) {
+      running = false;
+    }
+  }
+}
+
+/**
+ * Run the invoice job now and then on a schedule
+ */
+export function startInvoiceScheduleJob() {
+  const run = () => {
+    runInvoiceSchedule().catch(error => logInvoiceActivity(`Error in invoice run: ${error.message}`, 'error'));
+  };
+
+  run();
+
+  if (!scheduleTimer) {
+    scheduleTimer = setInterval(run, SCHEDULE_INTERVAL);
+    scheduleTimer.unref();
+  }
+}
+
+/**
+ * Get the outcome of the last scheduled or manual run, for the admin page
+ * @returns {Object|null} { at, horizon, checked, invoices, failed }, or null before the first run
+ */
+export function getLastInvoiceRun() {
+  return lastRun;
+}
+
+export { INVOICE_TYPES, INVOICE_STATUS };
+
+export default {
+  readBillingTerms,
+  createInitialInvoices,
+  runInvoiceSchedule,
+  startInvoiceScheduleJob,
+  getLastInvoiceRun
+};
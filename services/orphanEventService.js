@@ -0,0 +1,451 @@
+// orphanEventService.js - Keeps webhook events that match no agreement, and applies them once one appears
+//
+// Evia Sign can report on a request before the app has saved its RequestId on the
+// agreement. Such events are parked as 'orphaned' instead of being marked processed.
+// They are re-checked on a schedule, before any newer event for the same request is
+// applied, when a re-sent request is linked, and when an admin links them by hand.
+import supabase, {
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  markWebhookEventOrphaned,
+  validateAndNormalizeUUID,
+  WEBHOOK_EVENT_STATUS
+} from './supabaseClient.js';
+import { processSignatureEvent } from './signatureWebhookService.js';
+import { findAgreementByRequestId, invalidateAgreement } from './agreementLookupService.js';
+import { AGREEMENT_STATES } from './agreementStateMachine.js';
+
+// Configuration
+const RECONCILE_INTERVAL = (Number(process.env.ORPHAN_RECONCILE_INTERVAL_MINUTES) || 5) * 60 * 1000; // 5 minutes
+const RECHECK_DAYS = Number(process.env.ORPHAN_RECHECK_DAYS) || 30;
+const ORPHAN_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job state
+let running = false;
+let reconcileTimer = null;
+let lastRun = null;
+
+// RequestId -> promise of the reconciliation in progress for it, so events for one
+// request are never applied by two callers at once
+const inFlight = new Map();
+
+/**
+ * Log a message related to orphaned events
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logOrphanActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[ORPHAN-EVENTS] ${prefix} ${message}`);
+};
+
+/**
+ * Parse the stored raw_data column back into the original payload
+ * @param {Object|string} rawData - Stored raw_data value
+ * @returns {Object|null} The webhook payload
+ */
+function parseRawData(rawData) {
+  if (typeof rawData !== 'string') {
+    return rawData || null;
+  }
+  try {
+    return JSON.parse(rawData);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List orphaned events grouped by RequestId, oldest request first
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of events
+ * @returns {Promise<Object>} { success, requests: [{ requestId, events, firstEventTime, lastEventTime }] }
+ */
+export async function listOrphanEvents({ limit = ORPHAN_BATCH_SIZE } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('id, event_id, event_type, eviasignreference, user_email, event_time, createdat, last_error')
+      .eq('status', WEBHOOK_EVENT_STATUS.ORPHANED)
+      .order('event_time', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, requests: [] };
+    }
+
+    const byRequest = new Map();
+    for (const event of data || []) {
+      const requestId = event.eviasignreference || '';
+      if (!byRequest.has(requestId)) {
+        byRequest.set(requestId, { requestId, events: [], firstEventTime: event.event_time, lastEventTime: event.event_time });
+      }
+      const group = byRequest.get(requestId);
+      group.events.push(event);
+      group.lastEventTime = event.event_time;
+    }
+    return { success: true, requests: [...byRequest.values()] };
+  } catch (error) {
+    logOrphanActivity(`Exception listing orphaned events: ${error.message}`, 'error');
+    return { success: false, error: error.message, requests: [] };
+  }
+}
+
+/**
+ * Apply one request's orphaned events to its agreement, in event order. Stops at the
+ * first event that fails in a way a later attempt could fix, so none are applied out of order.
+ * @param {string} requestId - Evia Sign RequestId
+ * @returns {Promise<Object>} { success, requestId, matched, agreementId?, applied, remaining, results }
+ *   or { success: false, error } when the events or agreement couldn't be read
+ */
+async function reconcileRequest(requestId) {
+  const { data: events, error } = await supabase
+    .from('webhook_events')
+    .select('id, attempts')
+    .eq('status', WEBHOOK_EVENT_STATUS.ORPHANED)
+    .eq('eviasignreference', requestId)
+    .order('event_time', { ascending: true })
+    .order('createdat', { ascending: true });
+
+  if (error) {
+    logOrphanActivity(`Error loading orphaned events for request ${requestId}: ${error.message}`, 'error');
+    return { success: false, requestId, error: error.message };
+  }
+  if (!events || events.length === 0) {
+    return { success: true, requestId, matched: false, applied: 0, remaining: 0, results: [] };
+  }
+
+  const lookup = await findAgreementByRequestId(requestId, { fresh: true });
+  if (!lookup.success) {
+    return lookup.lookupFailed
+      ? { success: false, requestId, error: lookup.error }
+      : { success: true, requestId, matched: false, applied: 0, remaining: events.length, results: [] };
+  }
+
+  const results = [];
+  let settled = 0; // Events no longer orphaned: applied, or failed for good
+  let stopped = false;
+  for (const event of events) {
+    const { data: stored, error: loadError } = await supabase
+      .from('webhook_events')
+      .select('raw_data')
+      .eq('id', event.id)
+      .maybeSingle();
+
+    if (loadError) {
+      results.push({ id: event.id, success: false, error: loadError.message });
+      stopped = true;
+      break;
+    }
+
+    const webhookData = parseRawData(stored?.raw_data);
+    if (!webhookData) {
+      await markWebhookEventFailed(event.id, {
+        status: WEBHOOK_EVENT_STATUS.FAILED,
+        attempts: (event.attempts || 0) + 1,
+        error: 'Orphaned event has no usable raw_data'
+      });
+      results.push({ id: event.id, success: false, error: 'Orphaned event has no usable raw_data' });
+      settled++;
+      continue;
+    }
+
+    const result = await processSignatureEvent(webhookData);
+
+    if (result.success && result.orphaned) {
+      // The agreement was unlinked again since the lookup
+      results.push({ id: event.id, eventId: webhookData.EventId, success: false, error: result.error });
+      stopped = true;
+      break;
+    }
+    if (result.success) {
+      await markWebhookEventProcessed(event.id);
+      results.push({ id: event.id, eventId: webhookData.EventId, success: true });
+      settled++;
+      continue;
+    }
+    if (result.retryable === false) {
+      await markWebhookEventFailed(event.id, {
+        status: WEBHOOK_EVENT_STATUS.FAILED,
+        attempts: (event.attempts || 0) + 1,
+        error: result.error
+      });
+      results.push({ id: event.id, eventId: webhookData.EventId, success: false, error: result.error });
+      settled++;
+      continue;
+    }
+
+    await markWebhookEventOrphaned(event.id, `Reconciliation failed: ${result.error}`);
+    results.push({ id: event.id, eventId: webhookData.EventId, success: false, error: result.error });
+    stopped = true;
+    break;
+  }
+
+  const applied = results.filter(result => result.success).length;
+  logOrphanActivity(`Request ${requestId}: applied ${applied} of ${events.length} orphaned event(s) to agreement ${lookup.agreement.id}`);
+
+  return {
+    success: !stopped,
+    requestId,
+    matched: true,
+    agreementId: lookup.agreement.id,
+    applied,
+    remaining: events.length - settled,
+    results,
+    ...(stopped ? { error: results[results.length - 1].error } : {})
+  };
+}
+
+/**
+ * Apply a request's orphaned events if its agreement can now be found. Callers for
+ * the same request share one run, so its events are applied once and in order.
+ * @param {string} requestId - Evia Sign RequestId
+ * @returns {Promise<Object>} See reconcileRequest
+ */
+export async function applyOrphanEvents(requestId) {
+  if (!requestId) {
+    return { success: true, requestId, matched: false, applied: 0, remaining: 0, results: [] };
+  }
+  if (!supabase) {
+    return { success: false, requestId, error: 'Supabase client not initialized' };
+  }
+
+  const key = String(requestId).trim();
+  while (inFlight.has(key)) {
+    await inFlight.get(key).catch(() => {});
+  }
+
+  const run = reconcileRequest(key).catch(error => {
+    logOrphanActivity(`Exception reconciling request ${key}: ${error.message}`, 'error');
+    return { success: false, requestId: key, error: error.message };
+  });
+  inFlight.set(key, run);
+  try {
+    return await run;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Every RequestId with orphaned events in the last ORPHAN_RECHECK_DAYS, oldest first. All
+ * pages are read, so requests that will never match can't keep newer ones from being checked.
+ * Older orphans are left for an admin to link by hand.
+ * @returns {Promise<Object>} { success, requestIds } or { success: false, error }
+ */
+async function findOrphanedRequestIds() {
+  const since = new Date(Date.now() - RECHECK_DAYS * DAY_MS).toISOString();
+  const requestIds = new Set();
+
+  for (let offset = 0; ; offset += ORPHAN_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('eviasignreference')
+      .eq('status', WEBHOOK_EVENT_STATUS.ORPHANED)
+      .gte('createdat', since)
+      .order('event_time', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + ORPHAN_BATCH_SIZE - 1);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    (data || []).forEach(row => row.eviasignreference && requestIds.add(row.eviasignreference));
+    if (!data || data.length < ORPHAN_BATCH_SIZE) {
+      return { success: true, requestIds: [...requestIds] };
+    }
+  }
+}
+
+/**
+ * Re-check recent orphaned events and apply those whose agreement now exists
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Report which requests now match an agreement without applying anything
+ * @returns {Promise<Object>} { success, dryRun, checked, matched, applied, failed, results }
+ */
+export async function runOrphanReconciliation({ dryRun = false } = {}) {
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+  if (running && !dryRun) {
+    return { success: false, busy: true, error: 'An orphan reconciliation run is already in progress' };
+  }
+
+  if (!dryRun) {
+    running = true;
+  }
+  try {
+    const found = await findOrphanedRequestIds();
+    if (!found.success) {
+      logOrphanActivity(`Error loading orphaned events: ${found.error}`, 'error');
+      return { success: false, error: found.error };
+    }
+
+    const requestIds = found.requestIds;
+    const results = [];
+    for (const requestId of requestIds) {
+      if (dryRun) {
+        const lookup = await findAgreementByRequestId(requestId, { fresh: true });
+        results.push(lookup.success
+          ? { requestId, success: true, matched: true, agreementId: lookup.agreement.id }
+          : { requestId, success: !lookup.lookupFailed, matched: false, ...(lookup.lookupFailed ? { error: lookup.error } : {}) });
+      } else {
+        results.push(await applyOrphanEvents(requestId));
+      }
+    }
+
+    const summary = {
+      success: true,
+      dryRun,
+      checked: requestIds.length,
+      matched: results.filter(result => result.matched).length,
+      applied: results.reduce((total, result) => total + (result.applied || 0), 0),
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+
+    if (!dryRun) {
+      lastRun = { at: new Date().toISOString(), checked: summary.checked, matched: summary.matched, applied: summary.applied, failed: summary.failed };
+      if (summary.matched > 0 || summary.failed > 0) {
+        logOrphanActivity(`Reconciliation run: ${summary.applied} event(s) applied for ${summary.matched} of ${summary.checked} request(s)${summary.failed ? `, ${summary.failed} failed` : ''}`);
+      }
+    }
+    return summary;
+  } catch (error) {
+    logOrphanActivity(`Exception in reconciliation run: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  } finally {
+    if (!dryRun) {
+      running = false;
+    }
+  }
+}
+
+/**
+ * Link a request's orphaned events to an agreement by hand: the RequestId is saved on
+ * the agreement (if it has none yet) and the events are applied in order
+ * @param {string} requestId - Evia Sign RequestId of the orphaned events
+ * @param {Object} options - Link options
+ * @param {string} options.agreementId - Agreement to link them to
+ * @returns {Promise<Object>} { success, requestId, agreementId, applied, remaining, results }
+ *   or { success: false, invalid | notFound | refused | error }
+ */
+export async function linkOrphanEvents(requestId, { agreementId } = {}) {
+  requestId = typeof requestId === 'string' ? requestId.trim() : '';
+  if (!requestId || !agreementId) {
+    return { success: false, invalid: true, error: 'requestId and agreementId are required' };
+  }
+
+  try {
+    const { count, error: countError } = await supabase
+      .from('webhook_events')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', WEBHOOK_EVENT_STATUS.ORPHANED)
+      .eq('eviasignreference', requestId);
+
+    if (countError) {
+      return { success: false, error: countError.message };
+    }
+    if (!count) {
+      return { success: false, notFound: true, error: `No orphaned events for request ${requestId}` };
+    }
+
+    const { data: agreement, error } = await supabase
+      .from('agreements')
+      .select('id, status, eviasignreference, signature_request_id')
+      .eq('id', agreementId)
+      .maybeSingle();
+
+    if (error) {
+      logOrphanActivity(`Error loading agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    if (!agreement) {
+      return { success: false, notFound: true, error: `Agreement ${agreementId} not found` };
+    }
+    if (agreement.status === AGREEMENT_STATES.CANCELLED) {
+      return { success: false, refused: true, error: `Agreement ${agreementId} is cancelled` };
+    }
+
+    const current = await findAgreementByRequestId(requestId, { fresh: true });
+    if (current.lookupFailed) {
+      return { success: false, error: current.error };
+    }
+    if (current.success && current.agreement.id !== agreementId) {
+      return { success: false, refused: true, error: `Request ${requestId} already belongs to agreement ${current.agreement.id}` };
+    }
+
+    if (!current.success) {
+      if (agreement.eviasignreference) {
+        return {
+          success: false,
+          refused: true,
+          error: `Agreement ${agreementId} is already linked to request ${agreement.eviasignreference}; re-draft and re-send it to change the request`
+        };
+      }
+
+      // eviasignreference is a uuid column; anything else can only go in signature_request_id
+      const { valid, value: uuid } = validateAndNormalizeUUID(requestId);
+      const { data: updated, error: updateError } = await supabase
+        .from('agreements')
+        .update({
+          ...(valid ? { eviasignreference: uuid } : {}),
+          signature_request_id: requestId,
+          updatedat: new Date().toISOString()
+        })
+        .eq('id', agreementId)
+        .is('eviasignreference', null)
+        .select('id');
+
+      if (updateError) {
+        logOrphanActivity(`Error linking request ${requestId} to agreement ${agreementId}: ${updateError.message}`, 'error');
+        return { success: false, error: updateError.message };
+      }
+      if (!updated || updated.length === 0) {
+        return { success: false, refused: true, error: `Agreement ${agreementId} was linked to another request meanwhile` };
+      }
+      invalidateAgreement(agreementId, { requestId });
+      logOrphanActivity(`Request ${requestId} linked to agreement ${agreementId} by an admin`);
+    }
+
+    const reconciled = await applyOrphanEvents(requestId);
+    return { ...reconciled, agreementId };
+  } catch (error) {
+    logOrphanActivity(`Exception linking request ${requestId} to agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Run the reconciliation job now and then on a schedule
+ */
+export function startOrphanReconciliationJob() {
+  const run = () => {
+    runOrphanReconciliation().catch(error => logOrphanActivity(`Error in reconciliation run: ${error.message}`, 'error'));
+  };
+
+  run();
+
+  if (!reconcileTimer) {
+    reconcileTimer = setInterval(run, RECONCILE_INTERVAL);
+    reconcileTimer.unref();
+  }
+}
+
+/**
+ * Get the outcome of the last scheduled or manual run, for the admin page
+ * @returns {Object|null} { at, checked, matched, applied, failed }, or null before the first run
+ */
+export function getLastOrphanRun() {
+  return lastRun;
+}
+
+export default {
+  listOrphanEvents,
+  applyOrphanEvents,
+  runOrphanReconciliation,
+  linkOrphanEvents,
+  startOrphanReconciliationJob,
+  getLastOrphanRun
+};
@@ -0,0 +1,160 @@
+// pdfValidationService.js - Checks that a received document is a real, digitally signed PDF
+//
+// Works offline on the decoded bytes: the %PDF- header and size come first, then the file is
+// scanned for signature dictionaries (/ByteRange with /Sig) and, up to DOCUMENT_PARSE_MAX_SIZE_MB,
+// parsed with pdf-lib for its page count and producer. Signature dictionaries can't sit in
+// compressed object streams, because /ByteRange has to point at raw bytes, so a scan finds them.
+// Validation runs on the webhook queue, so the scan searches the buffer instead of copying it
+// into a string, and the parse is skipped for larger files.
+// Nothing here verifies the signatures cryptographically.
+import { PDFDocument } from 'pdf-lib';
+
+// Problems a document can have
+const PDF_PROBLEMS = {
+  NOT_PDF: 'not_pdf',     // No %PDF- header in the first 1024 bytes
+  TOO_LARGE: 'too_large', // Larger than DOCUMENT_MAX_SIZE_MB
+  TRUNCATED: 'truncated', // No %%EOF near the end
+  CORRUPT: 'corrupt',     // pdf-lib couldn't parse it, or it has no pages
+  UNSIGNED: 'unsigned'    // No signature dictionary, where one is required
+};
+
+// Configuration
+const MAX_DOCUMENT_BYTES = (Number(process.env.DOCUMENT_MAX_SIZE_MB) || 25) * 1024 * 1024; // 25 MB
+const MAX_PARSE_BYTES = (Number(process.env.DOCUMENT_PARSE_MAX_SIZE_MB) || 10) * 1024 * 1024; // 10 MB
+const HEADER_WINDOW = 1024; // Readers accept the header anywhere in the first 1024 bytes
+const TRAILER_WINDOW = 1024;
+const TOKEN_WINDOW = 64; // Bytes read around a /ByteRange or /Sig token
+
+const BYTE_RANGE_REGEX = /^\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/;
+const SIG_KEY_REGEX = /\/(?:Type|FT)\s*$/;
+const NAME_CHAR_REGEX = /[A-Za-z0-9_]/;
+
+/**
+ * Log a message related to PDF validation
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logPdfActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[PDF-VALIDATION] ${prefix} ${message}`);
+};
+
+/**
+ * Find every offset of a token in a buffer
+ * @param {Buffer} content - Document bytes
+ * @param {string} token - The token to look for
+ * @returns {number[]} Offsets of the token
+ */
+function findToken(content, token) {
+  const offsets = [];
+  for (let at = content.indexOf(token, 0, 'latin1'); at !== -1; at = content.indexOf(token, at + token.length, 'latin1')) {
+    offsets.push(at);
+  }
+  return offsets;
+}
+
+/**
+ * Find the signature dictionaries in a PDF's raw bytes
+ * @param {Buffer} content - Document bytes
+ * @returns {Object} { signatureCount, sigDictionaries, lastSignatureCoversFile }
+ */
+function scanSignatures(content) {
+  const size = content.length;
+  const byteRanges = findToken(content, '/ByteRange')
+    .map(at => content.subarray(at, at + TOKEN_WINDOW).toString('latin1').match(BYTE_RANGE_REGEX))
+    .filter(Boolean)
+    .map(match => match.slice(1).map(Number));
+  // A /Sig name (not /SigFlags or /SigRef) that is the value of /Type or /FT
+  const sigDictionaries = findToken(content, '/Sig')
+    .filter(at => !NAME_CHAR_REGEX.test(String.fromCharCode(content[at + 4] ?? 0x20)))
+    .filter(at => SIG_KEY_REGEX.test(content.subarray(Math.max(0, at - TOKEN_WINDOW), at).toString('latin1')))
+    .length;
+  const last = byteRanges.reduce((latest, range) => (!latest || range[2] + range[3] > latest[2] + latest[3] ? range : latest), null);
+
+  return {
+    signatureCount: sigDictionaries > 0 ? byteRanges.length : 0,
+    sigDictionaries,
+    // False when something was appended after the last signature (e.g. validation data or an edit)
+    lastSignatureCoversFile: last ? last[0] === 0 && last[2] + last[3] === size : null
+  };
+}
+
+/**
+ * Check a decoded document
+ * @param {Buffer} content - Document bytes
+ * @param {Object} options - Validation options
+ * @param {string} options.name - Document name, for logging
+ * @param {boolean} options.requireSignature - Report UNSIGNED when there is no signature dictionary
+ * @returns {Promise<Object>} { valid, isPdf, problems: [PDF_PROBLEMS], details: { sizeBytes, pdfVersion,
+ *   parsed, pageCount, producer, encrypted, signatureCount, sigDictionaries, lastSignatureCoversFile }, error }
+ */
+export async function validatePdf(content, { name = 'document', requireSignature = true } = {}) {
+  const problems = [];
+  const details = {
+    sizeBytes: content.length,
+    pdfVersion: null,
+    parsed: false,
+    pageCount: null,
+    producer: null,
+    encrypted: null,
+    signatureCount: 0,
+    sigDictionaries: 0,
+    lastSignatureCoversFile: null
+  };
+  const result = (error = null) => {
+    if (problems.length > 0) {
+      logPdfActivity(`${name}: ${problems.join(', ')}${error ? ` (${error})` : ''}`, 'warn');
+    }
+    return { valid: problems.length === 0, isPdf: !problems.includes(PDF_PROBLEMS.NOT_PDF), problems, details, ...(error ? { error } : {}) };
+  };
+
+  if (content.length > MAX_DOCUMENT_BYTES) {
+    problems.push(PDF_PROBLEMS.TOO_LARGE);
+    return result(`${content.length} bytes, limit ${MAX_DOCUMENT_BYTES}`);
+  }
+
+  const header = content.subarray(0, HEADER_WINDOW).toString('latin1');
+  const headerAt = header.indexOf('%PDF-');
+  if (headerAt === -1) {
+    problems.push(PDF_PROBLEMS.NOT_PDF);
+    return result();
+  }
+  details.pdfVersion = (header.substring(headerAt + 5).match(/^\d\.\d/) || [null])[0];
+
+  if (!content.subarray(-TRAILER_WINDOW).toString('latin1').includes('%%EOF')) {
+    problems.push(PDF_PROBLEMS.TRUNCATED);
+  }
+
+  Object.assign(details, scanSignatures(content));
+  if (requireSignature && details.signatureCount === 0) {
+    problems.push(PDF_PROBLEMS.UNSIGNED);
+  }
+
+  if (content.length > MAX_PARSE_BYTES) {
+    logPdfActivity(`${name}: ${content.length} bytes, over the ${MAX_PARSE_BYTES} byte parse limit; page count not recorded`);
+    return result();
+  }
+
+  try {
+    const pdf = await PDFDocument.load(content, { ignoreEncryption: true, updateMetadata: false });
+    details.parsed = true;
+    details.encrypted = pdf.isEncrypted;
+    details.pageCount = pdf.getPageCount();
+    details.producer = pdf.getProducer() || null;
+    if (details.pageCount === 0) {
+      problems.push(PDF_PROBLEMS.CORRUPT);
+      return result('No pages');
+    }
+  } catch (error) {
+    problems.push(PDF_PROBLEMS.CORRUPT);
+    return result(error.message);
+  }
+
+  return result();
+}
+
+export { PDF_PROBLEMS, MAX_DOCUMENT_BYTES };
+
+export default {
+  validatePdf
+};
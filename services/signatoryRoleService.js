@@ -0,0 +1,264 @@
+// signatoryRoleService.js - Works out who a signer is on an agreement from real data
+import supabase from './supabaseClient.js';
+
+// Roles a signatory can have on an agreement (signatories_status[].type)
+const SIGNATORY_ROLES = {
+  LANDLORD: 'landlord',   // Property owner, or staff signing for the owner
+  TENANT: 'tenant',       // The agreement's rentee
+  GUARANTOR: 'guarantor', // Registered when the request was sent
+  WITNESS: 'witness',     // Registered when the request was sent
+  UNKNOWN: 'unknown'      // Couldn't be matched to anyone on the agreement
+};
+
+// Where a resolved role came from
+const ROLE_SOURCES = {
+  REGISTERED: 'registered',         // signatories_status entry written when the request was sent
+  RENTEE: 'rentee',                 // agreements.renteeid -> app_users
+  PROPERTY_OWNER: 'property_owner', // app_users linked to the property as owner
+  PROPERTY_STAFF: 'property_staff', // app_users linked to the property as staff
+  UNMATCHED: 'unmatched'
+};
+
+// Problems worth a human look
+const SIGNATORY_FLAGS = {
+  UNRECOGNIZED: 'unrecognized_signatory',   // Email matches nobody on the agreement
+  NOT_LINKED: 'user_not_linked',            // Known app user, but not the rentee or on the property
+  ROLE_CONFLICT: 'role_conflict',           // Registered role disagrees with what the data says
+  NAME_MISMATCH: 'name_mismatch'            // Email matched, but UserName is a different person
+};
+
+// app_users.user_type / role values that make a property-linked user the owner
+const OWNER_USER_TYPES = ['owner', 'landlord'];
+// ...and values that never sign for the landlord
+const NON_STAFF_USER_TYPES = ['rentee', 'tenant'];
+
+/**
+ * Log a message related to signatory resolution
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logRoleActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[SIGNATORY-ROLE] ${prefix} ${message}`);
+};
+
+/**
+ * Normalise an email for comparison
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-cased email
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Normalise a person's name for comparison
+ * @param {string} name - Name
+ * @returns {string} Lower-cased name with collapsed whitespace
+ */
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Parse agreements.signatories_status, which may be stored as a JSON string
+ * @param {Array|string} signatories - signatories_status value
+ * @returns {Array<Object>} Signatory entries
+ */
+export function parseSignatories(signatories) {
+  if (Array.isArray(signatories)) {
+    return signatories;
+  }
+  if (typeof signatories === 'string' && signatories.trim() !== '') {
+    try {
+      const parsed = JSON.parse(signatories);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      logRoleActivity(`Couldn't parse signatories_status JSON: ${error.message}`, 'warn');
+    }
+  }
+  return [];
+}
+
+/**
+ * Role a registered signatories_status entry declares (older entries use `type`)
+ * @param {Object} entry - signatories_status entry
+ * @returns {string|null} A SIGNATORY_ROLES value, or null
+ */
+function registeredRole(entry) {
+  const role = String(entry?.role || entry?.type || '').toLowerCase();
+  return role && role !== SIGNATORY_ROLES.UNKNOWN && Object.values(SIGNATORY_ROLES).includes(role) ? role : null;
+}
+
+/**
+ * Whether a signatories_status entry was registered when the request was sent.
+ * Entries the webhook filled in before roles were resolved from data carry a
+ * guessed type and a signedAt, but no roleSource, so they don't count.
+ * @param {Object} entry - signatories_status entry
+ * @returns {boolean} True for registered entries
+ */
+function isRegistered(entry) {
+  if (!registeredRole(entry)) {
+    return false;
+  }
+  return entry.roleSource ? entry.roleSource === ROLE_SOURCES.REGISTERED : !entry.signedAt;
+}
+
+/**
+ * Work out what an app user is to this agreement
+ * @param {Object} user - app_users row
+ * @param {Object} agreement - Agreement row (renteeid, propertyid)
+ * @returns {Object|null} { role, source }, or null if the user isn't linked to the agreement
+ */
+function roleFromUser(user, agreement) {
+  if (agreement.renteeid && user.id === agreement.renteeid) {
+    return { role: SIGNATORY_ROLES.TENANT, source: ROLE_SOURCES.RENTEE };
+  }
+
+  const userType = String(user.user_type || user.role || '').toLowerCase();
+  const propertyIds = Array.isArray(user.associated_property_ids) ? user.associated_property_ids : [];
+  if (agreement.propertyid && propertyIds.includes(agreement.propertyid) && !NON_STAFF_USER_TYPES.includes(userType)) {
+    return OWNER_USER_TYPES.includes(userType)
+      ? { role: SIGNATORY_ROLES.LANDLORD, source: ROLE_SOURCES.PROPERTY_OWNER }
+      : { role: SIGNATORY_ROLES.LANDLORD, source: ROLE_SOURCES.PROPERTY_STAFF };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a signer's role on an agreement by matching their email against the
+ * registered signatories, the rentee, and the property's owner and staff.
+ * @param {Object} agreement - Agreement row (id, renteeid, propertyid, signatories_status)
+ * @param {Object} signer - The signer from the webhook
+ * @param {string} signer.email - Signer email (webhook Email)
+ * @param {string} signer.name - Signer name (webhook UserName)
+ * @returns {Promise<Object>} { success, role, source, userId, registered, flags } or { success: false, error }
+ */
+export async function resolveSignatoryRole(agreement, { email, name } = {}) {
+  const wantedEmail = normalizeEmail(email);
+  const flags = [];
+
+  const registeredEntry = parseSignatories(agreement.signatories_status)
+    .find(entry => normalizeEmail(entry?.email) === wantedEmail && isRegistered(entry));
+
+  let user = null;
+  if (wantedEmail && supabase) {
+    try {
+      const { data, error } = await supabase
+        .from('app_users')
+        .select('id, email, name, role, user_type, associated_property_ids')
+        .ilike('email', wantedEmail)
+        .limit(5);
+
+      if (error) {
+        logRoleActivity(`Error looking up app user ${wantedEmail}: ${error.message}`, 'error');
+        return { success: false, error: error.message };
+      }
+
+      // ilike treats _ and % as wildcards, so confirm the exact address
+      user = (data || []).find(candidate => normalizeEmail(candidate.email) === wantedEmail) || null;
+    } catch (error) {
+      logRoleActivity(`Exception looking up app user ${wantedEmail}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+  }
+
+  const fromData = user ? roleFromUser(user, agreement) : null;
+
+  let role;
+  let source;
+  if (registeredEntry) {
+    role = registeredRole(registeredEntry);
+    source = ROLE_SOURCES.REGISTERED;
+    // The registered role wins, but flag it when the data says otherwise (e.g. the rentee registered as guarantor)
+    if (fromData && fromData.role !== role) {
+      flags.push(SIGNATORY_FLAGS.ROLE_CONFLICT);
+    }
+  } else if (fromData) {
+    ({ role, source } = fromData);
+  } else {
+    role = SIGNATORY_ROLES.UNKNOWN;
+    source = ROLE_SOURCES.UNMATCHED;
+    flags.push(user ? SIGNATORY_FLAGS.NOT_LINKED : SIGNATORY_FLAGS.UNRECOGNIZED);
+  }
+
+  const knownName = registeredEntry?.name || user?.name;
+  if (name && knownName && normalizeName(name) !== normalizeName(knownName)) {
+    flags.push(SIGNATORY_FLAGS.NAME_MISMATCH);
+  }
+
+  if (flags.length > 0) {
+    logRoleActivity(`Signatory ${wantedEmail || '(no email)'} on agreement ${agreement.id} resolved as ${role} (${source}) with flags: ${flags.join(', ')}`, 'warn');
+  } else {
+    logRoleActivity(`Signatory ${wantedEmail} on agreement ${agreement.id} resolved as ${role} (${source})`);
+  }
+
+  return {
+    success: true,
+    role,
+    source,
+    userId: user?.id || null,
+    registered: Boolean(registeredEntry),
+    flags
+  };
+}
+
+/**
+ * Find the people who are expected to sign an agreement according to the data:
+ * the rentee and the property's owners. Staff can sign for the owner, but aren't expected to.
+ * @param {Object} agreement - Agreement row (id, renteeid, propertyid)
+ * @returns {Promise<Object>} { success, parties: [{ email, name, role, source, userId }] } or { success: false, error }
+ */
+export async function findAgreementParties(agreement) {
+  const parties = [];
+
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+
+  try {
+    if (agreement.renteeid) {
+      const { data: rentee, error } = await supabase
+        .from('app_users')
+        .select('id, email, name')
+        .eq('id', agreement.renteeid)
+        .maybeSingle();
+
+      if (error) {
+        logRoleActivity(`Error loading rentee ${agreement.renteeid}: ${error.message}`, 'error');
+        return { success: false, error: error.message };
+      }
+      if (rentee && rentee.email) {
+        parties.push({ email: rentee.email, name: rentee.name, role: SIGNATORY_ROLES.TENANT, source: ROLE_SOURCES.RENTEE, userId: rentee.id });
+      }
+    }
+
+    if (agreement.propertyid) {
+      const { data: propertyUsers, error } = await supabase
+        .from('app_users')
+        .select('id, email, name, role, user_type')
+        .contains('associated_property_ids', [agreement.propertyid]);
+
+      if (error) {
+        logRoleActivity(`Error loading users for property ${agreement.propertyid}: ${error.message}`, 'error');
+        return { success: false, error: error.message };
+      }
+      for (const user of propertyUsers || []) {
+        const userType = String(user.user_type || user.role || '').toLowerCase();
+        if (user.email && OWNER_USER_TYPES.includes(userType)) {
+          parties.push({ email: user.email, name: user.name, role: SIGNATORY_ROLES.LANDLORD, source: ROLE_SOURCES.PROPERTY_OWNER, userId: user.id });
+        }
+      }
+    }
+
+    return { success: true, parties };
+  } catch (error) {
+    logRoleActivity(`Exception finding parties for agreement ${agreement.id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export { SIGNATORY_ROLES, ROLE_SOURCES, SIGNATORY_FLAGS };
+
+export default {
+  resolveSignatoryRole,
+  findAgreementParties,
+  parseSignatories
+};
@@ -4,6 +4,29 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import supabaseImport, { insertWebhookEvent } from './supabaseClient.js';
+import { getEventType, EVENT_IDS, EVENT_HANDLERS } from './eventTypeRegistry.js';
+import {
+  evaluateTransition,
+  recordAgreementTransition,
+  AGREEMENT_STATES,
+  SIGNATURE_STATUS,
+  TRANSITION_REFUSALS
+} from './agreementStateMachine.js';
+import { resolveSignatoryRole } from './signatoryRoleService.js';
+import { findAgreementByRequestId, rememberAgreement, invalidateAgreement } from './agreementLookupService.js';
+import { activateAgreement } from './agreementActivationService.js';
+import { checkBookingConflicts } from './bookingConflictService.js';
+import { notifySigningEvent } from './signingNotificationService.js';
+import { publishSigningEvents } from './eventSubscriptionService.js';
+import { storeAgreementDocuments, listAgreementDocuments, notifyDocumentProblems } from './documentStorageService.js';
+import {
+  normalizeSignatories,
+  seedExpectedSignatories,
+  updateSignatory,
+  signingProgressColumns,
+  buildSignatoryReference,
+  SIGNATORY_STATES
+} from './signingProgressService.js';
 
 // Use the imported supabase client
 const supabase = supabaseImport;
@@ -22,38 +45,8 @@ if (!fs.existsSync(LOGS_DIR)) {
   fs.mkdirSync(LOGS_DIR, { recursive: true });
 }
 
-// Event types for Evia Sign
-const SIGNATURE_EVENT_TYPES = {
-  // SignRequestReceived
-  SIGN_REQUEST_RECEIVED: 1,
-  // SignatoryCompleted - When one signatory completes but others haven't
-  SIGNATORY_COMPLETED: 2, 
-  // RequestCompleted - All signatories have completed
-  REQUEST_COMPLETED: 3,
-  // RequestRejected - Request was rejected
-  REQUEST_REJECTED: 5
-};
-
-// Signature status mapping
-const SIGNATURE_STATUS = {
-  SEND_FOR_SIGNATURE: 'send_for_signature',
-  SIGNING_IN_PROGRESS: 'in_progress',
-  SIGNED_BY_LANDLORD: 'signed_by_landlord',
-  SIGNED_BY_TENANT: 'signed_by_tenant',
-  SIGNING_COMPLETE: 'signing_complete',
-  REJECTED: 'rejected'
-};
-
-// Agreement states
-const AGREEMENT_STATES = {
-  CREATED: 'created',                    // Initial state
-  DRAFT: 'draft',                        // Still being edited
-  PENDING_ACTIVATION: 'pending_activation', // During signature process
-  ACTIVE: 'active',                      // All signatures complete, agreement in effect
-  REJECTED: 'rejected',                  // Someone rejected the agreement
-  EXPIRED: 'expired',                    // Agreement reached its end date
-  CANCELLED: 'cancelled'                 // Agreement was manually cancelled
-};
+// Event types for Evia Sign (EventId constants, kept for existing callers)
+const SIGNATURE_EVENT_TYPES = EVENT_IDS;
 
 // Helper function to log information
 const logSignatureActivity = (message) => {
@@ -68,211 +61,67 @@ const logSignatureActivity = (message) => {
 };
 
 /**
- * Find an agreement by its Evia Sign reference ID
- * Tries multiple approaches to find the correct agreement
- */
-const findAgreementByEviaReference = async (requestId) => {
-  if (!requestId) {
-    logSignatureActivity(`Error: No requestId provided`);
-    return { success: false, error: 'No requestId provided' };
-  }
-
-  logSignatureActivity(`Looking for agreement with RequestId: ${requestId}`);
-  
-  try {
-    // Use raw SQL with explicit casting to handle the UUID comparison
-    // This is the most reliable method to fix the "operator does not exist: uuid = text" error
-    const { data: castingQuery, error: castingError } = await supabase
-      .from('agreements')
-      .select('*')
-      .filter('eviasignreference::text', 'eq', requestId);
-      
-    if (castingError) {
-      logSignatureActivity(`Error with casting query: ${castingError.message}`);
-    } else if (castingQuery && castingQuery.length > 0) {
-      logSignatureActivity(`Found agreement with casting query: ${castingQuery[0].id}`);
-      return { success: true, agreement: castingQuery[0] };
-    }
-    
-    // Attempt a direct equality match (this probably won't work due to the type mismatch)
-    const { data: directMatch, error: directError } = await supabase
-      .from('agreements')
-      .select('*')
-      .eq('eviasignreference', requestId);
-      
-    if (directError) {
-      logSignatureActivity(`Error with direct match: ${directError.message}`);
-    } else if (directMatch && directMatch.length > 0) {
-      logSignatureActivity(`Found agreement with direct match: ${directMatch[0].id}`);
-      return { success: true, agreement: directMatch[0] };
-    }
-  
-    // If no match, try alternate fields
-    logSignatureActivity(`No UUID match found, trying signature_request_id`);
-    
-    const { data: altAgreements, error: altError } = await supabase
-      .from('agreements')
-      .select('*')
-      .eq('signature_request_id', requestId);
-      
-    if (altError) {
-      logSignatureActivity(`Error finding agreement with signature_request_id: ${altError.message}`);
-    } else if (altAgreements && altAgreements.length > 0) {
-      logSignatureActivity(`Found agreement by signature_request_id: ${altAgreements[0].id}`);
-      return { success: true, agreement: altAgreements[0] };
-    }
-    
-    // Try a raw SQL query as a last resort for UUID comparison
-    try {
-      logSignatureActivity('Attempting direct SQL query for exact UUID text comparison');
-      
-      // Use the fetch API directly to execute a custom SQL query
-      const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/rpc/find_agreement_by_request_id`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'apikey': process.env.SUPABASE_SERVICE_KEY,
-          'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY}`
-        },
-        body: JSON.stringify({
-          request_id: requestId
-        })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.text();
-        logSignatureActivity(`RPC query failed: ${errorData}`);
-      } else {
-        const agreements = await response.json();
-        if (agreements && agreements.length > 0) {
-          logSignatureActivity(`Found agreement by RPC: ${agreements[0].id}`);
-          return { success: true, agreement: agreements[0] };
-        }
-      }
-    } catch (sqlError) {
-      logSignatureActivity(`SQL query error: ${sqlError.message}`);
-    }
-    
-    // Return not found if all methods fail
-    logSignatureActivity('No matching agreement found after trying all methods');
-    return { success: false, error: 'No matching agreement found' };
-  } catch (error) {
-    logSignatureActivity(`Exception in findAgreementByEviaReference: ${error.message}`);
-    return { success: false, error: `Exception finding agreement: ${error.message}` };
-  }
-};
-
-/**
- * Save signed document to storage from webhook data
+ * Publish the outbound events of an event that was already applied, with the documents
+ * stored for its request. The (subscription_id, event_id) key keeps a second publish from
+ * queueing another delivery.
+ * @param {Object} agreement - Agreement row
+ * @param {Object} event - The event being processed again
+ * @param {string} event.handler - Event handler (see EVENT_HANDLERS)
+ * @param {Object} event.webhookData - The webhook payload
+ * @param {string} event.requestId - Evia Sign RequestId
+ * @returns {Promise<Object>} publishSigningEvents result, or { success: false, error }
  */
-const saveSignedDocument = async (documentData, agreementId, documentName) => {
-  try {
-    logSignatureActivity(`Saving signed document for agreement ${agreementId}`);
-    
-    // Generate a filename based on agreement ID and timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `signed_${agreementId}_${timestamp}.pdf`;
-    
-    // For now, save it to the local file system for testing
-    const documentsDir = path.join(LOGS_DIR, 'signed-documents');
-    if (!fs.existsSync(documentsDir)) {
-      fs.mkdirSync(documentsDir, { recursive: true });
+const republishSigningEvents = async (agreement, { handler, webhookData, requestId }) => {
+  let storedDocuments = [];
+  if (handler === EVENT_HANDLERS.REQUEST_COMPLETED) {
+    const stored = await listAgreementDocuments(agreement.id);
+    if (!stored.success) {
+      return { success: false, published: [], error: `Stored documents not loaded: ${stored.error}` };
     }
-    
-    const filePath = path.join(documentsDir, filename);
-    
-    // Convert base64 content to binary if needed
-    let fileContent = documentData;
-    if (typeof documentData === 'string' && documentData.startsWith('data:') || 
-        documentData.startsWith('JVBERi')) {
-      // It's probably a base64 encoded PDF
-      try {
-        // Handle different formats of base64 data
-        let base64Data = documentData;
-        if (documentData.includes('base64,')) {
-          base64Data = documentData.split('base64,')[1];
-        }
-        fileContent = Buffer.from(base64Data, 'base64');
-      } catch (e) {
-        logSignatureActivity(`Error decoding base64 content: ${e.message}`);
-        // Fall back to using the original content
-        fileContent = documentData;
-      }
-    }
-    
-    // Write the file
-    fs.writeFileSync(filePath, fileContent);
-    logSignatureActivity(`Document saved to: ${filePath}`);
-    
-    // In a real implementation, you'd upload to cloud storage and return the URL
-    // For this example, we'll just use a fake URL
-    const documentUrl = `file://${filePath}`;
-    
-    return { 
-      success: true, 
-      url: documentUrl,
-      path: filePath
-    };
-  } catch (error) {
-    logSignatureActivity(`Error saving signed document: ${error.message}`);
-    return { success: false, error: error.message };
+    storedDocuments = stored.documents
+      .filter(document => document.request_id === requestId)
+      .map(document => ({ name: document.document_name, url: document.public_url, sizeBytes: document.size_bytes, problems: document.validation_problems || [] }));
   }
+  return publishSigningEvents(agreement, { handler, webhookData, updates: agreement, documents: storedDocuments });
 };
 
 /**
- * Determine the signature type based on email/name patterns
+ * Find an agreement by its Evia Sign reference ID (eviasignreference or signature_request_id)
+ * @param {string} requestId - Evia Sign RequestId
+ * @returns {Promise<Object>} { success, agreement } or { success: false, lookupFailed?, error }
  */
-const determineSignatoryType = (email, name) => {
-  if (!email && !name) {
-    return null;
-  }
-  
-  const emailLower = (email || '').toLowerCase();
-  const nameLower = (name || '').toLowerCase();
-  
-  // Check for landlord/owner patterns
-  if (emailLower.includes('landlord') || 
-      emailLower.includes('owner') || 
-      emailLower.includes('admin') ||
-      nameLower.includes('landlord') || 
-      nameLower.includes('owner') || 
-      nameLower.includes('admin')) {
-    return 'landlord';
-  }
-  
-  // Check for tenant/rentee patterns
-  if (emailLower.includes('tenant') || 
-      emailLower.includes('renter') || 
-      emailLower.includes('rentee') ||
-      nameLower.includes('tenant') || 
-      nameLower.includes('renter') || 
-      nameLower.includes('rentee')) {
-    return 'tenant';
+const findAgreementByEviaReference = async (requestId) => {
+  const result = await findAgreementByRequestId(requestId);
+  if (result.success) {
+    logSignatureActivity(`Found agreement ${result.agreement.id}${result.cached ? ' (cached)' : ''}`);
+  } else if (!result.lookupFailed) {
+    logSignatureActivity(`No matching agreement found${result.cached ? ' (cached)' : ''}`);
   }
-  
-  // Default to tenant if no clear pattern is found
-  return 'tenant';
+  return result;
 };
 
 /**
  * Process signature webhook event from Evia Sign
  * This is the main entry point for webhook processing
+ * @param {Object} webhookData - The webhook payload
+ * @param {Object} options - Processing options
+ * @param {boolean} options.dryRun - Work out the agreement update without storing documents or writing it
  */
-export async function processSignatureEvent(webhookData) {
+export async function processSignatureEvent(webhookData, { dryRun = false } = {}) {
   try {
     logSignatureActivity('=== SIGNATURE WEBHOOK PROCESSING STARTED ===');
     
     // Validate webhook data
     if (!webhookData || !webhookData.RequestId || !webhookData.EventId) {
       logSignatureActivity('Invalid webhook data: missing RequestId or EventId');
-      return { success: false, error: 'Invalid webhook data' };
+      return { success: false, retryable: false, error: 'Invalid webhook data' };
     }
     
     const requestId = webhookData.RequestId;
     const eventId = webhookData.EventId;
-    const eventDescription = webhookData.EventDescription;
+    const eventType = getEventType(eventId);
     
-    logSignatureActivity(`Processing event ${eventId} (${eventDescription}) for request ${requestId}`);
+    logSignatureActivity(`Processing event ${eventId} (${eventType.name}) for request ${requestId}`);
     
     // Record that we received the webhook regardless of whether we find the agreement
     let recordingResult = {
@@ -284,210 +133,362 @@ export async function processSignatureEvent(webhookData) {
     
     // Attempt to find the agreement, but continue even if not found
     logSignatureActivity(`Looking for agreement with RequestId: ${requestId}`);
-    const { success, agreement, error } = await findAgreementByEviaReference(requestId);
+    const { success, agreement, error, lookupFailed } = await findAgreementByEviaReference(requestId);
+    
+    if (lookupFailed) {
+      logSignatureActivity(`Agreement lookup failed: ${error}. Event will be retried.`);
+      return { success: false, recordingSuccess: true, agreementProcessed: false, error };
+    }
     
     if (!success || !agreement) {
-      logSignatureActivity(`Agreement not found: ${error}. Webhook event still recorded.`);
-      // Return partial success since we recorded the event even if we couldn't find agreement
+      logSignatureActivity(`Agreement not found: ${error}. Event kept as an orphan until its agreement appears.`);
+      // Nothing to retry now; the caller parks the event and the orphan reconciler applies it later
       return { 
         success: true, 
         recordingSuccess: true, 
         agreementProcessed: false,
-        error: error || 'Agreement not found, but webhook was recorded' 
+        orphaned: true,
+        error: error || 'No matching agreement found' 
       };
     }
     
     logSignatureActivity(`Found agreement ID: ${agreement.id}, current status: ${agreement.status || 'none'}`);
-    
+
+    // A cancelled agreement's request was voided; whatever Evia Sign still sends for it is ignored
+    if (agreement.status === AGREEMENT_STATES.CANCELLED) {
+      logSignatureActivity(`Agreement ${agreement.id} is cancelled; ignoring ${eventType.name} for request ${requestId}`);
+      return {
+        success: true,
+        recordingSuccess: true,
+        agreementProcessed: false,
+        ignored: true,
+        agreementId: agreement.id,
+        message: `Agreement ${agreement.id} is cancelled; event ignored`
+      };
+    }
+
     // Process based on event type
     let updateData = {
       updatedat: new Date().toISOString()
     };
     
     // Initialize signatories_status if not present
-    let signatoryData = agreement.signatories_status || [];
-    if (typeof signatoryData === 'string') {
-      try {
-        signatoryData = JSON.parse(signatoryData);
-      } catch (e) {
-        logSignatureActivity(`Warning: Couldn't parse signatories_status JSON: ${e.message}`);
-        signatoryData = [];
-      }
-    }
+    let signatoryData = normalizeSignatories(agreement.signatories_status, requestId);
     
-    // Switch based on event ID
-    logSignatureActivity(`Handling event type ${eventId}`);
-    switch (eventId) {
-      case SIGNATURE_EVENT_TYPES.SIGN_REQUEST_RECEIVED:
-        logSignatureActivity('Processing SignRequestReceived event');
+    // Switch based on the handler registered for this event type
+    logSignatureActivity(`Handling event type ${eventId} with handler ${eventType.handler}`);
+    switch (eventType.handler) {
+      case EVENT_HANDLERS.SIGN_REQUEST_RECEIVED:
+        logSignatureActivity(`Processing ${eventType.name} event`);
         updateData.status = AGREEMENT_STATES.PENDING_ACTIVATION;
         updateData.signature_status = SIGNATURE_STATUS.SEND_FOR_SIGNATURE;
         updateData.signature_sent_at = new Date().toISOString();
+        
+        // Seed everyone expected to sign, so outstanding signers are visible from the start
+        const seeded = await seedExpectedSignatories(agreement, { requestId, invitedAt: webhookData.EventTime });
+        if (!seeded.success) {
+          logSignatureActivity(`Could not load expected signatories: ${seeded.error}. Event will be retried.`);
+          return { success: false, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, error: seeded.error };
+        }
+        Object.assign(updateData, signingProgressColumns(seeded.signatories));
+        logSignatureActivity(`Expecting ${seeded.signatories.length} signatories: ${updateData.signing_progress}`);
         break;
         
-      case SIGNATURE_EVENT_TYPES.SIGNATORY_COMPLETED:
-        logSignatureActivity('Processing SignatoryCompleted event');
-        // Determine signatory type
-        const signatoryType = determineSignatoryType(webhookData.Email, webhookData.UserName);
-        logSignatureActivity(`Determined signatory type: ${signatoryType}`);
+      case EVENT_HANDLERS.SIGNATORY_COMPLETED:
+        logSignatureActivity(`Processing ${eventType.name} event`);
+        // Work out who signed from the agreement's rentee, property users and registered signatories
+        const resolution = await resolveSignatoryRole(agreement, {
+          email: webhookData.Email,
+          name: webhookData.UserName
+        });
+        if (!resolution.success) {
+          logSignatureActivity(`Signatory lookup failed: ${resolution.error}. Event will be retried.`);
+          return { success: false, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, error: resolution.error };
+        }
+        logSignatureActivity(`Resolved signatory role: ${resolution.role} (${resolution.source})${resolution.flags.length ? `, flagged: ${resolution.flags.join(', ')}` : ''}`);
         
         // Get signatory name - clean it up if needed
         const signatoryName = webhookData.UserName || webhookData.Email.split('@')[0];
         
         // Update signature status to include the actual name who signed
-        updateData.signature_status = signatoryType === 'landlord' 
-          ? `signed_by_${signatoryName.replace(/\s+/g, '_')}` 
-          : `signed_by_${signatoryName.replace(/\s+/g, '_')}`;
+        updateData.signature_status = `signed_by_${signatoryName.replace(/\s+/g, '_')}`;
         logSignatureActivity(`Setting signature status to: ${updateData.signature_status}`);
         
-        // Keep agreement in pending state until all signatures complete
+        // Keep agreement in pending state until all signatories complete
         updateData.status = AGREEMENT_STATES.PENDING_ACTIVATION;
         
-        // Update signatories status array
-        const newSignatory = {
-          name: webhookData.UserName || 'Unknown',
-          email: webhookData.Email,
-          type: signatoryType,
-          status: 'completed',
+        // Mark the signatory as signed (adding them if they weren't expected)
+        signatoryData = updateSignatory(signatoryData, webhookData.Email, SIGNATORY_STATES.SIGNED, {
+          name: webhookData.UserName,
+          type: resolution.role,
+          roleSource: resolution.source,
+          userId: resolution.userId,
+          flags: resolution.flags,
+          reference: buildSignatoryReference(requestId, webhookData.Email),
           signedAt: webhookData.EventTime || new Date().toISOString()
-        };
+        });
         
-        // Check if signatory already exists
-        const existingIndex = signatoryData.findIndex(s => s.email === webhookData.Email);
-        if (existingIndex >= 0) {
-          // Update existing signatory
-          logSignatureActivity(`Updating existing signatory at index ${existingIndex}`);
-          signatoryData[existingIndex] = {
-            ...signatoryData[existingIndex],
-            ...newSignatory
-          };
-        } else {
-          // Add new signatory
-          logSignatureActivity(`Adding new signatory: ${newSignatory.name} (${newSignatory.email})`);
-          signatoryData.push(newSignatory);
-        }
-        
-        updateData.signatories_status = signatoryData;
+        Object.assign(updateData, signingProgressColumns(signatoryData));
+        logSignatureActivity(`Signing progress: ${updateData.signing_progress}${updateData.next_signatory_email ? `, next: ${updateData.next_signatory_email}` : ''}`);
         break;
         
-      case SIGNATURE_EVENT_TYPES.REQUEST_COMPLETED:
-        logSignatureActivity('Processing RequestCompleted event');
+      case EVENT_HANDLERS.REQUEST_COMPLETED:
+        logSignatureActivity(`Processing ${eventType.name} event`);
         updateData.status = AGREEMENT_STATES.ACTIVE;
         updateData.signature_status = SIGNATURE_STATUS.SIGNING_COMPLETE;
         updateData.signature_completed_at = new Date().toISOString();
         updateData.signeddate = new Date().toISOString();
         
-        // Check if we have signed document data
-        if (webhookData.Documents && webhookData.Documents.length > 0) {
-          logSignatureActivity('Found signed document in webhook data');
-          const document = webhookData.Documents[0];
-          
-          try {
-            // Save locally first
-            logSignatureActivity('Saving signed document...');
-            const saveResult = await saveSignedDocument(
-              document.DocumentContent,
-              agreement.id,
-              document.DocumentName
-            );
-            
-            if (saveResult.success) {
-              logSignatureActivity(`Signed document saved locally: ${saveResult.url}`);
-              updateData.signed_document_url = saveResult.url;
-              
-              // Now try to save to Supabase storage for web access
-              try {
-                logSignatureActivity('Preparing document for Supabase storage...');
-                // Buffer the document content
-                const documentBuffer = Buffer.from(document.DocumentContent, 'base64');
-                
-                // Save to Supabase storage
-                const timestamp = new Date().toISOString().replace(/[:.-]/g, '_');
-                const filename = `signed_agreement_${agreement.id}_${timestamp}.pdf`;
-                const filePath = `agreements/${agreement.id}/${filename}`;
-                
-                logSignatureActivity(`Uploading to Supabase: ${filePath}`);
-                
-                // Use the supabase client to upload
-                const { data: uploadData, error: uploadError } = await supabase.storage
-                  .from('files')
-                  .upload(filePath, documentBuffer, {
-                    contentType: 'application/pdf',
-                    upsert: true
-                  });
-                
-                if (uploadError) {
-                  logSignatureActivity(`Error uploading to storage: ${uploadError.message}`);
-                  throw new Error(`Supabase upload error: ${uploadError.message}`);
-                }
-                
-                // Get public URL
-                const { data: urlData } = supabase.storage
-                  .from('files')
-                  .getPublicUrl(filePath);
-                
-                if (urlData && urlData.publicUrl) {
-                  logSignatureActivity(`Document uploaded to Supabase: ${urlData.publicUrl}`);
-                  // Update both URLs to ensure max compatibility
-                  updateData.signed_document_url = urlData.publicUrl;
-                  updateData.pdfurl = urlData.publicUrl; 
-                  updateData.signatureurl = urlData.publicUrl;
-                } else {
-                  logSignatureActivity('Warning: No public URL returned from Supabase');
-                }
-              } catch (storageError) {
-                logSignatureActivity(`Error uploading to Supabase storage: ${storageError.message}`);
-                // Continue with local file if Supabase upload fails
-              }
-            } else {
-              logSignatureActivity(`Failed to save signed document: ${saveResult.error}`);
-            }
-          } catch (docError) {
-            logSignatureActivity(`Error processing document: ${docError.message}`);
+        // Evia Sign only completes a request once everyone has signed
+        for (const signatory of signatoryData) {
+          if (signatory.status !== SIGNATORY_STATES.SIGNED) {
+            signatoryData = updateSignatory(signatoryData, signatory.email, SIGNATORY_STATES.SIGNED, {
+              signedAt: webhookData.EventTime || new Date().toISOString()
+            });
           }
-        } else {
-          logSignatureActivity('No signed document attached in webhook');
         }
+        Object.assign(updateData, signingProgressColumns(signatoryData));
+        // Signed documents are stored once the transition has been accepted (below)
         break;
         
-      case SIGNATURE_EVENT_TYPES.REQUEST_REJECTED:
-        logSignatureActivity('Processing RequestRejected event');
+      case EVENT_HANDLERS.REQUEST_REJECTED:
+        logSignatureActivity(`Processing ${eventType.name} event`);
         updateData.status = AGREEMENT_STATES.REJECTED;
         updateData.signature_status = SIGNATURE_STATUS.REJECTED;
+        
+        // Keep who rejected it and why, for the re-draft workflow
+        updateData.rejection_reason = webhookData.RejectReason || null;
+        updateData.rejected_by_email = webhookData.Email || null;
+        updateData.rejected_by_name = webhookData.UserName || null;
+        updateData.rejected_at = webhookData.EventTime || new Date().toISOString();
+        logSignatureActivity(`Rejected by ${webhookData.UserName || webhookData.Email || 'unknown signatory'}: ${webhookData.RejectReason || 'no reason given'}`);
+        
+        if (webhookData.Email) {
+          signatoryData = updateSignatory(signatoryData, webhookData.Email, SIGNATORY_STATES.DECLINED, {
+            name: webhookData.UserName,
+            reference: buildSignatoryReference(requestId, webhookData.Email),
+            declinedAt: updateData.rejected_at,
+            declineReason: webhookData.RejectReason || null
+          });
+          Object.assign(updateData, signingProgressColumns(signatoryData));
+        }
+        break;
+        
+      case EVENT_HANDLERS.SIGNATORY_VIEWED:
+        logSignatureActivity(`Processing ${eventType.name} event`);
+        if (!webhookData.Email) {
+          logSignatureActivity('No Email on viewed event, nothing to update');
+          return { success: true, recordingSuccess: true, agreementProcessed: false, message: 'Viewed event has no Email' };
+        }
+        // Viewing doesn't move the agreement, but it only counts while signing is open
+        updateData.status = AGREEMENT_STATES.PENDING_ACTIVATION;
+        signatoryData = updateSignatory(signatoryData, webhookData.Email, SIGNATORY_STATES.VIEWED, {
+          reference: buildSignatoryReference(requestId, webhookData.Email),
+          viewedAt: webhookData.EventTime || new Date().toISOString()
+        });
+        Object.assign(updateData, signingProgressColumns(signatoryData));
         break;
         
       default:
-        logSignatureActivity(`Unknown event type ${eventId}, no status update needed`);
+        logSignatureActivity(eventType.known
+          ? `Event type ${eventId} (${eventType.name}) is record-only, no status update needed`
+          : `Unknown event type ${eventId}, no status update needed`);
         return { 
           success: true, 
           recordingSuccess: true,
           agreementProcessed: false,
-          message: 'Webhook received but event type not recognized for processing'
+          message: eventType.known
+            ? `Webhook recorded; ${eventType.name} events do not update the agreement`
+            : 'Webhook received but event type not recognized for processing'
         };
     }
     
+    // Check the change against the agreement state machine, using EventTime ordering
+    let transition = evaluateTransition(agreement, {
+      status: updateData.status,
+      signatureStatus: updateData.signature_status,
+      eventTime: webhookData.EventTime
+    });
+    
+    let bookingConflicts;
+    let documents;
+    if (!transition.allowed) {
+      logSignatureActivity(`Refusing ${eventType.name} for agreement ${agreement.id}: ${transition.message}`);
+      if (!dryRun) {
+        await recordAgreementTransition({ agreementId: agreement.id, evaluation: transition, requestId, eventId, eventTime: webhookData.EventTime });
+      }
+      
+      // A late signatory confirmation still belongs in signatories_status while signing is in progress
+      const lateSignatory = transition.reason === TRANSITION_REFUSALS.STALE_EVENT &&
+        eventType.handler === EVENT_HANDLERS.SIGNATORY_COMPLETED &&
+        agreement.status === AGREEMENT_STATES.PENDING_ACTIVATION;
+      
+      // A retried or replayed RequestCompleted finishes an activation that failed part-way
+      if (!dryRun && eventType.handler === EVENT_HANDLERS.REQUEST_COMPLETED &&
+          agreement.status === AGREEMENT_STATES.ACTIVE && !agreement.activated_at) {
+        const activation = await activateAgreement(agreement.id);
+        if (!activation.success) {
+          logSignatureActivity(`Activation of agreement ${agreement.id} failed: ${activation.error}. Event will be retried.`);
+          return { success: false, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, error: activation.error };
+        }
+        // The first attempt returned before notifying; the dedupe key keeps this to one notification
+        const notifications = await notifySigningEvent(agreement, { handler: eventType.handler, webhookData, updates: { status: agreement.status } });
+        const subscriptions = await republishSigningEvents(agreement, { handler: eventType.handler, webhookData, requestId });
+        if (!subscriptions.success) {
+          logSignatureActivity(`Outbound events not queued: ${subscriptions.error}. Event will be retried.`);
+          return { success: false, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, error: subscriptions.error };
+        }
+        return { success: true, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, transitionRefused: true, transition, activation, notifications, subscriptions };
+      }
+      
+      // A retry of the event applied last, after its outbound events failed to queue, publishes them again
+      const redelivered = transition.to === agreement.status && Boolean(webhookData.EventTime) &&
+        Date.parse(webhookData.EventTime) === Date.parse(agreement.last_signature_event_at);
+      if (!dryRun && redelivered &&
+          [EVENT_HANDLERS.REQUEST_COMPLETED, EVENT_HANDLERS.REQUEST_REJECTED].includes(eventType.handler)) {
+        const subscriptions = await republishSigningEvents(agreement, { handler: eventType.handler, webhookData, requestId });
+        if (!subscriptions.success) {
+          logSignatureActivity(`Outbound events not queued: ${subscriptions.error}. Event will be retried.`);
+          return { success: false, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, error: subscriptions.error };
+        }
+        return { success: true, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, transitionRefused: true, transition, subscriptions };
+      }
+      
+      if (!lateSignatory) {
+        // Refusals are final: retrying the same event would be refused again
+        return {
+          success: true,
+          recordingSuccess: true,
+          agreementProcessed: false,
+          dryRun,
+          agreementId: agreement.id,
+          transitionRefused: true,
+          transition,
+          message: transition.message
+        };
+      }
+      
+      logSignatureActivity(`Recording late signatory ${webhookData.Email} without changing the agreement status`);
+      updateData = {
+        updatedat: updateData.updatedat,
+        ...signingProgressColumns(updateData.signatories_status)
+      };
+    } else {
+      updateData.last_signature_event_at = webhookData.EventTime;
+      
+      if (eventType.handler === EVENT_HANDLERS.REQUEST_COMPLETED) {
+        // Another agreement letting the same unit for overlapping dates is flagged, or holds activation back
+        bookingConflicts = await checkBookingConflicts(agreement, { dryRun });
+        if (!bookingConflicts.success) {
+          logSignatureActivity(`Booking conflict check failed: ${bookingConflicts.error}. Event will be retried.`);
+          return { success: false, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, error: bookingConflicts.error };
+        }
+        if (bookingConflicts.blocked) {
+          // Fully signed, but not active; replaying the event once the conflict is resolved activates it
+          logSignatureActivity(`Agreement ${agreement.id} overlaps an active agreement; keeping it in ${AGREEMENT_STATES.PENDING_ACTIVATION}`);
+          updateData.status = AGREEMENT_STATES.PENDING_ACTIVATION;
+          transition = evaluateTransition(agreement, {
+            status: updateData.status,
+            signatureStatus: updateData.signature_status,
+            eventTime: webhookData.EventTime
+          });
+        }
+        
+        if (dryRun) {
+          logSignatureActivity('Dry run: skipping signed document storage');
+        } else {
+          // Every document is stored once under its DocumentName; the agreement's URL columns
+          // point at the first and are written with the rest of the update below
+          documents = await storeAgreementDocuments(agreement, webhookData);
+          if (!documents.success) {
+            logSignatureActivity(`Signed documents not stored: ${documents.error}. Event will be retried.`);
+            return { success: false, recordingSuccess: true, agreementProcessed: false, agreementId: agreement.id, error: documents.error };
+          }
+          Object.assign(updateData, documents.updates);
+          
+          // Corrupt, non-PDF or unsigned documents are flagged in the same write that activates the agreement
+          updateData.document_problems = documents.problems.length > 0 ? documents.problems : null;
+          updateData.document_problems_at = documents.problems.length > 0 ? updateData.updatedat : null;
+          if (documents.problems.length > 0) {
+            const notified = await notifyDocumentProblems(agreement, { problems: documents.problems, webhookData });
+            if (!notified.success) {
+              // The flag on the agreement is the record; a lost notification is logged, not retried
+              logSignatureActivity(`Managers not notified of document problems: ${notified.error}`);
+            }
+          }
+        }
+      }
+    }
+    
+    if (dryRun) {
+      logSignatureActivity(`Dry run: would update agreement ${agreement.id} with ${JSON.stringify(updateData).substring(0, 200)}`);
+      return {
+        success: true,
+        dryRun: true,
+        agreementProcessed: false,
+        agreementId: agreement.id,
+        currentStatus: agreement.status,
+        currentSignatureStatus: agreement.signature_status,
+        transition,
+        updates: updateData,
+        ...(bookingConflicts?.conflicts.length ? { bookingConflicts } : {})
+      };
+    }
+    
     // Update the agreement in the database
     logSignatureActivity(`Updating agreement ${agreement.id} with new data`);
     logSignatureActivity(`Update payload: ${JSON.stringify(updateData).substring(0, 200)}...`);
     
     try {
-      const { error: updateError } = await supabase
+      const { data: updatedRows, error: updateError } = await supabase
         .from('agreements')
         .update(updateData)
-        .eq('id', agreement.id);
+        .eq('id', agreement.id)
+        .select('*');
       
       if (updateError) {
         logSignatureActivity(`Error updating agreement: ${updateError.message}`);
-        // Still return partial success since we recorded the event
+        // The event is recorded, but the agreement update must be retried
         return { 
-          success: true, 
+          success: false, 
           recordingSuccess: true,
           agreementProcessed: false,
-          error: updateError.message 
+          agreementId: agreement.id,
+          error: `Agreement update failed: ${updateError.message}` 
         };
       }
       
       logSignatureActivity(`Agreement ${agreement.id} updated successfully`);
+      // Later events for this request use the row we just wrote
+      if (updatedRows && updatedRows[0]) {
+        rememberAgreement(updatedRows[0]);
+      } else {
+        invalidateAgreement(agreement.id);
+      }
+      if (transition.allowed) {
+        await recordAgreementTransition({ agreementId: agreement.id, evaluation: transition, requestId, eventId, eventTime: webhookData.EventTime });
+      }
+      
+      // Occupy the unit, link the rentee and open move-in tasks
+      let activation;
+      if (transition.allowed && updateData.status === AGREEMENT_STATES.ACTIVE) {
+        activation = await activateAgreement(agreement.id);
+        if (!activation.success) {
+          // The agreement is active; the retry finishes the activation (see the refusal branch above)
+          logSignatureActivity(`Activation of agreement ${agreement.id} failed: ${activation.error}. Event will be retried.`);
+          return { success: false, recordingSuccess: true, agreementProcessed: true, agreementId: agreement.id, error: activation.error };
+        }
+      }
+      
+      // Tell the rentee, property staff and admins; a failed notification is logged, not retried
+      const notifications = await notifySigningEvent(agreement, { handler: eventType.handler, webhookData, updates: updateData });
+      // Fan out to subscribed services. Deliveries retry on their own; if they can't be queued the
+      // event is retried, and the refusal branch above publishes them again.
+      const subscriptions = await publishSigningEvents(agreement, { handler: eventType.handler, webhookData, updates: updateData, documents: documents?.documents });
+      if (!subscriptions.success) {
+        logSignatureActivity(`Outbound events not queued: ${subscriptions.error}. Event will be retried.`);
+        return { success: false, recordingSuccess: true, agreementProcessed: true, agreementId: agreement.id, error: subscriptions.error };
+      }
       logSignatureActivity('=== SIGNATURE WEBHOOK PROCESSING COMPLETED SUCCESSFULLY ===');
       
       return {
@@ -495,16 +496,21 @@ export async function processSignatureEvent(webhookData) {
         recordingSuccess: true,
         agreementProcessed: true,
         agreementId: agreement.id,
-        updates: updateData
+        updates: updateData,
+        notifications,
+        subscriptions,
+        ...(documents ? { documents: documents.documents, skippedDocuments: documents.skipped, documentProblems: documents.problems } : {}),
+        ...(activation ? { activation } : {}),
+        ...(bookingConflicts?.conflicts.length ? { bookingConflicts } : {})
       };
     } catch (updateError) {
       logSignatureActivity(`Exception updating agreement: ${updateError.message}`);
-      // Return partial success since we recorded the event
       return { 
-        success: true, 
+        success: false, 
         recordingSuccess: true,
         agreementProcessed: false,
-        error: updateError.message 
+        agreementId: agreement.id,
+        error: `Agreement update failed: ${updateError.message}` 
       };
     }
     
@@ -513,9 +519,8 @@ export async function processSignatureEvent(webhookData) {
     logSignatureActivity(`Stack trace: ${error.stack || 'No stack trace available'}`);
     console.error('Error in processSignatureEvent:', error);
     
-    // Always report success for recording the webhook, even if processing failed
     return { 
-      success: true, 
+      success: false, 
       recordingSuccess: true,
       agreementProcessed: false,
       error: error.message 
@@ -527,6 +532,7 @@ export async function processSignatureEvent(webhookData) {
 export {
   SIGNATURE_EVENT_TYPES,
   SIGNATURE_STATUS,
+  AGREEMENT_STATES,
   logSignatureActivity,
   findAgreementByEviaReference
 }; 
\ No newline at end of file
@@ -0,0 +1,325 @@
+// signingNotificationService.js - Writes in-app and email notifications for signing events
+//
+// Each processed Evia Sign event becomes a notifications row ("Jane signed lease for
+// Unit 4B, Palm Court") for the agreement's rentee, the property's staff and the admins,
+// and an email rendered from the letter_templates row of type signing_<kind>, if there is one.
+// Who gets which events is set per user in app_users.notification_preferences; users
+// without a preference get their audience's default. Rows carry the event's dedupe key,
+// so a retried or replayed event doesn't notify anyone twice.
+import supabase, { buildDedupeKey } from './supabaseClient.js';
+import { AGREEMENT_STATES } from './agreementStateMachine.js';
+import { EVENT_HANDLERS } from './eventTypeRegistry.js';
+import { loadPlaceDetails } from './signingReminderService.js';
+import { queueTemplatedEmails } from './emailDispatchService.js';
+
+// Notification kinds, also the keys of app_users.notification_preferences
+const NOTIFICATION_EVENTS = {
+  REQUEST_SENT: 'request_sent',
+  SIGNATORY_VIEWED: 'signatory_viewed',
+  SIGNATORY_SIGNED: 'signatory_signed',
+  REQUEST_COMPLETED: 'request_completed',
+  REQUEST_REJECTED: 'request_rejected'
+};
+
+// notification_preferences key that turns a user's signing emails off (in-app notifications stay)
+const EMAIL_PREFERENCE = 'email';
+
+// Who a recipient is to the agreement
+const AUDIENCES = {
+  RENTEE: 'rentee', // agreements.renteeid
+  STAFF: 'staff',   // app_users linked to the property (owners, landlords, managers, staff)
+  ADMIN: 'admin'    // app_users with the admin role
+};
+
+// What each audience receives unless the user has chosen otherwise
+const DEFAULT_PREFERENCES = {
+  [AUDIENCES.RENTEE]: {
+    [NOTIFICATION_EVENTS.REQUEST_SENT]: true,
+    [NOTIFICATION_EVENTS.SIGNATORY_VIEWED]: false,
+    [NOTIFICATION_EVENTS.SIGNATORY_SIGNED]: true,
+    [NOTIFICATION_EVENTS.REQUEST_COMPLETED]: true,
+    [NOTIFICATION_EVENTS.REQUEST_REJECTED]: true
+  },
+  [AUDIENCES.STAFF]: {
+    [NOTIFICATION_EVENTS.REQUEST_SENT]: true,
+    [NOTIFICATION_EVENTS.SIGNATORY_VIEWED]: true,
+    [NOTIFICATION_EVENTS.SIGNATORY_SIGNED]: true,
+    [NOTIFICATION_EVENTS.REQUEST_COMPLETED]: true,
+    [NOTIFICATION_EVENTS.REQUEST_REJECTED]: true
+  },
+  [AUDIENCES.ADMIN]: {
+    [NOTIFICATION_EVENTS.REQUEST_SENT]: false,
+    [NOTIFICATION_EVENTS.SIGNATORY_VIEWED]: false,
+    [NOTIFICATION_EVENTS.SIGNATORY_SIGNED]: false,
+    [NOTIFICATION_EVENTS.REQUEST_COMPLETED]: true,
+    [NOTIFICATION_EVENTS.REQUEST_REJECTED]: true
+  }
+};
+
+// Event handlers that notify, and the kind they notify as
+const HANDLER_EVENTS = {
+  [EVENT_HANDLERS.SIGN_REQUEST_RECEIVED]: NOTIFICATION_EVENTS.REQUEST_SENT,
+  [EVENT_HANDLERS.SIGNATORY_VIEWED]: NOTIFICATION_EVENTS.SIGNATORY_VIEWED,
+  [EVENT_HANDLERS.SIGNATORY_COMPLETED]: NOTIFICATION_EVENTS.SIGNATORY_SIGNED,
+  [EVENT_HANDLERS.REQUEST_COMPLETED]: NOTIFICATION_EVENTS.REQUEST_COMPLETED,
+  [EVENT_HANDLERS.REQUEST_REJECTED]: NOTIFICATION_EVENTS.REQUEST_REJECTED
+};
+
+// app_users.user_type / role values that are tenants, not property staff
+const NON_STAFF_USER_TYPES = ['rentee', 'tenant'];
+const ADMIN_ROLES = ['admin'];
+
+/**
+ * Log a message related to signing notifications
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logNotificationActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[SIGNING-NOTIFICATIONS] ${prefix} ${message}`);
+};
+
+/**
+ * Whether a user wants a kind of notification
+ * @param {Object} user - app_users row (notification_preferences)
+ * @param {string} audience - The user's audience (see AUDIENCES)
+ * @param {string} kind - Notification kind (see NOTIFICATION_EVENTS)
+ * @returns {boolean} True if the user should be notified
+ */
+function wantsNotification(user, audience, kind) {
+  const preferences = user.notification_preferences && typeof user.notification_preferences === 'object'
+    ? user.notification_preferences
+    : {};
+  return typeof preferences[kind] === 'boolean' ? preferences[kind] : DEFAULT_PREFERENCES[audience][kind];
+}
+
+/**
+ * Whether a user wants signing emails as well as in-app notifications
+ * @param {Object} user - app_users row (email, notification_preferences)
+ * @returns {boolean} True if the user has an email address and hasn't turned emails off
+ */
+function wantsEmail(user) {
+  return Boolean(user.email) && user.notification_preferences?.[EMAIL_PREFERENCE] !== false;
+}
+
+/**
+ * Find everyone an agreement's events may be sent to. A user in several audiences
+ * is counted once, as the rentee first, then as staff.
+ * @param {Object} agreement - Agreement row (renteeid, propertyid)
+ * @returns {Promise<Object>} { success, recipients: [{ user, audience }] } or { success: false, error }
+ */
+export async function findNotificationRecipients(agreement) {
+  const columns = 'id, name, email, role, user_type, active, notification_preferences';
+  const recipients = new Map();
+  const add = (users, audience) => {
+    for (const user of users || []) {
+      if (user.active !== false && !recipients.has(user.id)) {
+        recipients.set(user.id, { user, audience });
+      }
+    }
+  };
+
+  if (agreement.renteeid) {
+    const { data, error } = await supabase.from('app_users').select(columns).eq('id', agreement.renteeid);
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    add(data, AUDIENCES.RENTEE);
+  }
+
+  if (agreement.propertyid) {
+    const { data, error } = await supabase
+      .from('app_users')
+      .select(columns)
+      .contains('associated_property_ids', [agreement.propertyid]);
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    // Former rentees stay linked to the property; they are not staff
+    add((data || []).filter(user =>
+      !NON_STAFF_USER_TYPES.includes(String(user.user_type || user.role || '').toLowerCase())), AUDIENCES.STAFF);
+  }
+
+  const { data: admins, error: adminError } = await supabase.from('app_users').select(columns).in('role', ADMIN_ROLES);
+  if (adminError) {
+    return { success: false, error: adminError.message };
+  }
+  add(admins, AUDIENCES.ADMIN);
+
+  return { success: true, recipients: [...recipients.values()] };
+}
+
+/**
+ * The notification text for an event
+ * @param {string} kind - Notification kind (see NOTIFICATION_EVENTS)
+ * @param {Object} context - Message context
+ * @param {string} context.place - Where the lease is, e.g. "Unit 4B, Palm Court"
+ * @param {Object} context.webhookData - The webhook payload (UserName, Email, RejectReason)
+ * @param {Object} context.updates - What was written to the agreement (status, signing_progress)
+ * @returns {string} Message
+ */
+function buildMessage(kind, { place, webhookData, updates }) {
+  const signer = webhookData.UserName || webhookData.Email || 'A signatory';
+  switch (kind) {
+    case NOTIFICATION_EVENTS.REQUEST_SENT:
+      return `Lease for ${place} sent for signature`;
+    case NOTIFICATION_EVENTS.SIGNATORY_VIEWED:
+      return `${signer} opened lease for ${place}`;
+    case NOTIFICATION_EVENTS.SIGNATORY_SIGNED:
+      return `${signer} signed lease for ${place}${updates.signing_progress ? ` (${updates.signing_progress})` : ''}`;
+    case NOTIFICATION_EVENTS.REQUEST_COMPLETED:
+      return updates.status === AGREEMENT_STATES.ACTIVE
+        ? `Lease for ${place} fully signed and active`
+        : `Lease for ${place} fully signed, but not activated because of a booking conflict`;
+    case NOTIFICATION_EVENTS.REQUEST_REJECTED:
+      return `Agreement rejected: ${signer} rejected lease for ${place}${webhookData.RejectReason ? `: ${webhookData.RejectReason}` : ''}`;
+    default:
+      return `Lease for ${place} updated`;
+  }
+}
+
+/**
+ * Notify the agreement's rentee, property staff and admins about a processed event,
+ * in-app and by email, each according to their preferences
+ * @param {Object} agreement - Agreement row before the event (id, renteeid, propertyid, unitid)
+ * @param {Object} event - The processed event
+ * @param {string} event.handler - Event handler (see EVENT_HANDLERS)
+ * @param {Object} event.webhookData - The webhook payload
+ * @param {Object} event.updates - What was written to the agreement
+ * @param {string} event.eventKey - Dedupe key of the notifications, if not the webhook's own
+ * @returns {Promise<Object>} { success, kind, notified, skipped, emails } or { success: false, error }
+ */
+export async function notifySigningEvent(agreement, { handler, webhookData, updates = {}, eventKey = buildDedupeKey(webhookData) }) {
+  const kind = HANDLER_EVENTS[handler];
+  if (!kind) {
+    return { success: true, kind: null, notified: 0, skipped: 0 };
+  }
+
+  try {
+    const found = await findNotificationRecipients(agreement);
+    if (!found.success) {
+      logNotificationActivity(`Error finding recipients for agreement ${agreement.id}: ${found.error}`, 'error');
+      return { success: false, error: found.error };
+    }
+
+    const wanted = found.recipients.filter(({ user, audience }) => wantsNotification(user, audience, kind));
+    const skipped = found.recipients.length - wanted.length;
+    if (wanted.length === 0) {
+      return { success: true, kind, notified: 0, skipped };
+    }
+
+    const details = await loadPlaceDetails(agreement);
+    const place = [details.unitNumber ? `Unit ${details.unitNumber}` : null, details.propertyName]
+      .filter(Boolean).join(', ') || `agreement ${agreement.id}`;
+    const message = buildMessage(kind, { place, webhookData, updates });
+    const timestamp = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('notifications')
+      .upsert(wanted.map(({ user }) => ({
+        user_id: user.id,
+        message,
+        is_read: false,
+        agreement_id: agreement.id,
+        event_type: kind,
+        event_key: eventKey,
+        createdat: timestamp,
+        updatedat: timestamp
+      })), { onConflict: 'user_id,event_key', ignoreDuplicates: true });
+
+    if (error) {
+      logNotificationActivity(`Error writing notifications for agreement ${agreement.id}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    logNotificationActivity(`${kind} for agreement ${agreement.id}: notified ${wanted.length}, skipped ${skipped} by preference`);
+
+    // Emails go out through the dispatcher; a failure here leaves the in-app notifications in place
+    const emails = await queueTemplatedEmails({
+      type: `signing_${kind}`,
+      agreement,
+      recipients: wanted.filter(({ user }) => wantsEmail(user)).map(({ user }) => ({ email: user.email, name: user.name })),
+      values: {
+        message,
+        signatoryName: webhookData.UserName || webhookData.Email || null,
+        signingProgress: updates.signing_progress || null,
+        rejectReason: webhookData.RejectReason || 'none given',
+        requestId: webhookData.RequestId
+      },
+      eventKey
+    });
+    return { success: true, kind, notified: wanted.length, skipped, emails };
+  } catch (error) {
+    logNotificationActivity(`Exception notifying for agreement ${agreement.id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Change which signing notifications a user receives. Kinds not given keep their
+ * current setting; null goes back to the audience default. "email": false turns
+ * the user's signing emails off.
+ * @param {string} userId - app_users ID
+ * @param {Object} changes - { [kind]: true | false | null }
+ * @returns {Promise<Object>} { success, userId, preferences } or { success: false, invalid | notFound | error }
+ */
+export async function updateNotificationPreferences(userId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { success: false, invalid: true, error: 'Preferences must be an object of notification kinds' };
+  }
+  const kinds = [...Object.values(NOTIFICATION_EVENTS), EMAIL_PREFERENCE];
+  const unknown = Object.keys(changes).filter(kind => !kinds.includes(kind));
+  if (unknown.length > 0) {
+    return { success: false, invalid: true, error: `Unknown notification kinds: ${unknown.join(', ')} (expected ${kinds.join(', ')})` };
+  }
+  const badValues = Object.entries(changes).filter(([, value]) => value !== null && typeof value !== 'boolean');
+  if (badValues.length > 0) {
+    return { success: false, invalid: true, error: `Preferences must be true, false or null: ${badValues.map(([kind]) => kind).join(', ')}` };
+  }
+
+  try {
+    const { data: user, error } = await supabase
+      .from('app_users')
+      .select('id, notification_preferences')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    if (!user) {
+      return { success: false, notFound: true, error: `User ${userId} not found` };
+    }
+
+    const preferences = { ...(user.notification_preferences || {}) };
+    for (const [kind, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete preferences[kind];
+      } else {
+        preferences[kind] = value;
+      }
+    }
+
+    const { error: updateError } = await supabase
+      .from('app_users')
+      .update({ notification_preferences: preferences, updatedat: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (updateError) {
+      return { success: false, error: updateError.message };
+    }
+    logNotificationActivity(`Notification preferences for user ${userId} set to ${JSON.stringify(preferences)}`);
+    return { success: true, userId, preferences };
+  } catch (error) {
+    logNotificationActivity(`Exception updating preferences for user ${userId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export { NOTIFICATION_EVENTS, AUDIENCES, DEFAULT_PREFERENCES };
+
+export default {
+  findNotificationRecipients,
+  notifySigningEvent,
+  updateNotificationPreferences
+};
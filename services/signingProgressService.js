@@ -0,0 +1,319 @@
+// signingProgressService.js - Expected signatories and multi-party signing progress
+import crypto from 'crypto';
+import supabase from './supabaseClient.js';
+import { findAgreementParties, parseSignatories, SIGNATORY_ROLES, ROLE_SOURCES } from './signatoryRoleService.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+
+// Per-signatory state (signatories_status[].status)
+const SIGNATORY_STATES = {
+  PENDING: 'pending',   // Expected to sign, hasn't yet
+  VIEWED: 'viewed',     // Opened the request
+  SIGNED: 'signed',     // Signed
+  DECLINED: 'declined'  // Rejected the request
+};
+
+// Entries written before per-signatory states existed
+const LEGACY_STATES = {
+  completed: SIGNATORY_STATES.SIGNED
+};
+
+/**
+ * Log a message related to signing progress
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logProgressActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[SIGNING-PROGRESS] ${prefix} ${message}`);
+};
+
+/**
+ * Stable reference for a signatory on a request, so the same person keeps
+ * the same reference across events and replays
+ * @param {string} requestId - Evia Sign RequestId
+ * @param {string} email - Signatory email
+ * @returns {string} Reference such as sig-1a2b3c4d5e6f
+ */
+export function buildSignatoryReference(requestId, email) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${String(requestId || '').toLowerCase()}:${String(email || '').trim().toLowerCase()}`)
+    .digest('hex');
+  return `sig-${hash.substring(0, 12)}`;
+}
+
+/**
+ * Compare two emails ignoring case and whitespace
+ * @param {string} a - Email
+ * @param {string} b - Email
+ * @returns {boolean} True if they are the same address
+ */
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Bring a signatories_status entry up to the current shape
+ * @param {Object} entry - signatories_status entry
+ * @param {number} index - Position in the list, used when no order was given
+ * @param {string} requestId - Evia Sign RequestId, for the reference
+ * @returns {Object} Normalised entry
+ */
+function normalizeSignatory(entry, index, requestId) {
+  const status = LEGACY_STATES[entry.status] || entry.status || SIGNATORY_STATES.PENDING;
+  return {
+    ...entry,
+    status,
+    order: Number.isInteger(entry.order) ? entry.order : index + 1,
+    reference: entry.reference || (requestId && entry.email ? buildSignatoryReference(requestId, entry.email) : null)
+  };
+}
+
+/**
+ * Parse and normalise signatories_status
+ * @param {Array|string} signatories - signatories_status value
+ * @param {string} requestId - Evia Sign RequestId
+ * @returns {Array<Object>} Normalised entries
+ */
+export function normalizeSignatories(signatories, requestId) {
+  return parseSignatories(signatories)
+    .filter(entry => entry && typeof entry === 'object')
+    .map((entry, index) => normalizeSignatory(entry, index, requestId));
+}
+
+/**
+ * Seed the expected signer list. A list registered through the admin API is used as it is;
+ * otherwise the agreement's rentee and property owners are expected. Existing entries (and
+ * their progress) are kept.
+ * @param {Object} agreement - Agreement row
+ * @param {Object} options - Seeding options
+ * @param {string} options.requestId - Evia Sign RequestId
+ * @param {string} options.invitedAt - When the request was sent (EventTime)
+ * @returns {Promise<Object>} { success, signatories } or { success: false, error }
+ */
+export async function seedExpectedSignatories(agreement, { requestId, invitedAt } = {}) {
+  const signatories = normalizeSignatories(agreement.signatories_status, requestId);
+  const registered = signatories.some(entry => entry.roleSource === ROLE_SOURCES.REGISTERED);
+
+  const { success, parties, error } = registered
+    ? { success: true, parties: [] }
+    : await findAgreementParties(agreement);
+  if (!success) {
+    return { success: false, error };
+  }
+
+  for (const party of parties) {
+    if (signatories.some(entry => sameEmail(entry.email, party.email))) {
+      continue;
+    }
+    signatories.push({
+      email: party.email,
+      name: party.name || party.email,
+      type: party.role,
+      roleSource: party.source,
+      userId: party.userId,
+      status: SIGNATORY_STATES.PENDING,
+      order: signatories.length + 1,
+      reference: buildSignatoryReference(requestId, party.email)
+    });
+  }
+
+  return {
+    success: true,
+    signatories: signatories.map(entry => ({
+      ...entry,
+      invitedAt: entry.invitedAt || invitedAt || null
+    }))
+  };
+}
+
+/**
+ * Build the registered signer list for a request that is about to be sent
+ * @param {Array<Object>} signers - [{ email, name, role, order }]
+ * @param {string} requestId - Evia Sign RequestId, if already known
+ * @returns {Object} { success, signatories } or { success: false, errors }
+ */
+export function buildRegisteredSignatories(signers, requestId) {
+  if (!Array.isArray(signers) || signers.length === 0) {
+    return { success: false, errors: ['signatories must be a non-empty array'] };
+  }
+
+  const roles = Object.values(SIGNATORY_ROLES).filter(role => role !== SIGNATORY_ROLES.UNKNOWN);
+  const errors = [];
+  signers.forEach((signer, index) => {
+    if (!signer || typeof signer.email !== 'string' || !signer.email.includes('@')) {
+      errors.push(`signatories[${index}].email must be an email address`);
+    }
+    if (!roles.includes(signer?.role)) {
+      errors.push(`signatories[${index}].role must be one of ${roles.join(', ')}`);
+    }
+    if (signer?.order !== undefined && !Number.isInteger(signer.order)) {
+      errors.push(`signatories[${index}].order must be an integer`);
+    }
+  });
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  return {
+    success: true,
+    signatories: signers.map((signer, index) => ({
+      email: signer.email.trim(),
+      name: signer.name || signer.email.trim(),
+      type: signer.role,
+      roleSource: ROLE_SOURCES.REGISTERED,
+      status: SIGNATORY_STATES.PENDING,
+      order: Number.isInteger(signer.order) ? signer.order : index + 1,
+      reference: requestId ? buildSignatoryReference(requestId, signer.email) : null
+    }))
+  };
+}
+
+/**
+ * Apply a state change to one signatory, adding them if they weren't expected
+ * @param {Array<Object>} signatories - Normalised entries
+ * @param {string} email - Signatory email
+ * @param {string} status - New SIGNATORY_STATES value
+ * @param {Object} details - Extra fields (name, type, timestamps...); undefined values are ignored
+ * @returns {Array<Object>} Updated entries
+ */
+export function updateSignatory(signatories, email, status, details = {}) {
+  const index = signatories.findIndex(entry => sameEmail(entry.email, email));
+  const existing = index >= 0 ? signatories[index] : null;
+
+  // Signed and declined are final for a signer; a late "viewed" must not undo them
+  if (existing && status === SIGNATORY_STATES.VIEWED &&
+      [SIGNATORY_STATES.SIGNED, SIGNATORY_STATES.DECLINED].includes(existing.status)) {
+    return signatories;
+  }
+
+  // Missing details (e.g. no UserName on the event) keep what we already know
+  const knownDetails = Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined));
+
+  const updated = {
+    ...(existing || { email, name: email, order: signatories.length + 1 }),
+    ...knownDetails,
+    status
+  };
+
+  return existing
+    ? signatories.map((entry, i) => (i === index ? updated : entry))
+    : [...signatories, updated];
+}
+
+/**
+ * Work out how far signing has got
+ * @param {Array<Object>} signatories - Normalised entries
+ * @returns {Object} { required, signed, declined, summary, next }
+ */
+export function computeSigningProgress(signatories) {
+  const required = signatories.length;
+  const signed = signatories.filter(entry => entry.status === SIGNATORY_STATES.SIGNED).length;
+  const declined = signatories.filter(entry => entry.status === SIGNATORY_STATES.DECLINED).length;
+
+  const outstanding = signatories
+    .filter(entry => entry.status === SIGNATORY_STATES.PENDING || entry.status === SIGNATORY_STATES.VIEWED)
+    .sort((a, b) => a.order - b.order);
+
+  let summary = `${signed} of ${required} signed`;
+  if (declined > 0) {
+    summary += `, ${declined} declined`;
+  }
+
+  return {
+    required,
+    signed,
+    declined,
+    summary,
+    next: declined > 0 ? null : outstanding[0] || null
+  };
+}
+
+/**
+ * Agreement columns derived from the signatory list
+ * @param {Array<Object>} signatories - Normalised entries
+ * @returns {Object} Columns for the agreements update
+ */
+export function signingProgressColumns(signatories) {
+  const progress = computeSigningProgress(signatories);
+  return {
+    signatories_status: signatories,
+    signatures_required: progress.required,
+    signatures_completed: progress.signed,
+    signing_progress: progress.summary,
+    next_signatory_email: progress.next ? progress.next.email : null,
+    next_signatory_name: progress.next ? progress.next.name || null : null
+  };
+}
+
+/**
+ * Register who is expected to sign an agreement, typically when the request is sent.
+ * Signers already on the agreement keep their progress; pending signers that are
+ * no longer in the list are dropped.
+ * @param {string} agreementId - Agreement ID
+ * @param {Array<Object>} signers - [{ email, name, role, order }]
+ * @returns {Promise<Object>} { success, signatories, progress } or { success: false, errors | notFound | error }
+ */
+export async function registerExpectedSignatories(agreementId, signers) {
+  try {
+    const { data: agreement, error } = await supabase
+      .from('agreements')
+      .select('id, eviasignreference, signatories_status')
+      .eq('id', agreementId)
+      .maybeSingle();
+
+    if (error) {
+      logProgressActivity(`Error loading agreement ${agreementId}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    if (!agreement) {
+      return { success: false, notFound: true, error: `Agreement ${agreementId} not found` };
+    }
+
+    const requestId = agreement.eviasignreference;
+    const registered = buildRegisteredSignatories(signers, requestId);
+    if (!registered.success) {
+      return registered;
+    }
+
+    const current = normalizeSignatories(agreement.signatories_status, requestId);
+    const merged = registered.signatories.map(signer => {
+      const existing = current.find(entry => sameEmail(entry.email, signer.email));
+      return existing ? { ...existing, ...signer, status: existing.status } : signer;
+    });
+    for (const entry of current) {
+      if (entry.status !== SIGNATORY_STATES.PENDING && !merged.some(signer => sameEmail(signer.email, entry.email))) {
+        merged.push(entry);
+      }
+    }
+
+    const columns = signingProgressColumns(merged);
+    const { error: updateError } = await supabase
+      .from('agreements')
+      .update({ ...columns, updatedat: new Date().toISOString() })
+      .eq('id', agreementId);
+
+    if (updateError) {
+      logProgressActivity(`Error saving signatories for agreement ${agreementId}: ${updateError.message}`, 'error');
+      return { success: false, error: updateError.message };
+    }
+    invalidateAgreement(agreementId);
+
+    logProgressActivity(`Registered ${merged.length} expected signatories for agreement ${agreementId} (${columns.signing_progress})`);
+    return { success: true, signatories: merged, progress: computeSigningProgress(merged) };
+  } catch (error) {
+    logProgressActivity(`Exception registering signatories for agreement ${agreementId}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export { SIGNATORY_STATES };
+
+export default {
+  buildSignatoryReference,
+  normalizeSignatories,
+  seedExpectedSignatories,
+  buildRegisteredSignatories,
+  registerExpectedSignatories,
+  updateSignatory,
+  computeSigningProgress,
+  signingProgressColumns
+};
@@ -0,0 +1,398 @@
+// signingReminderService.js - Reminds outstanding signatories and escalates stalled signature requests
+import supabase from './supabaseClient.js';
+import { AGREEMENT_STATES, SIGNATURE_STATUS } from './agreementStateMachine.js';
+import { normalizeSignatories, computeSigningProgress, SIGNATORY_STATES } from './signingProgressService.js';
+import { invalidateAgreement } from './agreementLookupService.js';
+import { queueTemplatedEmails, LETTER_STATUS } from './emailDispatchService.js';
+
+// letter_templates.type / sent_letters.letter_type of a signing reminder
+const REMINDER_LETTER_TYPE = 'signing_reminder';
+
+// app_users.user_type / role values that manage a property they are linked to
+const MANAGER_USER_TYPES = ['manager', 'property_manager'];
+// ...and who is told when a property has no manager
+const FALLBACK_ESCALATION_ROLES = ['admin'];
+
+/**
+ * Parse a comma separated list of day counts, e.g. "2,4"
+ * @param {string} value - The list
+ * @param {Array<number>} fallback - Used when the list is empty or invalid
+ * @returns {Array<number>} Sorted day counts
+ */
+function parseDays(value, fallback) {
+  const days = String(value || '')
+    .split(',')
+    .map(day => Number(day.trim()))
+    .filter(day => Number.isFinite(day) && day > 0);
+  return days.length > 0 ? days.sort((a, b) => a - b) : fallback;
+}
+
+// Configuration
+const REMINDER_DAYS = parseDays(process.env.SIGNING_REMINDER_DAYS, [2, 4]);
+const ESCALATION_DAYS = Number(process.env.SIGNING_ESCALATION_DAYS) || 7;
+const REMINDER_INTERVAL = (Number(process.env.SIGNING_REMINDER_INTERVAL_MINUTES) || 60) * 60 * 1000; // 1 hour
+const REMINDER_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job state
+let running = false;
+let reminderTimer = null;
+let lastRun = null;
+
+/**
+ * Log a message related to signing reminders
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logReminderActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[SIGNING-REMINDER] ${prefix} ${message}`);
+};
+
+/**
+ * Fill {{placeholders}} in template text. Unknown placeholders are left as they are.
+ * @param {string} text - Template subject or content
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(text, values) {
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? match : String(values[key]));
+}
+
+/**
+ * Find pending_activation agreements sent before the first reminder threshold that are
+ * still being signed. Fully signed agreements held back by a booking conflict have no one
+ * to remind. Every page is read, so agreements that are already reminded and escalated
+ * can't keep newer ones out of the run.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Result with the agreements
+ */
+async function findStalledAgreements(now) {
+  const sentBefore = new Date(now.getTime() - REMINDER_DAYS[0] * DAY_MS).toISOString();
+  const agreements = [];
+
+  for (let offset = 0; ; offset += REMINDER_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('agreements')
+      .select('id, propertyid, unitid, renteeid, startdate, enddate, eviasignreference, signature_sent_at, signatories_status, signing_escalated_at')
+      .eq('status', AGREEMENT_STATES.PENDING_ACTIVATION)
+      .or(`signature_status.is.null,signature_status.neq.${SIGNATURE_STATUS.SIGNING_COMPLETE}`)
+      .lt('signature_sent_at', sentBefore)
+      .order('signature_sent_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + REMINDER_BATCH_SIZE - 1);
+
+    if (error) {
+      return { success: false, error: error.message, agreements: [] };
+    }
+    agreements.push(...(data || []));
+    if (!data || data.length < REMINDER_BATCH_SIZE) {
+      return { success: true, agreements };
+    }
+  }
+}
+
+/**
+ * Property name and unit number, for the reminder text
+ * @param {Object} agreement - Agreement row (propertyid, unitid)
+ * @returns {Promise<Object>} { propertyName, unitNumber }
+ */
+export async function loadPlaceDetails(agreement) {
+  const details = { propertyName: null, unitNumber: null };
+
+  if (agreement.propertyid) {
+    const { data } = await supabase.from('properties').select('name').eq('id', agreement.propertyid).maybeSingle();
+    details.propertyName = data?.name || null;
+  }
+  if (agreement.unitid) {
+    const { data } = await supabase.from('property_units').select('unitnumber').eq('id', agreement.unitid).maybeSingle();
+    details.unitNumber = data?.unitnumber || null;
+  }
+  return details;
+}
+
+/**
+ * How many reminders each signatory has had queued for the agreement's current request.
+ * Reminders the dispatcher gave up on are counted apart, so they don't count as reminded.
+ * @param {Object} agreement - Agreement row (id, signature_sent_at)
+ * @returns {Promise<Object>} { success, counts: Map(email -> count), failed: Map(email -> count) } or { success: false, error }
+ */
+async function countRemindersQueued(agreement) {
+  const { data, error } = await supabase
+    .from('sent_letters')
+    .select('recipient_email, status')
+    .eq('agreement_id', agreement.id)
+    .eq('letter_type', REMINDER_LETTER_TYPE)
+    .gte('createdat', agreement.signature_sent_at);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  const counts = new Map();
+  const failed = new Map();
+  for (const row of data || []) {
+    const email = String(row.recipient_email || '').toLowerCase();
+    const tally = row.status === LETTER_STATUS.FAILED ? failed : counts;
+    tally.set(email, (tally.get(email) || 0) + 1);
+  }
+  return { success: true, counts, failed };
+}
+
+/**
+ * Find who a stalled agreement is escalated to: managers linked to the property,
+ * or the admins if it has none
+ * @param {Object} agreement - Agreement row (propertyid)
+ * @returns {Promise<Object>} { success, recipients: [{ id, name }] } or { success: false, error }
+ */
+export async function findEscalationRecipients(agreement) {
+  if (agreement.propertyid) {
+    const { data, error } = await supabase
+      .from('app_users')
+      .select('id, name, role, user_type')
+      .contains('associated_property_ids', [agreement.propertyid]);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    const managers = (data || []).filter(user =>
+      MANAGER_USER_TYPES.includes(String(user.user_type || user.role || '').toLowerCase()));
+    if (managers.length > 0) {
+      return { success: true, recipients: managers };
+    }
+  }
+
+  const { data: admins, error: adminError } = await supabase
+    .from('app_users')
+    .select('id, name')
+    .in('role', FALLBACK_ESCALATION_ROLES);
+
+  if (adminError) {
+    return { success: false, error: adminError.message };
+  }
+  return { success: true, recipients: admins || [] };
+}
+
+/**
+ * Queue the reminders and send the escalation due for one agreement
+ * @param {Object} agreement - Agreement row from findStalledAgreements
+ * @param {Object} context - Run context
+ * @param {Date} context.now - Current time
+ * @param {boolean} context.dryRun - Report what is due without writing anything
+ * @returns {Promise<Object>} { success, agreementId, daysOutstanding, reminders, escalated, escalatedTo } or { success: false, error }
+ */
+async function remindAgreement(agreement, { now, dryRun }) {
+  const daysOutstanding = Math.floor((now.getTime() - Date.parse(agreement.signature_sent_at)) / DAY_MS);
+  const summary = { agreementId: agreement.id, daysOutstanding, reminders: [], escalated: false, dryRun };
+
+  const signatories = normalizeSignatories(agreement.signatories_status, agreement.eviasignreference);
+  const progress = computeSigningProgress(signatories);
+  const outstanding = signatories.filter(entry =>
+    entry.email && (entry.status === SIGNATORY_STATES.PENDING || entry.status === SIGNATORY_STATES.VIEWED));
+  if (outstanding.length === 0) {
+    return { ...summary, success: true };
+  }
+
+  // Reminders: one per threshold passed, so a missed run catches up with a single letter
+  const remindersDue = REMINDER_DAYS.filter(days => daysOutstanding >= days).length;
+  const queued = await countRemindersQueued(agreement);
+  if (!queued.success) {
+    return { ...summary, success: false, error: queued.error };
+  }
+
+  for (const signatory of outstanding) {
+    const email = signatory.email.toLowerCase();
+    const reminded = queued.counts.get(email) || 0;
+    const failed = queued.failed.get(email) || 0;
+    if (reminded >= remindersDue) {
+      continue;
+    }
+    // A failed reminder is queued again, but an address that keeps failing is given up on
+    if (failed >= REMINDER_DAYS.length) {
+      continue;
+    }
+
+    if (dryRun) {
+      summary.reminders.push({ email: signatory.email, name: signatory.name || null });
+      continue;
+    }
+
+    // Numbered per letter queued for the request, so a run that overlaps another queues it once
+    const letters = await queueTemplatedEmails({
+      type: REMINDER_LETTER_TYPE,
+      agreement,
+      recipients: [{ email: signatory.email, name: signatory.name }],
+      values: { signatoryName: signatory.name || signatory.email, daysOutstanding, signingProgress: progress.summary },
+      eventKey: `${REMINDER_LETTER_TYPE}:${agreement.id}:${agreement.signature_sent_at}:${reminded + failed + 1}`
+    });
+    if (!letters.success) {
+      logReminderActivity(`Error recording reminder to ${signatory.email} for agreement ${agreement.id}: ${letters.error}`, 'error');
+      return { ...summary, success: false, error: letters.error };
+    }
+    if (!letters.template) {
+      logReminderActivity(`No letter_templates row of type ${REMINDER_LETTER_TYPE}; reminders are not sent`, 'warn');
+      break;
+    }
+    if (letters.queued > 0) {
+      summary.reminders.push({ email: signatory.email, name: signatory.name || null });
+    }
+  }
+
+  // Escalation: once per request, after the final threshold
+  const escalatedAt = agreement.signing_escalated_at ? Date.parse(agreement.signing_escalated_at) : NaN;
+  const alreadyEscalated = !Number.isNaN(escalatedAt) && escalatedAt >= Date.parse(agreement.signature_sent_at);
+  if (daysOutstanding >= ESCALATION_DAYS && !alreadyEscalated) {
+    const found = await findEscalationRecipients(agreement);
+    if (!found.success) {
+      return { ...summary, success: false, error: found.error };
+    }
+
+    summary.escalated = true;
+    summary.escalatedTo = found.recipients.map(user => user.id);
+    if (found.recipients.length === 0) {
+      logReminderActivity(`Agreement ${agreement.id} is due for escalation, but there is no manager or admin to notify`, 'warn');
+    }
+
+    if (!dryRun) {
+      const place = await loadPlaceDetails(agreement);
+      const waitingOn = outstanding.map(entry => entry.name || entry.email).join(', ');
+      const where = [place.propertyName, place.unitNumber ? `unit ${place.unitNumber}` : null].filter(Boolean).join(' ');
+      const message = `Agreement ${agreement.id}${where ? ` for ${where}` : ''} has been waiting for signatures for ${daysOutstanding} days (${progress.summary}). Waiting on: ${waitingOn}.`;
+      const timestamp = new Date().toISOString();
+
+      // Notify first, keyed per request, so a run that fails after this (or a second run at the
+      // same time) can't notify twice, and one that fails before it tries again next time
+      if (found.recipients.length > 0) {
+        const { error } = await supabase
+          .from('notifications')
+          .upsert(found.recipients.map(user => ({
+            user_id: user.id,
+            agreement_id: agreement.id,
+            event_type: 'signing_escalation',
+            event_key: `signing_escalation:${agreement.id}:${agreement.signature_sent_at}`,
+            message,
+            is_read: false,
+            createdat: timestamp,
+            updatedat: timestamp
+          })), { onConflict: 'user_id,event_key', ignoreDuplicates: true });
+
+        if (error) {
+          logReminderActivity(`Error notifying managers about agreement ${agreement.id}: ${error.message}`, 'error');
+          return { ...summary, success: false, error: error.message };
+        }
+      }
+
+      // Then record the escalation, so later runs skip it
+      const { error: escalateError } = await supabase
+        .from('agreements')
+        .update({ signing_escalated_at: timestamp })
+        .eq('id', agreement.id);
+
+      if (escalateError) {
+        return { ...summary, success: false, error: escalateError.message };
+      }
+      invalidateAgreement(agreement.id);
+      logReminderActivity(`Agreement ${agreement.id} escalated after ${daysOutstanding} days to ${found.recipients.length} user(s)`);
+    }
+  }
+
+  if (!dryRun && summary.reminders.length > 0) {
+    logReminderActivity(`Agreement ${agreement.id}: queued reminders to ${summary.reminders.map(reminder => reminder.email).join(', ')} after ${daysOutstanding} days`);
+  }
+  return { ...summary, success: true };
+}
+
+/**
+ * Send the signing reminders and escalations that are due
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - List what is due without writing anything
+ * @returns {Promise<Object>} { success, dryRun, checked, reminders, escalations, failed, results }
+ */
+export async function runSigningReminders({ dryRun = false } = {}) {
+  if (!supabase) {
+    return { success: false, error: 'Supabase client not initialized' };
+  }
+  if (running && !dryRun) {
+    return { success: false, busy: true, error: 'A reminder run is already in progress' };
+  }
+
+  if (!dryRun) {
+    running = true;
+  }
+  try {
+    const now = new Date();
+    const found = await findStalledAgreements(now);
+    if (!found.success) {
+      logReminderActivity(`Error finding stalled agreements: ${found.error}`, 'error');
+      return { success: false, error: found.error };
+    }
+    if (found.agreements.length === 0) {
+      return { success: true, dryRun, checked: 0, reminders: 0, escalations: 0, failed: 0, results: [] };
+    }
+
+    const results = [];
+    for (const agreement of found.agreements) {
+      try {
+        results.push(await remindAgreement(agreement, { now, dryRun }));
+      } catch (error) {
+        logReminderActivity(`Exception reminding signatories of agreement ${agreement.id}: ${error.message}`, 'error');
+        results.push({ agreementId: agreement.id, success: false, error: error.message });
+      }
+    }
+
+    const summary = {
+      success: true,
+      dryRun,
+      checked: found.agreements.length,
+      reminders: results.reduce((total, result) => total + (result.reminders ? result.reminders.length : 0), 0),
+      escalations: results.filter(result => result.escalated).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+
+    if (!dryRun) {
+      lastRun = { at: new Date().toISOString(), checked: summary.checked, reminders: summary.reminders, escalations: summary.escalations, failed: summary.failed };
+    }
+    return summary;
+  } finally {
+    if (!dryRun) {
+      running = false;
+    }
+  }
+}
+
+/**
+ * Run the reminder job now and then on a schedule
+ */
+export function startSigningReminderJob() {
+  const run = () => {
+    runSigningReminders().catch(error => logReminderActivity(`Error in reminder run: ${error.message}`, 'error'));
+  };
+
+  run();
+
+  if (!reminderTimer) {
+    reminderTimer = setInterval(run, REMINDER_INTERVAL);
+    reminderTimer.unref();
+  }
+}
+
+/**
+ * Get the outcome of the last scheduled or manual run, for the admin page
+ * @returns {Object|null} { at, checked, reminders, escalations, failed }, or null before the first run
+ */
+export function getLastReminderRun() {
+  return lastRun;
+}
+
+export { REMINDER_LETTER_TYPE };
+
+export default {
+  renderTemplate,
+  loadPlaceDetails,
+  findEscalationRecipients,
+  runSigningReminders,
+  startSigningReminderJob,
+  getLastReminderRun
+};
@@ -8,6 +8,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import { getEventTypeName } from './eventTypeRegistry.js';
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +17,16 @@ dotenv.config();
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 const HTTP_TIMEOUT = 15000; // 15 seconds
 
+// Processing states for webhook_events.status
+const WEBHOOK_EVENT_STATUS = {
+  PENDING: 'pending',       // Stored, waiting for the worker
+  RETRYING: 'retrying',     // Failed at least once, retry scheduled
+  PROCESSED: 'processed',   // Processed successfully
+  FAILED: 'failed',         // Failed with an error that retrying cannot fix
+  DEAD: 'dead',             // Retries exhausted, parked in the dead-letter list
+  ORPHANED: 'orphaned'      // No agreement matches its RequestId yet; re-checked by the orphan reconciler
+};
+
 // Set up logging
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -183,6 +194,49 @@ const validateAndNormalizeUUID = (uuid) => {
   return { valid: false, value: crypto.randomUUID() };
 };
 
+/**
+ * Build a deterministic deduplication key for a webhook delivery.
+ * Evia Sign retries resend the same RequestId/EventId/Email/EventTime, so
+ * those fields identify a logical event regardless of delivery attempt.
+ * @param {Object} eventData - The webhook event data
+ * @returns {string} SHA-256 hex digest identifying the event
+ */
+const buildDedupeKey = (eventData) => {
+  const parts = [
+    String(eventData.RequestId || '').trim().toLowerCase(),
+    String(eventData.EventId ?? '').trim(),
+    String(eventData.Email || '').trim().toLowerCase(),
+    String(eventData.EventTime || '').trim()
+  ];
+  
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+};
+
+/**
+ * Look up an already stored webhook event by its deduplication key
+ * @param {string} dedupeKey - Deduplication key from buildDedupeKey
+ * @returns {Promise<Object|null>} The stored event (id, processed) or null
+ */
+async function findWebhookEventByDedupeKey(dedupeKey) {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('id, processed')
+      .eq('dedupe_key', dedupeKey)
+      .limit(1);
+    
+    if (error) {
+      log(`Dedupe lookup failed: ${error.message}`, 'warn');
+      return null;
+    }
+    
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    log(`Exception in dedupe lookup: ${error.message}`, 'warn');
+    return null;
+  }
+}
+
 /**
  * Insert webhook event into the database
  * @param {Object} eventData - The webhook event data
@@ -202,9 +256,17 @@ async function insertWebhookEvent(eventData) {
     const requestId = eventData.RequestId;
     log(`Using RequestId: ${requestId}`, 'info');
     
+    // Acknowledge repeated deliveries of the same event without storing them again
+    const dedupeKey = buildDedupeKey(eventData);
+    const existingEvent = await findWebhookEventByDedupeKey(dedupeKey);
+    if (existingEvent) {
+      log(`Duplicate delivery of event ${existingEvent.id} (dedupe key ${dedupeKey.substring(0, 12)})`, 'warn');
+      return { success: true, id: existingEvent.id, duplicate: true, dedupeKey };
+    }
+    
     // Prepare record using all fields from the schema
     const record = {
-      event_type: eventData.EventDescription || 'unknown',
+      event_type: eventData.EventDescription || getEventTypeName(eventData.EventId),
       eviasignreference: requestId,
       user_name: eventData.UserName || null,
       user_email: eventData.Email || null,
@@ -212,10 +274,13 @@ async function insertWebhookEvent(eventData) {
       event_id: eventData.EventId !== undefined ? Number(eventData.EventId) : null,
       event_time: eventData.EventTime || new Date().toISOString(),
       raw_data: typeof eventData === 'object' ? JSON.stringify(eventData) : eventData,
+      dedupe_key: dedupeKey,
       createdat: new Date().toISOString(),
       updatedat: new Date().toISOString(),
       updated_at: new Date().toISOString(),
-      processed: false
+      processed: false,
+      status: WEBHOOK_EVENT_STATUS.PENDING,
+      attempts: 0
     };
     
     log(`Attempting to insert webhook event with UUID: ${requestId}`, 'info');
@@ -229,14 +294,15 @@ async function insertWebhookEvent(eventData) {
         
       if (!error) {
         log(`Event inserted successfully with ID: ${data[0]?.id}`, 'info');
-        return { success: true, id: data[0]?.id };
+        return { success: true, id: data[0]?.id, dedupeKey };
       } else {
         log(`Supabase client insert failed: ${error.message}`, 'warn');
         
-        // Continue to fallback if primary method fails
+        // A concurrent delivery won the race on the unique dedupe_key index
         if (error.code === '23505') {
           log('Event already exists in database', 'warn');
-          return { success: true, id: requestId, warning: 'Event already exists' };
+          const racedEvent = await findWebhookEventByDedupeKey(dedupeKey);
+          return { success: true, id: racedEvent?.id || requestId, duplicate: true, dedupeKey };
         }
       }
     } catch (clientError) {
@@ -264,11 +330,16 @@ async function insertWebhookEvent(eventData) {
       if (response.ok) {
         const data = await response.json();
         log(`Event inserted via HTTP with ID: ${data[0]?.id}`, 'info');
-        return { success: true, id: data[0]?.id };
+        return { success: true, id: data[0]?.id, dedupeKey };
       } else {
         const errorText = await response.text();
         log(`Direct HTTP insert failed: ${errorText}`, 'error');
         
+        if (response.status === 409) {
+          const racedEvent = await findWebhookEventByDedupeKey(dedupeKey);
+          return { success: true, id: racedEvent?.id || requestId, duplicate: true, dedupeKey };
+        }
+        
         // Return best-effort ID for continued processing
         return { 
           success: true, 
@@ -306,13 +377,7 @@ async function insertWebhookEvent(eventData) {
  * @returns {string} Event type description
  */
 function getEventTypeFromId(eventId) {
-  const eventTypes = {
-    1: 'SignRequestReceived',
-    2: 'SignatoryCompleted',
-    3: 'RequestCompleted'
-  };
-  
-  return eventTypes[eventId] || 'Unknown';
+  return getEventTypeName(eventId);
 }
 
 /**
@@ -334,6 +399,9 @@ async function markWebhookEventProcessed(eventId, processingResult = {}) {
     const updateData = {
       processed: true,
       processedat: new Date().toISOString(),
+      status: WEBHOOK_EVENT_STATUS.PROCESSED,
+      last_error: null,
+      next_attempt_at: null,
       updatedat: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -390,6 +458,87 @@ async function markWebhookEventProcessed(eventId, processingResult = {}) {
   }
 }
 
+/**
+ * Record a failed processing attempt for a webhook event
+ * @param {string} eventId - Event ID to update
+ * @param {Object} failure - Failure details
+ * @param {string} failure.status - New status (retrying, failed or dead)
+ * @param {number} failure.attempts - Number of attempts made so far
+ * @param {string} failure.error - Error from the last attempt
+ * @param {string|null} failure.nextAttemptAt - When the next retry is due (ISO string)
+ * @returns {Promise<Object>} Operation result
+ */
+async function markWebhookEventFailed(eventId, { status, attempts, error, nextAttemptAt = null }) {
+  try {
+    if (!eventId) {
+      log('Cannot mark event as failed: missing event ID', 'error');
+      return { success: false, error: 'Missing event ID' };
+    }
+    
+    log(`Marking webhook event ${eventId} as ${status} after ${attempts} attempt(s): ${error}`, 'warn');
+    
+    const { error: updateError } = await supabase
+      .from('webhook_events')
+      .update({
+        status,
+        attempts,
+        last_error: error ? String(error).substring(0, 1000) : null,
+        next_attempt_at: nextAttemptAt,
+        updatedat: new Date().toISOString()
+      })
+      .eq('id', eventId);
+    
+    if (updateError) {
+      log(`Failed to record failure for event ${eventId}: ${updateError.message}`, 'error');
+      return { success: false, error: updateError.message };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    log(`Exception marking event as failed: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Park a webhook event whose RequestId matches no agreement yet. Orphaned events
+ * are not marked processed; the orphan reconciler applies them once the agreement appears.
+ * @param {string} eventId - Event ID to update
+ * @param {string} reason - Why the event could not be applied
+ * @returns {Promise<Object>} Operation result
+ */
+async function markWebhookEventOrphaned(eventId, reason = 'No matching agreement found') {
+  try {
+    if (!eventId) {
+      log('Cannot mark event as orphaned: missing event ID', 'error');
+      return { success: false, error: 'Missing event ID' };
+    }
+    
+    log(`Marking webhook event ${eventId} as orphaned: ${reason}`, 'info');
+    
+    const { error: updateError } = await supabase
+      .from('webhook_events')
+      .update({
+        processed: false,
+        status: WEBHOOK_EVENT_STATUS.ORPHANED,
+        last_error: reason ? String(reason).substring(0, 1000) : null,
+        next_attempt_at: null,
+        updatedat: new Date().toISOString()
+      })
+      .eq('id', eventId);
+    
+    if (updateError) {
+      log(`Failed to mark event ${eventId} as orphaned: ${updateError.message}`, 'error');
+      return { success: false, error: updateError.message };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    log(`Exception marking event as orphaned: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Log webhook delivery for monitoring
  * @param {Object} webhookData - Webhook data
@@ -409,9 +558,14 @@ async function logWebhookDelivery(webhookData, source = 'direct') {
 // Export functions and the Supabase client
 export {
   testConnection,
+  buildDedupeKey,
+  validateAndNormalizeUUID,
   insertWebhookEvent,
   markWebhookEventProcessed,
+  markWebhookEventFailed,
+  markWebhookEventOrphaned,
   getEventTypeFromId,
+  WEBHOOK_EVENT_STATUS,
   logWebhookDelivery
 };
 
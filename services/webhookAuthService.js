@@ -0,0 +1,205 @@
+// webhookAuthService.js - Verifies that incoming webhooks really come from Evia Sign
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import supabase from './supabaseClient.js';
+
+// Load environment variables
+dotenv.config();
+
+// Set up file paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const LOGS_DIR = path.join(__dirname, '..', 'data');
+const REJECTIONS_LOG_PATH = path.join(LOGS_DIR, 'webhook-rejections.log');
+
+// Ensure logs directory exists
+if (!fs.existsSync(LOGS_DIR)) {
+  fs.mkdirSync(LOGS_DIR, { recursive: true });
+}
+
+// Configuration
+const SIGNATURE_HEADER = (process.env.EVIA_SIGN_SIGNATURE_HEADER || 'x-evia-signature').toLowerCase();
+const ALLOW_UNSIGNED = process.env.EVIA_SIGN_ALLOW_UNSIGNED === 'true';
+const SECRET_CONFIG_KEY = 'webhook_secret';
+const SECRET_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const PLACEHOLDER_SECRETS = ['change-me']; // Values shipped in old seeds, never accepted as a real secret
+
+// Cached secret so we don't hit evia_sign_config on every webhook
+let cachedSecret = null;
+let cachedSecretAt = 0;
+
+/**
+ * Log a message related to webhook authentication
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logAuthActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[WEBHOOK-AUTH] ${prefix} ${message}`);
+};
+
+/**
+ * Get the shared webhook secret, preferring EVIA_SIGN_WEBHOOK_SECRET over evia_sign_config.
+ * Placeholder values are treated as not configured.
+ * @returns {Promise<string|null>} The secret, or null if none is configured
+ */
+async function getWebhookSecret() {
+  if (cachedSecret && Date.now() - cachedSecretAt < SECRET_CACHE_TTL) {
+    return cachedSecret;
+  }
+
+  let secret = process.env.EVIA_SIGN_WEBHOOK_SECRET || null;
+
+  if (!secret) {
+    try {
+      if (supabase) {
+        const { data, error } = await supabase
+          .from('evia_sign_config')
+          .select('config_value')
+          .eq('config_key', SECRET_CONFIG_KEY)
+          .maybeSingle();
+
+        if (error) {
+          logAuthActivity(`Could not read ${SECRET_CONFIG_KEY} from evia_sign_config: ${error.message}`, 'warn');
+        } else if (data && data.config_value) {
+          secret = data.config_value;
+        }
+      }
+    } catch (error) {
+      logAuthActivity(`Exception reading webhook secret from database: ${error.message}`, 'warn');
+    }
+  }
+
+  if (secret && PLACEHOLDER_SECRETS.includes(secret)) {
+    logAuthActivity(`Webhook secret is the placeholder "${secret}" - set EVIA_SIGN_WEBHOOK_SECRET or a real ${SECRET_CONFIG_KEY}`, 'error');
+    secret = null;
+  }
+
+  cachedSecret = secret;
+  cachedSecretAt = Date.now();
+  return secret;
+}
+
+/**
+ * Compare the provided signature header with the expected HMAC of the raw body.
+ * Accepts hex or base64 digests, optionally prefixed with "sha256=".
+ * @param {Buffer} rawBody - The raw request body
+ * @param {string} secret - Shared secret
+ * @param {string} providedSignature - Signature header value
+ * @returns {boolean} Whether the signature matches
+ */
+function signatureMatches(rawBody, secret, providedSignature) {
+  const signature = providedSignature.trim().replace(/^sha256=/i, '');
+  const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest();
+
+  let provided;
+  if (/^[0-9a-f]+$/i.test(signature) && signature.length === hmac.length * 2) {
+    provided = Buffer.from(signature, 'hex');
+  } else {
+    provided = Buffer.from(signature, 'base64');
+  }
+
+  if (provided.length !== hmac.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(provided, hmac);
+}
+
+/**
+ * Verify an incoming Evia Sign webhook request.
+ * EventTime is not checked for age: Evia Sign retries resend the original body, so a replayed
+ * delivery is acknowledged without reprocessing through the webhook_events dedupe key instead.
+ * @param {Object} request - The request details
+ * @param {Buffer} request.rawBody - Raw request body as received
+ * @param {Object} request.headers - Request headers (lower-cased keys)
+ * @param {Object} request.body - Parsed JSON body
+ * @returns {Promise<Object>} { valid: true } or { valid: false, reason }
+ */
+export async function verifyWebhookRequest({ rawBody, headers = {}, body = {} }) {
+  if (!body || !body.EventTime) {
+    return { valid: false, reason: 'missing_event_time' };
+  }
+
+  const eventTime = Date.parse(body.EventTime);
+  if (Number.isNaN(eventTime)) {
+    return { valid: false, reason: 'invalid_event_time' };
+  }
+
+  if (ALLOW_UNSIGNED) {
+    logAuthActivity('EVIA_SIGN_ALLOW_UNSIGNED is set - skipping signature verification', 'warn');
+    return { valid: true, unsigned: true };
+  }
+
+  const providedSignature = headers[SIGNATURE_HEADER];
+  if (!providedSignature) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const secret = await getWebhookSecret();
+  if (!secret) {
+    logAuthActivity('No webhook secret configured in EVIA_SIGN_WEBHOOK_SECRET or evia_sign_config', 'error');
+    return { valid: false, reason: 'secret_not_configured' };
+  }
+
+  if (!rawBody || !signatureMatches(rawBody, secret, String(providedSignature))) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Record a rejected webhook so spoofing attempts can be audited
+ * @param {Object} rejection - Rejection details
+ * @param {string} rejection.reason - Why the request was rejected
+ * @param {string} rejection.sourceIp - Remote address of the caller
+ * @param {Object} rejection.headers - Request headers
+ * @param {Object} rejection.body - Parsed JSON body (if any)
+ * @returns {Promise<Object>} Operation result
+ */
+export async function recordWebhookRejection({ reason, sourceIp, headers = {}, body = {} }) {
+  const record = {
+    reason,
+    source_ip: sourceIp || null,
+    user_agent: headers['user-agent'] || null,
+    signature: headers[SIGNATURE_HEADER] || null,
+    eviasignreference: body?.RequestId || null,
+    event_id: body?.EventId !== undefined ? Number(body.EventId) || null : null,
+    event_time: body?.EventTime || null,
+    createdat: new Date().toISOString()
+  };
+
+  logAuthActivity(`Rejected webhook (${reason}) from ${record.source_ip || 'unknown'}: RequestId=${record.eviasignreference}`, 'warn');
+
+  try {
+    fs.appendFileSync(REJECTIONS_LOG_PATH, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    logAuthActivity(`Error writing rejection log: ${error.message}`, 'error');
+  }
+
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase client not initialized' };
+    }
+
+    const { error } = await supabase.from('webhook_rejections').insert([record]);
+    if (error) {
+      logAuthActivity(`Error storing webhook rejection: ${error.message}`, 'warn');
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logAuthActivity(`Exception storing webhook rejection: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  verifyWebhookRequest,
+  recordWebhookRejection
+};
@@ -0,0 +1,196 @@
+// webhookQuarantineService.js - Holds malformed webhook payloads until an operator fixes or discards them
+import supabase from './supabaseClient.js';
+
+// Quarantine states
+const QUARANTINE_STATUS = {
+  QUARANTINED: 'quarantined',
+  RESUBMITTED: 'resubmitted',
+  DISCARDED: 'discarded'
+};
+
+// Stands in for document content in the admin editor, so multi-megabyte base64 isn't round-tripped through a form
+const DOCUMENT_PLACEHOLDER_PREFIX = '[stored document content';
+
+/**
+ * Log a message related to the quarantine store
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logQuarantineActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[QUARANTINE] ${prefix} ${message}`);
+};
+
+/**
+ * Store a payload that failed validation
+ * @param {Object} options - Quarantine details
+ * @param {*} options.payload - The payload as received
+ * @param {Array<Object>} options.errors - Validation errors
+ * @param {string} options.sourceIp - Remote address of the caller
+ * @returns {Promise<Object>} Result with the quarantine record ID
+ */
+export async function quarantineWebhookPayload({ payload, errors, sourceIp }) {
+  logQuarantineActivity(`Quarantining payload (RequestId=${payload?.RequestId}, EventId=${payload?.EventId}): ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, 'warn');
+
+  try {
+    const { data, error } = await supabase
+      .from('webhook_quarantine')
+      .insert([{
+        payload,
+        errors,
+        source_ip: sourceIp || null,
+        eviasignreference: typeof payload?.RequestId === 'string' ? payload.RequestId : null,
+        event_id: Number.isInteger(payload?.EventId) ? payload.EventId : null,
+        status: QUARANTINE_STATUS.QUARANTINED,
+        createdat: new Date().toISOString(),
+        updatedat: new Date().toISOString()
+      }])
+      .select('id');
+
+    if (error) {
+      logQuarantineActivity(`Error storing quarantined payload: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, id: data[0]?.id };
+  } catch (error) {
+    logQuarantineActivity(`Exception storing quarantined payload: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List quarantined payloads
+ * @param {Object} options - Query options
+ * @param {string} options.status - Only records in this state (default: quarantined)
+ * @param {number} options.limit - Maximum number of records
+ * @returns {Promise<Object>} Result with the records
+ */
+export async function listQuarantinedPayloads({ status = QUARANTINE_STATUS.QUARANTINED, limit = 50 } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_quarantine')
+      .select('*')
+      .eq('status', status)
+      .order('createdat', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      return { success: false, error: error.message, records: [] };
+    }
+
+    return { success: true, records: data || [] };
+  } catch (error) {
+    logQuarantineActivity(`Exception listing quarantined payloads: ${error.message}`, 'error');
+    return { success: false, error: error.message, records: [] };
+  }
+}
+
+/**
+ * Get a single quarantined payload
+ * @param {string} id - Quarantine record ID
+ * @returns {Promise<Object|null>} The record, or null if not found
+ */
+export async function getQuarantinedPayload(id) {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_quarantine')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logQuarantineActivity(`Error loading quarantined payload ${id}: ${error.message}`, 'error');
+      return null;
+    }
+    return data;
+  } catch (error) {
+    logQuarantineActivity(`Exception loading quarantined payload ${id}: ${error.message}`, 'error');
+    return null;
+  }
+}
+
+/**
+ * Update a quarantine record (after a resubmit, a discard, or a failed fix)
+ * @param {string} id - Quarantine record ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} Operation result
+ */
+export async function updateQuarantinedPayload(id, changes) {
+  try {
+    const { error } = await supabase
+      .from('webhook_quarantine')
+      .update({ ...changes, updatedat: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      logQuarantineActivity(`Error updating quarantined payload ${id}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+    return { success: true };
+  } catch (error) {
+    logQuarantineActivity(`Exception updating quarantined payload ${id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Prepare a payload for the admin editor by swapping document content for placeholders
+ * @param {Object} payload - The quarantined payload
+ * @returns {Object} A copy that is safe to render in a form
+ */
+export function toEditablePayload(payload) {
+  if (!payload || !Array.isArray(payload.Documents)) {
+    return payload;
+  }
+  return {
+    ...payload,
+    Documents: payload.Documents.map((document, index) => {
+      if (!document || document.DocumentContent === undefined || document.DocumentContent === null) {
+        return document;
+      }
+      // Malformed content (an array of bytes, an object) can be as large as base64, so it is elided too
+      const content = document.DocumentContent;
+      const length = typeof content === 'string' ? content.length : JSON.stringify(content).length;
+      return {
+        ...document,
+        DocumentContent: `${DOCUMENT_PLACEHOLDER_PREFIX} #${index}, ${length} chars - leave unchanged to keep]`
+      };
+    })
+  };
+}
+
+/**
+ * Put the original document content back wherever the edited payload still has a placeholder
+ * @param {Object} edited - Payload as submitted from the editor
+ * @param {Object} original - The quarantined payload
+ * @returns {Object} The payload to resubmit
+ */
+export function restoreDocumentContent(edited, original) {
+  if (!edited || !Array.isArray(edited.Documents)) {
+    return edited;
+  }
+  return {
+    ...edited,
+    Documents: edited.Documents.map((document, index) => {
+      if (document && typeof document.DocumentContent === 'string' &&
+          document.DocumentContent.startsWith(DOCUMENT_PLACEHOLDER_PREFIX)) {
+        const match = document.DocumentContent.match(/#(\d+)/);
+        const originalIndex = match ? Number(match[1]) : index;
+        return { ...document, DocumentContent: original?.Documents?.[originalIndex]?.DocumentContent };
+      }
+      return document;
+    })
+  };
+}
+
+export { QUARANTINE_STATUS };
+
+export default {
+  quarantineWebhookPayload,
+  listQuarantinedPayloads,
+  getQuarantinedPayload,
+  updateQuarantinedPayload,
+  toEditablePayload,
+  restoreDocumentContent
+};
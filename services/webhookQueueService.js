@@ -0,0 +1,497 @@
+// webhookQueueService.js - Durable background queue for webhook processing
+// Events are journaled to disk before the webhook is acknowledged, and the
+// journal plus any unprocessed webhook_events rows are replayed on startup.
+// Failed jobs are retried with exponential backoff, then dead-lettered.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import supabase, {
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  markWebhookEventOrphaned,
+  WEBHOOK_EVENT_STATUS
+} from './supabaseClient.js';
+
+// Set up file paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const JOURNAL_PATH = path.join(DATA_DIR, 'webhook-queue.json');
+const DEAD_LETTER_PATH = path.join(DATA_DIR, 'webhook-dead-letters.json');
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// Configuration
+const POLL_INTERVAL = Number(process.env.WEBHOOK_QUEUE_POLL_MS) || 60 * 1000; // 1 minute
+const RECOVERY_WINDOW_HOURS = Number(process.env.WEBHOOK_QUEUE_RECOVERY_HOURS) || 24;
+const RECOVERY_GRACE_MS = 30 * 1000; // Leave freshly inserted rows to the live path
+const RECOVERY_BATCH_SIZE = 20;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000; // 30 seconds
+const RETRY_MAX_MS = 60 * 60 * 1000; // 1 hour
+const MAX_DEAD_LETTERS = 500;
+
+// Queue state
+let jobs = [];
+let jobHandler = null;
+let draining = false;
+let pollTimer = null;
+let wakeTimer = null;
+
+/**
+ * Log a message related to the webhook queue
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logQueueActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[WEBHOOK-QUEUE] ${prefix} ${message}`);
+};
+
+/**
+ * Read the on-disk journal
+ * @returns {Array<Object>} Journaled jobs
+ */
+function readJournal() {
+  try {
+    if (!fs.existsSync(JOURNAL_PATH)) {
+      return [];
+    }
+    const data = JSON.parse(fs.readFileSync(JOURNAL_PATH, 'utf8'));
+    return Array.isArray(data.jobs) ? data.jobs : [];
+  } catch (error) {
+    logQueueActivity(`Error reading queue journal: ${error.message}`, 'error');
+    return [];
+  }
+}
+
+/**
+ * Copy of a payload without the base64 DocumentContent, keeping the document names
+ * @param {Object} webhookData - The webhook payload
+ * @returns {Object} The payload, with each document reduced to its DocumentName
+ */
+function withoutDocumentContent(webhookData) {
+  if (!webhookData || !Array.isArray(webhookData.Documents)) {
+    return webhookData;
+  }
+  return {
+    ...webhookData,
+    Documents: webhookData.Documents.map(document => ({ DocumentName: document?.DocumentName }))
+  };
+}
+
+/**
+ * What the journal keeps for a job. A stored event's payload is reloaded from
+ * webhook_events.raw_data, so only a job that was never stored carries it.
+ * @param {Object} job - The queued job
+ * @returns {Object} The journal entry
+ */
+function toJournalEntry({ webhookData, ...job }) {
+  return job.storedEventId ? job : { ...job, webhookData };
+}
+
+/**
+ * Write the journal atomically (write to a temp file, then rename)
+ */
+function writeJournal() {
+  const tempPath = `${JOURNAL_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ jobs: jobs.map(toJournalEntry) }));
+  fs.renameSync(tempPath, JOURNAL_PATH);
+}
+
+/**
+ * Add a webhook to the durable queue. The job is on disk when this returns.
+ * @param {Object} options - Job details
+ * @param {Object} options.webhookData - The webhook payload (journaled only when the event isn't stored)
+ * @param {string} options.storedEventId - ID of the webhook_events row (if stored)
+ * @returns {Object} Result with the queued job, or an error if it could not be journaled
+ */
+export function enqueueWebhookEvent({ webhookData, storedEventId = null, attempts = 0, nextAttemptAt = null }) {
+  const job = {
+    id: crypto.randomUUID(),
+    storedEventId,
+    webhookData,
+    attempts,
+    nextAttemptAt,
+    enqueuedAt: new Date().toISOString()
+  };
+
+  jobs.push(job);
+
+  try {
+    writeJournal();
+    logQueueActivity(`Queued job ${job.id} (event ${storedEventId || 'not stored'}), ${jobs.length} pending`);
+    return { success: true, job };
+  } catch (error) {
+    logQueueActivity(`Error journaling job ${job.id}: ${error.message}`, 'error');
+    return { success: false, job, error: error.message };
+  }
+}
+
+/**
+ * Remove a finished job from the queue and journal
+ * @param {string} jobId - The job ID
+ */
+function completeJob(jobId) {
+  jobs = jobs.filter(job => job.id !== jobId);
+  try {
+    writeJournal();
+  } catch (error) {
+    logQueueActivity(`Error updating queue journal: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delay before the next attempt: RETRY_BASE_MS doubled per failed attempt, capped at RETRY_MAX_MS
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Read the dead-letter file
+ * @returns {Array<Object>} Dead-lettered jobs, newest first
+ */
+function readDeadLetters() {
+  try {
+    if (!fs.existsSync(DEAD_LETTER_PATH)) {
+      return [];
+    }
+    const data = JSON.parse(fs.readFileSync(DEAD_LETTER_PATH, 'utf8'));
+    return Array.isArray(data.jobs) ? data.jobs : [];
+  } catch (error) {
+    logQueueActivity(`Error reading dead-letter file: ${error.message}`, 'error');
+    return [];
+  }
+}
+
+/**
+ * Move a job to the dead-letter file
+ * @param {Object} job - The failed job
+ */
+function addDeadLetter(job) {
+  try {
+    const deadLetters = readDeadLetters();
+    const { webhookData, ...entry } = job;
+    // Stored events keep their payload in webhook_events; the rest keep it without document bodies
+    deadLetters.unshift({
+      ...entry,
+      ...(job.storedEventId ? {} : { webhookData: withoutDocumentContent(webhookData) }),
+      deadAt: new Date().toISOString()
+    });
+    fs.writeFileSync(DEAD_LETTER_PATH, JSON.stringify({ jobs: deadLetters.slice(0, MAX_DEAD_LETTERS) }));
+  } catch (error) {
+    logQueueActivity(`Error writing dead-letter file: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Load a journaled job's payload from webhook_events.raw_data
+ * @param {Object} job - A job resumed from the journal, without webhookData
+ * @returns {Promise<Object>} { success, webhookData } or { success: false, error, retryable }
+ */
+async function loadJobPayload(job) {
+  if (!supabase) {
+    return { success: false, error: 'Database not available to load the stored event' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('raw_data')
+      .eq('id', job.storedEventId)
+      .maybeSingle();
+
+    if (error) {
+      return { success: false, error: `Error loading stored event: ${error.message}` };
+    }
+
+    const webhookData = typeof data?.raw_data === 'string' ? JSON.parse(data.raw_data) : data?.raw_data;
+    if (!webhookData) {
+      return { success: false, error: 'Stored event has no usable raw_data', retryable: false };
+    }
+    return { success: true, webhookData };
+  } catch (error) {
+    return { success: false, error: `Exception loading stored event: ${error.message}`, retryable: false };
+  }
+}
+
+/**
+ * Record the outcome of a failed attempt: schedule a retry, or dead-letter the job
+ * @param {Object} job - The job that failed
+ * @param {Object} result - Handler result ({ error, retryable })
+ */
+async function handleJobFailure(job, result) {
+  job.attempts = (job.attempts || 0) + 1;
+  job.lastError = result?.error || 'Unknown error';
+
+  const retryable = result?.retryable !== false;
+
+  if (retryable && job.attempts < MAX_ATTEMPTS) {
+    job.nextAttemptAt = new Date(Date.now() + getRetryDelay(job.attempts)).toISOString();
+    logQueueActivity(`Job ${job.id} failed (attempt ${job.attempts}/${MAX_ATTEMPTS}), retrying at ${job.nextAttemptAt}: ${job.lastError}`, 'warn');
+
+    try {
+      writeJournal();
+    } catch (error) {
+      logQueueActivity(`Error updating queue journal: ${error.message}`, 'error');
+    }
+
+    if (job.storedEventId) {
+      await markWebhookEventFailed(job.storedEventId, {
+        status: WEBHOOK_EVENT_STATUS.RETRYING,
+        attempts: job.attempts,
+        error: job.lastError,
+        nextAttemptAt: job.nextAttemptAt
+      });
+    }
+    return;
+  }
+
+  const status = retryable ? WEBHOOK_EVENT_STATUS.DEAD : WEBHOOK_EVENT_STATUS.FAILED;
+  logQueueActivity(`Job ${job.id} ${status} after ${job.attempts} attempt(s): ${job.lastError}`, 'error');
+
+  addDeadLetter({ ...job, status });
+  completeJob(job.id);
+
+  if (job.storedEventId) {
+    await markWebhookEventFailed(job.storedEventId, {
+      status,
+      attempts: job.attempts,
+      error: job.lastError
+    });
+  }
+}
+
+/**
+ * Arrange for the queue to drain again when the next retry is due
+ */
+function scheduleNextWake() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  const nextDue = jobs
+    .map(job => (job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : Date.now()))
+    .reduce((earliest, due) => Math.min(earliest, due), Infinity);
+
+  if (nextDue === Infinity) {
+    return;
+  }
+
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    drainWebhookQueue().catch(error => logQueueActivity(`Error draining queue: ${error.message}`, 'error'));
+  }, Math.max(nextDue - Date.now(), 0));
+}
+
+/**
+ * Process due jobs one at a time, in arrival order. Jobs waiting for a
+ * retry are skipped until their nextAttemptAt has passed.
+ * @returns {Promise<void>}
+ */
+export async function drainWebhookQueue() {
+  if (draining || !jobHandler) {
+    return;
+  }
+
+  draining = true;
+  try {
+    let job;
+    while ((job = jobs.find(queued => !queued.nextAttemptAt || Date.parse(queued.nextAttemptAt) <= Date.now()))) {
+      let result;
+      try {
+        if (!job.webhookData && job.storedEventId) {
+          const loaded = await loadJobPayload(job);
+          if (!loaded.success) {
+            await handleJobFailure(job, loaded);
+            continue;
+          }
+          job.webhookData = loaded.webhookData;
+        }
+        result = await jobHandler(job);
+      } catch (error) {
+        logQueueActivity(`Unhandled error processing job ${job.id}: ${error.message}`, 'error');
+        result = { success: false, error: error.message };
+      }
+
+      if (result && result.success) {
+        completeJob(job.id);
+        if (job.storedEventId && result.orphaned) {
+          await markWebhookEventOrphaned(job.storedEventId, result.error);
+        } else if (job.storedEventId) {
+          await markWebhookEventProcessed(job.storedEventId);
+        }
+      } else {
+        await handleJobFailure(job, result);
+      }
+    }
+  } finally {
+    draining = false;
+    scheduleNextWake();
+  }
+}
+
+/**
+ * Queue recent webhook_events rows that were stored but never processed,
+ * e.g. because the server restarted before the worker reached them
+ * @returns {Promise<number>} Number of recovered events
+ */
+async function recoverUnprocessedEvents() {
+  if (!supabase) {
+    return 0;
+  }
+
+  try {
+    const now = Date.now();
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('id, raw_data, attempts, next_attempt_at')
+      .eq('processed', false)
+      .in('status', [WEBHOOK_EVENT_STATUS.PENDING, WEBHOOK_EVENT_STATUS.RETRYING])
+      .gte('createdat', new Date(now - RECOVERY_WINDOW_HOURS * 60 * 60 * 1000).toISOString())
+      .lte('createdat', new Date(now - RECOVERY_GRACE_MS).toISOString())
+      .order('createdat', { ascending: true })
+      .limit(RECOVERY_BATCH_SIZE);
+
+    if (error) {
+      logQueueActivity(`Error loading unprocessed events: ${error.message}`, 'warn');
+      return 0;
+    }
+
+    let recovered = 0;
+    for (const row of data || []) {
+      if (jobs.some(job => job.storedEventId === row.id)) {
+        continue;
+      }
+
+      const webhookData = typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : row.raw_data;
+      if (!webhookData) {
+        continue;
+      }
+
+      const { success } = enqueueWebhookEvent({
+        webhookData,
+        storedEventId: row.id,
+        attempts: row.attempts || 0,
+        nextAttemptAt: row.next_attempt_at || null
+      });
+      if (success) {
+        recovered++;
+      }
+    }
+
+    if (recovered > 0) {
+      logQueueActivity(`Recovered ${recovered} unprocessed webhook events from the database`);
+    }
+    return recovered;
+  } catch (error) {
+    logQueueActivity(`Exception recovering unprocessed events: ${error.message}`, 'error');
+    return 0;
+  }
+}
+
+/**
+ * Start the background worker
+ * @param {Function} handler - async (job) => void, called once per queued job
+ */
+export function startWebhookQueue(handler) {
+  jobHandler = handler;
+
+  // Pick up anything journaled before the last shutdown
+  const journaled = readJournal().filter(saved => !jobs.some(job => job.id === saved.id));
+  jobs = [...journaled, ...jobs];
+  if (jobs.length > 0) {
+    logQueueActivity(`Resuming ${jobs.length} journaled webhook jobs`);
+  }
+
+  const poll = async () => {
+    await recoverUnprocessedEvents();
+    await drainWebhookQueue();
+  };
+
+  poll().catch(error => logQueueActivity(`Error in initial queue poll: ${error.message}`, 'error'));
+
+  if (!pollTimer) {
+    pollTimer = setInterval(() => {
+      poll().catch(error => logQueueActivity(`Error in queue poll: ${error.message}`, 'error'));
+    }, POLL_INTERVAL);
+  }
+}
+
+/**
+ * Get queue statistics for the admin page
+ * @returns {Object} Queue statistics
+ */
+export function getWebhookQueueStats() {
+  return {
+    pending: jobs.length,
+    retrying: jobs.filter(job => job.attempts > 0).length,
+    deadLetters: readDeadLetters().length,
+    draining,
+    oldestEnqueuedAt: jobs[0]?.enqueuedAt || null
+  };
+}
+
+/**
+ * List dead-lettered events: webhook_events rows marked dead or failed,
+ * plus any dead-lettered jobs that never made it into the database
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of database rows to return
+ * @returns {Promise<Array<Object>>} Dead-lettered events, newest first
+ */
+export async function getDeadLetters({ limit = 100 } = {}) {
+  const localJobs = readDeadLetters();
+  let storedEvents = [];
+
+  if (supabase) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .select('id, event_id, event_type, eviasignreference, user_email, event_time, status, attempts, last_error, updatedat')
+        .in('status', [WEBHOOK_EVENT_STATUS.DEAD, WEBHOOK_EVENT_STATUS.FAILED])
+        .order('updatedat', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        logQueueActivity(`Error loading dead letters: ${error.message}`, 'warn');
+      } else {
+        storedEvents = data || [];
+      }
+    } catch (error) {
+      logQueueActivity(`Exception loading dead letters: ${error.message}`, 'error');
+    }
+  }
+
+  const unstoredJobs = localJobs
+    .filter(job => !storedEvents.some(event => event.id === job.storedEventId))
+    .map(job => ({
+      id: job.storedEventId,
+      jobId: job.id,
+      event_id: job.webhookData?.EventId,
+      eviasignreference: job.webhookData?.RequestId,
+      user_email: job.webhookData?.Email,
+      event_time: job.webhookData?.EventTime,
+      status: job.status,
+      attempts: job.attempts,
+      last_error: job.lastError,
+      updatedat: job.deadAt
+    }));
+
+  return [...storedEvents, ...unstoredJobs];
+}
+
+export default {
+  enqueueWebhookEvent,
+  drainWebhookQueue,
+  startWebhookQueue,
+  getWebhookQueueStats,
+  getDeadLetters
+};
@@ -0,0 +1,200 @@
+// webhookReplayService.js - Reprocess stored webhook events from webhook_events.raw_data
+import supabase, {
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  markWebhookEventOrphaned,
+  WEBHOOK_EVENT_STATUS
+} from './supabaseClient.js';
+import { processSignatureEvent } from './signatureWebhookService.js';
+import { findEventTypeByName } from './eventTypeRegistry.js';
+
+// Bulk replays run synchronously, so keep batches small
+const DEFAULT_REPLAY_LIMIT = 50;
+const MAX_REPLAY_LIMIT = 200;
+
+/**
+ * Log a message related to webhook replays
+ * @param {string} message - The message to log
+ * @param {string} level - Log level (info, warn, error)
+ */
+const logReplayActivity = (message, level = 'info') => {
+  const prefix = level === 'error' ? '[ERROR]' : level === 'warn' ? '[WARN]' : '[INFO]';
+  console.log(`[WEBHOOK-REPLAY] ${prefix} ${message}`);
+};
+
+/**
+ * Parse the stored raw_data column back into the original payload
+ * @param {Object|string} rawData - Stored raw_data value
+ * @returns {Object|null} The webhook payload
+ */
+function parseRawData(rawData) {
+  if (!rawData) {
+    return null;
+  }
+  if (typeof rawData === 'string') {
+    try {
+      return JSON.parse(rawData);
+    } catch (error) {
+      return null;
+    }
+  }
+  return rawData;
+}
+
+/**
+ * Run one stored event through processSignatureEvent again
+ * @param {Object} event - webhook_events row (id, raw_data, attempts)
+ * @param {boolean} dryRun - Report the agreement update without applying it
+ * @returns {Promise<Object>} Replay result for this event
+ */
+async function replayStoredEvent(event, dryRun) {
+  const webhookData = parseRawData(event.raw_data);
+  if (!webhookData) {
+    return { id: event.id, success: false, error: 'Stored event has no usable raw_data' };
+  }
+
+  logReplayActivity(`${dryRun ? 'Dry-run replay' : 'Replaying'} event ${event.id} (RequestId=${webhookData.RequestId}, EventId=${webhookData.EventId})`);
+
+  const result = await processSignatureEvent(webhookData, { dryRun });
+
+  if (!dryRun) {
+    if (result.success && result.orphaned) {
+      await markWebhookEventOrphaned(event.id, result.error);
+    } else if (result.success) {
+      await markWebhookEventProcessed(event.id);
+    } else {
+      await markWebhookEventFailed(event.id, {
+        status: WEBHOOK_EVENT_STATUS.FAILED,
+        attempts: (event.attempts || 0) + 1,
+        error: `Replay failed: ${result.error}`
+      });
+    }
+  }
+
+  return {
+    id: event.id,
+    requestId: webhookData.RequestId,
+    eventId: webhookData.EventId,
+    eventTime: webhookData.EventTime,
+    ...result
+  };
+}
+
+/**
+ * Replay a single stored webhook event by its webhook_events ID
+ * @param {string} id - The webhook_events ID
+ * @param {Object} options - Replay options
+ * @param {boolean} options.dryRun - Report the agreement update without applying it
+ * @returns {Promise<Object>} Replay result
+ */
+export async function replayWebhookEvent(id, { dryRun = false } = {}) {
+  try {
+    const { data: event, error } = await supabase
+      .from('webhook_events')
+      .select('id, raw_data, attempts')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logReplayActivity(`Error loading event ${id}: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    if (!event) {
+      return { success: false, notFound: true, error: `Webhook event ${id} not found` };
+    }
+
+    return await replayStoredEvent(event, dryRun);
+  } catch (error) {
+    logReplayActivity(`Exception replaying event ${id}: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Replay every stored webhook event matching a filter, oldest event first
+ * @param {Object} filter - Which events to replay
+ * @param {string} filter.requestId - Evia Sign RequestId
+ * @param {number|string} filter.eventType - Event ID (e.g. 3) or event type name (e.g. RequestCompleted)
+ * @param {string} filter.from - Earliest event_time (ISO date)
+ * @param {string} filter.to - Latest event_time (ISO date)
+ * @param {boolean} filter.unprocessedOnly - Only events not yet marked processed, leaving out those the queue still holds
+ * @param {Object} options - Replay options
+ * @param {boolean} options.dryRun - Report the agreement updates without applying them
+ * @param {number} options.limit - Maximum number of events to replay
+ * @returns {Promise<Object>} Summary and per-event results
+ */
+export async function replayWebhookEvents(filter = {}, { dryRun = false, limit = DEFAULT_REPLAY_LIMIT } = {}) {
+  const { requestId, eventType, from, to, unprocessedOnly } = filter;
+
+  if (!requestId && !eventType && !from && !to && !unprocessedOnly) {
+    return { success: false, invalidFilter: true, error: 'At least one filter (requestId, eventType, from, to, unprocessedOnly) is required' };
+  }
+
+  try {
+    let query = supabase
+      .from('webhook_events')
+      .select('id, raw_data, attempts')
+      .order('event_time', { ascending: true })
+      .limit(Math.min(Number(limit) || DEFAULT_REPLAY_LIMIT, MAX_REPLAY_LIMIT));
+
+    if (requestId) {
+      query = query.eq('eviasignreference', requestId);
+    }
+    if (eventType !== undefined && eventType !== null && eventType !== '') {
+      // Registered names resolve to their EventId; anything else matches the stored event_type
+      const registered = findEventTypeByName(eventType);
+      if (/^\d+$/.test(String(eventType))) {
+        query = query.eq('event_id', Number(eventType));
+      } else if (registered) {
+        query = query.eq('event_id', registered.id);
+      } else {
+        query = query.eq('event_type', eventType);
+      }
+    }
+    if (from) {
+      query = query.gte('event_time', from);
+    }
+    if (to) {
+      query = query.lte('event_time', to);
+    }
+    if (unprocessedOnly) {
+      // Pending and retrying events are still the queue worker's; replaying them would apply them twice at once
+      query = query
+        .eq('processed', false)
+        .or(`status.is.null,status.not.in.(${WEBHOOK_EVENT_STATUS.PENDING},${WEBHOOK_EVENT_STATUS.RETRYING})`);
+    }
+
+    const { data: events, error } = await query;
+
+    if (error) {
+      logReplayActivity(`Error loading events to replay: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
+
+    logReplayActivity(`${dryRun ? 'Dry-run replay' : 'Replaying'} ${events.length} event(s) matching ${JSON.stringify(filter)}`);
+
+    // Replay sequentially so events for one agreement apply in order
+    const results = [];
+    for (const event of events) {
+      results.push(await replayStoredEvent(event, dryRun));
+    }
+
+    return {
+      success: true,
+      dryRun,
+      matched: events.length,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+  } catch (error) {
+    logReplayActivity(`Exception in bulk replay: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  replayWebhookEvent,
+  replayWebhookEvents
+};
@@ -0,0 +1,121 @@
+// webhookValidationService.js - Validates Evia Sign webhook payloads per event type
+import { validateAndNormalizeUUID } from './supabaseClient.js';
+import { getEventType } from './eventTypeRegistry.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BASE64_REGEX = /^[A-Za-z0-9+/\r\n]+={0,2}\s*$/;
+
+/**
+ * Field checks shared by the rules below. Each returns an error message, or null if the value is acceptable.
+ */
+const checks = {
+  uuid: (value) => (validateAndNormalizeUUID(typeof value === 'string' ? value.trim() : value).valid ? null : 'must be a UUID'),
+  integer: (value) => (Number.isInteger(value) ? null : 'must be an integer'),
+  isoDate: (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be an ISO 8601 date-time'),
+  email: (value) => (typeof value === 'string' && EMAIL_REGEX.test(value.trim()) ? null : 'must be an email address'),
+  string: (value) => (typeof value === 'string' ? null : 'must be a string'),
+  nonEmptyString: (value) => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string')
+};
+
+/**
+ * Check that document content is non-empty base64 (optionally a data: URI)
+ * @param {*} value - The DocumentContent value
+ * @returns {string|null} Error message or null
+ */
+function checkBase64Document(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return 'must be a non-empty base64 string';
+  }
+  const content = value.includes('base64,') ? value.split('base64,')[1] : value;
+  return BASE64_REGEX.test(content) ? null : 'must be base64 encoded';
+}
+
+/**
+ * Check the Documents array of a RequestCompleted-style event
+ * @param {Object} payload - The webhook payload
+ * @param {Array<Object>} errors - Errors collected so far
+ */
+function checkDocuments(payload, errors) {
+  if (!Array.isArray(payload.Documents) || payload.Documents.length === 0) {
+    errors.push({ field: 'Documents', message: 'must be a non-empty array' });
+    return;
+  }
+  payload.Documents.forEach((document, index) => {
+    if (!document || typeof document !== 'object') {
+      errors.push({ field: `Documents[${index}]`, message: 'must be an object' });
+      return;
+    }
+    const contentError = checkBase64Document(document.DocumentContent);
+    if (contentError) {
+      errors.push({ field: `Documents[${index}].DocumentContent`, message: contentError });
+    }
+    if (document.DocumentName !== undefined && checks.nonEmptyString(document.DocumentName)) {
+      errors.push({ field: `Documents[${index}].DocumentName`, message: 'must be a non-empty string' });
+    }
+  });
+}
+
+// Fields every event must carry
+const COMMON_FIELDS = {
+  RequestId: { check: checks.uuid, required: true },
+  EventId: { check: checks.integer, required: true },
+  EventTime: { check: checks.isoDate, required: true }
+};
+
+// How to check a field whenever it is present. Which fields are required for
+// each event type comes from the event type registry.
+const FIELD_RULES = {
+  EventDescription: { check: checks.string },
+  UserName: { check: checks.string },
+  Email: { check: checks.email },
+  Subject: { check: checks.string },
+  RejectReason: { check: checks.string },
+  Documents: { validate: checkDocuments }
+};
+
+/**
+ * Validate a webhook payload against the rules for its event type
+ * @param {Object} payload - The webhook payload
+ * @returns {Object} { valid, eventType, errors: [{ field, message }] }
+ */
+export function validateWebhookPayload(payload) {
+  const errors = [];
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { valid: false, eventType: null, errors: [{ field: '(body)', message: 'must be a JSON object' }] };
+  }
+
+  const eventType = getEventType(payload.EventId);
+  const fields = { ...FIELD_RULES, ...COMMON_FIELDS };
+  for (const field of eventType.requiredFields) {
+    fields[field] = { ...fields[field], required: true };
+  }
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const value = payload[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+    if (rule.validate) {
+      rule.validate(payload, errors);
+    } else if (rule.check) {
+      const message = rule.check(value);
+      if (message) {
+        errors.push({ field, message });
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    eventType: eventType.known ? eventType.name : null,
+    errors
+  };
+}
+
+export default {
+  validateWebhookPayload
+};